@@ -1,16 +1,75 @@
-import { sendMessage } from '../config/ai.js';
-import { getClassificationPrompt, getConversationalPrompt } from './prompts.js';
-import { extractTaskInfo, saveTask, generateAdvice } from './tools.js';
+import { sendMessage, createChatCompletion } from '../config/ai.js';
+import { getClassificationPrompt, getConversationalPrompt, getToolAgentPrompt } from './prompts.js';
+import {
+    getToolSchemas,
+    executeToolCall,
+    extractTasks,
+    extractActionInfo,
+    findDuplicateTask,
+    findMatchingTasks,
+    saveTask,
+    generateAdvice,
+    generateChecklist,
+    getTasks,
+    getTask,
+    updateTask,
+    updateOccurrence,
+    deleteTask
+} from './tools.js';
+import { describeRule, findCurrentOccurrence } from '../utils/recurrence.js';
+import { computeProgress, parseChecklist } from '../utils/subtasks.js';
+import { computeStatus } from '../utils/taskStatus.js';
+import { toWallTime, toDateString, toLocalString } from '../utils/timezone.js';
+import { resolveDate } from '../utils/dateParser.js';
+import { getRecentTurns, recordTurn, setPendingAction, clearPendingAction } from './memory.js';
+import { findOrCreateProject } from './projects.js';
+import { searchTasks } from './search.js';
+import { requestStructured, StructuredOutputError } from './structured.js';
+import { detectInjection } from '../utils/injection.js';
+import { runWithRequestContext, getRequestContext } from '../utils/requestContext.js';
+import { logger } from '../utils/logger.js';
+import { startTrace, finishTrace, traceStep } from './trace.js';
+import { undoLastChange } from './history.js';
+import { buildAgenda, planAgenda } from './agenda.js';
+import { QuotaExceededError } from '../usage/accounting.js';
 
 /**
  * AI Agent Core
- * Implements the multi-step agent pipeline:
+ * Runs in one of two modes, chosen by AGENT_MODE:
+ *
+ * "tools" (default) - iterative tool-calling loop:
+ * the model is given the declared tool schemas and calls them until it
+ * can answer, up to AGENT_MAX_STEPS rounds
+ *
+ * "pipeline" - fixed multi-step pipeline, for models without function calling:
  * STEP 1: Analyze user input
- * STEP 2: Classify (task vs non-task)
- * STEP 3: Execute tools (if task)
+ * STEP 2: Classify intent (create, complete, reschedule, edit, delete, list, search, plan, overdue or none)
+ * STEP 3: Execute tools (if task related)
  * STEP 4: Generate response
+ *
+ * In both modes "undo" (or "undo that") reverts the last change to the user's tasks (see history.js)
  */
 
+const TASK_ACTIONS = ['complete', 'reschedule', 'edit', 'delete'];
+
+// Tools that only read the user's tasks
+const READ_ONLY_TOOLS = ['list_tasks', 'find_tasks', 'get_agenda'];
+
+// A match scoring below this (0-1) is too weak to act on without asking
+const MIN_MATCH_SCORE = 0.5;
+// A runner-up scoring within this fraction of the best match makes the choice ambiguous
+const AMBIGUITY_RATIO = 0.8;
+// Most candidates offered when asking the user to pick a task
+const MAX_CHOICES = 5;
+
+// References that point at the most recently discussed task
+const LAST_TASK_REFERENCES = ['', 'it', 'that', 'this', 'that one', 'this one', 'that task', 'this task'];
+
+const YES_PATTERN = /^(y|yes|yeah|yep|sure|ok|okay|confirm|do it|go ahead)\b/;
+const NO_PATTERN = /^(n|no|nope|cancel|stop|never ?mind|don'?t)\b/;
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth'];
+const UNDO_PATTERN = /^(please )?(undo|revert|reverse)( (that|this|it|the last (change|action)|my last (change|action)))?( please)?[.!]*$/;
+
 class Agent {
     constructor() {
         this.name = 'Task Assistant Agent';
@@ -18,156 +77,1058 @@ class Agent {
 
     /**
      * Main agent processing method
+     * Every step of handling the message is recorded in a trace (see trace.js)
      * @param {string} userMessage - The user's message
-     * @returns {Promise<Object>} - Agent response {message, task, advice}
+     * @param {Object} context - Request context {userId, conversation, timezone, onEvent}
+     * @param {string} context.timezone - IANA timezone the user's dates are meant in (defaults to UTC)
+     * @param {Function} context.onEvent - Optional progress listener, called as onEvent(event, data)
+     *   with "flagged", "classified", "extracted", "duplicate", "saved", "deleted", "agenda", "tool_call", "tool_result" and "token" events
+     * @returns {Promise<Object>} - Agent response {message, task, advice, sessionId, flags (if the message
+     *   looked like a prompt injection attempt), promptVersions ({prompt name: version} of the prompts used)}
      */
-    async process(userMessage) {
-        console.log('\n🤖 Agent processing:', userMessage);
+    async process(userMessage, context) {
+        const { userId, conversation, timezone = 'UTC', onEvent = null } = context;
 
-        try {
-            // STEP 1 & 2: Analyze and Classify
-            const classification = await this.classify(userMessage);
+        // Filled in with {prompt name: version} as prompts are rendered for this turn
+        const promptVersions = {};
+        const trace = startTrace({ userId, message: userMessage, mode: this.getMode() });
 
-            if (classification.isTask) {
-                // STEP 3: Execute tools for task
-                return await this.handleTask(userMessage);
-            } else {
-                // STEP 3: Generate conversational response
-                return await this.handleConversation(userMessage);
+        // Task changes made while handling the message are recorded as the agent's, with the message
+        const actor = { actor: 'agent', via: 'chat', message: userMessage, conversation: conversation ? conversation._id : null };
+
+        return runWithRequestContext({ ...getRequestContext(), promptVersions, trace, actor }, async () => {
+            logger.debug('Agent processing message', { message: userMessage });
+            let response;
+            let failure = null;
+
+            // Flag, but still handle, messages that try to steer the model; the prompts treat them as data
+            const injection = detectInjection(userMessage);
+            if (injection.flagged) {
+                logger.warn('Possible prompt injection', { userId, signals: injection.signals });
+                this.emit({ onEvent }, 'flagged', { signals: injection.signals });
+            }
+
+            try {
+                // Load recent turns and the last touched task so follow-ups make sense
+                const turnContext = await this.loadContext(userId, conversation, timezone);
+                turnContext.onEvent = onEvent;
+
+                if (UNDO_PATTERN.test(userMessage.trim().toLowerCase())) {
+                    response = await this.handleUndo(turnContext);
+                } else {
+                    // A reply to a confirmation question resolves the pending action first
+                    if (turnContext.pendingAction) {
+                        response = await this.resolvePendingAction(userMessage, turnContext);
+                    }
+                    if (!response) {
+                        response = this.getMode() === 'pipeline'
+                            ? await this.runPipeline(userMessage, turnContext)
+                            : await this.runToolLoop(userMessage, turnContext);
+                    }
+                }
+            } catch (error) {
+                logger.error('Agent error', { error });
+                failure = error;
+                if (error instanceof StructuredOutputError) {
+                    response = this.describeStructuredError(error);
+                } else if (error instanceof QuotaExceededError) {
+                    response = this.describeQuotaError(error, timezone);
+                } else {
+                    response = {
+                        message: 'I apologize, but I encountered an error processing your request. Please try again.',
+                        error: true
+                    };
+                }
+            }
+
+            if (injection.flagged) {
+                response.flags = injection.signals;
+            }
+            if (Object.keys(promptVersions).length > 0) {
+                response.promptVersions = promptVersions;
+            }
+
+            // Saved in the background, so the reply isn't held up
+            finishTrace(trace, { response, error: failure });
+
+            if (conversation) {
+                try {
+                    await recordTurn(conversation, userMessage, response);
+                } catch (error) {
+                    logger.error('Failed to record conversation turn', { error });
+                }
+                response.sessionId = conversation._id;
+            }
+
+            return response;
+        });
+    }
+
+    /**
+     * Helper: Which processing mode to use
+     * @returns {string} - "tools" or "pipeline"
+     */
+    getMode() {
+        return process.env.AGENT_MODE === 'pipeline' ? 'pipeline' : 'tools';
+    }
+
+    /**
+     * Helper: Explain a model reply that couldn't be used, instead of a generic apology
+     * @param {StructuredOutputError} error - The failure
+     * @returns {Object} - Error response {message, error, errorCode, errorDetails}
+     */
+    describeStructuredError(error) {
+        return {
+            message: "Sorry, the AI model's answer didn't make sense to me, so I haven't changed anything. "
+                + 'Please try again, or phrase your request a little differently.',
+            error: true,
+            errorCode: error.code,
+            errorDetails: { output: error.output, errors: error.errors }
+        };
+    }
+
+    /**
+     * Helper: Tell a user over their usage quota when they can use the assistant again
+     * @param {QuotaExceededError} error - The refusal
+     * @param {string} timezone - IANA timezone to give the time in
+     * @returns {Object} - Error response {message, error, errorCode, errorDetails}
+     */
+    describeQuotaError(error, timezone) {
+        const { period, resetsAt } = error.quota;
+        return {
+            message: `Sorry, you've used up your AI allowance for this ${period}, so I haven't done anything. `
+                + `It resets on ${toLocalString(new Date(resetsAt), timezone)}.`,
+            error: true,
+            errorCode: error.code,
+            errorDetails: { quota: error.quota }
+        };
+    }
+
+    /**
+     * Tool-calling loop
+     * Lets the model call the declared tools until it produces a final answer
+     * A tool that needs the user's say-so (delete_task) returns a pending action instead of acting;
+     * it is kept on the conversation and carried out only if the user's next message confirms it
+     * @param {string} userMessage - The user's message
+     * @param {Object} context - Conversation context {userId, timezone, conversation, history, lastTask}
+     * @returns {Promise<Object>} - Response {message, task, tasks (the tasks created, or else the last ones listed),
+     *   duplicates, isTask, needsConfirmation, candidates, trace}
+     */
+    async runToolLoop(userMessage, context) {
+        const maxSteps = parseInt(process.env.AGENT_MAX_STEPS, 10) || 5;
+        const tools = getToolSchemas();
+        const messages = [
+            {
+                role: 'system',
+                content: getToolAgentPrompt(toLocalString(new Date(), context.timezone), context.lastTask, context.timezone)
+            },
+            ...context.history,
+            { role: 'user', content: userMessage }
+        ];
+
+        // Record of every tool call: {step, tool, arguments, ok, error}
+        const trace = [];
+        let task = null;
+        let tasks = null;
+        let changed = false;
+        let pending = null;
+        // Every task create_task added, and every one it found the user already had
+        const created = [];
+        const duplicates = [];
+
+        const buildResponse = (message) => {
+            const response = { message, isTask: changed, trace };
+            // Follow-ups are about the last task touched, or else one the user already had
+            if (task || duplicates.length > 0) response.task = task || duplicates[0];
+            if (created.length > 0 || duplicates.length > 0) {
+                response.tasks = created;
+                response.duplicates = duplicates;
+            } else if (tasks) {
+                response.tasks = tasks;
+            }
+            if (pending) {
+                response.needsConfirmation = true;
+                response.candidates = [pending];
+            }
+            return response;
+        };
+
+        for (let step = 1; step <= maxSteps; step++) {
+            logger.debug(`Step ${step}: Asking model for next action`);
+
+            const reply = await createChatCompletion(messages, { tools, step: 'agent', onToken: this.tokenHandler(context) });
+            const toolCalls = reply.tool_calls || [];
+
+            messages.push({ role: 'assistant', content: reply.content, tool_calls: toolCalls.length ? toolCalls : undefined });
+
+            // No tool calls means the model is done
+            if (toolCalls.length === 0) {
+                logger.debug('Agent completed successfully');
+                return buildResponse(reply.content);
+            }
+
+            for (const call of toolCalls) {
+                const { name } = call.function;
+                let args;
+                let result;
+
+                try {
+                    args = JSON.parse(call.function.arguments || '{}');
+                } catch (error) {
+                    args = call.function.arguments;
+                    result = { error: 'Arguments must be valid JSON' };
+                }
+
+                this.emit(context, 'tool_call', { step, tool: name, arguments: args });
+
+                if (!result) {
+                    result = await executeToolCall(name, args, context);
+                }
+
+                // Hold the action until the user answers; the model only sees that it is waiting
+                if (result.needsConfirmation) {
+                    const { pendingAction, ...waiting } = result;
+                    if (context.conversation) {
+                        await setPendingAction(context.conversation, pendingAction);
+                        pending = waiting.task;
+                        result = { ...waiting, message: 'Nothing has been changed yet; the user must confirm in their next message' };
+                    } else {
+                        result = { error: 'This needs the user\'s confirmation, which can only be given in a conversation' };
+                    }
+                }
+
+                this.emit(context, 'tool_result', { step, tool: name, ok: !result.error, error: result.error });
+
+                logger.debug(`Tool ${name}`, { error: result.error });
+                trace.push({ step, tool: name, arguments: args, ok: !result.error, error: result.error });
+
+                if (name === 'create_task' && result.duplicate) {
+                    this.emit(context, 'duplicate', { task: result.duplicate });
+                    duplicates.push(result.duplicate);
+                }
+                if (!result.error) {
+                    if (name === 'create_task' && result.task) created.push(result.task);
+                    if (result.task) task = result.task;
+                    if (result.tasks) tasks = result.tasks;
+                    if (!READ_ONLY_TOOLS.includes(name) && !result.needsConfirmation) {
+                        changed = true;
+                        if (result.task) this.emit(context, 'saved', { task: result.task });
+                    }
+                }
+
+                messages.push({
+                    role: 'tool',
+                    tool_call_id: call.id,
+                    content: JSON.stringify(result)
+                });
             }
-        } catch (error) {
-            console.error('Agent error:', error);
-            return {
-                message: 'I apologize, but I encountered an error processing your request. Please try again.',
-                error: true
-            };
         }
+
+        logger.warn(`Tool loop stopped after ${maxSteps} steps`);
+        return {
+            ...buildResponse("Sorry, I couldn't finish that request. Could you try rephrasing it or splitting it into smaller steps?"),
+            error: true
+        };
     }
 
     /**
-     * STEP 1 & 2: Classify user message
-     * Determines if the message contains a task
+     * Fixed pipeline
+     * Classifies the message and runs the matching handler
      * @param {string} userMessage - The user's message
-     * @returns {Promise<Object>} - {isTask, confidence}
+     * @param {Object} context - Conversation context {userId, conversation, history, lastTask}
+     * @returns {Promise<Object>} - Response
      */
-    async classify(userMessage) {
-        console.log('📊 Step 1-2: Analyzing and classifying...');
+    async runPipeline(userMessage, context) {
+        // STEP 1 & 2: Analyze and Classify
+        const { intent } = await this.classify(userMessage, context);
 
-        try {
-            const prompt = getClassificationPrompt();
-            const response = await sendMessage(prompt, userMessage, true);
+        // STEP 3: Execute tools for the intent
+        if (intent === 'create') {
+            return this.handleTask(userMessage, context);
+        } else if (intent === 'list') {
+            return this.handleList(userMessage, context);
+        } else if (intent === 'search') {
+            return this.handleSearch(userMessage, context);
+        } else if (intent === 'plan') {
+            return this.handlePlan(userMessage, context);
+        } else if (intent === 'overdue') {
+            return this.handleOverdue(context);
+        } else if (TASK_ACTIONS.includes(intent)) {
+            return this.handleTaskAction(intent, userMessage, context);
+        }
 
-            const classification = JSON.parse(response);
-            console.log('✓ Classification:', classification);
+        // STEP 3: Generate conversational response
+        return this.handleConversation(userMessage, context);
+    }
 
-            return classification;
-        } catch (error) {
-            console.error('Classification error:', error);
-            // Default to non-task if classification fails
-            return { isTask: false, confidence: 0 };
+    /**
+     * Build the context passed to every step of the pipeline
+     * @param {string} userId - ID of the user sending the message
+     * @param {Object|null} conversation - Conversation document, if any
+     * @param {string} timezone - IANA timezone the user's dates are meant in
+     * @returns {Promise<Object>} - {userId, timezone, conversation, history, lastTask, pendingAction}
+     */
+    async loadContext(userId, conversation, timezone = 'UTC') {
+        if (!conversation) {
+            return { userId, timezone, conversation: null, history: [], lastTask: null, pendingAction: null };
         }
+
+        const history = getRecentTurns(conversation);
+        const lastTask = conversation.lastTask
+            ? await getTask(userId, conversation.lastTask)
+            : null;
+
+        return { userId, timezone, conversation, history, lastTask, pendingAction: conversation.pendingAction };
+    }
+
+    /**
+     * STEP 1 & 2: Classify user message
+     * Determines what the user wants to do with their tasks
+     * @param {string} userMessage - The user's message
+     * @param {Object} context - Conversation context {history, lastTask}
+     * @returns {Promise<Object>} - {intent, confidence}
+     * @throws {StructuredOutputError} - If the model's reply isn't a valid classification
+     */
+    async classify(userMessage, context) {
+        logger.debug('Step 1-2: Analyzing and classifying');
+
+        const prompt = getClassificationPrompt(context.lastTask, context.timezone);
+        const classification = await requestStructured('classification', prompt, userMessage, context.history);
+
+        logger.debug('Classification', classification);
+        this.emit(context, 'classified', classification);
+
+        return classification;
     }
 
     /**
      * STEP 3 & 4: Handle task message
-     * Executes tools and generates response
+     * Saves every task in the message, except those the user already has open, each with its own advice
      * @param {string} userMessage - The user's message
-     * @returns {Promise<Object>} - Response with task and advice
+     * @param {Object} context - Conversation context {userId, history, lastTask}
+     * @returns {Promise<Object>} - Response {message, task (the first new task, else the first duplicate), tasks (all new tasks),
+     *   duplicates (open tasks that were asked for again), isTask, intent}
      */
-    async handleTask(userMessage) {
-        console.log('🔧 Step 3: Executing tools for task...');
+    async handleTask(userMessage, context) {
+        logger.debug('Step 3: Executing tools for task');
 
         try {
-            // Tool 1: Extract task information
-            const taskInfo = await extractTaskInfo(userMessage);
+            // Tool 1: Extract the tasks in the message
+            const extracted = await extractTasks(userMessage, context);
 
-            // Tool 2: Generate advice
-            const advice = await generateAdvice(taskInfo.title);
-            taskInfo.advice = advice;
+            // Advice is only streamed for a single task; with several it is saved with each one
+            const onToken = extracted.length === 1 ? this.tokenHandler(context) : null;
+            const created = [];
+            const duplicates = [];
 
-            // Tool 3: Save to database
-            const savedTask = await saveTask(taskInfo);
+            for (const taskInfo of extracted) {
+                this.emit(context, 'extracted', taskInfo);
 
-            // STEP 4: Generate response
-            console.log('💬 Step 4: Generating response...');
+                const duplicate = await findDuplicateTask(context.userId, taskInfo);
+                if (duplicate) {
+                    this.emit(context, 'duplicate', { task: this.serializeTask(duplicate) });
+                    duplicates.push(duplicate);
+                    continue;
+                }
+
+                // Tool 2: Save to database (before advice, so the task is kept even if advice is slow)
+                const savedTask = await saveTask(context.userId, taskInfo);
+                this.emit(context, 'saved', { task: this.serializeTask(savedTask) });
 
-            const formattedDate = this.formatDate(savedTask.date);
+                // Tool 3: Generate advice with a checklist and store both on the task
+                created.push(await this.addAdvice(savedTask, context, onToken));
+            }
+
+            // STEP 4: Generate response
+            logger.debug('Step 4: Generating response');
 
             const response = {
-                message: `✓ I've added "${savedTask.title}" to your tasks for ${formattedDate}.\n\n${advice}`,
-                task: {
-                    id: savedTask._id,
-                    title: savedTask.title,
-                    date: savedTask.date,
-                    notes: savedTask.notes,
-                    advice: savedTask.advice
-                },
-                isTask: true
+                message: this.describeCreated(created, duplicates, context.timezone),
+                tasks: created.map(task => this.serializeTask(task)),
+                duplicates: duplicates.map(task => this.serializeTask(task)),
+                isTask: created.length > 0,
+                intent: 'create'
             };
+            // Follow-ups ("make it 5pm") are about the first task, new or already there
+            const [first] = [...created, ...duplicates];
+            if (first) response.task = this.serializeTask(first);
 
-            console.log('✓ Agent completed successfully');
+            logger.debug('Agent completed successfully');
             return response;
         } catch (error) {
-            console.error('Task handling error:', error);
+            logger.error('Task handling error', { error });
             throw error;
         }
     }
 
+    /**
+     * Helper: Generate advice with a checklist for a new task and store both on it
+     * (streamed advice is plain text, so its numbered steps become the checklist)
+     * Advice is optional: if it can't be added the task is kept without it
+     * @param {Object} task - The saved task
+     * @param {Object} context - Conversation context {userId}
+     * @param {Function|null} onToken - Callback for streamed advice, or null to generate it whole
+     * @returns {Promise<Object>} - The task, with its advice when it could be added
+     */
+    async addAdvice(task, context, onToken) {
+        try {
+            const { advice, subtasks } = onToken
+                ? await generateAdvice(task.title, onToken).then(text => ({ advice: text, subtasks: parseChecklist(text) }))
+                : await generateChecklist(task.title);
+            return await updateTask(context.userId, task._id, {
+                advice,
+                subtasks: subtasks.map(title => ({ title }))
+            }) || task;
+        } catch (error) {
+            logger.warn('Could not add advice to task', { taskId: String(task._id), error });
+            return task;
+        }
+    }
+
+    /**
+     * Helper: Tell the user which tasks were added and which they already had
+     * @param {Array<Object>} created - New tasks
+     * @param {Array<Object>} duplicates - Open tasks the message asked for again
+     * @param {string} timezone - User's timezone
+     * @returns {string} - Message
+     */
+    describeCreated(created, duplicates, timezone) {
+        const describe = task => `"${task.title}" ${this.describeSchedule(task, timezone)}`;
+        const parts = [];
+
+        if (created.length === 1) {
+            const [task] = created;
+            parts.push(`✓ I've added "${task.title}" to your tasks ${this.describeSchedule(task, timezone)}.${task.advice ? `\n\n${task.advice}` : ''}`);
+        } else if (created.length > 1) {
+            parts.push(`✓ I've added ${created.length} tasks:\n${created.map(task => `• ${describe(task)}`).join('\n')}`);
+        }
+
+        if (duplicates.length === 1) {
+            parts.push(`You already have ${describe(duplicates[0])}, so I didn't add it again.`);
+        } else if (duplicates.length > 1) {
+            parts.push(`You already have these, so I didn't add them again:\n${duplicates.map(task => `• ${describe(task)}`).join('\n')}`);
+        }
+
+        return parts.join('\n\n');
+    }
+
+    /**
+     * Helper: When a task is, for messages
+     * @param {Object} task - Task
+     * @param {string} timezone - User's timezone
+     * @returns {string} - e.g. "for tomorrow at 3:00 PM" or "every Monday, starting today"
+     */
+    describeSchedule(task, timezone) {
+        const formattedDate = this.formatDate(task.date, timezone, task.allDay);
+        return task.recurrence
+            ? `${describeRule(task.recurrence)}, starting ${formattedDate}`
+            : `for ${formattedDate}`;
+    }
+
+    /**
+     * STEP 3 & 4: Handle an action on an existing task
+     * Finds the task the user means and completes, reschedules, edits or deletes it
+     * Deletions and ambiguous matches are held until the user confirms
+     * @param {string} intent - One of complete, reschedule, edit, delete
+     * @param {string} userMessage - The user's message
+     * @param {Object} context - Conversation context {userId, conversation, history, lastTask}
+     * @returns {Promise<Object>} - Response with the affected task or a question
+     */
+    async handleTaskAction(intent, userMessage, context) {
+        logger.debug(`Step 3: Executing tools to ${intent} a task`);
+
+        // Tool: Work out which task and what should change
+        const actionInfo = await extractActionInfo(userMessage, intent, context);
+        this.emit(context, 'extracted', actionInfo);
+
+        const changes = {
+            date: actionInfo.date,
+            allDay: actionInfo.allDay,
+            durationMinutes: actionInfo.durationMinutes,
+            title: actionInfo.title,
+            notes: actionInfo.notes,
+            priority: actionInfo.priority,
+            tags: actionInfo.tags,
+            projectName: actionInfo.projectName,
+            adviceRequested: actionInfo.adviceRequested,
+            applyToSeries: actionInfo.applyToSeries
+        };
+
+        if (intent === 'reschedule' && !changes.date) {
+            return this.reply('What date should I move it to?', intent);
+        }
+
+        // Tool: Find the matching task
+        const reference = actionInfo.taskReference.trim().toLowerCase();
+        let matches;
+        if (LAST_TASK_REFERENCES.includes(reference)) {
+            if (!context.lastTask) {
+                return this.reply('Which task do you mean?', intent);
+            }
+            matches = [{ task: context.lastTask, score: 1 }];
+        } else {
+            matches = await findMatchingTasks(context.userId, reference, {
+                includeCompleted: intent === 'edit' || intent === 'delete'
+            });
+        }
+
+        if (matches.length === 0) {
+            return this.reply(`I couldn't find a task matching "${actionInfo.taskReference}".`, intent);
+        }
+
+        const [best, runnerUp] = matches;
+        const ambiguous = best.score < MIN_MATCH_SCORE
+            || (runnerUp && runnerUp.score >= best.score * AMBIGUITY_RATIO);
+
+        if (ambiguous) {
+            const candidates = matches.slice(0, MAX_CHOICES).map(match => match.task);
+            return this.askForConfirmation(intent, candidates, changes, context);
+        }
+
+        if (intent === 'delete') {
+            return this.askForConfirmation(intent, [best.task], changes, context);
+        }
+
+        return this.executeAction(intent, best.task, changes, context);
+    }
+
+    /**
+     * STEP 3 & 4: Undo the last change to the user's tasks
+     * @param {Object} context - Conversation context {userId, timezone}
+     * @returns {Promise<Object>} - Response with the restored task, if there is one
+     */
+    async handleUndo(context) {
+        logger.debug('Step 3: Undoing the last change');
+
+        const result = await undoLastChange(context.userId);
+        if (!result) {
+            return this.reply("There's nothing to undo.", 'undo');
+        }
+
+        const { action, tasks } = result;
+        for (const task of tasks) {
+            if (task.deletedAt) {
+                this.emit(context, 'deleted', { taskId: task._id });
+            } else {
+                this.emit(context, 'saved', { task: this.serializeTask(task) });
+            }
+        }
+
+        const titles = tasks.map(task => `"${task.title}"`).join(', ');
+        let message;
+        if (action === 'create') {
+            message = `↩️ Undone: I've moved ${titles} to the trash.`;
+        } else if (action === 'delete') {
+            message = `↩️ Undone: ${titles} ${tasks.length === 1 ? 'is' : 'are'} back.`;
+        } else if (action === 'restore') {
+            message = `↩️ Undone: I've moved ${titles} back to the trash.`;
+        } else {
+            message = `↩️ Undone: ${titles} ${tasks.length === 1 ? 'is' : 'are'} back to how ${tasks.length === 1 ? 'it was' : 'they were'}.`;
+        }
+
+        const [restored] = tasks.filter(task => !task.deletedAt);
+        logger.debug('Agent completed successfully');
+        return {
+            message,
+            task: restored ? this.serializeTask(restored) : undefined,
+            isTask: true,
+            intent: 'undo'
+        };
+    }
+
+    /**
+     * STEP 4: Ask the user to confirm an action or pick between tasks
+     * @param {string} intent - The held action
+     * @param {Array} candidates - Tasks the action could apply to
+     * @param {Object} changes - {date, title, notes, adviceRequested, applyToSeries}
+     * @param {Object} context - Conversation context {conversation}
+     * @returns {Promise<Object>} - Response asking the question
+     */
+    async askForConfirmation(intent, candidates, changes, context) {
+        if (context.conversation) {
+            await setPendingAction(context.conversation, {
+                intent,
+                candidates: candidates.map(task => task._id),
+                changes: { ...changes, date: changes.date ? changes.date.toISOString() : null }
+            });
+        }
+
+        let message;
+        if (candidates.length === 1) {
+            const [task] = candidates;
+            const target = task.recurrence && !changes.applyToSeries
+                ? `the current occurrence of "${task.title}"`
+                : `"${task.title}" (${this.formatDate(task.date, context.timezone, task.allDay)})`;
+            message = `Do you want me to ${intent} ${target}? Reply "yes" to confirm or "no" to cancel.`;
+        } else {
+            const options = candidates
+                .map((task, index) => `${index + 1}. ${task.title} (${this.formatDate(task.date, context.timezone, task.allDay)})`)
+                .join('\n');
+            message = `I found more than one matching task. Which one should I ${intent}?\n\n${options}\n\nReply with a number, or "no" to cancel.`;
+        }
+
+        logger.debug('Waiting for confirmation', { intent });
+        return {
+            ...this.reply(message, intent),
+            needsConfirmation: true,
+            candidates: candidates.map(task => this.serializeTask(task))
+        };
+    }
+
+    /**
+     * STEP 3: Resolve a reply to a confirmation question
+     * @param {string} userMessage - The user's reply
+     * @param {Object} context - Conversation context {userId, conversation, pendingAction}
+     * @returns {Promise<Object|null>} - Response, or null if the message is not an answer
+     */
+    async resolvePendingAction(userMessage, context) {
+        const { intent, candidates, changes } = context.pendingAction;
+        await clearPendingAction(context.conversation);
+
+        const answer = userMessage.trim().toLowerCase();
+        if (NO_PATTERN.test(answer)) {
+            return this.reply("Okay, I won't change anything.", intent);
+        }
+
+        // A number or ordinal picks a candidate; "yes" confirms a single one
+        let index = parseInt(answer, 10) - 1;
+        if (isNaN(index)) {
+            index = ORDINALS.findIndex(ordinal => answer.includes(ordinal));
+        }
+        if (index < 0 && candidates.length === 1 && YES_PATTERN.test(answer)) {
+            index = 0;
+        }
+
+        // Anything else is a new message rather than an answer
+        if (index < 0 || index >= candidates.length) {
+            return null;
+        }
+
+        const task = await getTask(context.userId, candidates[index]);
+        if (!task) {
+            return this.reply('That task no longer exists.', intent);
+        }
+
+        return this.executeAction(intent, task, {
+            ...changes,
+            date: changes.date ? new Date(changes.date) : null
+        }, context);
+    }
+
+    /**
+     * STEP 3 & 4: Run an action against a specific task
+     * @param {string} intent - One of complete, reschedule, edit, delete
+     * @param {Object} task - The target task
+     * @param {Object} changes - {date, allDay, durationMinutes, title, notes, priority, tags, projectName,
+     *   adviceRequested, applyToSeries}
+     * @param {Object} context - Conversation context {userId, timezone}
+     * @returns {Promise<Object>} - Response with the affected task
+     */
+    async executeAction(intent, task, changes, context) {
+        const { userId } = context;
+
+        // Completing, moving or removing a repeating task only touches its current occurrence
+        if (task.recurrence && !changes.applyToSeries && intent !== 'edit') {
+            return this.executeOccurrenceAction(intent, task, changes, context);
+        }
+
+        if (intent === 'delete') {
+            const deleted = await deleteTask(userId, task._id);
+            if (!deleted) {
+                return this.reply('That task no longer exists.', intent);
+            }
+            this.emit(context, 'deleted', { taskId: task._id });
+
+            logger.debug('Agent completed successfully');
+            return {
+                ...this.reply(`🗑️ I've moved "${task.title}" to the trash. Say "undo" if that was a mistake.`, intent),
+                isTask: true,
+                deletedTaskId: task._id
+            };
+        }
+
+        const updates = {};
+        if (intent === 'complete') {
+            updates.completed = true;
+        } else if (intent === 'reschedule') {
+            updates.date = changes.date;
+            updates.allDay = changes.allDay !== false;
+            updates.timezone = context.timezone;
+            if (changes.durationMinutes) updates.durationMinutes = changes.durationMinutes;
+        } else {
+            if (changes.title) updates.title = changes.title;
+            if (changes.notes) updates.notes = changes.notes;
+            if (changes.durationMinutes) updates.durationMinutes = changes.durationMinutes;
+            if (changes.priority) updates.priority = changes.priority;
+            if (changes.tags) updates.tags = changes.tags;
+            if (changes.projectName) updates.project = (await findOrCreateProject(userId, changes.projectName))._id;
+            if (changes.adviceRequested || (changes.title && changes.title !== task.title)) {
+                updates.advice = await generateAdvice(changes.title || task.title, this.tokenHandler(context));
+            }
+        }
+
+        const updatedTask = await updateTask(userId, task._id, updates);
+        if (!updatedTask) {
+            return this.reply('That task no longer exists.', intent);
+        }
+        this.emit(context, 'saved', { task: this.serializeTask(updatedTask) });
+
+        logger.debug('Step 4: Generating response');
+
+        let message;
+        if (intent === 'complete') {
+            message = `✓ Nice work! I've marked "${updatedTask.title}" as done.`;
+        } else if (intent === 'reschedule') {
+            message = `✓ I've moved "${updatedTask.title}" to ${this.formatDate(updatedTask.date, context.timezone, updatedTask.allDay)}.`;
+        } else {
+            message = `✓ I've updated "${updatedTask.title}".`;
+            if (updates.advice) {
+                message += `\n\n${updates.advice}`;
+            }
+        }
+
+        logger.debug('Agent completed successfully');
+        return {
+            message,
+            task: this.serializeTask(updatedTask),
+            isTask: true,
+            intent
+        };
+    }
+
+    /**
+     * STEP 3 & 4: Run an action against the current occurrence of a repeating task
+     * The rest of the series is left unchanged
+     * @param {string} intent - One of complete, reschedule, delete
+     * @param {Object} task - The recurring task
+     * @param {Object} changes - {date, allDay, occurrenceDate (another occurrence than the current one)}
+     * @param {Object} context - Conversation context {userId, timezone}
+     * @returns {Promise<Object>} - Response with the affected occurrence
+     */
+    async executeOccurrenceAction(intent, task, changes, context) {
+        const current = changes.occurrenceDate
+            ? { occurrenceDate: new Date(changes.occurrenceDate), date: new Date(changes.occurrenceDate), allDay: task.allDay }
+            : findCurrentOccurrence(task);
+        if (!current) {
+            return this.reply(`"${task.title}" has no open occurrences left.`, intent);
+        }
+
+        let updates;
+        if (intent === 'complete') {
+            updates = { completed: true };
+        } else if (intent === 'reschedule') {
+            updates = { date: changes.date };
+        } else {
+            updates = { cancelled: true };
+        }
+
+        const occurrence = await updateOccurrence(context.userId, task._id, current.occurrenceDate, updates);
+        if (!occurrence) {
+            return this.reply('That task no longer exists.', intent);
+        }
+
+        const when = this.formatDate(current.date, context.timezone, current.allDay);
+        let message;
+        if (intent === 'complete') {
+            message = `✓ Nice work! I've marked "${task.title}" for ${when} as done. The rest of the series is unchanged.`;
+        } else if (intent === 'reschedule') {
+            message = `✓ I've moved "${task.title}" from ${when} to ${this.formatDate(changes.date, context.timezone, changes.allDay)}. Other occurrences stay as they are.`;
+        } else {
+            message = `🗑️ I've removed "${task.title}" on ${when}. The rest of the series is unchanged.`;
+        }
+
+        if (occurrence.cancelled) {
+            this.emit(context, 'deleted', { taskId: task._id, occurrenceDate: current.occurrenceDate });
+        } else {
+            this.emit(context, 'saved', { task: this.serializeTask(occurrence) });
+        }
+
+        logger.debug('Agent completed successfully');
+        return {
+            message,
+            task: occurrence.cancelled ? undefined : this.serializeTask(occurrence),
+            isTask: true,
+            intent
+        };
+    }
+
+    /**
+     * STEP 3 & 4: Handle a question about the user's tasks
+     * @param {string} userMessage - The user's message
+     * @param {Object} context - Conversation context {userId, history, lastTask}
+     * @returns {Promise<Object>} - Response listing the matching tasks
+     */
+    async handleList(userMessage, context) {
+        logger.debug('Step 3: Executing tools to list tasks');
+
+        const actionInfo = await extractActionInfo(userMessage, 'list', context);
+        this.emit(context, 'extracted', actionInfo);
+
+        const filters = {};
+        if (!actionInfo.includeCompleted) filters.completed = false;
+        if (actionInfo.dateFrom) filters.dateFrom = actionInfo.dateFrom;
+        if (actionInfo.dateTo) filters.dateTo = actionInfo.dateTo;
+
+        const tasks = await getTasks(context.userId, filters);
+
+        logger.debug('Step 4: Generating response');
+
+        let message;
+        if (tasks.length === 0) {
+            message = "You don't have any tasks for that period. Want me to add one?";
+        } else {
+            const lines = tasks.map(task =>
+                `${task.completed ? '✓' : '•'} ${task.title} — ${this.formatDate(task.date, context.timezone, task.allDay)}`
+            );
+            message = `Here's what you have:\n\n${lines.join('\n')}`;
+        }
+
+        logger.debug('Agent completed successfully');
+        return {
+            message,
+            tasks: tasks.map(task => this.serializeTask(task)),
+            isTask: false,
+            intent: 'list'
+        };
+    }
+
+    /**
+     * STEP 3 & 4: Handle a search ("did I already add something about taxes?")
+     * Looks for the topic by key words first, then by meaning
+     * @param {string} userMessage - The user's message
+     * @param {Object} context - Conversation context {userId, timezone, history}
+     * @returns {Promise<Object>} - Response listing the matching tasks
+     */
+    async handleSearch(userMessage, context) {
+        logger.debug('Step 3: Executing tools to search tasks');
+
+        const actionInfo = await extractActionInfo(userMessage, 'search', context);
+        this.emit(context, 'extracted', actionInfo);
+
+        const query = actionInfo.taskReference.trim() || userMessage;
+        const { results } = await searchTasks(context.userId, query, { mode: 'auto', limit: MAX_CHOICES });
+        const tasks = results.map(({ task }) => task);
+
+        logger.debug('Step 4: Generating response');
+
+        let message;
+        if (tasks.length === 0) {
+            message = `I couldn't find any tasks about "${query}". Want me to add one?`;
+        } else {
+            const lines = tasks.map(task =>
+                `${task.completed ? '✓' : '•'} ${task.title} — ${this.formatDate(task.date, context.timezone, task.allDay)}`
+            );
+            message = `Yes, here's what I found about "${query}":\n\n${lines.join('\n')}`;
+        }
+
+        logger.debug('Agent completed successfully');
+        return {
+            message,
+            tasks: tasks.map(task => this.serializeTask(task)),
+            isTask: false,
+            intent: 'search'
+        };
+    }
+
+    /**
+     * STEP 3 & 4: Handle a request for a plan ("plan my day", "what should I focus on this week?")
+     * Builds the agenda and has the model prioritize it; the plan is streamed when generated
+     * @param {string} userMessage - The user's message
+     * @param {Object} context - Conversation context {userId, timezone}
+     * @returns {Promise<Object>} - Response with the plan and the agenda it was made from
+     */
+    async handlePlan(userMessage, context) {
+        logger.debug('Step 3: Executing tools to build the agenda');
+
+        const text = userMessage.toLowerCase();
+        const period = /\bweek\b/.test(text) ? 'week' : 'day';
+        const date = /\btomorrow\b/.test(text)
+            ? resolveDate('tomorrow', { timezone: context.timezone }).date
+            : new Date();
+
+        const agenda = await buildAgenda(context.userId, { period, date, timezone: context.timezone });
+        this.emit(context, 'agenda', { period, totals: agenda.totals });
+
+        logger.debug('Step 4: Generating plan');
+        const { plan } = await planAgenda(agenda, { onToken: this.tokenHandler(context) });
+
+        logger.debug('Agent completed successfully');
+        return {
+            message: plan,
+            agenda: {
+                ...agenda,
+                overdue: agenda.overdue.map(task => this.serializeTask(task)),
+                days: agenda.days.map(day => ({ ...day, tasks: day.tasks.map(task => this.serializeTask(task)) }))
+            },
+            isTask: false,
+            intent: 'plan'
+        };
+    }
+
+    /**
+     * STEP 3 & 4: Handle a question about overdue tasks ("what's overdue?")
+     * @param {Object} context - Conversation context {userId, timezone}
+     * @returns {Promise<Object>} - Response listing the open tasks from before today
+     */
+    async handleOverdue(context) {
+        logger.debug('Step 3: Executing tools to find overdue tasks');
+
+        const { overdue } = await buildAgenda(context.userId, { timezone: context.timezone });
+        this.emit(context, 'agenda', { period: 'day', totals: { overdue: overdue.length } });
+
+        logger.debug('Step 4: Generating response');
+
+        let message;
+        if (overdue.length === 0) {
+            message = "You're all caught up: nothing is overdue.";
+        } else {
+            const lines = overdue.map(task => `• ${task.title} — ${this.formatDate(task.date, context.timezone, task.allDay)}`);
+            message = `${overdue.length === 1 ? 'This task is' : `These ${overdue.length} tasks are`} overdue:\n\n${lines.join('\n')}`
+                + `\n\nSay "plan my day" and I'll fit ${overdue.length === 1 ? 'it in, or tell me if it\'s' : 'them in, or tell me which ones are'} done.`;
+        }
+
+        logger.debug('Agent completed successfully');
+        return {
+            message,
+            tasks: overdue.map(task => this.serializeTask(task)),
+            isTask: false,
+            intent: 'overdue'
+        };
+    }
+
     /**
      * STEP 3 & 4: Handle conversational message
      * Generates a friendly response for non-task messages
      * @param {string} userMessage - The user's message
+     * @param {Object} context - Conversation context {history, lastTask}
      * @returns {Promise<Object>} - Conversational response
      */
-    async handleConversation(userMessage) {
-        console.log('💬 Step 3-4: Generating conversational response...');
+    async handleConversation(userMessage, context) {
+        logger.debug('Step 3-4: Generating conversational response');
 
         try {
-            const prompt = getConversationalPrompt();
-            const response = await sendMessage(prompt, userMessage, false);
+            const prompt = getConversationalPrompt(context.lastTask, context.timezone);
+            const response = await sendMessage(prompt, userMessage, false, context.history, this.tokenHandler(context), { step: 'chat' });
 
-            console.log('✓ Agent completed successfully');
+            logger.debug('Agent completed successfully');
 
-            return {
-                message: response,
-                isTask: false
-            };
+            return this.reply(response, 'none');
         } catch (error) {
-            console.error('Conversation error:', error);
-            return {
-                message: "Hello! I'm your task assistant. I can help you remember things and manage your tasks. Try saying something like 'Remind me to study tomorrow'!",
-                isTask: false
-            };
+            logger.error('Conversation error', { error });
+            traceStep('error', { error });
+            return this.reply(
+                "Hello! I'm your task assistant. I can help you remember things and manage your tasks. Try saying something like 'Remind me to study tomorrow'!",
+                'none'
+            );
         }
     }
 
     /**
-     * Helper: Format date for display
-     * @param {Date} date - Date object
-     * @returns {string} - Formatted date string
+     * Helper: Notify the progress listener, if any, and add the event to the trace
+     * @param {Object} context - Conversation context {onEvent}
+     * @param {string} event - Event name
+     * @param {Object} data - Event payload
+     */
+    emit(context, event, data) {
+        if (event !== 'token') {
+            traceStep(event, data);
+        }
+        if (context.onEvent) {
+            context.onEvent(event, data);
+        }
+    }
+
+    /**
+     * Helper: Token callback for streamed model output
+     * @param {Object} context - Conversation context {onEvent}
+     * @returns {Function|null} - Callback emitting "token" events, or null when nobody is listening
      */
-    formatDate(date) {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+    tokenHandler(context) {
+        if (!context.onEvent) {
+            return null;
+        }
+        return (token) => this.emit(context, 'token', { text: token });
+    }
 
-        const tomorrow = new Date(today);
-        tomorrow.setDate(tomorrow.getDate() + 1);
+    /**
+     * Helper: Build a plain text response that does not change any task
+     * @param {string} message - Message for the user
+     * @param {string} intent - Classified intent
+     * @returns {Object} - {message, isTask, intent}
+     */
+    reply(message, intent) {
+        return { message, isTask: false, intent };
+    }
 
-        const taskDate = new Date(date);
-        taskDate.setHours(0, 0, 0, 0);
+    /**
+     * Helper: Shape a task document for API responses
+     * @param {Object} task - Task document
+     * @returns {Object} - {id, title, date, allDay, durationMinutes, timezone, notes, advice, completed,
+     *   completedAt, status, priority, tags, project, subtasks, progress, recurrence, occurrenceDate}
+     */
+    serializeTask(task) {
+        const serialized = {
+            id: task._id,
+            title: task.title,
+            date: task.date,
+            allDay: task.allDay !== false,
+            durationMinutes: task.durationMinutes || null,
+            timezone: task.timezone || 'UTC',
+            notes: task.notes,
+            advice: task.advice,
+            completed: task.completed,
+            completedAt: task.completedAt || null,
+            status: computeStatus(task),
+            priority: task.priority || 'medium',
+            tags: task.tags || [],
+            project: task.project || null,
+            subtasks: (task.subtasks || []).map(subtask => ({
+                id: subtask._id,
+                title: subtask.title,
+                completed: subtask.completed
+            })),
+            progress: computeProgress(task.subtasks)
+        };
 
-        if (taskDate.getTime() === today.getTime()) {
-            return 'today';
-        } else if (taskDate.getTime() === tomorrow.getTime()) {
-            return 'tomorrow';
+        // Repeating tasks carry their rule; expanded occurrences also their original date
+        if (task.recurrence) serialized.recurrence = task.recurrence;
+        if (task.occurrenceDate) serialized.occurrenceDate = task.occurrenceDate;
+
+        return serialized;
+    }
+
+    /**
+     * Helper: Format date for display in the user's timezone
+     * @param {Date} date - Date object
+     * @param {string} timezone - User's timezone
+     * @param {boolean} allDay - Leave out the time of day
+     * @returns {string} - Formatted date string, e.g. "tomorrow at 3:00 PM"
+     */
+    formatDate(date, timezone = 'UTC', allDay = true) {
+        const day = toDateString(date, timezone);
+        const today = toDateString(new Date(), timezone);
+        const tomorrow = new Date(toWallTime(new Date(), timezone) + 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+        let formatted;
+        if (day === today) {
+            formatted = 'today';
+        } else if (day === tomorrow) {
+            formatted = 'tomorrow';
         } else {
-            return taskDate.toLocaleDateString('en-US', {
+            formatted = new Date(date).toLocaleDateString('en-US', {
                 weekday: 'long',
                 year: 'numeric',
                 month: 'long',
-                day: 'numeric'
+                day: 'numeric',
+                timeZone: timezone
             });
         }
+
+        if (allDay === false) {
+            formatted += ` at ${new Date(date).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: timezone })}`;
+        }
+
+        return formatted;
     }
 }
 
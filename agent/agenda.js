@@ -0,0 +1,237 @@
+import { sendMessage } from '../config/ai.js';
+import { getPlanningPrompt } from './prompts.js';
+import { getTasks, TASK_FIELDS } from './tools.js';
+import { traceStep } from './trace.js';
+import { startOfDayIn, endOfDayIn, toDateString, toLocalString } from '../utils/timezone.js';
+import { priorityRank } from '../utils/labels.js';
+import { projectFields } from '../utils/pagination.js';
+import { sanitizeText } from '../utils/sanitize.js';
+
+/**
+ * Agenda and Planning
+ * An agenda is a user's tasks for a day or a week (the 7 days from a date), read with getTasks:
+ * the open tasks from before it that are overdue, then each day with its tasks and workload -
+ * how many tasks are open and how many minutes of timed tasks are scheduled.
+ *
+ * planAgenda() asks the model for a prioritized plan: overdue items first, then by priority and
+ * time, moving work off overloaded days. When the model can't be used (or the user is over their
+ * quota) the plan is built from priorities and dates instead, so there is always one.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scheduled minutes that make a day overloaded, whatever the number of tasks
+const WORKDAY_MINUTES = 8 * 60;
+
+// Longest plan kept from the model
+const MAX_PLAN_LENGTH = 4000;
+
+/**
+ * Helper: How many days back open tasks count as overdue (AGENDA_OVERDUE_DAYS, default 30)
+ * Older ones are left out, so a long-missed repeating task doesn't fill the agenda
+ * @returns {number} - Days
+ */
+function getOverdueDays() {
+    const days = parseInt(process.env.AGENDA_OVERDUE_DAYS, 10);
+    return days >= 1 ? days : 30;
+}
+
+/**
+ * Helper: Open tasks that make a day overloaded (AGENDA_DAILY_CAPACITY, default 8)
+ * @returns {number} - Tasks
+ */
+function getDailyCapacity() {
+    const capacity = parseInt(process.env.AGENDA_DAILY_CAPACITY, 10);
+    return capacity >= 1 ? capacity : 8;
+}
+
+/**
+ * Helper: Shape a task or occurrence for an agenda
+ * @param {Object} task - From getTasks
+ * @returns {Object} - The task with only its public fields
+ */
+function toAgendaTask(task) {
+    return projectFields(task, TASK_FIELDS);
+}
+
+/**
+ * Helper: Order tasks for doing them: urgent first, then by time
+ * @param {Array<Object>} tasks - Tasks
+ * @returns {Array<Object>} - Sorted copy
+ */
+function byPriority(tasks) {
+    return [...tasks].sort((a, b) => priorityRank(b.priority) - priorityRank(a.priority)
+        || new Date(a.date) - new Date(b.date));
+}
+
+/**
+ * Build a user's agenda for a day or a week
+ * @param {string} userId - ID of the user
+ * @param {Object} options - {period ("day" or "week", default day), date (a day in it, default now), timezone}
+ * @returns {Promise<Object>} - {period, timezone, from, to, overdue: [task], days: [{date (YYYY-MM-DD), tasks,
+ *   workload: {total, open, completed, minutes, overloaded}}], totals: {overdue, open, completed, minutes}}
+ */
+export async function buildAgenda(userId, { period = 'day', date = new Date(), timezone = 'UTC' } = {}) {
+    try {
+        const from = startOfDayIn(date, timezone);
+        const dayCount = period === 'week' ? 7 : 1;
+        const to = endOfDayIn(new Date(from.getTime() + (dayCount - 1) * DAY_MS + DAY_MS / 2), timezone);
+
+        const [tasks, overdue] = await Promise.all([
+            getTasks(userId, { dateFrom: from, dateTo: to }),
+            getTasks(userId, {
+                completed: false,
+                dateFrom: new Date(from.getTime() - getOverdueDays() * DAY_MS),
+                dateTo: new Date(from.getTime() - 1)
+            })
+        ]);
+
+        // Every day of the period, including empty ones
+        const days = [];
+        for (let day = 0; day < dayCount; day++) {
+            days.push({ date: toDateString(new Date(from.getTime() + day * DAY_MS + DAY_MS / 2), timezone), tasks: [] });
+        }
+        for (const task of tasks) {
+            const day = days.find(entry => entry.date === toDateString(task.date, timezone));
+            if (day) day.tasks.push(toAgendaTask(task));
+        }
+
+        for (const day of days) {
+            const open = day.tasks.filter(task => !task.completed);
+            const minutes = open.reduce((sum, task) => sum + (task.allDay === false && task.durationMinutes ? task.durationMinutes : 0), 0);
+            day.workload = {
+                total: day.tasks.length,
+                open: open.length,
+                completed: day.tasks.length - open.length,
+                minutes,
+                overloaded: open.length >= getDailyCapacity() || minutes > WORKDAY_MINUTES
+            };
+        }
+
+        return {
+            period,
+            timezone,
+            from,
+            to,
+            overdue: overdue.map(toAgendaTask),
+            days,
+            totals: {
+                overdue: overdue.length,
+                open: days.reduce((sum, day) => sum + day.workload.open, 0),
+                completed: days.reduce((sum, day) => sum + day.workload.completed, 0),
+                minutes: days.reduce((sum, day) => sum + day.workload.minutes, 0)
+            }
+        };
+    } catch (error) {
+        console.error('Error building agenda:', error);
+        throw new Error('Failed to build agenda');
+    }
+}
+
+/**
+ * Helper: A day of an agenda for people, e.g. "Monday, October 19"
+ * @param {string} day - YYYY-MM-DD
+ * @returns {string} - Day
+ */
+function formatDay(day) {
+    return new Date(`${day}T12:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Helper: One task as a line of text
+ * @param {Object} task - Agenda task
+ * @param {string} timezone - User's timezone
+ * @param {boolean} withDay - Include the day (for overdue tasks)
+ * @returns {string} - e.g. "Call the bank (urgent) at 9:00 AM"
+ */
+function formatTask(task, timezone, withDay) {
+    const date = new Date(task.date);
+    const day = withDay
+        ? `, due ${date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: timezone })}`
+        : '';
+    const time = task.allDay === false
+        ? ` at ${date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: timezone })}`
+        : '';
+    const priority = task.priority && task.priority !== 'medium' ? ` (${task.priority})` : '';
+    return `${task.title}${priority}${day}${time}`;
+}
+
+/**
+ * Write an agenda out as plain text, e.g. for a digest
+ * @param {Object} agenda - From buildAgenda
+ * @returns {string} - Overdue tasks, then each day with its tasks
+ */
+export function formatAgenda(agenda) {
+    const { timezone } = agenda;
+    const sections = [];
+
+    if (agenda.overdue.length > 0) {
+        sections.push(`Overdue (${agenda.overdue.length}):\n${byPriority(agenda.overdue)
+            .map(task => `• ${formatTask(task, timezone, true)}`).join('\n')}`);
+    }
+
+    for (const day of agenda.days) {
+        const load = day.workload.minutes ? `, ${day.workload.minutes} min scheduled` : '';
+        const busy = day.workload.overloaded ? ' - a busy day' : '';
+        const lines = day.tasks.map(task => `${task.completed ? '✓' : '•'} ${formatTask(task, timezone, false)}`);
+        sections.push(`${formatDay(day.date)} (${day.workload.open} open${load}${busy}):\n${lines.join('\n') || 'Nothing planned'}`);
+    }
+
+    return sections.join('\n\n');
+}
+
+/**
+ * Helper: A plan made without the model: overdue tasks, then each day's open tasks by priority,
+ * with a pointer from overloaded days to the lightest one
+ * @param {Object} agenda - From buildAgenda
+ * @returns {string} - Plan
+ */
+function buildFallbackPlan(agenda) {
+    const { timezone } = agenda;
+    const lines = [];
+    let step = 0;
+
+    if (agenda.overdue.length > 0) {
+        lines.push('Catch up on overdue tasks first:');
+        byPriority(agenda.overdue).forEach(task => lines.push(`${++step}. ${formatTask(task, timezone, true)}`));
+    }
+
+    for (const day of agenda.days) {
+        const open = byPriority(day.tasks.filter(task => !task.completed));
+        if (open.length === 0) continue;
+        lines.push(agenda.days.length > 1 ? `${formatDay(day.date)}:` : 'Then, in order:');
+        open.forEach(task => lines.push(`${++step}. ${formatTask(task, timezone, false)}`));
+    }
+
+    if (step === 0) {
+        return 'Nothing is planned and nothing is overdue - a free schedule.';
+    }
+
+    const lightest = [...agenda.days].sort((a, b) => a.workload.open - b.workload.open)[0];
+    const overloaded = agenda.days.filter(day => day.workload.overloaded && day !== lightest);
+    if (overloaded.length > 0) {
+        lines.push('', `${overloaded.map(day => formatDay(day.date)).join(' and ')} ${overloaded.length === 1 ? 'is' : 'are'} overloaded; `
+            + `consider moving lower-priority tasks to ${formatDay(lightest.date)}.`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Make a prioritized plan for an agenda
+ * @param {Object} agenda - From buildAgenda
+ * @param {Object} options - {onToken: callback for the streamed plan}
+ * @returns {Promise<Object>} - {plan (text), generated (false if it was built without the model)}
+ */
+export async function planAgenda(agenda, { onToken = null } = {}) {
+    try {
+        const prompt = getPlanningPrompt(toLocalString(new Date(), agenda.timezone), agenda);
+        const plan = await sendMessage(prompt, '', false, [], onToken, { step: 'plan' });
+
+        console.log(`✓ Planned ${agenda.period} from ${toDateString(agenda.from, agenda.timezone)}`);
+        return { plan: sanitizeText(plan, MAX_PLAN_LENGTH), generated: true };
+    } catch (error) {
+        console.error('Error planning agenda:', error.message);
+        traceStep('plan_fallback', { error });
+        return { plan: buildFallbackPlan(agenda), generated: false };
+    }
+}
@@ -0,0 +1,268 @@
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import TaskChange from '../models/TaskChange.js';
+import { getRequestContext } from '../utils/requestContext.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Task History
+ * Every change to a task is added to its history: the fields that changed with their old and
+ * new values, and who made it - the user through the REST API, or the agent acting on a chat
+ * message (kept with the change). Deleting moves a task to the trash, where it can be restored
+ * for TRASH_RETENTION_DAYS days (default 30; 0 keeps it until restored).
+ *
+ * Undo reverts the user's latest action: all changes made by the same request (e.g. a task
+ * created from chat and then given its checklist), newest first. Undoing again reverts the
+ * action before that. Undos are history entries too, and are never undone themselves.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Task fields whose changes are recorded and can be undone
+export const HISTORY_FIELDS = [
+    'title', 'date', 'allDay', 'durationMinutes', 'timezone', 'recurrence', 'completedOccurrences',
+    'occurrenceOverrides', 'notes', 'advice', 'subtasks', 'priority', 'tags', 'project', 'completed', 'completedAt',
+    'overdueAt', 'deletedAt'
+];
+
+/**
+ * Helper: How many days trashed tasks are kept
+ * @returns {number} - Days (0: until restored)
+ */
+function getTrashRetentionDays() {
+    const days = parseFloat(process.env.TRASH_RETENTION_DAYS);
+    return Number.isFinite(days) && days >= 0 ? days : 30;
+}
+
+/**
+ * When a task trashed at the given time is deleted for good
+ * @param {Date|null} deletedAt - When it was trashed, or null if it isn't
+ * @returns {Date|null} - Purge time, or null if it is kept
+ */
+export function getPurgeDate(deletedAt) {
+    const days = getTrashRetentionDays();
+    return deletedAt && days > 0 ? new Date(new Date(deletedAt).getTime() + days * DAY_MS) : null;
+}
+
+/**
+ * The recorded fields of a task, as plain JSON values
+ * @param {Object|null} task - Task document or plain object; null for a task that didn't exist yet
+ * @returns {Object} - {field: value}, with null for missing values
+ */
+export function snapshotTask(task) {
+    const source = task && typeof task.toObject === 'function' ? task.toObject() : (task || {});
+    return Object.fromEntries(HISTORY_FIELDS.map(field => [
+        field,
+        source[field] === undefined ? null : JSON.parse(JSON.stringify(source[field]))
+    ]));
+}
+
+/**
+ * Helper: The fields that differ between two snapshots
+ * @param {Object} before - Snapshot before the change
+ * @param {Object} after - Snapshot after it
+ * @returns {Array} - [{field, before, after}]
+ */
+function diffSnapshots(before, after) {
+    return HISTORY_FIELDS
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map(field => ({ field, before: before[field], after: after[field] }));
+}
+
+/**
+ * Helper: Whether a recorded value is empty (null, "" or [])
+ * @param {*} value - Value from a snapshot
+ * @returns {boolean}
+ */
+function isEmptyValue(value) {
+    return value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Helper: Who is making changes in the current request
+ * Chat turns put {actor, via, message, conversation} in the request context as "actor";
+ * other requests are the user calling the REST API, and anything outside a request is the server
+ * @returns {Object} - {actor, via, message, conversation, requestId}
+ */
+function getActor() {
+    const context = getRequestContext();
+    if (!context) {
+        return { actor: 'system', via: null, message: null, conversation: null, requestId: null };
+    }
+    return {
+        actor: 'user',
+        via: 'rest',
+        message: null,
+        conversation: null,
+        ...context.actor,
+        requestId: context.requestId || null
+    };
+}
+
+/**
+ * Add a change to a task's history
+ * Never throws: a failed write only loses the history entry
+ * @param {string} action - create, update, delete, restore or undo
+ * @param {Object} task - The task after the change (document or plain object)
+ * @param {Object|null} before - snapshotTask() of the task before the change (null when created)
+ * @param {Object} options - {reverts: ID of the change an undo reverted}
+ * @returns {Promise<Object|null>} - The entry, or null if nothing changed or it couldn't be saved
+ */
+export async function recordChange(action, task, before, { reverts = null } = {}) {
+    // A new task's history starts with the fields it was given
+    const changes = diffSnapshots(before || snapshotTask(null), snapshotTask(task))
+        .filter(change => before || !isEmptyValue(change.after));
+    if (changes.length === 0 && action === 'update') {
+        return null;
+    }
+    if (mongoose.connection.readyState !== 1) {
+        return null;
+    }
+
+    try {
+        return await TaskChange.create({
+            owner: task.owner,
+            task: task._id,
+            title: task.title,
+            action,
+            changes,
+            ...getActor(),
+            reverts
+        });
+    } catch (error) {
+        logger.warn('Could not record task change', { taskId: String(task._id), action, error });
+        return null;
+    }
+}
+
+/**
+ * A task's change history, newest first
+ * Includes tasks in the trash, and tasks already purged from it
+ * @param {string} userId - ID of the user who owns the task
+ * @param {string} taskId - Task ID
+ * @param {Object} options - {limit (default 100)}
+ * @returns {Promise<Array|null>} - Changes, or null if the user has no such task and no history for it
+ */
+export async function listTaskHistory(userId, taskId, { limit = 100 } = {}) {
+    if (!mongoose.isValidObjectId(taskId)) {
+        return null;
+    }
+
+    const history = await TaskChange.find({ owner: userId, task: taskId })
+        .select('-owner -__v')
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit)
+        .lean();
+
+    if (history.length === 0 && !(await Task.exists({ _id: taskId, owner: userId }))) {
+        return null;
+    }
+    return history;
+}
+
+/**
+ * Helper: The user's latest change that hasn't been undone
+ * Changes undone before revertedAt was recorded are only known by their undo entry; they are stamped as they turn up
+ * @param {string} userId - ID of the user
+ * @param {Object} undoable - Filter for changes that can be undone
+ * @returns {Promise<Object|null>} - The change, or null if there is none
+ */
+async function findLatestUndoable(userId, undoable) {
+    for (;;) {
+        const last = await TaskChange.findOne(undoable).sort({ createdAt: -1, _id: -1 }).lean();
+        if (!last) {
+            return null;
+        }
+
+        const undo = await TaskChange.findOne({ owner: userId, action: 'undo', reverts: last._id }).select('createdAt').lean();
+        if (!undo) {
+            return last;
+        }
+        await TaskChange.updateOne({ _id: last._id }, { $set: { revertedAt: undo.createdAt } });
+    }
+}
+
+/**
+ * Helper: The changes making up the user's latest action that hasn't been undone
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Array>} - Changes, newest first (empty if there is nothing to undo)
+ */
+async function findLastAction(userId) {
+    // Changes that are neither undos, made by the server, nor reverted already
+    const undoable = { owner: userId, revertedAt: null, action: { $ne: 'undo' }, actor: { $ne: 'system' } };
+
+    const last = await findLatestUndoable(userId, undoable);
+    if (!last) {
+        return [];
+    }
+    if (!last.requestId) {
+        return [last];
+    }
+
+    // Every change of that request, however many it made (e.g. a bulk action)
+    return TaskChange.find({ ...undoable, requestId: last.requestId })
+        .sort({ createdAt: -1, _id: -1 })
+        .lean();
+}
+
+/**
+ * Helper: Put a task back the way it was before a change
+ * Creating is undone by moving the task to the trash; everything else by restoring the old field values
+ * @param {Object} change - The change to revert
+ * @returns {Promise<Object|null>} - {task (document), entry (the undo entry)}, or null if the task is gone
+ */
+async function revertChange(change) {
+    const task = await Task.findOne({ _id: change.task, owner: change.owner });
+    if (!task) {
+        return null;
+    }
+
+    const before = snapshotTask(task);
+    if (change.action === 'create') {
+        task.deletedAt = task.deletedAt || new Date();
+    } else {
+        for (const { field, before: value } of change.changes) {
+            task.set(field, value);
+        }
+    }
+    task.purgeAt = getPurgeDate(task.deletedAt);
+    await task.save();
+
+    const entry = await recordChange('undo', task, before, { reverts: change._id });
+    await TaskChange.updateOne({ _id: change._id }, { $set: { revertedAt: entry ? entry.createdAt : new Date() } });
+    return { task, entry };
+}
+
+/**
+ * Undo the user's latest action
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Object|null>} - {action (the undone action: create, update, delete or restore),
+ *   changes (the undone changes), tasks (the tasks as they are now)}, or null if there is nothing to undo
+ */
+export async function undoLastChange(userId) {
+    try {
+        const changes = await findLastAction(userId);
+
+        const undone = [];
+        const tasks = new Map();
+        for (const change of changes) {
+            const result = await revertChange(change);
+            if (result) {
+                undone.push(change);
+                tasks.set(result.task._id.toString(), result.task);
+            }
+        }
+
+        if (undone.length === 0) {
+            return null;
+        }
+
+        // The request's first change says what it was (e.g. create, followed by the checklist update)
+        const action = undone[undone.length - 1].action;
+        console.log(`✓ Undid ${undone.length} changes (${action})`);
+        return { action, changes: undone, tasks: [...tasks.values()] };
+    } catch (error) {
+        console.error('Error undoing last change:', error);
+        throw new Error('Failed to undo last change');
+    }
+}
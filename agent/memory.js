@@ -0,0 +1,136 @@
+import mongoose from 'mongoose';
+import Conversation from '../models/Conversation.js';
+
+/**
+ * Conversation Memory
+ * Persists chat sessions so the agent can understand follow-up messages
+ */
+
+/**
+ * Helper: Number of previous turns passed to the model with each message
+ * @returns {number} - Message limit
+ */
+function getHistoryLimit() {
+    return parseInt(process.env.CONVERSATION_HISTORY_LIMIT, 10) || 10;
+}
+
+/**
+ * Find a conversation owned by the user
+ * @param {string} userId - ID of the user who owns the conversation
+ * @param {string} sessionId - Conversation ID
+ * @returns {Promise<Object|null>} - Conversation document, or null if not found
+ */
+export async function getConversation(userId, sessionId) {
+    if (!mongoose.isValidObjectId(sessionId)) {
+        return null;
+    }
+
+    return Conversation.findOne({ _id: sessionId, owner: userId });
+}
+
+/**
+ * Start a new conversation
+ * @param {string} userId - ID of the user starting the conversation
+ * @param {string} firstMessage - The opening message, used as the title
+ * @returns {Promise<Object>} - Created conversation document
+ */
+export async function createConversation(userId, firstMessage) {
+    const conversation = await Conversation.create({
+        owner: userId,
+        title: firstMessage.slice(0, 60)
+    });
+
+    console.log('✓ Conversation started:', conversation._id);
+    return conversation;
+}
+
+/**
+ * List a user's conversations, most recent first (without messages)
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Array>} - Array of conversation summaries
+ */
+export async function listConversations(userId) {
+    return Conversation.find({ owner: userId })
+        .select('-messages')
+        .sort({ updatedAt: -1 })
+        .lean();
+}
+
+/**
+ * Delete a conversation and its history
+ * @param {string} userId - ID of the user who owns the conversation
+ * @param {string} sessionId - Conversation ID
+ * @returns {Promise<boolean>} - True if deleted, false if not found
+ */
+export async function deleteConversation(userId, sessionId) {
+    if (!mongoose.isValidObjectId(sessionId)) {
+        return false;
+    }
+
+    const result = await Conversation.findOneAndDelete({ _id: sessionId, owner: userId });
+    return Boolean(result);
+}
+
+/**
+ * Get the most recent turns of a conversation in chat-message format
+ * @param {Object} conversation - Conversation document
+ * @param {number} limit - Maximum number of messages to return
+ * @returns {Array} - Array of {role, content}
+ */
+export function getRecentTurns(conversation, limit = getHistoryLimit()) {
+    return conversation.messages
+        .slice(-limit)
+        .map(({ role, content }) => ({ role, content }));
+}
+
+/**
+ * Append a user message and the agent's reply to a conversation
+ * @param {Object} conversation - Conversation document
+ * @param {string} userMessage - The user's message
+ * @param {Object} response - Agent response {message, task, flags, promptVersions}
+ */
+export async function recordTurn(conversation, userMessage, response) {
+    const taskId = response.task ? response.task.id : null;
+    const now = new Date();
+
+    const update = {
+        $push: {
+            messages: {
+                $each: [
+                    { role: 'user', content: userMessage, flags: response.flags, createdAt: now },
+                    { role: 'assistant', content: response.message, task: taskId, promptVersions: response.promptVersions, createdAt: now }
+                ]
+            }
+        },
+        $set: { updatedAt: now }
+    };
+
+    if (taskId) {
+        update.$set.lastTask = taskId;
+    }
+
+    await Conversation.updateOne({ _id: conversation._id }, update);
+}
+
+/**
+ * Remember an action that needs the user's confirmation before it runs
+ * @param {Object} conversation - Conversation document
+ * @param {Object} action - {intent, candidates, changes}
+ */
+export async function setPendingAction(conversation, action) {
+    await Conversation.updateOne(
+        { _id: conversation._id },
+        { $set: { pendingAction: action } }
+    );
+}
+
+/**
+ * Forget any action waiting for confirmation
+ * @param {Object} conversation - Conversation document
+ */
+export async function clearPendingAction(conversation) {
+    await Conversation.updateOne(
+        { _id: conversation._id },
+        { $set: { pendingAction: null } }
+    );
+}
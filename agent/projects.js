@@ -0,0 +1,162 @@
+import mongoose from 'mongoose';
+import Project from '../models/Project.js';
+import Task from '../models/Task.js';
+
+/**
+ * Projects
+ * Named lists that group a user's tasks
+ */
+
+/**
+ * Helper: Lookup key for a project name (names are case-insensitive)
+ * @param {string} name - Project name
+ * @returns {string} - Key stored as nameKey
+ */
+function toNameKey(name) {
+    return String(name).trim().toLowerCase();
+}
+
+/**
+ * List a user's projects by name, each with its number of tasks and open tasks
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Array>} - Array of projects {..., taskCount, openCount}
+ */
+export async function listProjects(userId) {
+    const [projects, counts] = await Promise.all([
+        Project.find({ owner: userId }).sort({ nameKey: 1 }).select('-nameKey -__v').lean(),
+        Task.aggregate([
+            { $match: { owner: new mongoose.Types.ObjectId(String(userId)), project: { $ne: null }, deletedAt: null } },
+            {
+                $group: {
+                    _id: '$project',
+                    taskCount: { $sum: 1 },
+                    openCount: { $sum: { $cond: ['$completed', 0, 1] } }
+                }
+            }
+        ])
+    ]);
+
+    const countsById = new Map(counts.map(count => [count._id.toString(), count]));
+    return projects.map(project => {
+        const count = countsById.get(project._id.toString());
+        return {
+            ...project,
+            taskCount: count ? count.taskCount : 0,
+            openCount: count ? count.openCount : 0
+        };
+    });
+}
+
+/**
+ * Find a project owned by the user
+ * @param {string} userId - ID of the user who owns the project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object|null>} - Project document, or null if not found
+ */
+export async function getProject(userId, projectId) {
+    if (!mongoose.isValidObjectId(projectId)) {
+        return null;
+    }
+
+    return Project.findOne({ _id: projectId, owner: userId });
+}
+
+/**
+ * Find a user's project by name, ignoring case
+ * @param {string} userId - ID of the user who owns the project
+ * @param {string} name - Project name
+ * @returns {Promise<Object|null>} - Project document, or null if not found
+ */
+export async function findProjectByName(userId, name) {
+    return Project.findOne({ owner: userId, nameKey: toNameKey(name) });
+}
+
+/**
+ * Find a user's project by name, creating it if it doesn't exist yet
+ * Used when a task is filed under a project the user names in chat
+ * @param {string} userId - ID of the user who owns the project
+ * @param {string} name - Project name
+ * @returns {Promise<Object>} - Project document
+ */
+export async function findOrCreateProject(userId, name) {
+    const project = await Project.findOneAndUpdate(
+        { owner: userId, nameKey: toNameKey(name) },
+        { $setOnInsert: { name: String(name).trim(), createdAt: new Date() } },
+        { upsert: true, new: true, runValidators: true }
+    );
+
+    console.log('✓ Project resolved:', project._id, project.name);
+    return project;
+}
+
+/**
+ * Create a project
+ * @param {string} userId - ID of the user creating the project
+ * @param {Object} fields - {name, description, color}
+ * @returns {Promise<Object>} - Created project document
+ */
+export async function createProject(userId, { name, description, color }) {
+    const project = await Project.create({
+        owner: userId,
+        name,
+        description: description || '',
+        color: color || null
+    });
+
+    console.log('✓ Project created:', project._id);
+    return project;
+}
+
+/**
+ * Change a project's name, description or color
+ * @param {string} userId - ID of the user who owns the project
+ * @param {string} projectId - Project ID
+ * @param {Object} updates - {name, description, color}
+ * @returns {Promise<Object|null>} - Updated project document, or null if not found
+ */
+export async function updateProject(userId, projectId, updates) {
+    const project = await getProject(userId, projectId);
+    if (!project) {
+        return null;
+    }
+
+    if (updates.name !== undefined) project.name = updates.name;
+    if (updates.description !== undefined) project.description = updates.description;
+    if (updates.color !== undefined) project.color = updates.color;
+    await project.save();
+
+    console.log('✓ Project updated:', projectId);
+    return project;
+}
+
+/**
+ * Delete a project; its tasks are kept and no longer belong to a project
+ * @param {string} userId - ID of the user who owns the project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<boolean>} - True if deleted, false if not found
+ */
+export async function deleteProject(userId, projectId) {
+    if (!mongoose.isValidObjectId(projectId)) {
+        return false;
+    }
+
+    const project = await Project.findOneAndDelete({ _id: projectId, owner: userId });
+    if (!project) {
+        return false;
+    }
+
+    await Task.updateMany({ owner: userId, project: project._id }, { $set: { project: null } });
+
+    console.log('✓ Project deleted:', projectId);
+    return true;
+}
+
+/**
+ * Names of a user's projects, for the extraction prompt
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Array<string>>} - Project names
+ */
+export async function listProjectNames(userId) {
+    const projects = await Project.find({ owner: userId }).select('name').sort({ nameKey: 1 }).lean();
+    return projects.map(project => project.name);
+}
@@ -0,0 +1,260 @@
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import PromptTemplate from '../models/PromptTemplate.js';
+import { getRequestContext } from '../utils/requestContext.js';
+import { tracePrompt } from './trace.js';
+
+/**
+ * Prompt Templates
+ * Every prompt is a named template with {{variable}} placeholders and a version. The
+ * built-in templates (agent/prompts.js) are version "1"; other versions come from:
+ * - PROMPTS_DIR: a directory of "<name>@<version>.txt" files (e.g. "extraction@2.txt")
+ * - the database: PromptTemplate documents
+ * Both are reloaded every PROMPT_REFRESH_MS (default one minute), so prompts change without a deploy.
+ *
+ * The version used for a prompt is, in order:
+ * 1. the one pinned in PROMPT_VERSIONS ("extraction=2,classification=1")
+ * 2. the database version marked active
+ * 3. the highest version in PROMPTS_DIR
+ * 4. the built-in version
+ *
+ * Each rendered prompt's version is recorded in the request context's promptVersions, if
+ * there is one, so a response can say which prompts produced it.
+ */
+
+export const BUILTIN_VERSION = '1';
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+const FILE_NAME = /^([a-z]+)@([\w.-]+)\.txt$/;
+
+// name -> {variables, versions: Map(version -> {version, text, source, active})}
+const templates = new Map();
+
+/**
+ * Add a built-in prompt
+ * @param {string} name - Prompt name
+ * @param {Array<string>} variables - Placeholders the prompt is rendered with; other versions may only use these
+ * @param {string} text - Template text
+ */
+export function registerBuiltinPrompt(name, variables, text) {
+    templates.set(name, {
+        variables,
+        versions: new Map([[BUILTIN_VERSION, { version: BUILTIN_VERSION, text, source: 'builtin', active: false }]])
+    });
+}
+
+/**
+ * Helper: Problems with an override of a prompt
+ * @param {Object} override - {name, version, text}
+ * @returns {string|null} - Why it can't be used, or null
+ */
+function checkOverride({ name, version, text }) {
+    const template = templates.get(name);
+    if (!template) {
+        return `unknown prompt "${name}"`;
+    }
+    if (version === BUILTIN_VERSION) {
+        return `version ${BUILTIN_VERSION} is the built-in prompt`;
+    }
+    if (!text || !text.trim()) {
+        return 'the template is empty';
+    }
+    const unknown = [...text.matchAll(PLACEHOLDER)]
+        .map(match => match[1])
+        .filter(variable => !template.variables.includes(variable));
+    if (unknown.length > 0) {
+        return `unknown placeholders ${unknown.map(variable => `{{${variable}}}`).join(', ')} (available: ${template.variables.join(', ') || 'none'})`;
+    }
+    return null;
+}
+
+/**
+ * Helper: Read the templates in PROMPTS_DIR
+ * @returns {Promise<Array<Object>>} - [{name, version, text, source, active}]
+ */
+async function readDirectoryTemplates() {
+    const directory = process.env.PROMPTS_DIR;
+    if (!directory) {
+        return [];
+    }
+
+    const files = await fs.readdir(directory);
+    const found = [];
+    for (const file of files) {
+        const match = FILE_NAME.exec(file);
+        if (!match) {
+            continue;
+        }
+        const text = await fs.readFile(path.join(directory, file), 'utf8');
+        found.push({ name: match[1], version: match[2], text, source: 'directory', active: false });
+    }
+    return found;
+}
+
+/**
+ * Helper: Read the templates stored in the database
+ * @returns {Promise<Array<Object>>} - [{name, version, text, source, active}]
+ */
+async function readDatabaseTemplates() {
+    if (mongoose.connection.readyState !== 1) {
+        return [];
+    }
+    const documents = await PromptTemplate.find().select('name version text active').lean();
+    return documents.map(({ name, version, text, active }) => ({ name, version, text, source: 'database', active }));
+}
+
+/**
+ * Load prompt versions from PROMPTS_DIR and the database, replacing those loaded before
+ * A source that can't be read keeps its previous versions; invalid templates are skipped with a warning
+ * @returns {Promise<number>} - Number of versions loaded besides the built-in ones
+ */
+export async function loadPromptTemplates() {
+    const sources = { directory: readDirectoryTemplates, database: readDatabaseTemplates };
+    const loaded = {};
+    for (const [source, read] of Object.entries(sources)) {
+        try {
+            loaded[source] = await read();
+        } catch (error) {
+            console.warn(`⚠️ Could not load prompt templates from the ${source}:`, error.message);
+        }
+    }
+
+    let count = 0;
+    for (const template of templates.values()) {
+        for (const [version, entry] of template.versions) {
+            // Keep what a failed source had before
+            if (entry.source !== 'builtin' && loaded[entry.source]) {
+                template.versions.delete(version);
+            }
+        }
+    }
+
+    // Database versions go last and win over a directory file with the same version
+    for (const override of [...(loaded.directory || []), ...(loaded.database || [])]) {
+        const problem = checkOverride(override);
+        if (problem) {
+            console.warn(`⚠️ Skipping prompt ${override.name}@${override.version} from the ${override.source}: ${problem}`);
+            continue;
+        }
+        templates.get(override.name).versions.set(override.version, override);
+        count++;
+    }
+    return count;
+}
+
+/**
+ * Reload prompt templates periodically (PROMPT_REFRESH_MS, default one minute; 0 loads them once)
+ * @returns {Object} - {stop()}
+ */
+export function startPromptRefresh() {
+    const run = () => loadPromptTemplates()
+        .then(count => count > 0 && console.log(`✓ Loaded ${count} prompt template version(s)`))
+        .catch(error => console.error('Prompt template refresh failed:', error.message));
+
+    run();
+    const interval = parseInt(process.env.PROMPT_REFRESH_MS, 10);
+    const timer = interval === 0 ? null : setInterval(run, interval > 0 ? interval : 60 * 1000);
+    if (timer) {
+        timer.unref();
+    }
+    return {
+        stop() {
+            if (timer) clearInterval(timer);
+        }
+    };
+}
+
+/**
+ * Helper: Versions pinned in PROMPT_VERSIONS
+ * @returns {Object} - {name: version}
+ */
+function getPinnedVersions() {
+    const pinned = {};
+    for (const entry of (process.env.PROMPT_VERSIONS || '').split(',')) {
+        const [name, version] = entry.split('=').map(part => part && part.trim());
+        if (name && version) {
+            pinned[name] = version;
+        }
+    }
+    return pinned;
+}
+
+/**
+ * Helper: Compare version labels so "10" sorts after "9"
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} - Sort order
+ */
+function compareVersions(a, b) {
+    return a.localeCompare(b, undefined, { numeric: true });
+}
+
+/**
+ * Get the version of a prompt that is in use
+ * @param {string} name - Prompt name
+ * @returns {Object} - {version, text, source}
+ */
+export function getActiveTemplate(name) {
+    const template = templates.get(name);
+    if (!template) {
+        throw new Error(`Unknown prompt: ${name}`);
+    }
+    const versions = [...template.versions.values()];
+
+    const pinned = getPinnedVersions()[name];
+    if (pinned) {
+        if (template.versions.has(pinned)) {
+            return template.versions.get(pinned);
+        }
+        console.warn(`⚠️ PROMPT_VERSIONS pins ${name}@${pinned}, which doesn't exist; using the default`);
+    }
+
+    const active = versions.find(entry => entry.source === 'database' && entry.active);
+    if (active) {
+        return active;
+    }
+
+    const fromDirectory = versions
+        .filter(entry => entry.source === 'directory')
+        .sort((a, b) => compareVersions(b.version, a.version))[0];
+    return fromDirectory || template.versions.get(BUILTIN_VERSION);
+}
+
+/**
+ * List the prompts and their versions
+ * @returns {Array<Object>} - [{name, variables, active (version), versions: [{version, source}]}]
+ */
+export function listPromptTemplates() {
+    return [...templates.entries()].map(([name, template]) => ({
+        name,
+        variables: template.variables,
+        active: getActiveTemplate(name).version,
+        versions: [...template.versions.values()]
+            .sort((a, b) => compareVersions(a.version, b.version))
+            .map(({ version, source }) => ({ version, source }))
+    }));
+}
+
+/**
+ * Render the version of a prompt in use
+ * Records the version in the request context's promptVersions, when there is one, and in the trace
+ * @param {string} name - Prompt name
+ * @param {Object} values - Placeholder values; missing ones render as ""
+ * @returns {string} - Prompt text
+ */
+export function renderPrompt(name, values = {}) {
+    const template = getActiveTemplate(name);
+
+    const context = getRequestContext();
+    if (context && context.promptVersions) {
+        context.promptVersions[name] = template.version;
+    }
+
+    const text = template.text.replace(PLACEHOLDER, (match, variable) => {
+        const value = values[variable];
+        return value === null || value === undefined ? '' : String(value);
+    });
+    tracePrompt(name, template.version, text);
+    return text;
+}
@@ -0,0 +1,213 @@
+/**
+ * Schema Validation
+ * Checks values against the JSON Schema subset used by the tool declarations:
+ * type, properties, required, additionalProperties, items, enum, pattern,
+ * minLength/maxLength, minItems, minimum/maximum and format "date" (YYYY-MM-DD) or "date-time" (any parseable date)
+ * coerce() repairs the near misses models tend to make ("3" for 3, "High" for "high") before validation
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Helper: Check a value against a JSON type name
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} - Whether the value has that type
+ */
+function hasType(value, type) {
+    switch (type) {
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && !isNaN(value);
+        case 'null':
+            return value === null;
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Helper: Collect validation errors for a value at a path
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @param {string} path - Dotted path used in error messages
+ * @param {Array<string>} errors - Accumulated errors
+ */
+function collectErrors(schema, value, path, errors) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (schema.type && !types.some(type => hasType(value, type))) {
+        errors.push(`${path} must be of type ${types.join(' or ')}`);
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path} must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path} must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path} must match ${schema.pattern}`);
+        }
+        if (schema.format === 'date' && (!DATE_PATTERN.test(value) || isNaN(new Date(value)))) {
+            errors.push(`${path} must be a date in YYYY-MM-DD format`);
+        }
+        if (schema.format === 'date-time' && isNaN(new Date(value))) {
+            errors.push(`${path} must be a valid date`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (hasType(value, 'object') && schema.properties) {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key} is required`);
+            }
+        }
+        for (const [key, propertyValue] of Object.entries(value)) {
+            const propertySchema = schema.properties[key];
+            if (propertySchema) {
+                collectErrors(propertySchema, propertyValue, `${path}.${key}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            }
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => collectErrors(schema.items, item, `${path}[${index}]`, errors));
+        }
+    }
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @returns {Object} - {valid, errors}
+ */
+export function validate(schema, value) {
+    const errors = [];
+    collectErrors(schema, value, '$', errors);
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Helper: Convert a value to a JSON type without losing information
+ * @param {*} value - Value to convert
+ * @param {string} type - JSON Schema type
+ * @returns {*} - Converted value, or undefined if there is no safe conversion
+ */
+function convert(value, type) {
+    switch (type) {
+        case 'null':
+            return value === '' || (typeof value === 'string' && /^(null|none|n\/a)$/i.test(value.trim())) ? null : undefined;
+        case 'number':
+        case 'integer': {
+            if (typeof value !== 'string' || value.trim() === '') {
+                return undefined;
+            }
+            const number = Number(value.trim());
+            return hasType(number, type) ? number : undefined;
+        }
+        case 'boolean':
+            if (typeof value === 'string' && /^(true|yes)$/i.test(value.trim())) return true;
+            if (typeof value === 'string' && /^(false|no)$/i.test(value.trim())) return false;
+            return undefined;
+        case 'string':
+            return typeof value === 'number' || typeof value === 'boolean' ? String(value) : undefined;
+        case 'array':
+            return value === null ? undefined : [value];
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Coerce a value towards a schema: trims strings, matches enums case-insensitively, converts
+ * numeric and boolean strings, wraps single values in arrays, fills in defaults and drops
+ * properties the schema doesn't allow. Anything it can't fix is left for validate() to report.
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to coerce (not modified)
+ * @returns {*} - Coerced copy
+ */
+export function coerce(schema, value) {
+    if (value === undefined) {
+        return value;
+    }
+
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (schema.type && !types.some(type => hasType(value, type))) {
+        for (const type of types) {
+            const converted = convert(value, type);
+            if (converted !== undefined) {
+                value = converted;
+                break;
+            }
+        }
+    }
+
+    if (typeof value === 'string') {
+        value = value.trim();
+        const match = schema.enum && schema.enum.find(option => typeof option === 'string'
+            && option.toLowerCase() === value.toLowerCase());
+        if (match) {
+            value = match;
+        }
+        // An empty string where a constrained value or null is expected means "none"
+        const constrained = schema.enum || schema.format || schema.pattern || schema.minLength;
+        if (value === '' && constrained && types.includes('null')) {
+            value = null;
+        }
+        // "2026-01-14T00:00:00Z" where a plain date is expected
+        if (schema.format === 'date' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+            value = value.slice(0, 10);
+        }
+    }
+
+    if (hasType(value, 'object') && schema.properties) {
+        const result = {};
+        for (const [key, propertyValue] of Object.entries(value)) {
+            const propertySchema = schema.properties[key];
+            if (propertySchema) {
+                result[key] = coerce(propertySchema, propertyValue);
+            } else if (schema.additionalProperties !== false) {
+                result[key] = propertyValue;
+            }
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties)) {
+            if (result[key] === undefined && propertySchema.default !== undefined) {
+                result[key] = structuredClone(propertySchema.default);
+            }
+        }
+        return result;
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        return value.map(item => coerce(schema.items, item));
+    }
+
+    return value;
+}
@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import Task from '../models/Task.js';
+import { embedTexts } from '../config/ai.js';
+import { cosineSimilarity } from '../utils/embeddings.js';
+import { computeProgress } from '../utils/subtasks.js';
+
+/**
+ * Task Search
+ * "keyword" - MongoDB text search over title, notes and advice (stemmed, weighted towards the title)
+ * "semantic" - ranks tasks by embedding similarity to the query; task embeddings are
+ *   computed on first use and recomputed when a task's text or the embedding model changes
+ * "auto" - keyword search, falling back to semantic search when no task matches the words
+ */
+
+export const SEARCH_MODES = ['keyword', 'semantic', 'auto'];
+export const MAX_SEARCH_LIMIT = 50;
+const DEFAULT_SEARCH_LIMIT = 10;
+
+/**
+ * Helper: Lowest similarity (0-1) a semantic match needs (SEMANTIC_MIN_SCORE, default 0.3)
+ * @returns {number} - Minimum score
+ */
+function getMinSemanticScore() {
+    const value = parseFloat(process.env.SEMANTIC_MIN_SCORE);
+    return Number.isFinite(value) ? value : 0.3;
+}
+
+/**
+ * Helper: The text of a task that semantic search compares against
+ * @param {Object} task - Task (plain object)
+ * @returns {string} - Title, notes and tags
+ */
+function embeddingText(task) {
+    return [task.title, task.notes, (task.tags || []).join(' ')].filter(Boolean).join('\n');
+}
+
+/**
+ * Helper: Key identifying an embedding by model and source text
+ * @param {string} model - Embedding model
+ * @param {string} text - Embedded text
+ * @returns {string} - Key stored as embeddingKey
+ */
+function embeddingKey(model, text) {
+    return `${model}:${crypto.createHash('sha1').update(text).digest('hex')}`;
+}
+
+/**
+ * Helper: Shape a search hit; internal fields are dropped and progress added
+ * @param {Object} task - Task (plain object)
+ * @param {number} score - Relevance score
+ * @returns {Object} - {task, score}
+ */
+function toResult(task, score) {
+    const { embedding, embeddingKey: key, score: textScore, ...rest } = task;
+    return {
+        task: { ...rest, progress: computeProgress(rest.subtasks) },
+        score: Math.round(score * 1000) / 1000
+    };
+}
+
+/**
+ * Helper: Keyword search with the text index
+ * @param {Object} filter - Base query {owner, deletedAt, completed}
+ * @param {string} query - Search words
+ * @param {number} limit - Most results
+ * @returns {Promise<Array>} - [{task, score}], best first
+ */
+async function keywordSearch(filter, query, limit) {
+    const tasks = await Task.find({ ...filter, $text: { $search: query } }, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(limit)
+        .lean();
+
+    return tasks.map(task => toResult(task, task.score));
+}
+
+/**
+ * Helper: Semantic search, embedding any tasks whose stored vector is missing or stale
+ * @param {Object} filter - Base query {owner, deletedAt, completed}
+ * @param {string} query - What to look for
+ * @param {number} limit - Most results
+ * @param {string} provider - Embedding provider to use, or undefined for the configured one
+ * @returns {Promise<Object>} - {results: [{task, score}], model}
+ */
+async function semanticSearch(filter, query, limit, provider) {
+    const tasks = await Task.find(filter).select('+embedding +embeddingKey').lean();
+    const queryEmbedding = await embedTexts([query], { provider });
+    const { model } = queryEmbedding;
+
+    const stale = tasks.filter(task => task.embeddingKey !== embeddingKey(model, embeddingText(task)));
+    if (stale.length > 0) {
+        const embedded = await embedTexts(stale.map(embeddingText), { provider: queryEmbedding.provider });
+
+        // The provider failed part-way and fell back; redo the search with one model throughout
+        if (embedded.model !== model) {
+            return semanticSearch(filter, query, limit, embedded.provider);
+        }
+
+        stale.forEach((task, index) => {
+            task.embedding = embedded.vectors[index];
+            task.embeddingKey = embeddingKey(model, embeddingText(task));
+        });
+
+        try {
+            await Task.bulkWrite(stale.map(task => ({
+                updateOne: {
+                    filter: { _id: task._id },
+                    update: { $set: { embedding: task.embedding, embeddingKey: task.embeddingKey } }
+                }
+            })));
+            console.log(`✓ Embedded ${stale.length} tasks with ${model}`);
+        } catch (error) {
+            // Searching still works; the vectors are just recomputed next time
+            console.warn('⚠️ Could not store task embeddings:', error.message);
+        }
+    }
+
+    const [queryVector] = queryEmbedding.vectors;
+    const minScore = getMinSemanticScore();
+    const results = tasks
+        .map(task => ({ task, score: cosineSimilarity(queryVector, task.embedding) }))
+        .filter(match => match.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ task, score }) => toResult(task, score));
+
+    return { results, model };
+}
+
+/**
+ * Search a user's tasks
+ * Repeating tasks are matched once as their series
+ * @param {string} userId - ID of the user whose tasks to search
+ * @param {string} query - Search words or a description of what to find
+ * @param {Object} options - {mode: keyword (default), semantic or auto, limit, includeCompleted (default true)}
+ * @returns {Promise<Object>} - {results: [{task, score}] best first, mode (the one used), model (semantic only)}
+ */
+export async function searchTasks(userId, query, options = {}) {
+    try {
+        const mode = options.mode || 'keyword';
+        const limit = Math.min(options.limit || DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT);
+        const filter = { owner: userId, deletedAt: null };
+        if (options.includeCompleted === false) {
+            filter.completed = false;
+        }
+
+        if (mode !== 'semantic') {
+            const results = await keywordSearch(filter, query, limit);
+            if (mode === 'keyword' || results.length > 0) {
+                console.log(`✓ Keyword search found ${results.length} tasks`);
+                return { results, mode: 'keyword' };
+            }
+        }
+
+        const { results, model } = await semanticSearch(filter, query, limit);
+        console.log(`✓ Semantic search found ${results.length} tasks`);
+        return { results, mode: 'semantic', model };
+    } catch (error) {
+        console.error('Error searching tasks:', error);
+        throw new Error('Failed to search tasks');
+    }
+}
@@ -0,0 +1,227 @@
+import { sendMessage } from '../config/ai.js';
+import { getRepairPrompt } from './prompts.js';
+import { traceStep } from './trace.js';
+import { coerce, validate } from './schema.js';
+import { PRIORITIES } from '../utils/labels.js';
+
+/**
+ * Structured Output
+ * Every step that asks the model for JSON declares the shape it expects here.
+ * Replies are parsed, reshaped by the output's normalize() if it has one (for reply formats
+ * that are still accepted), coerced and validated against it; when a reply doesn't fit,
+ * the model is shown what was wrong and asked to correct it (AI_MAX_REPAIRS times, default 1)
+ * before a StructuredOutputError is thrown.
+ */
+
+export const INTENTS = ['create', 'complete', 'reschedule', 'edit', 'delete', 'list', 'search', 'plan', 'overdue', 'none'];
+
+const TIME_PATTERN = '^([01]?\\d|2[0-3]):[0-5]\\d$';
+
+const nullableString = { type: ['string', 'null'], default: null };
+const nullableDate = { type: ['string', 'null'], format: 'date', default: null };
+const nullableTime = { type: ['string', 'null'], pattern: TIME_PATTERN, default: null };
+const nullableMinutes = { type: ['number', 'null'], minimum: 0, default: null };
+const nullablePriority = { type: ['string', 'null'], enum: [...PRIORITIES, null], default: null };
+const flag = { type: 'boolean', default: false };
+
+export const STRUCTURED_OUTPUTS = {
+    classification: {
+        step: 'classify',
+        label: 'intent classification',
+        schema: {
+            type: 'object',
+            properties: {
+                intent: { type: 'string', enum: INTENTS },
+                confidence: { type: 'number', minimum: 0, maximum: 1, default: 0.5 }
+            },
+            required: ['intent']
+        }
+    },
+    tasks: {
+        step: 'extract',
+        label: 'task details',
+        schema: {
+            type: 'object',
+            properties: {
+                tasks: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            title: { type: 'string', minLength: 1, maxLength: 200 },
+                            when: nullableString,
+                            date: nullableDate,
+                            time: nullableTime,
+                            durationMinutes: nullableMinutes,
+                            notes: { type: ['string', 'null'], default: '' },
+                            recurrence: nullableString,
+                            priority: nullablePriority,
+                            tags: { type: ['array', 'null'], items: { type: 'string' }, default: [] },
+                            project: nullableString
+                        },
+                        required: ['title'],
+                        additionalProperties: false
+                    }
+                }
+            },
+            required: ['tasks'],
+            additionalProperties: false
+        },
+        // A bare list, or a single task (the format of extraction prompts written before several tasks could be extracted)
+        normalize: (value) => {
+            if (Array.isArray(value)) {
+                return { tasks: value };
+            }
+            if (value && typeof value === 'object' && value.tasks === undefined && value.title !== undefined) {
+                return { tasks: [value] };
+            }
+            return value;
+        }
+    },
+    action: {
+        step: 'extract',
+        label: 'task change',
+        schema: {
+            type: 'object',
+            properties: {
+                taskReference: { type: 'string', default: '' },
+                when: nullableString,
+                date: nullableDate,
+                time: nullableTime,
+                durationMinutes: nullableMinutes,
+                title: { type: ['string', 'null'], minLength: 1, maxLength: 200, default: null },
+                notes: nullableString,
+                priority: nullablePriority,
+                tags: { type: ['array', 'null'], items: { type: 'string' }, default: null },
+                project: nullableString,
+                adviceRequested: flag,
+                dateFrom: nullableDate,
+                dateTo: nullableDate,
+                includeCompleted: flag,
+                applyToSeries: flag
+            },
+            additionalProperties: false
+        }
+    },
+    checklist: {
+        step: 'advice',
+        label: 'checklist',
+        schema: {
+            type: 'object',
+            properties: {
+                advice: { type: 'string' },
+                subtasks: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 200 } }
+            },
+            required: ['advice', 'subtasks']
+        }
+    }
+};
+
+/**
+ * A model reply that still didn't match its schema after the repair attempts
+ * - code: "invalid_ai_output"
+ * - output: which structured output failed (a key of STRUCTURED_OUTPUTS)
+ * - errors: what was wrong with the last reply
+ * - raw: the last reply
+ */
+export class StructuredOutputError extends Error {
+    constructor(output, errors, raw) {
+        super(`The AI model returned unusable ${STRUCTURED_OUTPUTS[output].label}: ${errors.join('; ')}`);
+        this.name = 'StructuredOutputError';
+        this.code = 'invalid_ai_output';
+        this.output = output;
+        this.errors = errors;
+        this.raw = raw;
+    }
+}
+
+/**
+ * Helper: Most repair re-prompts per request (AI_MAX_REPAIRS, default 1)
+ * @returns {number} - Repair attempts
+ */
+function getMaxRepairs() {
+    const value = parseInt(process.env.AI_MAX_REPAIRS, 10);
+    return value >= 0 ? value : 1;
+}
+
+/**
+ * Helper: Pull a JSON object (or array) out of a reply, tolerating code fences and text around it
+ * @param {string} text - Model reply
+ * @returns {*} - Parsed value, or undefined if there is no JSON object
+ */
+function extractJson(text) {
+    const trimmed = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    try {
+        return JSON.parse(trimmed);
+    } catch (error) {
+        const objectStart = trimmed.indexOf('{');
+        const arrayStart = trimmed.indexOf('[');
+        const isArray = arrayStart !== -1 && (objectStart === -1 || arrayStart < objectStart);
+        const start = isArray ? arrayStart : objectStart;
+        const end = trimmed.lastIndexOf(isArray ? ']' : '}');
+        if (start === -1 || end <= start) {
+            return undefined;
+        }
+        try {
+            return JSON.parse(trimmed.slice(start, end + 1));
+        } catch (innerError) {
+            return undefined;
+        }
+    }
+}
+
+/**
+ * Parse a model reply as one of the structured outputs
+ * @param {string} output - Key of STRUCTURED_OUTPUTS
+ * @param {string} text - Model reply
+ * @returns {Object} - {value} (coerced and valid) or {errors}
+ */
+export function parseStructured(output, text) {
+    const { schema, normalize } = STRUCTURED_OUTPUTS[output];
+
+    const json = extractJson(text);
+    const parsed = normalize && json !== undefined ? normalize(json) : json;
+    if (parsed === undefined) {
+        return { errors: ['the reply is not a JSON object'] };
+    }
+
+    const value = coerce(schema, parsed);
+    const { valid, errors } = validate(schema, value);
+    return valid ? { value } : { errors };
+}
+
+/**
+ * Ask the model for a structured output, re-prompting it to repair invalid replies
+ * @param {string} output - Key of STRUCTURED_OUTPUTS
+ * @param {string} prompt - System prompt describing the format
+ * @param {string} userMessage - The user's message
+ * @param {Array} history - Previous conversation turns [{role, content}]
+ * @returns {Promise<Object>} - Coerced, valid value
+ * @throws {StructuredOutputError} - If no reply fit the schema
+ */
+export async function requestStructured(output, prompt, userMessage, history = []) {
+    const { step, label } = STRUCTURED_OUTPUTS[output];
+    const turns = [...history];
+    let message = userMessage;
+
+    for (let attempt = 0; ; attempt++) {
+        const reply = await sendMessage(prompt, message, true, turns, null, { step });
+        const { value, errors } = parseStructured(output, reply);
+        traceStep('structured_output', errors ? { output, attempt, errors } : { output, attempt, value });
+        if (!errors) {
+            return value;
+        }
+
+        if (attempt >= getMaxRepairs()) {
+            throw new StructuredOutputError(output, errors, reply);
+        }
+
+        console.warn(`⚠️ Invalid ${label} from the model, asking it to repair:`, errors.join('; '));
+        if (message) {
+            turns.push({ role: 'user', content: message });
+        }
+        turns.push({ role: 'assistant', content: reply });
+        message = getRepairPrompt(errors);
+    }
+}
@@ -1,6 +1,67 @@
+import mongoose from 'mongoose';
 import Task from '../models/Task.js';
 import { sendMessage } from '../config/ai.js';
-import { getExtractionPrompt, getAdvicePrompt } from './prompts.js';
+import { getExtractionPrompt, getAdvicePrompt, getActionExtractionPrompt, getChecklistPrompt } from './prompts.js';
+import { coerce, validate } from './schema.js';
+import { requestStructured, StructuredOutputError } from './structured.js';
+import { isValidRule, isOccurrence, expandTask, buildOccurrence } from '../utils/recurrence.js';
+import { resolveDate, combineDateAndTime, parseDateBound } from '../utils/dateParser.js';
+import { toDateString, toLocalString } from '../utils/timezone.js';
+import { taskIdFromUid } from '../utils/ical.js';
+import { computeProgress, parseChecklist, MAX_SUBTASKS } from '../utils/subtasks.js';
+import { computeStatus, TASK_STATUSES } from '../utils/taskStatus.js';
+import {
+    PRIORITIES,
+    isValidPriority,
+    priorityRank,
+    inferPriority,
+    normalizeTags,
+    extractHashtags,
+    MAX_TAGS
+} from '../utils/labels.js';
+import { findOrCreateProject, findProjectByName, listProjectNames, listProjects } from './projects.js';
+import { searchTasks } from './search.js';
+import { sanitizeText, sanitizeTaskFields, FIELD_LIMITS } from '../utils/sanitize.js';
+import { encodeCursor, decodeCursor, projectFields } from '../utils/pagination.js';
+import { snapshotTask, recordChange, getPurgeDate, undoLastChange } from './history.js';
+import { toExportRecord } from '../utils/taskExport.js';
+import { buildAgenda } from './agenda.js';
+
+// How far ahead recurring tasks are expanded when a date range has no end
+const DEFAULT_EXPANSION_DAYS = 90;
+
+// Ways getTasks can sort, and the default direction of each
+const SORT_ORDERS = { date: 'asc', priority: 'desc', title: 'asc', createdAt: 'desc' };
+
+// Positions in a task's sort key (see taskSortKey) compared in turn for each sort:
+// "order" follows the requested order, "reverse" opposes it, 1 / -1 are always ascending / descending
+const SORT_KEYS = {
+    date: [[1, 'order'], [2, 'reverse'], [3, 'order'], [4, 'order']],
+    createdAt: [[2, 'order'], [3, 'order'], [1, 1], [4, 1]],
+    priority: [[0, 'order'], [1, 1], [2, -1], [3, 1], [4, 1]],
+    title: [[0, 'order'], [1, 1], [2, -1], [3, 1], [4, 1]]
+};
+
+// Most tasks list_tasks shows the model at once
+const MAX_LISTED_TASKS = 50;
+
+// Most tasks taken from one chat message
+const MAX_EXTRACTED_TASKS = 10;
+
+// Fields a task listing can be narrowed to (_id is always included)
+export const TASK_FIELDS = [
+    'title', 'date', 'allDay', 'durationMinutes', 'timezone', 'notes', 'advice', 'completed', 'completedAt',
+    'status', 'priority', 'tags', 'project', 'subtasks', 'progress', 'recurrence', 'completedOccurrences',
+    'occurrenceOverrides', 'occurrenceDate', 'seriesId', 'isOccurrence', 'icalUid', 'overdueAt',
+    'rolloverCount', 'originalDate', 'createdAt'
+];
+
+// Bulk actions and the most tasks one bulk request may change
+export const BULK_ACTIONS = ['complete', 'reschedule', 'tag', 'delete'];
+export const MAX_BULK_TASKS = 500;
+
+// Spans an agenda can cover: one day, or the 7 days from a date
+export const AGENDA_PERIODS = ['day', 'week'];
 
 /**
  * Agent Tools
@@ -8,86 +69,539 @@ import { getExtractionPrompt, getAdvicePrompt } from './prompts.js';
  */
 
 /**
- * Tool 1: Extract Task Information
- * Uses AI to parse user message and extract task details
+ * A task that can't be saved because its fields are invalid
+ * - code: "invalid_task"
+ * - errors: what is wrong, one message per field
+ */
+export class TaskValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid task: ${errors.join('; ')}`);
+        this.name = 'TaskValidationError';
+        this.code = 'invalid_task';
+        this.errors = errors;
+    }
+}
+
+// Words that carry no meaning when matching a task reference to a title
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'my', 'to', 'for', 'of', 'on', 'at', 'in', 'with',
+    'task', 'tasks', 'thing', 'one', 'stuff', 'reminder', 'about'
+]);
+
+/**
+ * Helper: Split text into lowercase, meaningful words
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Words
+ */
+function tokenize(text) {
+    return (text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(word => word && !STOP_WORDS.has(word));
+}
+
+/**
+ * Helper: Work out a date from the fields the model extracted
+ * The user's own phrase ("when") is resolved deterministically; the model's
+ * date and time are only used if the phrase can't be parsed
+ * @param {Object} fields - {when, date, time}
+ * @param {string} timezone - User's timezone
+ * @returns {Object|null} - {date, allDay}, or null if no usable date was given
+ */
+function resolveTaskDate({ when, date, time }, timezone) {
+    if (when) {
+        const resolved = resolveDate(when, { timezone });
+        if (resolved) {
+            // "Friday" plus a time the model picked up elsewhere in the message
+            if (resolved.allDay && time) {
+                return combineDateAndTime(toDateString(resolved.date, timezone), time, timezone) || resolved;
+            }
+            return resolved;
+        }
+        console.warn('⚠️ Could not parse date phrase, using the extracted date:', when);
+    }
+
+    if (date) {
+        return combineDateAndTime(date, time, timezone);
+    }
+    if (time) {
+        return resolveDate(time, { timezone });
+    }
+    return null;
+}
+
+/**
+ * Helper: Parse an optional duration from the model
+ * @param {*} value - Number of minutes, or null
+ * @returns {number|null} - Whole positive minutes, or null
+ */
+function parseDuration(value) {
+    const minutes = Math.round(Number(value));
+    return value !== null && value !== undefined && minutes >= 1 ? minutes : null;
+}
+
+/**
+ * Helper: Finish one task the model extracted: resolve its date, check its rule and labels
+ * @param {Object} taskInfo - Task from the model's reply (modified)
  * @param {string} userMessage - The user's message
- * @returns {Promise<Object>} - Extracted task info {title, date, notes}
+ * @param {string} timezone - User's timezone
+ * @param {boolean} onlyTask - Whether it is the message's only task, so the message's own words describe it
+ * @returns {Object} - Task info {title, date, allDay, durationMinutes, timezone, notes, recurrence, priority, tags, projectName}
+ */
+function finishExtractedTask(taskInfo, userMessage, timezone, onlyTask) {
+    // Resolve the date ourselves; default to an all-day task today
+    const resolved = resolveTaskDate(taskInfo, timezone) || resolveDate('today', { timezone });
+    taskInfo.date = resolved.date;
+    taskInfo.allDay = resolved.allDay;
+    taskInfo.durationMinutes = parseDuration(taskInfo.durationMinutes);
+    taskInfo.timezone = timezone;
+
+    // Drop recurrence rules we can't expand rather than failing the save
+    if (taskInfo.recurrence && !isValidRule(taskInfo.recurrence)) {
+        console.warn('⚠️ Ignoring invalid recurrence rule:', taskInfo.recurrence);
+        taskInfo.recurrence = null;
+    }
+    taskInfo.recurrence = taskInfo.recurrence || null;
+
+    // Back up the model with the user's own words: "urgent", "#work"
+    // (with several tasks they may be about just one of them, so that is left to the model)
+    if (!isValidPriority(taskInfo.priority)) {
+        taskInfo.priority = (onlyTask && inferPriority(userMessage)) || undefined;
+    }
+    taskInfo.tags = normalizeTags([
+        ...(Array.isArray(taskInfo.tags) ? taskInfo.tags : []),
+        ...(onlyTask ? extractHashtags(userMessage) : [])
+    ]);
+    taskInfo.projectName = typeof taskInfo.project === 'string' && taskInfo.project.trim()
+        ? taskInfo.project.trim()
+        : null;
+    delete taskInfo.project;
+
+    // The model may have copied markup or hidden characters from the message
+    const cleanInfo = sanitizeTaskFields(taskInfo);
+    if (!cleanInfo.title) {
+        cleanInfo.title = 'New task';
+    }
+    return cleanInfo;
+}
+
+/**
+ * Helper: A title reduced to its meaningful words, so "Buy the milk" and "buy milk" are the same task
+ * @param {string} title - Task title
+ * @returns {string} - Comparison key
+ */
+function titleKey(title) {
+    return tokenize(title).join(' ') || String(title || '').trim().toLowerCase();
+}
+
+/**
+ * Helper: Whether two tasks are the same task: same title and same day, or the same repeating task
+ * @param {Object} a - Task {title, date, timezone, recurrence}
+ * @param {Object} b - Task {title, date, timezone, recurrence}
+ * @returns {boolean}
  */
-export async function extractTaskInfo(userMessage) {
+function isSameTask(a, b) {
+    if (titleKey(a.title) !== titleKey(b.title) || (a.recurrence || null) !== (b.recurrence || null)) {
+        return false;
+    }
+    const timezone = a.timezone || 'UTC';
+    return Boolean(a.recurrence) || toDateString(a.date, timezone) === toDateString(b.date, timezone);
+}
+
+/**
+ * Tool 1: Extract Tasks
+ * Uses AI to parse user message and extract the details of each task in it
+ * ("tomorrow I need to buy milk, call the bank and finish the report by Friday" is three tasks)
+ * @param {string} userMessage - The user's message
+ * @param {Object} context - Conversation context {userId, history, lastTask, timezone}
+ * @returns {Promise<Array<Object>>} - Extracted tasks, at least one and each listed once: [{title, date, allDay,
+ *   durationMinutes, timezone, notes, recurrence, priority, tags, projectName}]
+ * @throws {StructuredOutputError} - If the model's reply can't be used even after a repair
+ */
+export async function extractTasks(userMessage, context = {}) {
     try {
-        const currentDate = new Date().toISOString();
-        const prompt = getExtractionPrompt(currentDate);
+        const { userId = null, history = [], lastTask = null, timezone = 'UTC' } = context;
+        const currentDate = toLocalString(new Date(), timezone);
+        const projectNames = userId ? await listProjectNames(userId) : [];
+        const prompt = getExtractionPrompt(currentDate, lastTask, timezone, projectNames);
 
         // Use AI to extract structured task information
-        const response = await sendMessage(prompt, userMessage, true);
-
-        // Parse the JSON response
-        const taskInfo = JSON.parse(response);
+        const { tasks: extracted } = await requestStructured('tasks', prompt, userMessage, history);
+        if (extracted.length > MAX_EXTRACTED_TASKS) {
+            console.warn(`⚠️ Keeping the first ${MAX_EXTRACTED_TASKS} of ${extracted.length} extracted tasks`);
+        }
 
-        // Validate and convert date
-        taskInfo.date = new Date(taskInfo.date);
+        const tasks = [];
+        for (const taskInfo of extracted.slice(0, MAX_EXTRACTED_TASKS)) {
+            const task = finishExtractedTask(taskInfo, userMessage, timezone, extracted.length === 1);
+            if (!tasks.some(other => isSameTask(other, task))) {
+                tasks.push(task);
+            }
+        }
 
-        console.log('✓ Extracted task info:', taskInfo);
-        return taskInfo;
+        console.log(`✓ Extracted ${tasks.length} task(s):`, tasks);
+        return tasks;
     } catch (error) {
         console.error('Error extracting task info:', error);
+        if (error instanceof StructuredOutputError) {
+            throw error;
+        }
         throw new Error('Failed to extract task information');
     }
 }
 
+/**
+ * Extract Task Information
+ * The first task of the message (see extractTasks), for callers that handle one task at a time
+ * @param {string} userMessage - The user's message
+ * @param {Object} context - Conversation context {userId, history, lastTask, timezone}
+ * @returns {Promise<Object>} - Extracted task info {title, date, allDay, durationMinutes, timezone, notes, recurrence,
+ *   priority, tags, projectName}
+ * @throws {StructuredOutputError} - If the model's reply can't be used even after a repair
+ */
+export async function extractTaskInfo(userMessage, context = {}) {
+    const [taskInfo] = await extractTasks(userMessage, context);
+    return taskInfo;
+}
+
+/**
+ * Tool 22: Find Duplicate Task
+ * An open task of the user's that is the same as a new one: the same title (ignoring case and
+ * filler words) on the same day, or the same title repeating by the same rule
+ * @param {string} userId - ID of the user
+ * @param {Object} taskInfo - The new task {title, date, timezone, recurrence}
+ * @returns {Promise<Object|null>} - The existing task (plain object), or null if there is none
+ */
+export async function findDuplicateTask(userId, taskInfo) {
+    try {
+        const timezone = taskInfo.timezone || 'UTC';
+        const day = toDateString(taskInfo.date, timezone);
+        const candidates = await Task.find({
+            owner: userId,
+            completed: false,
+            deletedAt: null,
+            $or: [
+                { date: { $gte: parseDateBound(day, timezone, 'start'), $lte: parseDateBound(day, timezone, 'end') } },
+                { recurrence: { $ne: null } }
+            ]
+        }).lean();
+
+        return candidates.find(task => isSameTask({ ...taskInfo, timezone }, task)) || null;
+    } catch (error) {
+        console.error('Error finding duplicate task:', error);
+        throw new Error('Failed to check for duplicate tasks');
+    }
+}
+
 /**
  * Tool 2: Save Task to Database
  * Stores the task in MongoDB
- * @param {Object} taskInfo - Task information {title, date, notes}
+ * @param {string} userId - ID of the user who owns the task
+ * @param {Object} taskInfo - Task information {title, date, allDay, durationMinutes, timezone, notes, recurrence,
+ *   and optionally priority, tags, project (ID) or projectName, advice, subtasks (titles or {title, completed}),
+ *   completed, completedOccurrences, occurrenceOverrides, icalUid}
+ *   A projectName the user doesn't have yet creates that project; a completed task is stamped with completedAt
+ *   (now unless given)
  * @returns {Promise<Object>} - Saved task document
+ * @throws {TaskValidationError} - If the task's fields are invalid (e.g. no title or a bad recurrence rule)
  */
-export async function saveTask(taskInfo) {
+export async function saveTask(userId, taskInfo) {
     try {
+        const project = taskInfo.project
+            || (taskInfo.projectName ? (await findOrCreateProject(userId, taskInfo.projectName))._id : null);
+
         const task = new Task({
+            owner: userId,
             title: taskInfo.title,
             date: taskInfo.date,
+            allDay: taskInfo.allDay !== false,
+            durationMinutes: taskInfo.durationMinutes || null,
+            timezone: taskInfo.timezone || 'UTC',
+            recurrence: taskInfo.recurrence || null,
             notes: taskInfo.notes || '',
-            advice: taskInfo.advice || ''
+            priority: isValidPriority(taskInfo.priority) ? taskInfo.priority : undefined,
+            tags: normalizeTags(taskInfo.tags || []),
+            project,
+            advice: taskInfo.advice || '',
+            subtasks: (taskInfo.subtasks || []).slice(0, MAX_SUBTASKS)
+                .map(subtask => (typeof subtask === 'string' ? { title: subtask } : subtask)),
+            completed: Boolean(taskInfo.completed),
+            completedAt: taskInfo.completed ? (taskInfo.completedAt || new Date()) : null,
+            completedOccurrences: taskInfo.completedOccurrences || [],
+            occurrenceOverrides: taskInfo.occurrenceOverrides || [],
+            icalUid: taskInfo.icalUid || null
         });
 
         const savedTask = await task.save();
+        await recordChange('create', savedTask, null);
         console.log('✓ Task saved to database:', savedTask._id);
 
         return savedTask;
     } catch (error) {
+        if (error instanceof mongoose.Error.ValidationError) {
+            throw new TaskValidationError(Object.values(error.errors).map(({ message }) => message));
+        }
         console.error('Error saving task:', error);
         throw new Error('Failed to save task to database');
     }
 }
 
+/**
+ * Helper: Database query for a user's tasks matching the completion, priority, tag and project filters
+ * @param {string} userId - ID of the user whose tasks to match
+ * @param {Object} filters - {completed, priority, tags, project} as for getTasks
+ * @returns {Object} - Query
+ */
+function buildTaskQuery(userId, filters) {
+    const query = { owner: userId, deletedAt: null };
+    if (filters.completed !== undefined) {
+        query.completed = filters.completed;
+    }
+    if (filters.priority && filters.priority.length > 0) {
+        // Tasks saved before priorities existed count as the default
+        const priorities = filters.priority.includes('medium') ? [...filters.priority, null] : filters.priority;
+        query.priority = { $in: priorities };
+    }
+    if (filters.tags && filters.tags.length > 0) {
+        query.tags = { $all: filters.tags };
+    }
+    if (filters.project !== undefined) {
+        query.project = filters.project;
+    }
+    return query;
+}
+
+/**
+ * Helper: Add progress and status to listed tasks, keeping those with one of the given statuses
+ * @param {Array<Object>} tasks - Tasks and occurrences (plain objects)
+ * @param {Array<string>} statuses - Statuses to keep; all when empty or missing
+ * @returns {Array<Object>} - Tasks with {progress, status}
+ */
+function withStatus(tasks, statuses) {
+    const now = new Date();
+    return tasks
+        .map(task => ({ ...task, progress: computeProgress(task.subtasks), status: computeStatus(task, now) }))
+        .filter(task => !statuses || statuses.length === 0 || statuses.includes(task.status));
+}
+
 /**
  * Tool 3: Get All Tasks
- * Retrieves tasks from database
- * @param {Object} filters - Optional filters {completed, dateRange}
- * @returns {Promise<Array>} - Array of tasks
+ * Retrieves a user's tasks from database
+ * With a date range, recurring tasks are expanded into their occurrences in that range;
+ * without one, each recurring task is returned once as its series.
+ * Every task carries its subtask progress {completed, total, percent} and its status (see utils/taskStatus.js)
+ * @param {string} userId - ID of the user whose tasks to retrieve
+ * @param {Object} filters - Optional filters {completed, dateFrom, dateTo (instants), priority: [priority],
+ *   tags: [tag] (all must match), project (ID, or null for tasks without one), status: [status], sort, order}
+ *   sort is date (default), priority, title or createdAt; order is asc or desc
+ * @returns {Promise<Array>} - Array of tasks and occurrences
  */
-export async function getTasks(filters = {}) {
+export async function getTasks(userId, filters = {}) {
     try {
-        const query = {};
+        if (!filters.dateFrom && !filters.dateTo) {
+            const query = buildTaskQuery(userId, filters);
 
-        // Apply filters if provided
-        if (filters.completed !== undefined) {
-            query.completed = filters.completed;
-        }
+            // Get tasks sorted by date (ascending) and creation time (descending)
+            const tasks = await Task.find(query)
+                .sort({ date: 1, createdAt: -1 })
+                .lean();
 
-        if (filters.dateFrom || filters.dateTo) {
-            query.date = {};
-            if (filters.dateFrom) query.date.$gte = new Date(filters.dateFrom);
-            if (filters.dateTo) query.date.$lte = new Date(filters.dateTo);
+            console.log(`✓ Retrieved ${tasks.length} tasks from database`);
+            return withStatus(sortTasks(tasks, filters.sort, filters.order), filters.status);
         }
 
-        // Get tasks sorted by date (ascending) and creation time (descending)
-        const tasks = await Task.find(query)
+        const from = filters.dateFrom ? new Date(filters.dateFrom) : null;
+        const to = filters.dateTo ? new Date(filters.dateTo) : null;
+
+        // One-off tasks are filtered by the database
+        const oneOff = { recurrence: null, date: {} };
+        if (from) oneOff.date.$gte = from;
+        if (to) oneOff.date.$lte = to;
+        if (filters.completed !== undefined) oneOff.completed = filters.completed;
+
+        // Recurring tasks that started by the end of the range are expanded here
+        const recurring = { recurrence: { $ne: null } };
+        if (to) recurring.date = { $lte: to };
+
+        // Completion is matched per task or occurrence above and below, not here
+        const base = buildTaskQuery(userId, { ...filters, completed: undefined });
+        const documents = await Task.find({ ...base, $or: [oneOff, recurring] })
             .sort({ date: 1, createdAt: -1 })
             .lean();
 
-        console.log(`✓ Retrieved ${tasks.length} tasks from database`);
-        return tasks;
+        const tasks = [];
+        for (const task of documents) {
+            if (!task.recurrence) {
+                tasks.push(task);
+                continue;
+            }
+
+            const rangeFrom = from || task.date;
+            const rangeTo = to || new Date(new Date(rangeFrom).getTime() + DEFAULT_EXPANSION_DAYS * 24 * 60 * 60 * 1000);
+            const occurrences = expandTask(task, rangeFrom, rangeTo)
+                .filter(occurrence => filters.completed === undefined || occurrence.completed === filters.completed);
+            tasks.push(...occurrences);
+        }
+
+        console.log(`✓ Retrieved ${tasks.length} tasks and occurrences from database`);
+        return withStatus(sortTasks(tasks, filters.sort, filters.order), filters.status);
+    } catch (error) {
+        console.error('Error retrieving tasks:', error);
+        throw new Error('Failed to retrieve tasks from database');
+    }
+}
+
+/**
+ * Helper: Sort key of a task or occurrence:
+ * [priority rank or lowercased title, date, createdAt, id, occurrence date] (dates in ms)
+ * @param {Object} task - Task (plain object)
+ * @param {string} sort - date, priority, title or createdAt
+ * @returns {Array} - Sort key
+ */
+function taskSortKey(task, sort) {
+    const primary = sort === 'priority' ? priorityRank(task.priority)
+        : sort === 'title' ? String(task.title).toLowerCase()
+            : null;
+
+    return [
+        primary,
+        new Date(task.date).getTime(),
+        new Date(task.createdAt).getTime(),
+        String(task._id),
+        task.occurrenceDate ? new Date(task.occurrenceDate).getTime() : 0
+    ];
+}
+
+/**
+ * Helper: Compare two sort keys
+ * @param {Array} a - Sort key
+ * @param {Array} b - Sort key
+ * @param {string} sort - date, priority, title or createdAt
+ * @param {string} order - asc or desc
+ * @returns {number} - Negative if a comes first, positive if b does, 0 if equal
+ */
+function compareSortKeys(a, b, sort, order) {
+    const direction = order === 'desc' ? -1 : 1;
+
+    for (const [index, rule] of SORT_KEYS[sort]) {
+        const sign = rule === 'order' ? direction : rule === 'reverse' ? -direction : rule;
+        const diff = index === 0 && typeof a[0] === 'string'
+            ? a[0].localeCompare(b[0], undefined, { sensitivity: 'base' })
+            : (a[index] < b[index] ? -1 : a[index] > b[index] ? 1 : 0);
+        if (diff !== 0) {
+            return sign * diff;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Helper: Sort tasks and occurrences into a total order, so pages never overlap
+ * @param {Array<Object>} tasks - Tasks (plain objects)
+ * @param {string} sort - date, priority, title or createdAt
+ * @param {string} order - asc or desc; defaults to the natural order of the sort
+ * @returns {Array<Object>} - The same array, sorted
+ */
+function sortTasks(tasks, sort = 'date', order = SORT_ORDERS[sort]) {
+    return tasks
+        .map(task => ({ task, key: taskSortKey(task, sort) }))
+        .sort((a, b) => compareSortKeys(a.key, b.key, sort, order))
+        .map(({ task }) => task);
+}
+
+/**
+ * Read a cursor from a previous page of getTaskPage
+ * @param {string} cursor - Cursor
+ * @param {Object} filters - The filters of the new request {sort, order}
+ * @returns {Array|null} - Sort key to continue after, or null if the cursor is invalid or from another sort order
+ */
+export function decodeTaskCursor(cursor, filters = {}) {
+    const sort = filters.sort || 'date';
+    const order = filters.order || SORT_ORDERS[sort];
+
+    let position;
+    try {
+        position = decodeCursor(cursor);
+    } catch (error) {
+        return null;
+    }
+
+    const { key } = position;
+    const valid = position.sort === sort && position.order === order && Array.isArray(key) && key.length === 5
+        && Number.isFinite(key[1]) && Number.isFinite(key[2]) && mongoose.isValidObjectId(key[3]);
+    return valid ? key : null;
+}
+
+/**
+ * Tool 17: Get a Page of Tasks
+ * Same filters and order as getTasks, one page at a time. Pages continue after the
+ * last item of the previous page, so they stay stable while tasks are added or removed.
+ * Without a date range or status filter and sorted by date or createdAt, paging is done by the database;
+ * otherwise the matching tasks and occurrences are listed and then paged.
+ * @param {string} userId - ID of the user whose tasks to retrieve
+ * @param {Object} filters - Same as getTasks
+ * @param {Object} page - {limit, after (sort key from decodeTaskCursor), fields (to keep, or null for all)}
+ * @returns {Promise<Object>} - {tasks, total, hasMore, nextCursor}
+ */
+export async function getTaskPage(userId, filters = {}, { limit, after = null, fields = null }) {
+    try {
+        const sort = filters.sort || 'date';
+        const order = filters.order || SORT_ORDERS[sort];
+        let items;
+        let total;
+
+        const hasStatus = filters.status && filters.status.length > 0;
+        if (!filters.dateFrom && !filters.dateTo && !hasStatus && (sort === 'date' || sort === 'createdAt')) {
+            const direction = order === 'desc' ? -1 : 1;
+            const sortFields = sort === 'date'
+                ? [['date', direction], ['createdAt', -direction], ['_id', direction]]
+                : [['createdAt', direction], ['_id', direction]];
+
+            const query = buildTaskQuery(userId, filters);
+            total = await Task.countDocuments(query);
+
+            if (after) {
+                const values = {
+                    date: new Date(after[1]),
+                    createdAt: new Date(after[2]),
+                    _id: new mongoose.Types.ObjectId(after[3])
+                };
+                // Everything past the cursor: a later first field, or an equal one and a later second field, ...
+                query.$or = sortFields.map(([field, fieldDirection], index) => ({
+                    ...Object.fromEntries(sortFields.slice(0, index).map(([previous]) => [previous, values[previous]])),
+                    [field]: { [fieldDirection > 0 ? '$gt' : '$lt']: values[field] }
+                }));
+            }
+
+            items = await Task.find(query)
+                .sort(Object.fromEntries(sortFields))
+                .limit(limit + 1)
+                .lean();
+        } else {
+            const tasks = await getTasks(userId, filters);
+            const start = after
+                ? tasks.findIndex(task => compareSortKeys(taskSortKey(task, sort), after, sort, order) > 0)
+                : 0;
+
+            total = tasks.length;
+            items = start === -1 ? [] : tasks.slice(start, start + limit + 1);
+        }
+
+        const hasMore = items.length > limit;
+        const pageItems = items.slice(0, limit);
+        const last = pageItems[pageItems.length - 1];
+
+        console.log(`✓ Retrieved page of ${pageItems.length} of ${total} tasks`);
+        return {
+            tasks: pageItems.map(task => projectFields({
+                ...task,
+                progress: computeProgress(task.subtasks),
+                status: task.status || computeStatus(task)
+            }, fields)),
+            total,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor({ sort, order, key: taskSortKey(last, sort) }) : null
+        };
     } catch (error) {
         console.error('Error retrieving tasks:', error);
         throw new Error('Failed to retrieve tasks from database');
@@ -98,17 +612,18 @@ export async function getTasks(filters = {}) {
  * Tool 4: Generate Advice
  * Uses AI to generate helpful tips for a task
  * @param {string} taskTitle - The task title
+ * @param {Function} onToken - If set, advice is streamed and each text token passed here
  * @returns {Promise<string>} - Generated advice
  */
-export async function generateAdvice(taskTitle) {
+export async function generateAdvice(taskTitle, onToken = null) {
     try {
         const prompt = getAdvicePrompt(taskTitle);
 
         // Use AI to generate helpful advice
-        const advice = await sendMessage(prompt, '', false);
+        const advice = await sendMessage(prompt, '', false, [], onToken, { step: 'advice' });
 
         console.log('✓ Generated advice for task:', taskTitle);
-        return advice.trim();
+        return sanitizeText(advice, FIELD_LIMITS.advice);
     } catch (error) {
         console.error('Error generating advice:', error);
         // Return a fallback message if AI fails
@@ -118,26 +633,51 @@ export async function generateAdvice(taskTitle) {
 
 /**
  * Tool 5: Update Task
- * Updates an existing task
+ * Updates an existing task owned by the user
+ * @param {string} userId - ID of the user who owns the task
  * @param {string} taskId - Task ID
  * @param {Object} updates - Fields to update
- * @returns {Promise<Object>} - Updated task
+ * @returns {Promise<Object|null>} - Updated task, or null if the user has no such task
+ * @throws {TaskValidationError} - If an updated field is invalid
  */
-export async function updateTask(taskId, updates) {
+export async function updateTask(userId, taskId, updates) {
     try {
-        const task = await Task.findByIdAndUpdate(
-            taskId,
-            updates,
+        // Never let an update move a task to another owner, or in or out of the trash
+        const { owner, deletedAt, purgeAt, ...safeUpdates } = updates;
+
+        const existing = await findOwnedTask(userId, taskId);
+        if (!existing) {
+            return null;
+        }
+
+        // Completing stamps the time (reopening clears it); a completed or moved task is no longer flagged overdue
+        if (safeUpdates.completed !== undefined && Boolean(safeUpdates.completed) !== existing.completed) {
+            safeUpdates.completedAt = safeUpdates.completed ? new Date() : null;
+        }
+        if (safeUpdates.completed || safeUpdates.date !== undefined) {
+            safeUpdates.overdueAt = null;
+        }
+
+        const task = await Task.findOneAndUpdate(
+            { _id: taskId, owner: userId, deletedAt: null },
+            safeUpdates,
             { new: true, runValidators: true }
         );
 
         if (!task) {
-            throw new Error('Task not found');
+            return null;
         }
 
+        await recordChange('update', task, snapshotTask(existing));
         console.log('✓ Task updated:', taskId);
         return task;
     } catch (error) {
+        if (error instanceof mongoose.Error.ValidationError) {
+            throw new TaskValidationError(Object.values(error.errors).map(({ message }) => message));
+        }
+        if (error instanceof mongoose.Error.CastError) {
+            throw new TaskValidationError([`Invalid ${error.path}`]);
+        }
         console.error('Error updating task:', error);
         throw new Error('Failed to update task');
     }
@@ -145,22 +685,996 @@ export async function updateTask(taskId, updates) {
 
 /**
  * Tool 6: Delete Task
- * Deletes a task from database
+ * Moves a task owned by the user to the trash, from where it can be restored
+ * until it is purged (TRASH_RETENTION_DAYS, see history.js)
+ * @param {string} userId - ID of the user who owns the task
  * @param {string} taskId - Task ID
- * @returns {Promise<boolean>} - Success status
+ * @returns {Promise<boolean>} - True if deleted, false if the user has no such task
  */
-export async function deleteTask(taskId) {
+export async function deleteTask(userId, taskId) {
     try {
-        const result = await Task.findByIdAndDelete(taskId);
+        const task = await findOwnedTask(userId, taskId);
 
-        if (!result) {
-            throw new Error('Task not found');
+        if (!task) {
+            return false;
         }
 
-        console.log('✓ Task deleted:', taskId);
+        const before = snapshotTask(task);
+        task.deletedAt = new Date();
+        task.purgeAt = getPurgeDate(task.deletedAt);
+        await task.save();
+
+        await recordChange('delete', task, before);
+        console.log('✓ Task moved to trash:', taskId);
         return true;
     } catch (error) {
         console.error('Error deleting task:', error);
         throw new Error('Failed to delete task');
     }
 }
+
+/**
+ * Tool 18: Restore Task
+ * Takes a task out of the trash
+ * @param {string} userId - ID of the user who owns the task
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object|null>} - Restored task, or null if the user has no such task in the trash
+ */
+export async function restoreTask(userId, taskId) {
+    try {
+        if (!mongoose.isValidObjectId(taskId)) {
+            return null;
+        }
+
+        const task = await Task.findOne({ _id: taskId, owner: userId, deletedAt: { $ne: null } });
+        if (!task) {
+            return null;
+        }
+
+        const before = snapshotTask(task);
+        task.deletedAt = null;
+        task.purgeAt = null;
+        await task.save();
+
+        await recordChange('restore', task, before);
+        console.log('✓ Task restored:', taskId);
+        return task;
+    } catch (error) {
+        console.error('Error restoring task:', error);
+        throw new Error('Failed to restore task');
+    }
+}
+
+/**
+ * Tool 19: List Trash
+ * The user's trashed tasks, most recently deleted first
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Array>} - Tasks, each with deletedAt and purgeAt (null if kept until restored)
+ */
+export async function listTrash(userId) {
+    try {
+        const tasks = await Task.find({ owner: userId, deletedAt: { $ne: null } })
+            .sort({ deletedAt: -1 })
+            .lean();
+
+        return tasks.map(task => ({ ...task, progress: computeProgress(task.subtasks) }));
+    } catch (error) {
+        console.error('Error listing trash:', error);
+        throw new Error('Failed to retrieve trash');
+    }
+}
+
+/**
+ * Tool 7: Get Task
+ * Retrieves a single task owned by the user
+ * @param {string} userId - ID of the user who owns the task
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object|null>} - Task, or null if the user has no such task
+ */
+export async function getTask(userId, taskId) {
+    try {
+        if (!mongoose.isValidObjectId(taskId)) {
+            return null;
+        }
+
+        return await Task.findOne({ _id: taskId, owner: userId, deletedAt: null }).lean();
+    } catch (error) {
+        console.error('Error retrieving task:', error);
+        throw new Error('Failed to retrieve task from database');
+    }
+}
+
+/**
+ * Tool 8: Extract Task Action
+ * Uses AI to work out which existing task a message refers to and what should change
+ * @param {string} userMessage - The user's message
+ * @param {string} intent - Classified intent (complete, reschedule, edit, delete, list)
+ * @param {Object} context - Conversation context {history, lastTask, timezone}
+ * @returns {Promise<Object>} - {taskReference, date, allDay, durationMinutes, title, notes, priority, tags,
+ *   projectName, adviceRequested, dateFrom, dateTo, includeCompleted, applyToSeries}
+ * @throws {StructuredOutputError} - If the model's reply can't be used even after a repair
+ */
+export async function extractActionInfo(userMessage, intent, context = {}) {
+    try {
+        const { history = [], lastTask = null, timezone = 'UTC' } = context;
+        const currentDate = toLocalString(new Date(), timezone);
+        const prompt = getActionExtractionPrompt(currentDate, intent, lastTask, timezone);
+
+        const actionInfo = await requestStructured('action', prompt, userMessage, history);
+
+        const resolved = resolveTaskDate(actionInfo, timezone);
+        actionInfo.taskReference = actionInfo.taskReference || '';
+        actionInfo.date = resolved ? resolved.date : null;
+        actionInfo.allDay = resolved ? resolved.allDay : null;
+        actionInfo.durationMinutes = parseDuration(actionInfo.durationMinutes);
+        actionInfo.priority = isValidPriority(actionInfo.priority) ? actionInfo.priority : null;
+        actionInfo.tags = Array.isArray(actionInfo.tags) ? normalizeTags(actionInfo.tags) : null;
+        actionInfo.projectName = typeof actionInfo.project === 'string' && actionInfo.project.trim()
+            ? actionInfo.project.trim()
+            : null;
+        delete actionInfo.project;
+        actionInfo.dateFrom = actionInfo.dateFrom ? parseDateBound(actionInfo.dateFrom, timezone, 'start') : null;
+        actionInfo.dateTo = actionInfo.dateTo ? parseDateBound(actionInfo.dateTo, timezone, 'end') : null;
+        actionInfo.adviceRequested = Boolean(actionInfo.adviceRequested);
+        actionInfo.includeCompleted = Boolean(actionInfo.includeCompleted);
+        actionInfo.applyToSeries = Boolean(actionInfo.applyToSeries);
+
+        const cleanInfo = sanitizeTaskFields(actionInfo);
+        cleanInfo.title = cleanInfo.title || null;
+
+        console.log('✓ Extracted action info:', cleanInfo);
+        return cleanInfo;
+    } catch (error) {
+        console.error('Error extracting action info:', error);
+        if (error instanceof StructuredOutputError) {
+            throw error;
+        }
+        throw new Error('Failed to extract action information');
+    }
+}
+
+/**
+ * Tool 9: Find Matching Tasks
+ * Ranks the user's tasks by how well their title and notes match a reference
+ * @param {string} userId - ID of the user whose tasks to search
+ * @param {string} reference - Words identifying the task (e.g. "dentist")
+ * @param {Object} options - {includeCompleted}
+ * @returns {Promise<Array>} - Array of {task, score} sorted by score (0-1), best first
+ */
+export async function findMatchingTasks(userId, reference, options = {}) {
+    const referenceWords = tokenize(reference);
+    if (referenceWords.length === 0) {
+        return [];
+    }
+
+    const filters = options.includeCompleted ? {} : { completed: false };
+    const tasks = await getTasks(userId, filters);
+
+    return tasks
+        .map(task => {
+            const titleWords = tokenize(task.title);
+            const noteWords = tokenize(task.notes);
+
+            // Title hits count fully, notes-only hits count half; prefixes match ("dentist" ~ "dentists")
+            const hits = referenceWords.reduce((total, word) => {
+                const matches = candidate => candidate.startsWith(word) || word.startsWith(candidate);
+                if (titleWords.some(matches)) return total + 1;
+                if (noteWords.some(matches)) return total + 0.5;
+                return total;
+            }, 0);
+
+            return { task, score: hits / referenceWords.length };
+        })
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Tool 10: Update Occurrence
+ * Changes a single occurrence of a recurring task without touching the rest of the series
+ * @param {string} userId - ID of the user who owns the task
+ * @param {string} taskId - Recurring task ID
+ * @param {Date|string} occurrenceDate - Original date of the occurrence
+ * @param {Object} updates - {completed, date, title, notes, cancelled}
+ * @returns {Promise<Object|null>} - Updated occurrence ({cancelled: true} once cancelled),
+ *   or null if the user has no such task or occurrence
+ */
+export async function updateOccurrence(userId, taskId, occurrenceDate, updates) {
+    try {
+        if (!mongoose.isValidObjectId(taskId)) {
+            return null;
+        }
+
+        const task = await findOwnedTask(userId, taskId);
+        const date = new Date(occurrenceDate);
+        if (!task || !task.recurrence || isNaN(date) || !isOccurrence(task.recurrence, task.date, date, task.timezone)) {
+            return null;
+        }
+        const before = snapshotTask(task);
+
+        // Completion is tracked per occurrence, never on the series
+        if (updates.completed !== undefined) {
+            const others = task.completedOccurrences.filter(completed => completed.getTime() !== date.getTime());
+            task.completedOccurrences = updates.completed ? [...others, date] : others;
+        }
+
+        const changes = {};
+        if (updates.date !== undefined) changes.date = new Date(updates.date);
+        if (updates.title !== undefined) changes.title = updates.title;
+        if (updates.notes !== undefined) changes.notes = updates.notes;
+        if (updates.cancelled !== undefined) changes.cancelled = updates.cancelled;
+
+        if (Object.keys(changes).length > 0) {
+            let override = task.occurrenceOverrides.find(entry => entry.occurrenceDate.getTime() === date.getTime());
+            if (!override) {
+                task.occurrenceOverrides.push({ occurrenceDate: date });
+                override = task.occurrenceOverrides[task.occurrenceOverrides.length - 1];
+            }
+            Object.assign(override, changes);
+        }
+
+        await task.save();
+        await recordChange('update', task, before);
+        console.log('✓ Occurrence updated:', taskId, date.toISOString());
+
+        return buildOccurrence(task.toObject(), date)
+            || { seriesId: task._id, occurrenceDate: date, cancelled: true };
+    } catch (error) {
+        console.error('Error updating occurrence:', error);
+        throw new Error('Failed to update occurrence');
+    }
+}
+
+/**
+ * Tool 11: Import Tasks
+ * Saves tasks read from a calendar file or an export, skipping ones the user already has: the same
+ * calendar UID or exported task ID (so re-importing an export changes nothing), or the same title on
+ * the same date. Entries with invalid fields are skipped too.
+ * @param {string} userId - ID of the user importing the tasks
+ * @param {Array<Object>} entries - Parsed entries {uid or id, title, date, allDay, timezone, durationMinutes, notes,
+ *   advice, recurrence, completed, and any other saveTask fields}
+ * @returns {Promise<Object>} - {tasks: saved task documents, skipped: [{uid or id, title, reason}]}
+ */
+export async function importTasks(userId, entries) {
+    try {
+        const existing = await Task.find({ owner: userId, deletedAt: null }).select('title date icalUid').lean();
+        const seenUids = new Set(existing.map(task => task.icalUid).filter(Boolean));
+        const seenIds = new Set(existing.map(task => task._id.toString()));
+        const seenKeys = new Set(existing.map(task => `${task.title.toLowerCase()}|${new Date(task.date).getTime()}`));
+
+        const tasks = [];
+        const skipped = [];
+        for (const entry of entries) {
+            const key = `${entry.title.toLowerCase()}|${entry.date.getTime()}`;
+            const exportedId = entry.id || (entry.uid ? taskIdFromUid(entry.uid) : null);
+
+            if ((entry.uid && seenUids.has(entry.uid)) || (exportedId && seenIds.has(exportedId)) || seenKeys.has(key)) {
+                skipped.push({ uid: entry.uid, id: entry.id, title: entry.title, reason: 'Duplicate' });
+                continue;
+            }
+
+            const { uid, id, ...taskInfo } = entry;
+            try {
+                tasks.push(await saveTask(userId, { ...taskInfo, icalUid: uid }));
+            } catch (error) {
+                if (!(error instanceof TaskValidationError)) {
+                    throw error;
+                }
+                skipped.push({ uid, id, title: entry.title, reason: error.errors.join('; ') });
+                continue;
+            }
+
+            if (uid) seenUids.add(uid);
+            seenKeys.add(key);
+        }
+
+        console.log(`✓ Imported ${tasks.length} tasks, skipped ${skipped.length}`);
+        return { tasks, skipped };
+    } catch (error) {
+        console.error('Error importing tasks:', error);
+        throw new Error('Failed to import tasks');
+    }
+}
+
+/**
+ * Tool 20: Export Tasks
+ * All of a user's tasks (not the trash) in the portable export form, repeating tasks as series
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Array>} - Export records (see utils/taskExport.js), by date
+ */
+export async function exportTasks(userId) {
+    try {
+        const [tasks, projects] = await Promise.all([
+            Task.find({ owner: userId, deletedAt: null }).sort({ date: 1, createdAt: 1 }).lean(),
+            listProjects(userId)
+        ]);
+        const projectNames = new Map(projects.map(project => [project._id.toString(), project.name]));
+
+        console.log(`✓ Exported ${tasks.length} tasks`);
+        return tasks.map(task => toExportRecord(task, projectNames));
+    } catch (error) {
+        console.error('Error exporting tasks:', error);
+        throw new Error('Failed to export tasks');
+    }
+}
+
+/**
+ * Helper: Apply one bulk action to one occurrence of a recurring task, leaving the rest of the series alone
+ * Deleting cancels the occurrence; tags belong to the whole series, so tagging changes the series
+ * @param {string} userId - ID of the user who owns the task
+ * @param {string} taskId - Recurring task ID
+ * @param {Date|string} occurrenceDate - Original date of the occurrence
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {Object} options - As for runBulkAction
+ * @returns {Promise<Object>} - {id, occurrenceDate, ok, task} or {id, occurrenceDate, ok: false, error}
+ */
+async function applyOccurrenceBulkAction(userId, taskId, occurrenceDate, action, options) {
+    if (action === 'tag') {
+        return { ...(await applyBulkAction(userId, taskId, action, options)), occurrenceDate };
+    }
+
+    const updates = {
+        complete: { completed: options.completed !== false },
+        reschedule: { date: options.date },
+        delete: { cancelled: true }
+    }[action];
+
+    const occurrence = await updateOccurrence(userId, taskId, occurrenceDate, updates);
+    return occurrence
+        ? { id: String(taskId), occurrenceDate, ok: true, task: occurrence }
+        : { id: String(taskId), occurrenceDate, ok: false, error: 'Occurrence not found' };
+}
+
+/**
+ * Helper: Apply one bulk action to one task
+ * @param {string} userId - ID of the user who owns the task
+ * @param {string} taskId - Task ID
+ * @param {string} action - One of BULK_ACTIONS
+ * @param {Object} options - As for runBulkAction
+ * @returns {Promise<Object>} - {id, ok, task} or {id, ok: false, error}
+ */
+async function applyBulkAction(userId, taskId, action, options) {
+    const id = String(taskId);
+    const notFound = { id, ok: false, error: 'Task not found' };
+
+    if (action === 'delete') {
+        return (await deleteTask(userId, taskId)) ? { id, ok: true } : notFound;
+    }
+
+    let updates;
+    if (action === 'complete') {
+        updates = { completed: options.completed !== false };
+    } else if (action === 'reschedule') {
+        updates = { date: options.date, allDay: options.allDay !== false, timezone: options.timezone || 'UTC' };
+    } else {
+        const existing = await getTask(userId, taskId);
+        if (!existing) {
+            return notFound;
+        }
+        const remove = normalizeTags(options.remove || []);
+        const tags = [...new Set([...(existing.tags || []).filter(tag => !remove.includes(tag)), ...normalizeTags(options.add || [])])];
+        if (tags.length > MAX_TAGS) {
+            return { id, ok: false, error: `A task can have at most ${MAX_TAGS} tags` };
+        }
+        updates = { tags };
+    }
+
+    const task = await updateTask(userId, taskId, updates);
+    return task ? { id, ok: true, task } : notFound;
+}
+
+/**
+ * Tool 21: Bulk Action
+ * Completes, reschedules, tags or deletes many tasks, reporting on each one;
+ * a task that fails doesn't stop the others. Every change is recorded in the task's history
+ * under the same request, so one undo reverts the whole batch.
+ * @param {string} userId - ID of the user who owns the tasks
+ * @param {Array<string|Object>} taskIds - Task IDs, or {id, occurrenceDate} to change only one occurrence
+ *   of a recurring task (see applyOccurrenceBulkAction); duplicates are handled once
+ * @param {string} action - complete, reschedule, tag or delete
+ * @param {Object} options - complete: {completed (default true)}; reschedule: {date, allDay, timezone};
+ *   tag: {add: [tag], remove: [tag]}
+ * @returns {Promise<Object>} - {results: [{id, occurrenceDate (for occurrences), ok, task}
+ *   or {id, occurrenceDate, ok: false, error}], succeeded, failed}
+ */
+export async function runBulkAction(userId, taskIds, action, options = {}) {
+    const targets = new Map();
+    for (const target of taskIds) {
+        const { id, occurrenceDate = null } = typeof target === 'object' && target !== null ? target : { id: target };
+        const key = occurrenceDate ? `${id}|${new Date(occurrenceDate).getTime()}` : String(id);
+        targets.set(key, { id: String(id), occurrenceDate });
+    }
+
+    const results = [];
+    for (const { id: taskId, occurrenceDate } of targets.values()) {
+        if (!mongoose.isValidObjectId(taskId)) {
+            results.push({ id: taskId, ok: false, error: 'Task not found' });
+            continue;
+        }
+        try {
+            results.push(occurrenceDate
+                ? await applyOccurrenceBulkAction(userId, taskId, occurrenceDate, action, options)
+                : await applyBulkAction(userId, taskId, action, options));
+        } catch (error) {
+            results.push({ id: taskId, ok: false, error: error.message });
+        }
+    }
+
+    const succeeded = results.filter(result => result.ok).length;
+    console.log(`✓ Bulk ${action}: ${succeeded} of ${results.length} tasks`);
+    return { results, succeeded, failed: results.length - succeeded };
+}
+
+/**
+ * Tool 12: Generate Checklist
+ * Uses AI to generate advice with structured subtasks for a task
+ * Falls back to plain advice, reading any numbered list in it as the subtasks
+ * @param {string} taskTitle - The task title
+ * @returns {Promise<Object>} - {advice (advice sentence followed by the numbered steps), subtasks: [title]}
+ */
+export async function generateChecklist(taskTitle) {
+    try {
+        const checklist = await requestStructured('checklist', getChecklistPrompt(taskTitle), '');
+
+        const subtasks = sanitizeTaskFields(checklist).subtasks.slice(0, MAX_SUBTASKS);
+        const steps = subtasks.map((title, index) => `${index + 1}. ${title}`).join('\n');
+
+        console.log('✓ Generated checklist for task:', taskTitle);
+        return {
+            advice: sanitizeText([sanitizeText(checklist.advice), steps].filter(Boolean).join('\n\n'), FIELD_LIMITS.advice),
+            subtasks
+        };
+    } catch (error) {
+        console.error('Error generating checklist:', error);
+
+        const advice = await generateAdvice(taskTitle);
+        return { advice, subtasks: parseChecklist(advice) };
+    }
+}
+
+/**
+ * Helper: Load a task owned by the user as a document, for changes; trashed tasks are left out
+ * @param {string} userId - ID of the user who owns the task
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object|null>} - Task document, or null
+ */
+async function findOwnedTask(userId, taskId) {
+    if (!mongoose.isValidObjectId(taskId)) {
+        return null;
+    }
+    return Task.findOne({ _id: taskId, owner: userId, deletedAt: null });
+}
+
+/**
+ * Tool 13: Add Subtasks
+ * Appends checklist items to a task
+ * @param {string} userId - ID of the user who owns the task
+ * @param {string} taskId - Task ID
+ * @param {Array<string>} titles - Subtask titles
+ * @returns {Promise<Object|null>} - Updated task, or null if the user has no such task
+ */
+export async function addSubtasks(userId, taskId, titles) {
+    try {
+        const task = await findOwnedTask(userId, taskId);
+        if (!task) {
+            return null;
+        }
+        const before = snapshotTask(task);
+
+        task.subtasks.push(...titles.map(title => ({ title })));
+        await task.save();
+        await recordChange('update', task, before);
+
+        console.log(`✓ Added ${titles.length} subtasks to task:`, taskId);
+        return task;
+    } catch (error) {
+        console.error('Error adding subtasks:', error);
+        throw new Error('Failed to add subtasks');
+    }
+}
+
+/**
+ * Tool 14: Update Subtask
+ * Ticks, unticks or renames one checklist item
+ * @param {string} userId - ID of the user who owns the task
+ * @param {string} taskId - Task ID
+ * @param {string} subtaskId - Subtask ID
+ * @param {Object} updates - {title, completed}
+ * @returns {Promise<Object|null>} - Updated task, or null if the user has no such task or subtask
+ */
+export async function updateSubtask(userId, taskId, subtaskId, updates) {
+    try {
+        const task = await findOwnedTask(userId, taskId);
+        const subtask = task && mongoose.isValidObjectId(subtaskId) ? task.subtasks.id(subtaskId) : null;
+        if (!subtask) {
+            return null;
+        }
+        const before = snapshotTask(task);
+
+        if (updates.title !== undefined) subtask.title = updates.title;
+        if (updates.completed !== undefined) subtask.completed = updates.completed;
+        await task.save();
+        await recordChange('update', task, before);
+
+        console.log('✓ Subtask updated:', taskId, subtaskId);
+        return task;
+    } catch (error) {
+        console.error('Error updating subtask:', error);
+        throw new Error('Failed to update subtask');
+    }
+}
+
+/**
+ * Tool 15: Reorder Subtasks
+ * Puts a task's checklist in the given order; subtasks left out keep their relative order at the end
+ * @param {string} userId - ID of the user who owns the task
+ * @param {string} taskId - Task ID
+ * @param {Array<string>} order - Subtask IDs in the new order
+ * @returns {Promise<Object|null>} - Updated task, or null if the user has no such task
+ */
+export async function reorderSubtasks(userId, taskId, order) {
+    try {
+        const task = await findOwnedTask(userId, taskId);
+        if (!task) {
+            return null;
+        }
+        const before = snapshotTask(task);
+
+        const position = new Map(order.map((id, index) => [String(id), index]));
+        const ranked = task.subtasks.map((subtask, index) => ({
+            subtask,
+            rank: position.has(subtask._id.toString()) ? position.get(subtask._id.toString()) : order.length + index
+        }));
+        task.subtasks = ranked.sort((a, b) => a.rank - b.rank).map(({ subtask }) => subtask.toObject());
+        await task.save();
+        await recordChange('update', task, before);
+
+        console.log('✓ Subtasks reordered:', taskId);
+        return task;
+    } catch (error) {
+        console.error('Error reordering subtasks:', error);
+        throw new Error('Failed to reorder subtasks');
+    }
+}
+
+/**
+ * Tool 16: Delete Subtask
+ * Removes one checklist item
+ * @param {string} userId - ID of the user who owns the task
+ * @param {string} taskId - Task ID
+ * @param {string} subtaskId - Subtask ID
+ * @returns {Promise<Object|null>} - Updated task, or null if the user has no such task or subtask
+ */
+export async function deleteSubtask(userId, taskId, subtaskId) {
+    try {
+        const task = await findOwnedTask(userId, taskId);
+        const subtask = task && mongoose.isValidObjectId(subtaskId) ? task.subtasks.id(subtaskId) : null;
+        if (!subtask) {
+            return null;
+        }
+        const before = snapshotTask(task);
+
+        subtask.deleteOne();
+        await task.save();
+        await recordChange('update', task, before);
+
+        console.log('✓ Subtask deleted:', taskId, subtaskId);
+        return task;
+    } catch (error) {
+        console.error('Error deleting subtask:', error);
+        throw new Error('Failed to delete subtask');
+    }
+}
+
+/**
+ * Helper: Shape a task or occurrence for tool results
+ * @param {Object} task - Task document or occurrence
+ * @returns {Object} - {id, title, date, allDay, durationMinutes, timezone, notes, advice, completed,
+ *   completedAt, status, priority, tags, project, subtasks, progress, recurrence, occurrenceDate}
+ */
+function toTaskResult(task) {
+    const result = {
+        id: task._id.toString(),
+        title: task.title,
+        date: task.date,
+        allDay: task.allDay !== false,
+        durationMinutes: task.durationMinutes || null,
+        timezone: task.timezone || 'UTC',
+        notes: task.notes,
+        advice: task.advice,
+        completed: task.completed,
+        completedAt: task.completedAt || null,
+        status: computeStatus(task),
+        priority: task.priority || 'medium',
+        tags: task.tags || [],
+        project: task.project ? task.project.toString() : null
+    };
+
+    if (task.subtasks && task.subtasks.length > 0) {
+        result.subtasks = task.subtasks.map(subtask => ({
+            id: subtask._id.toString(),
+            title: subtask.title,
+            completed: subtask.completed
+        }));
+        result.progress = computeProgress(task.subtasks);
+    }
+    if (task.recurrence) result.recurrence = task.recurrence;
+    if (task.occurrenceDate) result.occurrenceDate = task.occurrenceDate;
+
+    return result;
+}
+
+/**
+ * Tool Declarations
+ * Function schemas the model can call from the tool-calling loop.
+ * Each handler receives validated arguments and the request context {userId, timezone}
+ * and returns a JSON-serializable result; {error} results are shown to the model.
+ * Adding a tool here is all the agent loop needs to start using it.
+ */
+export const toolDefinitions = [
+    {
+        name: 'create_task',
+        description: 'Create a new task for the user; call it once per task when the message asks for several. Advice and a checklist of subtasks are generated and saved with it. '
+            + 'An open task with the same title on the same day is reported as a duplicate instead of being added again.',
+        parameters: {
+            type: 'object',
+            properties: {
+                title: { type: 'string', minLength: 1, maxLength: 200, description: 'Brief task description' },
+                when: { type: 'string', description: 'The user\'s own words for when, e.g. "next Friday at 3pm" or "in 2 hours"' },
+                date: { type: 'string', format: 'date', description: 'When the task should be done, or its first occurrence (YYYY-MM-DD); defaults to today' },
+                time: { type: 'string', maxLength: 5, description: 'Time of day as HH:MM (24-hour); omit for an all-day task' },
+                durationMinutes: { type: 'integer', minimum: 1, description: 'How long the task takes, if the user said' },
+                notes: { type: 'string', description: 'Additional context from the message' },
+                recurrence: { type: 'string', description: 'RRULE for repeating tasks, e.g. "FREQ=WEEKLY;BYDAY=MO" or "FREQ=DAILY;UNTIL=20261201"' },
+                priority: { type: 'string', enum: PRIORITIES, description: 'How important the task is; defaults to medium' },
+                tags: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 50 }, description: 'Tags, e.g. ["work"] for "#work"' },
+                project: { type: 'string', minLength: 1, maxLength: 100, description: 'Project the task belongs to, e.g. "Q3 launch"; created if new' },
+                allowDuplicate: { type: 'boolean', description: 'Create the task even though the user already has the same open task; only when they asked for it again' }
+            },
+            required: ['title'],
+            additionalProperties: false
+        },
+        handler: async ({ title, when, date, time, durationMinutes, notes, recurrence, priority, tags, project, allowDuplicate }, context) => {
+            if (recurrence && !isValidRule(recurrence)) {
+                return { error: 'Invalid recurrence rule' };
+            }
+
+            const timezone = context.timezone || 'UTC';
+            const resolved = resolveTaskDate({ when, date, time }, timezone)
+                || (!date && !time ? resolveDate('today', { timezone }) : null);
+            if (!resolved) {
+                return { error: 'Invalid date or time; use YYYY-MM-DD and HH:MM' };
+            }
+
+            if (!allowDuplicate) {
+                const duplicate = await findDuplicateTask(context.userId, { title, ...resolved, timezone, recurrence });
+                if (duplicate) {
+                    return { error: 'The user already has this task; tell them instead of adding it again', duplicate: toTaskResult(duplicate) };
+                }
+            }
+
+            const { advice, subtasks } = await generateChecklist(title);
+            const task = await saveTask(context.userId, {
+                title, ...resolved, durationMinutes, timezone, notes, recurrence, priority, tags, projectName: project, advice, subtasks
+            });
+            return { task: toTaskResult(task) };
+        }
+    },
+    {
+        name: 'list_tasks',
+        description: "List the user's tasks, optionally filtered by completion, status (e.g. overdue), date range, priority, tag or project. With a date range, repeating tasks are listed once per occurrence. "
+            + 'At most 50 are returned; hasMore says whether there are more, so narrow the filters if so.',
+        parameters: {
+            type: 'object',
+            properties: {
+                completed: { type: 'boolean', description: 'Only completed (true) or only open (false) tasks' },
+                status: { type: 'string', enum: TASK_STATUSES, description: 'Only tasks that are upcoming, due today, overdue or completed' },
+                dateFrom: { type: 'string', format: 'date', description: 'Start of the date range (YYYY-MM-DD)' },
+                dateTo: { type: 'string', format: 'date', description: 'End of the date range (YYYY-MM-DD)' },
+                priority: { type: 'string', enum: PRIORITIES, description: 'Only tasks with this priority' },
+                tag: { type: 'string', minLength: 1, description: 'Only tasks with this tag' },
+                project: { type: 'string', minLength: 1, description: 'Only tasks in the project with this name' },
+                sort: { type: 'string', enum: Object.keys(SORT_ORDERS), description: 'Sort order; defaults to date' }
+            },
+            additionalProperties: false
+        },
+        handler: async ({ completed, status, dateFrom, dateTo, priority, tag, project, sort }, context) => {
+            const timezone = context.timezone || 'UTC';
+            const filters = { completed, sort };
+            if (status) filters.status = [status];
+            if (dateFrom) filters.dateFrom = parseDateBound(dateFrom, timezone, 'start');
+            if (dateTo) filters.dateTo = parseDateBound(dateTo, timezone, 'end');
+            if (priority) filters.priority = [priority];
+            if (tag) filters.tags = normalizeTags([tag]);
+            if (project) {
+                const match = await findProjectByName(context.userId, project);
+                if (!match) {
+                    return { tasks: [], count: 0, note: `No project named "${project}"` };
+                }
+                filters.project = match._id;
+            }
+
+            const { tasks, total, hasMore } = await getTaskPage(context.userId, filters, { limit: MAX_LISTED_TASKS });
+            return { tasks: tasks.map(toTaskResult), count: tasks.length, total, hasMore };
+        }
+    },
+    {
+        name: 'find_tasks',
+        description: 'Search the user\'s tasks by key words in their title, notes or advice, falling back to similar meaning '
+            + 'when no words match. Use it to find a task\'s ID or to check whether the user already has a task about something.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', minLength: 1, description: 'Key words, e.g. "dentist" or "taxes"' },
+                includeCompleted: { type: 'boolean', description: 'Also search completed tasks' },
+                semantic: { type: 'boolean', description: 'Search by meaning only, e.g. "money paperwork" for tax tasks' }
+            },
+            required: ['query'],
+            additionalProperties: false
+        },
+        handler: async ({ query, includeCompleted, semantic }, context) => {
+            const { results, mode } = await searchTasks(context.userId, query, {
+                mode: semantic ? 'semantic' : 'auto',
+                includeCompleted: Boolean(includeCompleted),
+                limit: 5
+            });
+            return {
+                mode,
+                matches: results.map(({ task, score }) => ({ task: toTaskResult(task), score }))
+            };
+        }
+    },
+    {
+        name: 'get_agenda',
+        description: 'Get the user\'s agenda for a day or a week: open tasks that are overdue, then each day\'s tasks '
+            + 'with its workload (open tasks, scheduled minutes, whether it is overloaded). Use it to plan their day or week, or to say what is overdue.',
+        parameters: {
+            type: 'object',
+            properties: {
+                period: { type: 'string', enum: AGENDA_PERIODS, description: 'A single day or the 7 days from date; defaults to day' },
+                date: { type: 'string', format: 'date', description: 'The day, or the first day of the week (YYYY-MM-DD); defaults to today' }
+            },
+            additionalProperties: false
+        },
+        handler: async ({ period, date }, context) => {
+            const timezone = context.timezone || 'UTC';
+            const agenda = await buildAgenda(context.userId, {
+                period,
+                date: date ? parseDateBound(date, timezone, 'start') : new Date(),
+                timezone
+            });
+            return {
+                agenda: {
+                    period: agenda.period,
+                    from: toDateString(agenda.from, timezone),
+                    to: toDateString(agenda.to, timezone),
+                    overdue: agenda.overdue.map(toTaskResult),
+                    days: agenda.days.map(day => ({ date: day.date, workload: day.workload, tasks: day.tasks.map(toTaskResult) })),
+                    totals: agenda.totals
+                }
+            };
+        }
+    },
+    {
+        name: 'update_task',
+        description: 'Change an existing task: mark it done, move it to another date, or edit its title or notes. '
+            + 'For a repeating task, pass occurrenceDate to change only that occurrence; omit it to change the whole series.',
+        parameters: {
+            type: 'object',
+            properties: {
+                taskId: { type: 'string', minLength: 1, description: 'ID of the task to change' },
+                occurrenceDate: { type: 'string', format: 'date-time', description: 'Original date of the single occurrence to change' },
+                title: { type: 'string', minLength: 1, maxLength: 200, description: 'New title' },
+                when: { type: 'string', description: 'The user\'s own words for the new date/time, e.g. "Friday at 10am"' },
+                date: { type: 'string', format: 'date', description: 'New date (YYYY-MM-DD)' },
+                time: { type: 'string', maxLength: 5, description: 'New time of day as HH:MM (24-hour), with date or when' },
+                durationMinutes: { type: ['integer', 'null'], minimum: 1, description: 'New length in minutes, or null to clear it' },
+                notes: { type: 'string', description: 'New notes' },
+                completed: { type: 'boolean', description: 'Whether the task (or occurrence) is done' },
+                recurrence: { type: ['string', 'null'], description: 'New RRULE for the series, or null to stop repeating' },
+                priority: { type: 'string', enum: PRIORITIES, description: 'New priority' },
+                tags: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 50 }, description: 'New tags (replaces the current ones)' },
+                project: { type: ['string', 'null'], maxLength: 100, description: 'Name of the project to move the task to, or null to remove it from its project' }
+            },
+            required: ['taskId'],
+            additionalProperties: false
+        },
+        handler: async ({ taskId, occurrenceDate, when, date, time, project, ...updates }, context) => {
+            if (!mongoose.isValidObjectId(taskId)) {
+                return { error: 'Task not found' };
+            }
+            if (updates.tags) {
+                updates.tags = normalizeTags(updates.tags);
+            }
+            if (project !== undefined) {
+                updates.project = project ? (await findOrCreateProject(context.userId, project))._id : null;
+            }
+            if (updates.recurrence && !isValidRule(updates.recurrence)) {
+                return { error: 'Invalid recurrence rule' };
+            }
+            if (when || date || time) {
+                const timezone = context.timezone || 'UTC';
+                const resolved = resolveTaskDate({ when, date, time }, timezone);
+                if (!resolved) {
+                    return { error: 'Invalid date or time; use YYYY-MM-DD and HH:MM' };
+                }
+                Object.assign(updates, resolved, { timezone });
+            }
+
+            if (occurrenceDate) {
+                const { recurrence, allDay, durationMinutes, timezone, priority, tags, project: _project, ...occurrenceUpdates } = updates;
+                const occurrence = await updateOccurrence(context.userId, taskId, occurrenceDate, occurrenceUpdates);
+                return occurrence ? { task: toTaskResult(occurrence) } : { error: 'Occurrence not found' };
+            }
+
+            const task = await updateTask(context.userId, taskId, updates);
+            return task ? { task: toTaskResult(task) } : { error: 'Task not found' };
+        }
+    },
+    {
+        name: 'delete_task',
+        description: 'Ask to delete a task (move it to the trash). Nothing is deleted yet: the task is deleted only if the user '
+            + 'replies yes to your question on their next message, so ask them to confirm. '
+            + 'For a repeating task, pass occurrenceDate to remove only that occurrence; omit it to delete the whole series.',
+        parameters: {
+            type: 'object',
+            properties: {
+                taskId: { type: 'string', minLength: 1, description: 'ID of the task to delete' },
+                occurrenceDate: { type: 'string', format: 'date-time', description: 'Original date of the single occurrence to remove' }
+            },
+            required: ['taskId'],
+            additionalProperties: false
+        },
+        // The deletion is held as the conversation's pending action (see Agent.runToolLoop), so only
+        // the user's own reply can confirm it, never the model
+        handler: async ({ taskId, occurrenceDate }, context) => {
+            const task = mongoose.isValidObjectId(taskId) ? await getTask(context.userId, taskId) : null;
+            if (!task) {
+                return { error: 'Task not found' };
+            }
+            if (occurrenceDate && (!task.recurrence || isNaN(new Date(occurrenceDate)))) {
+                return { error: 'Occurrence not found' };
+            }
+
+            return {
+                needsConfirmation: true,
+                task: toTaskResult(task),
+                pendingAction: {
+                    intent: 'delete',
+                    candidates: [task._id],
+                    changes: { applyToSeries: !occurrenceDate, occurrenceDate: occurrenceDate ? new Date(occurrenceDate).toISOString() : null }
+                }
+            };
+        }
+    },
+    {
+        name: 'undo_last_action',
+        description: 'Undo the last change made to the user\'s tasks, e.g. when they say "undo that" or that you got something wrong. '
+            + 'Deleted tasks come back, changed fields get their old values and newly created tasks go to the trash. '
+            + 'Calling it again undoes the change before that.',
+        parameters: {
+            type: 'object',
+            properties: {},
+            additionalProperties: false
+        },
+        handler: async (args, context) => {
+            const result = await undoLastChange(context.userId);
+            if (!result) {
+                return { error: 'There is nothing to undo' };
+            }
+            return {
+                undone: result.action,
+                tasks: result.tasks.map(task => ({ ...toTaskResult(task), deleted: Boolean(task.deletedAt) }))
+            };
+        }
+    },
+    {
+        name: 'generate_advice',
+        description: 'Generate fresh tips for an existing task and save them on it.',
+        parameters: {
+            type: 'object',
+            properties: {
+                taskId: { type: 'string', minLength: 1, description: 'ID of the task' }
+            },
+            required: ['taskId'],
+            additionalProperties: false
+        },
+        handler: async ({ taskId }, context) => {
+            const existing = await getTask(context.userId, taskId);
+            if (!existing) {
+                return { error: 'Task not found' };
+            }
+
+            const advice = await generateAdvice(existing.title);
+            const task = await updateTask(context.userId, taskId, { advice });
+            return task ? { task: toTaskResult(task) } : { error: 'Task not found' };
+        }
+    },
+    {
+        name: 'add_subtasks',
+        description: 'Add checklist items (subtasks) to an existing task.',
+        parameters: {
+            type: 'object',
+            properties: {
+                taskId: { type: 'string', minLength: 1, description: 'ID of the task' },
+                titles: {
+                    type: 'array',
+                    items: { type: 'string', minLength: 1, maxLength: 200 },
+                    description: 'Subtask titles, each starting with a verb'
+                }
+            },
+            required: ['taskId', 'titles'],
+            additionalProperties: false
+        },
+        handler: async ({ taskId, titles }, context) => {
+            const existing = await getTask(context.userId, taskId);
+            if (!existing) {
+                return { error: 'Task not found' };
+            }
+            if (titles.length === 0 || (existing.subtasks || []).length + titles.length > MAX_SUBTASKS) {
+                return { error: `A task can have 1 to ${MAX_SUBTASKS} subtasks` };
+            }
+
+            const task = await addSubtasks(context.userId, taskId, titles);
+            return task ? { task: toTaskResult(task) } : { error: 'Task not found' };
+        }
+    },
+    {
+        name: 'update_subtask',
+        description: 'Tick, untick or rename one checklist item of a task. Subtask IDs are listed with the task.',
+        parameters: {
+            type: 'object',
+            properties: {
+                taskId: { type: 'string', minLength: 1, description: 'ID of the task' },
+                subtaskId: { type: 'string', minLength: 1, description: 'ID of the subtask' },
+                completed: { type: 'boolean', description: 'Whether the subtask is done' },
+                title: { type: 'string', minLength: 1, maxLength: 200, description: 'New title' }
+            },
+            required: ['taskId', 'subtaskId'],
+            additionalProperties: false
+        },
+        handler: async ({ taskId, subtaskId, ...updates }, context) => {
+            const task = await updateSubtask(context.userId, taskId, subtaskId, updates);
+            return task ? { task: toTaskResult(task) } : { error: 'Subtask not found' };
+        }
+    }
+];
+
+/**
+ * Get the tool declarations in the chat-completions "tools" format
+ * @returns {Array} - [{type: 'function', function: {name, description, parameters}}]
+ */
+export function getToolSchemas() {
+    return toolDefinitions.map(({ name, description, parameters }) => ({
+        type: 'function',
+        function: { name, description, parameters }
+    }));
+}
+
+/**
+ * Validate a tool call's arguments against its schema and run it
+ * Text fields are sanitized first, as for any model output stored on a task
+ * @param {string} name - Tool name
+ * @param {Object} args - Parsed arguments from the model
+ * @param {Object} context - Request context {userId, timezone}
+ * @returns {Promise<Object>} - Tool result, or {error, details} if the call was rejected or failed
+ */
+export async function executeToolCall(name, args, context) {
+    const tool = toolDefinitions.find(definition => definition.name === name);
+    if (!tool) {
+        return { error: `Unknown tool: ${name}` };
+    }
+
+    const input = sanitizeTaskFields(coerce(tool.parameters, args));
+    const { valid, errors } = validate(tool.parameters, input);
+    if (!valid) {
+        return { error: 'Invalid arguments', details: errors };
+    }
+
+    try {
+        return await tool.handler(input, context);
+    } catch (error) {
+        console.error(`Error running tool ${name}:`, error);
+        return { error: error.message };
+    }
+}
@@ -0,0 +1,241 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Trace from '../models/Trace.js';
+import { getRequestContext } from '../utils/requestContext.js';
+import { logger, serializeError } from '../utils/logger.js';
+
+/**
+ * Agent Tracing
+ * Records how the agent handled each chat message, so a wrong answer can be explained:
+ * every model call (prompt name and version, provider, model, raw reply, latency, error),
+ * every structured output (parsed value or validation errors) and every agent event
+ * (classified, extracted, tool calls and results, ...).
+ *
+ * The trace lives in the request context while the message is handled and is saved when it's
+ * done. Traces are kept TRACE_RETENTION_DAYS days (default 7; 0 turns tracing off), and long
+ * texts in them are cut at TRACE_MAX_TEXT_LENGTH characters (default 4000).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_DEPTH = 6;
+
+/**
+ * Helper: How many days traces are kept
+ * @returns {number} - Days (0: tracing is off)
+ */
+function getRetentionDays() {
+    const days = parseFloat(process.env.TRACE_RETENTION_DAYS);
+    return Number.isFinite(days) && days >= 0 ? days : 7;
+}
+
+/**
+ * Helper: A JSON-friendly copy of a value with long texts cut short
+ * @param {*} value - Value (documents, errors, ...)
+ * @param {number} depth - Nesting depth so far
+ * @returns {*} - Copy
+ */
+function clip(value, depth = 0) {
+    const maxLength = parseInt(process.env.TRACE_MAX_TEXT_LENGTH, 10) || 4000;
+
+    if (value instanceof Error) {
+        const { stack, ...error } = serializeError(value);
+        return error;
+    }
+    if (typeof value === 'string') {
+        return value.length > maxLength ? `${value.slice(0, maxLength)}… (${value.length} characters)` : value;
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (typeof value.toJSON === 'function') {
+        return clip(JSON.parse(JSON.stringify(value)), depth);
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[…]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => clip(item, depth + 1));
+    }
+    return Object.fromEntries(Object.entries(value)
+        .filter(([, item]) => item !== undefined && typeof item !== 'function')
+        .map(([key, item]) => [key, clip(item, depth + 1)]));
+}
+
+/**
+ * Start tracing a chat message
+ * Put the returned trace in the request context (as "trace") while the message is handled
+ * @param {Object} details - {userId, message, mode}
+ * @returns {Object|null} - Trace, or null when tracing is off
+ */
+export function startTrace({ userId, message, mode }) {
+    if (getRetentionDays() === 0) {
+        return null;
+    }
+    const context = getRequestContext() || {};
+    return {
+        requestId: context.requestId || crypto.randomUUID(),
+        owner: userId || null,
+        message: clip(message),
+        mode,
+        startedAt: Date.now(),
+        steps: [],
+        prompts: []
+    };
+}
+
+/**
+ * Helper: The trace of the message being handled
+ * @returns {Object|null} - Trace
+ */
+function currentTrace() {
+    const context = getRequestContext();
+    return (context && context.trace) || null;
+}
+
+/**
+ * Add a step to the current trace (does nothing outside a traced message)
+ * @param {string} type - Step type, e.g. "classified" or "tool_call"
+ * @param {Object} details - Anything worth keeping about it
+ */
+export function traceStep(type, details = {}) {
+    const trace = currentTrace();
+    if (!trace) {
+        return;
+    }
+    trace.steps.push({ type, atMs: Date.now() - trace.startedAt, ...clip(details) });
+}
+
+/**
+ * Note a rendered prompt, so model calls can say which prompt and version they sent
+ * @param {string} name - Prompt name
+ * @param {string} version - Prompt version
+ * @param {string} text - Rendered text
+ */
+export function tracePrompt(name, version, text) {
+    const trace = currentTrace();
+    if (trace) {
+        trace.prompts.push({ name, version, text: text.trimEnd() });
+    }
+}
+
+/**
+ * Helper: The traced prompt a model call's system message was made from
+ * @param {Object} trace - Trace
+ * @param {Array} messages - Chat messages sent
+ * @returns {Object|null} - {name, version}
+ */
+function findPrompt(trace, messages) {
+    const system = messages.find(message => message.role === 'system');
+    if (!system || typeof system.content !== 'string') {
+        return null;
+    }
+    const prompt = [...trace.prompts].reverse().find(entry => system.content.startsWith(entry.text));
+    return prompt ? { name: prompt.name, version: prompt.version } : null;
+}
+
+/**
+ * Record a model call in the current trace
+ * @param {Object} call - {step, provider, model, messages, reply (assistant message), usage, latencyMs, error}
+ */
+export function traceModelCall({ step, provider, model, messages, reply, usage, latencyMs, error }) {
+    const trace = currentTrace();
+    if (!trace) {
+        return;
+    }
+
+    const last = messages[messages.length - 1];
+    traceStep('model_call', {
+        step: step || null,
+        prompt: findPrompt(trace, messages),
+        provider,
+        model,
+        input: last ? last.content : null,
+        output: reply ? reply.content : undefined,
+        toolCalls: reply && reply.tool_calls ? reply.tool_calls.map(call => call.function) : undefined,
+        usage: usage || undefined,
+        latencyMs,
+        error: error || undefined
+    });
+}
+
+/**
+ * Finish a trace and save it in the background
+ * Never throws: a failed write only loses the trace
+ * @param {Object|null} trace - From startTrace
+ * @param {Object} outcome - {response (agent response), error (if handling failed)}
+ * @returns {Promise<void>}
+ */
+export async function finishTrace(trace, { response, error }) {
+    if (!trace) {
+        return;
+    }
+
+    const durationMs = Date.now() - trace.startedAt;
+    const failure = error
+        ? clip(error)
+        : (response && response.error ? { message: response.message, code: response.errorCode || null } : null);
+    if (error) {
+        trace.steps.push({ type: 'error', atMs: durationMs, ...failure, stack: clip(error.stack) });
+    }
+
+    logger.info('Agent handled message', {
+        intent: (response && response.intent) || null,
+        durationMs,
+        steps: trace.steps.length,
+        ...(failure ? { failed: true } : {})
+    });
+
+    if (mongoose.connection.readyState !== 1) {
+        return;
+    }
+
+    try {
+        await Trace.create({
+            requestId: trace.requestId,
+            owner: trace.owner,
+            message: trace.message,
+            mode: trace.mode,
+            steps: trace.steps,
+            promptVersions: response && response.promptVersions,
+            intent: (response && response.intent) || null,
+            error: failure,
+            durationMs,
+            createdAt: new Date(trace.startedAt),
+            expiresAt: new Date(trace.startedAt + getRetentionDays() * DAY_MS)
+        });
+    } catch (writeError) {
+        logger.warn('Could not save agent trace', { error: writeError });
+    }
+}
+
+/**
+ * List recent traces, newest first, without their steps
+ * @param {Object} filters - {userId, intent, failed (only traces with an error), from, to, limit}
+ * @returns {Promise<Array>} - Trace summaries
+ */
+export async function listTraces({ userId, intent, failed, from, to, limit = 50 } = {}) {
+    const query = {};
+    if (userId) query.owner = userId;
+    if (intent) query.intent = intent;
+    if (failed) query.error = { $ne: null };
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = from;
+        if (to) query.createdAt.$lte = to;
+    }
+
+    return Trace.find(query)
+        .select('-steps -expiresAt -__v')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean();
+}
+
+/**
+ * Get one trace with all its steps
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Object|null>} - Trace, or null
+ */
+export async function getTrace(requestId) {
+    return Trace.findOne({ requestId }).select('-__v').lean();
+}
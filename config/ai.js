@@ -1,46 +1,264 @@
 import OpenAI from 'openai';
+import { getProviderByName } from './providers.js';
+import { enforceQuota, recordUsage } from '../usage/accounting.js';
+import { traceModelCall, traceStep } from '../agent/trace.js';
+import { localEmbed, LOCAL_DIMENSIONS } from '../utils/embeddings.js';
 
 /**
  * AI Configuration
  * Abstraction layer for AI model interactions
- * Supports OpenAI (GPT) and Groq (free alternative)
+ * AI_PROVIDER picks the primary provider (see config/providers.js); AI_FALLBACK_PROVIDERS lists
+ * others to try, in order, when it fails. Each call has a timeout (AI_TIMEOUT_MS) and is retried with
+ * exponential backoff on 429s, 5xx errors and dropped connections (AI_MAX_RETRIES, AI_RETRY_BASE_MS).
+ * AI_MODEL_<STEP> overrides the model for one step, as "model" or "provider:model",
+ * e.g. AI_MODEL_CLASSIFY=groq:llama-3.1-8b-instant
  */
 
-let aiClient = null;
 let currentProvider = null;
+let embeddingClient = null;
+
+// Agent steps that can have their own model
+export const AI_STEPS = ['classify', 'extract', 'advice', 'plan', 'chat', 'agent'];
+
+// HTTP statuses worth retrying: timeouts, conflicts, rate limits and server errors
+const RETRYABLE_STATUSES = new Set([408, 409, 429]);
+
+// Texts sent per embeddings request
+const EMBEDDING_BATCH_SIZE = 100;
+
+/**
+ * Helper: Read a non-negative integer from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} - Value
+ */
+function readNonNegativeInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return value >= 0 ? value : fallback;
+}
+
+/**
+ * Helper: Names of the fallback providers (AI_FALLBACK_PROVIDERS, comma-separated)
+ * @returns {Array<string>} - Provider names, in order
+ */
+function getFallbackNames() {
+    return (process.env.AI_FALLBACK_PROVIDERS || '')
+        .split(',')
+        .map(name => name.trim())
+        .filter(name => name && name !== currentProvider);
+}
 
 /**
  * Initialize the AI client based on environment configuration
  */
 export function initializeAI() {
-    const provider = process.env.AI_PROVIDER || 'openai';
-    currentProvider = provider;
+    const name = process.env.AI_PROVIDER || 'openai';
+    const provider = getProviderByName(name);
+
+    if (!provider) {
+        throw new Error(`Unsupported AI provider: ${name}`);
+    }
+    if (!provider.isConfigured()) {
+        throw new Error(provider.requirement);
+    }
+    currentProvider = name;
+    console.log(`✓ AI Client initialized: ${provider.label}`);
 
-    if (provider === 'openai') {
-        if (!process.env.OPENAI_API_KEY) {
-            throw new Error('OPENAI_API_KEY is required when using OpenAI provider');
+    // A broken fallback shouldn't stop the server; it is skipped when the chain is built
+    const fallbacks = getFallbackNames().filter(fallback => {
+        const candidate = getProviderByName(fallback);
+        if (!candidate) {
+            console.warn(`⚠️ Unknown fallback AI provider "${fallback}" ignored`);
+            return false;
         }
+        if (!candidate.isConfigured()) {
+            console.warn(`⚠️ Fallback AI provider "${fallback}" is not configured: ${candidate.requirement}`);
+            return false;
+        }
+        return true;
+    });
+    if (fallbacks.length > 0) {
+        console.log(`✓ AI fallback chain: ${[name, ...fallbacks].join(' → ')}`);
+    }
+
+    for (const step of AI_STEPS) {
+        const override = parseModelOverride(step);
+        if (override && override.provider && !getProviderByName(override.provider).isConfigured()) {
+            console.warn(`⚠️ AI model for ${step} uses ${override.provider}, which is not configured`);
+        } else if (override) {
+            console.log(`✓ AI model for ${step}: ${override.provider || name}:${override.model}`);
+        }
+    }
+}
+
+/**
+ * Helper: Read the model override for a step (AI_MODEL_<STEP>)
+ * The part before the first colon is a provider only if one is registered under that name,
+ * so model names with colons (e.g. Ollama's "llama3.1:8b") work on their own
+ * @param {string} step - Agent step
+ * @returns {Object|null} - {provider (or null for the primary), model}, or null if unset
+ */
+function parseModelOverride(step) {
+    const value = (process.env[`AI_MODEL_${step.toUpperCase()}`] || '').trim();
+    if (!value) {
+        return null;
+    }
+
+    const colon = value.indexOf(':');
+    if (colon > 0 && getProviderByName(value.slice(0, colon))) {
+        return { provider: value.slice(0, colon), model: value.slice(colon + 1) };
+    }
+    return { provider: null, model: value };
+}
 
-        aiClient = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
+/**
+ * Helper: The providers and models to try for a step, in order
+ * A step override replaces the primary; the fallback providers follow with their default models
+ * @param {string} step - Agent step, or undefined
+ * @returns {Array<Object>} - [{name, provider, model}]
+ */
+function resolveRoute(step) {
+    const override = step ? parseModelOverride(step) : null;
+    const primaryName = (override && override.provider) || currentProvider;
+    const primary = getProviderByName(primaryName);
 
-        console.log('✓ AI Client initialized: OpenAI');
-    } else if (provider === 'groq') {
-        if (!process.env.GROQ_API_KEY) {
-            throw new Error('GROQ_API_KEY is required when using Groq provider');
+    const route = [{
+        name: primaryName,
+        provider: primary,
+        model: (override && override.model) || primary.getDefaultModel()
+    }];
+
+    for (const name of [currentProvider, ...getFallbackNames()]) {
+        const provider = getProviderByName(name);
+        if (provider && provider.isConfigured() && !route.some(entry => entry.name === name)) {
+            route.push({ name, provider, model: provider.getDefaultModel() });
         }
+    }
+    return route;
+}
+
+/**
+ * Helper: Whether a failed call is worth repeating
+ * @param {Error} error - Provider error
+ * @returns {boolean} - True for timeouts, dropped connections, rate limits and server errors
+ */
+function isRetryable(error) {
+    return Boolean(error.retryable) || RETRYABLE_STATUSES.has(error.status) || error.status >= 500;
+}
 
-        // Groq uses OpenAI-compatible API
-        aiClient = new OpenAI({
-            apiKey: process.env.GROQ_API_KEY,
-            baseURL: 'https://api.groq.com/openai/v1'
-        });
+/**
+ * Helper: Delay before retry number `attempt` (1-based): exponential with jitter, or the
+ * server's Retry-After when it sent one
+ * @param {number} attempt - Retry number
+ * @param {Error} error - The error being retried
+ * @returns {number} - Delay in ms
+ */
+function retryDelay(attempt, error) {
+    if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+        return error.retryAfterMs;
+    }
 
-        console.log('✓ AI Client initialized: Groq (Free & Fast!)');
-    } else {
-        throw new Error(`Unsupported AI provider: ${provider}`);
+    const base = readNonNegativeInt('AI_RETRY_BASE_MS', 500);
+    const exponential = Math.min(base * 2 ** (attempt - 1), readNonNegativeInt('AI_MAX_RETRY_DELAY_MS', 10000));
+    return exponential / 2 + Math.random() * exponential / 2;
+}
+
+/**
+ * Helper: Call one provider, retrying transient failures
+ * Nothing is retried once tokens have been streamed to the caller, since they can't be taken back
+ * @param {Object} entry - {name, provider, model}
+ * @param {Object} request - {messages, jsonMode, tools, onToken, step}
+ * @param {Object} state - {streamed}: set when a token has been passed on
+ * @returns {Promise<Object>} - Assistant message
+ */
+async function completeWithRetries(entry, request, state) {
+    const maxRetries = readNonNegativeInt('AI_MAX_RETRIES', 2);
+    const timeoutMs = readNonNegativeInt('AI_TIMEOUT_MS', 30000) || undefined;
+    const onToken = request.onToken && (token => {
+        state.streamed = true;
+        request.onToken(token);
+    });
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await entry.provider.complete({ ...request, onToken, model: entry.model, timeoutMs });
+        } catch (error) {
+            if (state.streamed || attempt >= maxRetries || !isRetryable(error)) {
+                throw error;
+            }
+
+            // A server asking for a long wait is better served by the next provider
+            const delay = retryDelay(attempt + 1, error);
+            if (delay > readNonNegativeInt('AI_MAX_RETRY_DELAY_MS', 10000)) {
+                throw error;
+            }
+
+            console.warn(`⚠️ ${entry.name} request failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Send a list of chat messages to the AI model and get the assistant's reply
+ * Tries the step's provider first, then each fallback provider in turn, records the usage of
+ * the call that succeeds, and adds every attempt to the request's trace
+ * @param {Array} messages - Chat messages [{role, content, ...}]
+ * @param {Object} options - {jsonMode, tools, onToken, step}
+ * @param {boolean} options.jsonMode - Whether to expect JSON response
+ * @param {Array} options.tools - Function schemas the model may call
+ * @param {Function} options.onToken - If set, the reply is streamed and each text token passed here
+ * @param {string} options.step - Agent step making the call (one of AI_STEPS), for its model override
+ * @returns {Promise<Object>} - Assistant message {content, tool_calls}
+ * @throws {QuotaExceededError} - If the user is over quota and the step is skipped or refused (see enforceQuota)
+ */
+export async function createChatCompletion(messages, options = {}) {
+    if (!currentProvider) {
+        throw new Error('AI client not initialized. Call initializeAI() first.');
     }
+
+    try {
+        await enforceQuota(options.step);
+    } catch (error) {
+        traceStep('quota_exceeded', { step: options.step, quota: error.quota });
+        throw error;
+    }
+
+    const route = resolveRoute(options.step);
+    const state = { streamed: false };
+    const request = {
+        messages,
+        jsonMode: Boolean(options.jsonMode),
+        tools: options.tools,
+        onToken: options.onToken,
+        step: options.step
+    };
+
+    let lastError = null;
+    for (const entry of route) {
+        const startedAt = Date.now();
+        const call = { step: options.step, provider: entry.name, model: entry.model, messages };
+        let reply;
+        try {
+            reply = await completeWithRetries(entry, request, state);
+        } catch (error) {
+            lastError = error;
+            console.error(`AI API Error (${entry.name}, ${entry.model}):`, error.message);
+            traceModelCall({ ...call, latencyMs: Date.now() - startedAt, error });
+            if (state.streamed) {
+                break;
+            }
+            continue;
+        }
+
+        // Recorded in the background; a slow or failed write shouldn't hold up the reply
+        const { usage, ...message } = reply;
+        recordUsage({ ...call, usage, reply: message });
+        traceModelCall({ ...call, reply: message, usage, latencyMs: Date.now() - startedAt });
+        return message;
+    }
+
+    throw new Error(`AI request failed: ${lastError.message}`);
 }
 
 /**
@@ -48,50 +266,136 @@ export function initializeAI() {
  * @param {string} systemPrompt - The system instruction for the AI
  * @param {string} userMessage - The user's message
  * @param {boolean} jsonMode - Whether to expect JSON response
+ * @param {Array} history - Previous conversation turns [{role, content}]
+ * @param {Function} onToken - If set, the response is streamed and each text token passed here
+ * @param {Object} options - {step}: the agent step making the call, for its model override
  * @returns {Promise<string>} - The AI's response
  */
-export async function sendMessage(systemPrompt, userMessage, jsonMode = false) {
-    if (!aiClient) {
-        throw new Error('AI client not initialized. Call initializeAI() first.');
+export async function sendMessage(systemPrompt, userMessage, jsonMode = false, history = [], onToken = null, options = {}) {
+    const messages = [
+        { role: 'system', content: systemPrompt },
+        ...history,
+        { role: 'user', content: userMessage }
+    ];
+
+    const reply = await createChatCompletion(messages, { jsonMode, onToken, step: options.step });
+
+    return reply.content;
+}
+
+/**
+ * Get the current AI provider name
+ */
+export function getProvider() {
+    return currentProvider || process.env.AI_PROVIDER || 'openai';
+}
+
+/**
+ * Embedding Providers
+ * Turn texts into vectors for semantic search. Each provider has:
+ * - model: identifies the vectors it makes (stored with them, so switching providers re-embeds)
+ * - isAvailable(): whether it is configured
+ * - embed(texts): Promise of one vector per text
+ * Register another provider with registerEmbeddingProvider() and select it with EMBEDDING_PROVIDER.
+ */
+
+/**
+ * OpenAI Embeddings
+ * Uses OPENAI_API_KEY (and OPENAI_BASE_URL, if set) even when chat runs on another provider
+ */
+const openaiEmbeddingProvider = {
+    get model() {
+        return `openai:${process.env.EMBEDDING_MODEL || 'text-embedding-3-small'}`;
+    },
+
+    isAvailable() {
+        return Boolean(process.env.OPENAI_API_KEY);
+    },
+
+    async embed(texts) {
+        if (!embeddingClient) {
+            embeddingClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+        }
+
+        const vectors = [];
+        for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+            const response = await embeddingClient.embeddings.create({
+                model: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+                input: texts.slice(i, i + EMBEDDING_BATCH_SIZE)
+            });
+            vectors.push(...response.data.sort((a, b) => a.index - b.index).map(item => item.embedding));
+        }
+        return vectors;
     }
+};
 
-    // Get model based on provider
-    let model;
-    if (currentProvider === 'groq') {
-        model = process.env.GROQ_MODEL || 'llama-3.3-70b-versatile';
-    } else {
-        model = process.env.OPENAI_MODEL || 'gpt-3.5-turbo';
+/**
+ * Local Embeddings
+ * Deterministic and offline; the fallback whenever no other provider works
+ */
+const localEmbeddingProvider = {
+    model: `local:hash-${LOCAL_DIMENSIONS}`,
+
+    isAvailable() {
+        return true;
+    },
+
+    async embed(texts) {
+        return texts.map(text => localEmbed(text));
     }
+};
 
-    try {
-        const messages = [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userMessage }
-        ];
-
-        const params = {
-            model: model,
-            messages: messages,
-            temperature: 0.7
-        };
-
-        // Enable JSON mode if requested (for structured outputs)
-        if (jsonMode) {
-            params.response_format = { type: 'json_object' };
-        }
+const embeddingProviders = new Map([
+    ['openai', openaiEmbeddingProvider],
+    ['local', localEmbeddingProvider]
+]);
 
-        const response = await aiClient.chat.completions.create(params);
+/**
+ * Add or replace an embedding provider
+ * @param {string} name - Provider name, as used in EMBEDDING_PROVIDER
+ * @param {Object} provider - {model, isAvailable(), embed(texts)}
+ */
+export function registerEmbeddingProvider(name, provider) {
+    if (!provider.model || typeof provider.isAvailable !== 'function' || typeof provider.embed !== 'function') {
+        throw new Error('An embedding provider needs a model and isAvailable() and embed(texts) functions');
+    }
+    embeddingProviders.set(name, provider);
+}
 
-        return response.choices[0].message.content;
-    } catch (error) {
-        console.error('AI API Error:', error.message);
-        throw new Error(`AI request failed: ${error.message}`);
+/**
+ * Get the name of the embedding provider to use
+ * EMBEDDING_PROVIDER picks one; otherwise OpenAI if a key is set, else local
+ * @returns {string} - Provider name
+ */
+export function getEmbeddingProvider() {
+    if (process.env.EMBEDDING_PROVIDER) {
+        return process.env.EMBEDDING_PROVIDER;
     }
+    return openaiEmbeddingProvider.isAvailable() ? 'openai' : 'local';
 }
 
 /**
- * Get the current AI provider name
+ * Embed texts, falling back to the local provider if the chosen one is missing or fails
+ * @param {Array<string>} texts - Texts to embed
+ * @param {Object} options - {provider}: use this provider instead of the configured one
+ *   (e.g. to match vectors made earlier in the same search)
+ * @returns {Promise<Object>} - {vectors, provider, model}
  */
-export function getProvider() {
-    return currentProvider || process.env.AI_PROVIDER || 'openai';
+export async function embedTexts(texts, options = {}) {
+    const name = options.provider || getEmbeddingProvider();
+    const provider = embeddingProviders.get(name);
+
+    if (provider && provider.isAvailable()) {
+        try {
+            const vectors = await provider.embed(texts);
+            return { vectors, provider: name, model: provider.model };
+        } catch (error) {
+            console.warn(`⚠️ Embedding provider "${name}" failed, using local embeddings:`, error.message);
+        }
+    } else {
+        console.warn(`⚠️ Embedding provider "${name}" is not available, using local embeddings`);
+    }
+
+    const vectors = await localEmbeddingProvider.embed(texts);
+    return { vectors, provider: 'local', model: localEmbeddingProvider.model };
 }
@@ -0,0 +1,53 @@
+/**
+ * CORS Configuration
+ * CORS_ORIGINS lists the origins browsers may call the API from, comma-separated
+ * (e.g. "https://app.example.com,https://admin.example.com"); "*" allows any origin.
+ * Unset, only localhost origins are allowed outside production, and none in production.
+ */
+
+const LOCALHOST_ORIGIN = /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/;
+
+/**
+ * Helper: The configured origin allowlist
+ * @returns {Array<string>|null} - Origins, or null when CORS_ORIGINS is unset
+ */
+function getAllowedOrigins() {
+    if (!process.env.CORS_ORIGINS) {
+        return null;
+    }
+    return process.env.CORS_ORIGINS
+        .split(',')
+        .map(origin => origin.trim().replace(/\/$/, ''))
+        .filter(Boolean);
+}
+
+/**
+ * Whether browsers may call the API from an origin
+ * @param {string} origin - Value of the Origin header
+ * @returns {boolean} - Whether the origin is allowed
+ */
+export function isAllowedOrigin(origin) {
+    const allowed = getAllowedOrigins();
+    if (!allowed) {
+        return process.env.NODE_ENV !== 'production' && LOCALHOST_ORIGIN.test(origin);
+    }
+    return allowed.includes('*') || allowed.includes(origin);
+}
+
+/**
+ * Options for the cors middleware
+ * Requests without an Origin header (curl, server-to-server) aren't affected by CORS at all
+ * @returns {Object} - cors options
+ */
+export function getCorsOptions() {
+    if (!getAllowedOrigins()) {
+        console.warn(process.env.NODE_ENV === 'production'
+            ? '⚠️ CORS_ORIGINS is not set: browsers on other origins cannot call the API'
+            : '⚠️ CORS_ORIGINS is not set: allowing localhost origins only');
+    }
+
+    return {
+        origin: (origin, callback) => callback(null, !origin || isAllowedOrigin(origin)),
+        exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'X-Request-Id']
+    };
+}
@@ -0,0 +1,283 @@
+/**
+ * Mock Provider
+ * A deterministic stand-in for an LLM, for tests and offline development (AI_PROVIDER=mock).
+ * It recognizes the agent's steps and answers with rule-based output in the format each
+ * step expects: the same input always gives the same reply, and nothing leaves the machine.
+ * Tests can script replies with setMockResponder().
+ */
+
+let responder = null;
+
+const DATE_PHRASE = new RegExp(
+    '\\b(?:(?:on|by|this|next|coming)\\s+)?(?:today|tonight|tomorrow|next (?:week|month|year)|'
+    + 'monday|tuesday|wednesday|thursday|friday|saturday|sunday)'
+    + '(?:\\s+(?:at\\s+)?\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)?)?\\b',
+    'i'
+);
+const LEAD_INS = /^(?:please\s+)?(?:remind me to|remind me|i need to|i have to|i must|i should|add a task to|add|create a task to|create|todo:?|to-do:?)\s+/i;
+const ACTION_WORDS = new Set([
+    'mark', 'done', 'complete', 'completed', 'finished', 'finish', 'delete', 'remove', 'cancel', 'move',
+    'reschedule', 'postpone', 'push', 'rename', 'change', 'edit', 'update', 'the', 'a', 'an', 'my', 'to',
+    'as', 'it', 'that', 'this', 'task', 'thing', 'please', 'i', 'did', 'already', 'add', 'something',
+    'about', 'have', 'anything', 'find', 'search', 'for', 'do', 'any', 'tasks', 'on', 'with', 'is', 'all'
+]);
+
+const INTENT_RULES = [
+    ['search', /\b(did i (already )?add|do i (already )?have (a|any)thing|already (added|have)|find|search|look for)\b/i],
+    ['delete', /\b(delete|remove|cancel|get rid of)\b/i],
+    ['complete', /\b(done|finished|completed?|mark .* done)\b/i],
+    ['reschedule', /\b(move|reschedule|postpone|push .* to)\b/i],
+    ['edit', /\b(rename|change|edit|update|tips for)\b/i],
+    ['overdue', /\b(overdue|missed|did i miss|behind on)\b/i],
+    ['plan', /\b(plan my|plan (the|this)|prioriti[sz]e|focus on)\b/i],
+    ['list', /\b(what do i have|what('s| is) on|list|show( me)?( all)? my|my tasks|agenda)\b/i],
+    ['create', /\b(remind|add|create|need to|have to|schedule|todo|to-do|must|should)\b/i]
+];
+
+/**
+ * Script the mock's replies, e.g. from a test
+ * @param {Function|null} fn - Called with the request {step, model, messages, jsonMode, tools};
+ *   returns reply text, an assistant message, or undefined to use the built-in rules. null removes it.
+ */
+export function setMockResponder(fn) {
+    responder = fn;
+}
+
+/**
+ * Helper: Classify a message with keyword rules
+ * @param {string} text - User message
+ * @returns {string} - Intent
+ */
+function classify(text) {
+    const rule = INTENT_RULES.find(([, pattern]) => pattern.test(text));
+    return rule ? rule[0] : 'none';
+}
+
+/**
+ * Helper: Turn a request into a short title: no lead-ins, date phrase or hashtags
+ * @param {string} text - User message
+ * @returns {string} - Title
+ */
+function toTitle(text) {
+    const title = text
+        .replace(DATE_PHRASE, '')
+        .replace(/(^|\s)#[\p{L}\p{N}_-]+/gu, '')
+        .trim()
+        .replace(LEAD_INS, '')
+        .replace(/[.!?\s]+$/, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, 50);
+    return title ? title[0].toUpperCase() + title.slice(1) : 'New task';
+}
+
+/**
+ * Helper: Split a request listing several tasks ("buy milk, call the bank and finish the report")
+ * @param {string} text - User message
+ * @returns {Array<string>} - One part per task (just the message when it has no "a, b and c" list)
+ */
+function splitTasks(text) {
+    return /,.*\sand\s/i.test(text)
+        ? text.split(/\s*,\s*(?:and\s+)?|\s+and\s+/i).filter(part => part.trim())
+        : [text];
+}
+
+/**
+ * Helper: Key words of a message that refer to an existing task
+ * @param {string} text - User message
+ * @returns {string} - Reference
+ */
+function toReference(text) {
+    return text
+        .replace(DATE_PHRASE, '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word && !ACTION_WORDS.has(word))
+        .join(' ');
+}
+
+/**
+ * Helper: The task title quoted in an advice or checklist prompt
+ * @param {string} prompt - System prompt
+ * @returns {string} - Title
+ */
+function quotedTask(prompt) {
+    const match = /Task: <user_content>([\s\S]*?)<\/user_content>/.exec(prompt);
+    return match ? match[1] : 'this task';
+}
+
+/**
+ * Helper: Reply for one step of the fixed pipeline
+ * @param {string} step - Pipeline step
+ * @param {string} prompt - System prompt
+ * @param {string} text - Last user message
+ * @param {boolean} jsonMode - Whether JSON is expected
+ * @returns {string} - Reply text
+ */
+function pipelineReply(step, prompt, text, jsonMode) {
+    const when = (DATE_PHRASE.exec(text) || [null])[0];
+
+    if (step === 'classify') {
+        return JSON.stringify({ intent: classify(text), confidence: 0.9 });
+    }
+
+    if (step === 'extract' && /existing tasks/.test(prompt)) {
+        return JSON.stringify({
+            taskReference: toReference(text),
+            when,
+            date: null,
+            time: null,
+            durationMinutes: null,
+            title: null,
+            notes: null,
+            priority: null,
+            tags: null,
+            project: null,
+            adviceRequested: /\b(tips|advice)\b/i.test(text),
+            dateFrom: null,
+            dateTo: null,
+            includeCompleted: /\b(done|finished|completed)\b/i.test(text),
+            applyToSeries: /\b(every time|all of them|whole series|altogether)\b/i.test(text)
+        });
+    }
+
+    if (step === 'extract') {
+        return JSON.stringify({
+            tasks: splitTasks(text).map(part => ({
+                title: toTitle(part),
+                when: (DATE_PHRASE.exec(part) || [when])[0],
+                date: null,
+                time: null,
+                durationMinutes: null,
+                notes: '',
+                recurrence: null,
+                priority: /\b(urgent|asap)\b/i.test(text) ? 'urgent' : 'medium',
+                tags: [],
+                project: null
+            }))
+        });
+    }
+
+    if (step === 'plan') {
+        const titles = [...prompt.matchAll(/- (?:\[ \] )?<user_content>([\s\S]*?)<\/user_content>/g)].map(match => match[1]);
+        return titles.length > 0
+            ? titles.map((title, index) => `${index + 1}. ${title}`).join('\n')
+            : 'Nothing is planned and nothing is overdue - enjoy the free time.';
+    }
+
+    if (step === 'advice' && jsonMode) {
+        const title = quotedTask(prompt);
+        return JSON.stringify({
+            advice: `Here's a simple plan for "${title}".`,
+            subtasks: [`Plan how to ${title.toLowerCase()}`, 'Set aside time for it', 'Check the result when done']
+        });
+    }
+
+    if (step === 'advice') {
+        const title = quotedTask(prompt);
+        return `1. Break "${title}" into small steps\n2. Start with the easiest step\n3. Set a time to finish it`;
+    }
+
+    if (jsonMode) {
+        return '{}';
+    }
+    return `I'm your task assistant. You said: "${text}". Try "Remind me to study tomorrow" to add a task.`;
+}
+
+/**
+ * Helper: Next message of the tool-calling loop: call one tool for the user's message,
+ * then summarize its result
+ * @param {Array} messages - Chat messages
+ * @param {Array} tools - Declared tools
+ * @returns {Object} - Assistant message
+ */
+function toolLoopReply(messages, tools) {
+    const last = messages[messages.length - 1];
+    const available = new Set(tools.map(tool => tool.function.name));
+
+    if (last.role === 'tool') {
+        let result = {};
+        try {
+            result = JSON.parse(last.content);
+        } catch (error) {
+            // Summarize whatever came back as plain text
+        }
+
+        let content;
+        if (result.error) content = `Sorry, that didn't work: ${result.error}`;
+        else if (result.task) content = `Done: "${result.task.title}".`;
+        else if (result.agenda) content = `You have ${result.agenda.totals.open} open and ${result.agenda.totals.overdue} overdue task(s).`;
+        else if (result.tasks) content = `You have ${result.tasks.length} task(s).`;
+        else if (result.matches) content = result.matches.length > 0
+            ? `I found ${result.matches.length} matching task(s): ${result.matches.map(match => match.task.title).join(', ')}.`
+            : "I couldn't find a matching task.";
+        else content = 'Done.';
+        return { role: 'assistant', content };
+    }
+
+    const text = last.content || '';
+    const intent = classify(text);
+    const call = (name, args) => ({
+        role: 'assistant',
+        content: null,
+        tool_calls: [{
+            id: `call_mock_${messages.length}`,
+            type: 'function',
+            function: { name, arguments: JSON.stringify(args) }
+        }]
+    });
+
+    const when = (DATE_PHRASE.exec(text) || [null])[0];
+    if (intent === 'create' && available.has('create_task')) {
+        return call('create_task', when ? { title: toTitle(text), when } : { title: toTitle(text) });
+    }
+    if (intent === 'list' && available.has('list_tasks')) {
+        return call('list_tasks', { completed: false });
+    }
+    if ((intent === 'plan' || intent === 'overdue') && available.has('get_agenda')) {
+        return call('get_agenda', { period: /\bweek\b/i.test(text) ? 'week' : 'day' });
+    }
+    if (intent === 'search' && available.has('find_tasks')) {
+        return call('find_tasks', { query: toReference(text) || text, includeCompleted: true });
+    }
+    return { role: 'assistant', content: pipelineReply('chat', '', text, false) };
+}
+
+export const mockProvider = {
+    label: 'Mock (deterministic)',
+    requirement: '',
+
+    isConfigured() {
+        return true;
+    },
+
+    getDefaultModel() {
+        return 'mock-1';
+    },
+
+    async complete(request) {
+        const { step, messages, jsonMode, tools, onToken } = request;
+
+        let message;
+        const scripted = responder ? await responder(request) : undefined;
+        if (typeof scripted === 'string') {
+            message = { role: 'assistant', content: scripted };
+        } else if (scripted) {
+            message = { role: 'assistant', ...scripted };
+        } else if (tools && tools.length > 0) {
+            message = toolLoopReply(messages, tools);
+        } else {
+            const prompt = (messages.find(entry => entry.role === 'system') || {}).content || '';
+            const lastUser = [...messages].reverse().find(entry => entry.role === 'user');
+            message = { role: 'assistant', content: pipelineReply(step, prompt, (lastUser && lastUser.content) || '', jsonMode) };
+        }
+
+        // Stream word by word so streaming code paths are exercised too
+        if (onToken && message.content) {
+            for (const piece of message.content.match(/\S+\s*|\s+/g)) {
+                onToken(piece);
+            }
+        }
+        return message;
+    }
+};
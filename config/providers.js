@@ -0,0 +1,429 @@
+import OpenAI from 'openai';
+import { mockProvider } from './mockProvider.js';
+
+/**
+ * LLM Providers
+ * Each provider turns a chat request into an assistant message {role, content, tool_calls}:
+ * - label: name for logs
+ * - requirement: what must be configured, shown when it isn't
+ * - isConfigured(): whether its settings are present
+ * - getDefaultModel(): model used unless a step override names one
+ * - complete({model, messages, jsonMode, tools, onToken, timeoutMs, step}): the request; messages and
+ *   tools use the chat-completions format, and step names the agent step making it.
+ *   The message may carry usage {inputTokens, outputTokens} when the API reports it.
+ *   Failures throw an Error with .status (HTTP status, if any),
+ *   .retryable (for timeouts and dropped connections) and .retryAfterMs (if the server sent Retry-After)
+ * Register another provider with registerProvider() and name it in AI_PROVIDER or AI_FALLBACK_PROVIDERS.
+ */
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Helper: Read a Retry-After header value
+ * @param {string|null} value - Seconds or an HTTP date
+ * @returns {number|null} - Delay in ms, or null if absent or unreadable
+ */
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Helper: Build a provider error carrying what the retry logic needs
+ * @param {string} message - Error message
+ * @param {Object} details - {status, retryable, retryAfterMs}
+ * @returns {Error} - Error
+ */
+function providerError(message, { status = null, retryable = false, retryAfterMs = null } = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.retryable = retryable;
+    error.retryAfterMs = retryAfterMs;
+    return error;
+}
+
+/**
+ * Helper: Convert chat-completions token counts
+ * @param {Object} usage - {prompt_tokens, completion_tokens}
+ * @returns {Object} - {inputTokens, outputTokens}
+ */
+function toUsage(usage) {
+    return { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 };
+}
+
+/**
+ * Helper: Assemble a streamed completion into a single assistant message
+ * @param {AsyncIterable} stream - Chat completion chunks
+ * @param {Function} onToken - Called with each piece of text as it arrives
+ * @returns {Promise<Object>} - Assistant message {role, content, tool_calls}
+ */
+async function collectStream(stream, onToken) {
+    const message = { role: 'assistant', content: '', tool_calls: [] };
+
+    for await (const chunk of stream) {
+        // Usage comes in the last chunk (Groq puts it under x_groq)
+        const usage = chunk.usage || (chunk.x_groq && chunk.x_groq.usage);
+        if (usage) {
+            message.usage = toUsage(usage);
+        }
+
+        const delta = (chunk.choices[0] && chunk.choices[0].delta) || {};
+
+        if (delta.content) {
+            message.content += delta.content;
+            onToken(delta.content);
+        }
+
+        // Tool calls arrive in fragments keyed by index
+        for (const fragment of delta.tool_calls || []) {
+            if (!message.tool_calls[fragment.index]) {
+                message.tool_calls[fragment.index] = {
+                    id: fragment.id,
+                    type: 'function',
+                    function: { name: '', arguments: '' }
+                };
+            }
+
+            const call = message.tool_calls[fragment.index];
+            if (fragment.id) call.id = fragment.id;
+            if (fragment.function && fragment.function.name) call.function.name += fragment.function.name;
+            if (fragment.function && fragment.function.arguments) call.function.arguments += fragment.function.arguments;
+        }
+    }
+
+    if (message.tool_calls.length === 0) {
+        delete message.tool_calls;
+    }
+
+    return message;
+}
+
+/**
+ * Create a provider for an OpenAI-compatible chat-completions API
+ * (OpenAI itself, Groq, Ollama, llama.cpp, vLLM, LM Studio, ...)
+ * @param {Object} config - {label, requirement, getApiKey(), getBaseURL(), getDefaultModel(), isConfigured()}
+ * @returns {Object} - Provider
+ */
+export function createOpenAICompatibleProvider(config) {
+    const clients = new Map();
+
+    // One client per key and URL, so changed settings take effect
+    const getClient = () => {
+        const apiKey = config.getApiKey() || 'not-needed';
+        const baseURL = config.getBaseURL() || undefined;
+        const cacheKey = `${apiKey}|${baseURL}`;
+        if (!clients.has(cacheKey)) {
+            // Retries are handled by config/ai.js, with backoff and fallback
+            clients.set(cacheKey, new OpenAI({ apiKey, baseURL, maxRetries: 0 }));
+        }
+        return clients.get(cacheKey);
+    };
+
+    return {
+        label: config.label,
+        requirement: config.requirement,
+        isConfigured: config.isConfigured,
+        getDefaultModel: config.getDefaultModel,
+
+        async complete({ model, messages, jsonMode, tools, onToken, timeoutMs }) {
+            const params = {
+                model,
+                messages,
+                temperature: 0.7
+            };
+
+            // Enable JSON mode if requested (for structured outputs)
+            if (jsonMode) {
+                params.response_format = { type: 'json_object' };
+            }
+
+            // Let the model call functions if any are declared
+            if (tools && tools.length > 0) {
+                params.tools = tools;
+                params.tool_choice = 'auto';
+            }
+
+            try {
+                // Stream token by token if the caller wants to see progress
+                if (onToken) {
+                    params.stream = true;
+                    params.stream_options = { include_usage: true };
+                    const stream = await getClient().chat.completions.create(params, { timeout: timeoutMs });
+                    return await collectStream(stream, onToken);
+                }
+
+                const response = await getClient().chat.completions.create(params, { timeout: timeoutMs });
+                const message = response.choices[0].message;
+                if (response.usage) {
+                    message.usage = toUsage(response.usage);
+                }
+                return message;
+            } catch (error) {
+                if (error instanceof OpenAI.APIConnectionError) {
+                    throw providerError(error.message, { retryable: true });
+                }
+                if (error instanceof OpenAI.APIError) {
+                    const headers = error.headers || {};
+                    throw providerError(error.message, {
+                        status: error.status,
+                        retryAfterMs: parseRetryAfter(headers['retry-after'])
+                    });
+                }
+                throw error;
+            }
+        }
+    };
+}
+
+/**
+ * Helper: Convert chat-completions messages to an Anthropic Messages API request body
+ * System messages become the system prompt; tool calls and results become tool_use / tool_result
+ * blocks; consecutive messages from the same side are merged, as the API requires
+ * @param {Array} messages - Chat messages [{role, content, tool_calls, tool_call_id}]
+ * @param {boolean} jsonMode - Ask for (and prefill) a JSON object
+ * @param {Array} tools - Tool schemas in chat-completions format
+ * @returns {Object} - {system, messages, tools}
+ */
+function toAnthropicRequest(messages, jsonMode, tools) {
+    const systemParts = [];
+    const converted = [];
+
+    const append = (role, blocks) => {
+        const previous = converted[converted.length - 1];
+        if (previous && previous.role === role) {
+            previous.content.push(...blocks);
+        } else {
+            converted.push({ role, content: blocks });
+        }
+    };
+
+    for (const message of messages) {
+        if (message.role === 'system') {
+            systemParts.push(message.content);
+        } else if (message.role === 'tool') {
+            append('user', [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: String(message.content) }]);
+        } else if (message.role === 'assistant') {
+            const blocks = message.content ? [{ type: 'text', text: message.content }] : [];
+            for (const call of message.tool_calls || []) {
+                let input = {};
+                try {
+                    input = JSON.parse(call.function.arguments || '{}');
+                } catch (error) {
+                    // Keep the call; the model sees it had no usable arguments
+                }
+                blocks.push({ type: 'tool_use', id: call.id, name: call.function.name, input });
+            }
+            if (blocks.length > 0) append('assistant', blocks);
+        } else {
+            // The API rejects empty user turns (e.g. advice prompts that are all system prompt)
+            append('user', [{ type: 'text', text: message.content || 'Go ahead.' }]);
+        }
+    }
+
+    if (converted.length === 0 || converted[0].role !== 'user') {
+        converted.unshift({ role: 'user', content: [{ type: 'text', text: 'Go ahead.' }] });
+    }
+
+    const request = { system: systemParts.join('\n\n'), messages: converted };
+
+    if (tools && tools.length > 0) {
+        request.tools = tools.map(({ function: fn }) => ({
+            name: fn.name,
+            description: fn.description,
+            input_schema: fn.parameters
+        }));
+    } else if (jsonMode) {
+        // No JSON mode in the API: ask for JSON and start the reply with "{"
+        request.system += '\n\nRespond with ONLY a JSON object.';
+        append('assistant', [{ type: 'text', text: '{' }]);
+    }
+
+    return request;
+}
+
+/**
+ * Helper: Read an Anthropic server-sent event stream into an assistant message
+ * @param {Response} response - Streaming fetch response
+ * @param {Function} onToken - Called with each piece of text
+ * @returns {Promise<Object>} - {content, toolUses: [{id, name, json}], usage: {inputTokens, outputTokens}}
+ */
+async function readAnthropicStream(response, onToken) {
+    const decoder = new TextDecoder();
+    const toolUses = new Map();
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    let content = '';
+    let buffer = '';
+
+    const handleEvent = (data) => {
+        if (data.type === 'message_start') {
+            usage.inputTokens = data.message.usage.input_tokens || 0;
+        } else if (data.type === 'message_delta' && data.usage) {
+            usage.outputTokens = data.usage.output_tokens || 0;
+        } else if (data.type === 'content_block_start' && data.content_block.type === 'tool_use') {
+            toolUses.set(data.index, { id: data.content_block.id, name: data.content_block.name, json: '' });
+        } else if (data.type === 'content_block_delta' && data.delta.type === 'text_delta') {
+            content += data.delta.text;
+            onToken(data.delta.text);
+        } else if (data.type === 'content_block_delta' && data.delta.type === 'input_json_delta') {
+            toolUses.get(data.index).json += data.delta.partial_json;
+        } else if (data.type === 'error') {
+            throw providerError(data.error.message, { retryable: data.error.type === 'overloaded_error' });
+        }
+    };
+
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const event = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            const dataLine = event.split('\n').find(line => line.startsWith('data:'));
+            if (dataLine) {
+                handleEvent(JSON.parse(dataLine.slice(5).trim()));
+            }
+        }
+    }
+
+    return { content, toolUses: [...toolUses.values()], usage };
+}
+
+/**
+ * Anthropic Provider
+ * Calls the Messages API directly (ANTHROPIC_API_KEY, ANTHROPIC_MODEL, ANTHROPIC_MAX_TOKENS)
+ */
+const anthropicProvider = {
+    label: 'Anthropic',
+    requirement: 'ANTHROPIC_API_KEY is required when using Anthropic provider',
+
+    isConfigured() {
+        return Boolean(process.env.ANTHROPIC_API_KEY);
+    },
+
+    getDefaultModel() {
+        return process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest';
+    },
+
+    async complete({ model, messages, jsonMode, tools, onToken, timeoutMs }) {
+        const request = toAnthropicRequest(messages, jsonMode, tools);
+        const prefill = request.tools ? '' : (jsonMode ? '{' : '');
+
+        let response;
+        try {
+            response = await fetch(process.env.ANTHROPIC_BASE_URL || ANTHROPIC_API_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': process.env.ANTHROPIC_API_KEY,
+                    'anthropic-version': ANTHROPIC_VERSION
+                },
+                body: JSON.stringify({
+                    model,
+                    max_tokens: parseInt(process.env.ANTHROPIC_MAX_TOKENS, 10) || 1024,
+                    temperature: 0.7,
+                    stream: Boolean(onToken),
+                    ...request
+                }),
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+        } catch (error) {
+            throw providerError(`Anthropic request failed: ${error.message}`, { retryable: true });
+        }
+
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw providerError(`Anthropic API error ${response.status}: ${(body.error && body.error.message) || response.statusText}`, {
+                status: response.status,
+                retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+            });
+        }
+
+        let content;
+        let toolUses;
+        let usage;
+        if (onToken) {
+            if (prefill) onToken(prefill);
+            ({ content, toolUses, usage } = await readAnthropicStream(response, onToken));
+        } else {
+            const body = await response.json();
+            usage = { inputTokens: body.usage.input_tokens || 0, outputTokens: body.usage.output_tokens || 0 };
+            content = body.content.filter(block => block.type === 'text').map(block => block.text).join('');
+            toolUses = body.content
+                .filter(block => block.type === 'tool_use')
+                .map(block => ({ id: block.id, name: block.name, json: JSON.stringify(block.input) }));
+        }
+
+        const message = { role: 'assistant', content: prefill + content, usage };
+        if (toolUses.length > 0) {
+            message.tool_calls = toolUses.map(use => ({
+                id: use.id,
+                type: 'function',
+                function: { name: use.name, arguments: use.json || '{}' }
+            }));
+        }
+        return message;
+    }
+};
+
+const providers = new Map([
+    ['openai', createOpenAICompatibleProvider({
+        label: 'OpenAI',
+        requirement: 'OPENAI_API_KEY is required when using OpenAI provider',
+        getApiKey: () => process.env.OPENAI_API_KEY,
+        getBaseURL: () => process.env.OPENAI_BASE_URL,
+        getDefaultModel: () => process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
+        isConfigured: () => Boolean(process.env.OPENAI_API_KEY)
+    })],
+    ['groq', createOpenAICompatibleProvider({
+        label: 'Groq (Free & Fast!)',
+        requirement: 'GROQ_API_KEY is required when using Groq provider',
+        getApiKey: () => process.env.GROQ_API_KEY,
+        getBaseURL: () => 'https://api.groq.com/openai/v1',
+        getDefaultModel: () => process.env.GROQ_MODEL || 'llama-3.3-70b-versatile',
+        isConfigured: () => Boolean(process.env.GROQ_API_KEY)
+    })],
+    ['openai-compatible', createOpenAICompatibleProvider({
+        label: 'OpenAI-compatible server',
+        requirement: 'OPENAI_COMPATIBLE_BASE_URL is required when using the openai-compatible provider '
+            + '(e.g. http://localhost:11434/v1 for Ollama, http://localhost:8080/v1 for llama.cpp)',
+        getApiKey: () => process.env.OPENAI_COMPATIBLE_API_KEY,
+        getBaseURL: () => process.env.OPENAI_COMPATIBLE_BASE_URL,
+        getDefaultModel: () => process.env.OPENAI_COMPATIBLE_MODEL || 'llama3.1',
+        isConfigured: () => Boolean(process.env.OPENAI_COMPATIBLE_BASE_URL)
+    })],
+    ['anthropic', anthropicProvider],
+    ['mock', mockProvider]
+]);
+
+/**
+ * Add or replace a provider
+ * @param {string} name - Provider name, as used in AI_PROVIDER
+ * @param {Object} provider - {label, requirement, isConfigured(), getDefaultModel(), complete(request)}
+ */
+export function registerProvider(name, provider) {
+    const required = ['isConfigured', 'getDefaultModel', 'complete'];
+    if (required.some(method => typeof provider[method] !== 'function')) {
+        throw new Error('A provider needs isConfigured(), getDefaultModel() and complete(request) functions');
+    }
+    providers.set(name, { label: name, requirement: `${name} provider is not configured`, ...provider });
+}
+
+/**
+ * Look up a provider
+ * @param {string} name - Provider name
+ * @returns {Object|null} - Provider, or null if none is registered under that name
+ */
+export function getProviderByName(name) {
+    return providers.get(name) || null;
+}
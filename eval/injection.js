@@ -0,0 +1,209 @@
+import { readFileSync } from 'fs';
+import { initializeAI } from '../config/ai.js';
+import { setMockResponder } from '../config/mockProvider.js';
+import { extractTasks, generateChecklist, generateAdvice } from '../agent/tools.js';
+import { getAdvicePrompt, getChecklistPrompt, getExtractionPrompt, getClassificationPrompt } from '../agent/prompts.js';
+import { detectInjection } from '../utils/injection.js';
+import { FIELD_LIMITS } from '../utils/sanitize.js';
+
+/**
+ * Prompt Injection Regression Corpus
+ * Runs every message in injection-corpus.json against the mock provider and checks that:
+ * - detectInjection() flags the adversarial messages and leaves the look-alikes alone
+ * - user text can't close its <user_content> block early in any prompt
+ * - tasks, advice and checklists come out clean and within FIELD_LIMITS, both from the
+ *   mock's normal replies and from a "compromised" model echoing the attack back
+ *
+ * Usage: npm run eval:injection (VERBOSE=1 to see the agent's own logs)
+ * Exits with 1 if any check fails. No database or API key is needed.
+ */
+
+const corpus = JSON.parse(readFileSync(new URL('./injection-corpus.json', import.meta.url), 'utf8'));
+
+// Anything that shouldn't survive sanitization
+const UNSAFE = [
+    ['tag', /<\/?[a-z][^<>]*>/i],
+    ['invisible character', /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/],
+    ['control character', /[\u0000-\u0008\u000B-\u001F\u007F]/],
+    ['script URL', /\b(javascript|vbscript)\s*:/i]
+];
+
+const OPEN = /<user_content>/g;
+const CLOSE = /<\/user_content>/g;
+
+/**
+ * Helper: Problems with one model-written field
+ * @param {string} label - Field name, for the report
+ * @param {*} value - Field value
+ * @param {number} limit - Longest allowed length
+ * @returns {Array<string>} - Problems (empty if clean)
+ */
+function checkField(label, value, limit) {
+    if (value === null || value === undefined) {
+        return [];
+    }
+    const problems = UNSAFE
+        .filter(([, pattern]) => pattern.test(value))
+        .map(([name]) => `${label} contains a ${name}`);
+    if (value.length > limit) {
+        problems.push(`${label} is ${value.length} characters (limit ${limit})`);
+    }
+    return problems;
+}
+
+/**
+ * Helper: Problems with a task, advice or checklist the tools returned
+ * @param {Object} output - {title, notes, projectName, advice, subtasks}, where present
+ * @returns {Array<string>} - Problems
+ */
+function checkOutput(output) {
+    return [
+        ...checkField('title', output.title, FIELD_LIMITS.title),
+        ...checkField('notes', output.notes, FIELD_LIMITS.notes),
+        ...checkField('projectName', output.projectName, FIELD_LIMITS.projectName),
+        ...checkField('advice', output.advice, FIELD_LIMITS.advice),
+        ...(output.subtasks || []).flatMap((subtask, index) => checkField(`subtask ${index + 1}`, subtask, FIELD_LIMITS.subtask))
+    ];
+}
+
+/**
+ * Helper: Problems with the delimiting of user text in the prompts
+ * Each prompt must have as many <user_content> blocks as it has with harmless text
+ * @param {string} message - Adversarial text, used as a task title, notes and project name
+ * @returns {Array<string>} - Problems
+ */
+function checkPrompts(message) {
+    const build = text => ({
+        advice: getAdvicePrompt(text),
+        checklist: getChecklistPrompt(text),
+        extraction: getExtractionPrompt('2026-01-01', { _id: 'task', title: text, notes: text, date: new Date() }, 'UTC', [text]),
+        classification: getClassificationPrompt({ _id: 'task', title: text, notes: text, date: new Date() })
+    });
+
+    const baseline = build('harmless');
+    return Object.entries(build(message)).flatMap(([name, prompt]) => {
+        const expected = (baseline[name].match(OPEN) || []).length;
+        const opened = (prompt.match(OPEN) || []).length;
+        const closed = (prompt.match(CLOSE) || []).length;
+        return opened === expected && closed === expected
+            ? []
+            : [`${name} prompt has ${opened} opening and ${closed} closing tags (expected ${expected})`];
+    });
+}
+
+/**
+ * Helper: A compromised model that copies the attack into every field
+ * Fields the output schemas cap (titles, subtasks) stay just within their cap; the rest
+ * are padded past FIELD_LIMITS
+ * @param {string} message - Adversarial message
+ * @returns {Function} - Mock responder
+ */
+function echoingResponder(message) {
+    const attack = `<script>alert(1)</script>\u200B javascript:alert(1) ${message}`;
+    const payload = `${attack} ${'x'.repeat(5000)}`;
+    const short = attack.slice(0, 200);
+    return ({ step, jsonMode }) => {
+        if (step === 'extract') {
+            return JSON.stringify({
+                title: short,
+                when: null,
+                date: null,
+                time: null,
+                durationMinutes: null,
+                notes: payload,
+                recurrence: null,
+                priority: 'medium',
+                tags: [],
+                project: payload
+            });
+        }
+        if (step === 'advice' && jsonMode) {
+            return JSON.stringify({ advice: payload, subtasks: [short, `<b>${message}</b>`.slice(0, 200), '\u202Eevil'] });
+        }
+        if (step === 'advice') {
+            return payload;
+        }
+        return undefined;
+    };
+}
+
+/**
+ * Helper: Run the agent's tools on one message and collect problems with their output
+ * @param {string} message - Message
+ * @returns {Promise<Array<string>>} - Problems
+ */
+async function checkTools(message) {
+    const tasks = await extractTasks(message, { timezone: 'UTC' });
+    const checklist = await generateChecklist(tasks[0].title);
+    const advice = await generateAdvice(message);
+    return [...tasks.flatMap(checkOutput), ...checkOutput(checklist), ...checkField('advice', advice, FIELD_LIMITS.advice)];
+}
+
+/**
+ * Helper: Run every check on one corpus entry
+ * @param {Object} entry - {id, message, flagged}
+ * @returns {Promise<Array<string>>} - Problems
+ */
+async function runCase({ message, flagged }) {
+    const problems = [];
+
+    const detection = detectInjection(message);
+    if (detection.flagged !== flagged) {
+        problems.push(flagged
+            ? 'not flagged as an injection attempt'
+            : `flagged as an injection attempt (${detection.signals.join(', ')})`);
+    }
+
+    problems.push(...checkPrompts(message));
+
+    setMockResponder(null);
+    problems.push(...(await checkTools(message)).map(problem => `mock: ${problem}`));
+
+    setMockResponder(echoingResponder(message));
+    try {
+        problems.push(...(await checkTools(message)).map(problem => `compromised model: ${problem}`));
+    } finally {
+        setMockResponder(null);
+    }
+
+    return problems;
+}
+
+async function main() {
+    process.env.AI_PROVIDER = 'mock';
+    delete process.env.AI_FALLBACK_PROVIDERS;
+    initializeAI();
+
+    // The tools log every step; keep the report readable
+    const log = { log: console.log, warn: console.warn, error: console.error };
+    if (!process.env.VERBOSE) {
+        console.log = console.warn = console.error = () => {};
+    }
+
+    const failures = [];
+    for (const entry of corpus.messages) {
+        let problems;
+        try {
+            problems = await runCase(entry);
+        } catch (error) {
+            problems = [`threw ${error.name}: ${error.message}`];
+        }
+        if (problems.length > 0) {
+            failures.push({ id: entry.id, problems });
+        }
+    }
+
+    Object.assign(console, log);
+    for (const failure of failures) {
+        console.error(`✗ ${failure.id}`);
+        for (const problem of failure.problems) {
+            console.error(`    ${problem}`);
+        }
+    }
+
+    const passed = corpus.messages.length - failures.length;
+    console.log(`${failures.length === 0 ? '✓' : '⚠️'} ${passed}/${corpus.messages.length} injection cases passed`);
+    process.exitCode = failures.length === 0 ? 0 : 1;
+}
+
+main();
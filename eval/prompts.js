@@ -0,0 +1,211 @@
+import { readFileSync } from 'fs';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { initializeAI } from '../config/ai.js';
+import agent from '../agent/Agent.js';
+import { extractTasks } from '../agent/tools.js';
+import { loadPromptTemplates, listPromptTemplates } from '../agent/promptTemplates.js';
+import { toDateString } from '../utils/timezone.js';
+
+/**
+ * Prompt Evaluation
+ * Runs the labeled messages in prompt-dataset.json through classification and extraction
+ * once per version of each prompt, and reports how often each version gets them right,
+ * so prompt variants can be compared before one is made active.
+ *
+ * Uses the configured AI provider (AI_PROVIDER, AI_MODEL_<STEP>, ...) and the same prompt
+ * versions as the server: built-in, PROMPTS_DIR, and the database when MONGODB_URI is set.
+ *
+ * Usage: npm run eval:prompts -- [classification|extraction] [--versions 1,2]
+ * VERBOSE=1 lists every miss.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TASK_FIELDS = ['count', 'title', 'date', 'time', 'priority', 'tags', 'project', 'recurrence'];
+
+const dataset = JSON.parse(readFileSync(new URL('./prompt-dataset.json', import.meta.url), 'utf8'));
+
+/**
+ * Helper: Lowercase words only, for comparing titles and names
+ * @param {string|null} text - Text
+ * @returns {string} - Normalized text
+ */
+function normalize(text) {
+    return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Helper: Compare an extracted task with its label, field by field
+ * @param {Object} task - A task from extractTasks
+ * @param {Object} expected - Label {title, dayOffset, time, priority, tags, project, recurrence}
+ * @returns {Object} - {field: true/false}; date is left out when the label has no dayOffset
+ */
+function scoreTask(task, expected) {
+    const scores = {
+        title: normalize(task.title) === normalize(expected.title),
+        time: (task.allDay ? null : new Date(task.date).toISOString().slice(11, 16)) === expected.time,
+        priority: (task.priority || 'medium') === expected.priority,
+        tags: [...(task.tags || [])].sort().join(',') === [...expected.tags].sort().join(','),
+        project: normalize(task.projectName) === normalize(expected.project),
+        recurrence: (task.recurrence || null) === expected.recurrence
+    };
+    if (expected.dayOffset !== undefined) {
+        scores.date = toDateString(task.date, 'UTC') === toDateString(new Date(Date.now() + expected.dayOffset * DAY_MS), 'UTC');
+    }
+    return scores;
+}
+
+/**
+ * Helper: Evaluate the classification prompt in use
+ * @returns {Promise<Object>} - {correct, total, errors, misses: [description]}
+ */
+async function evaluateClassification() {
+    const result = { correct: 0, total: 0, errors: 0, misses: [] };
+    for (const { message, intent } of dataset.messages) {
+        result.total++;
+        try {
+            const classification = await agent.classify(message, { lastTask: null, timezone: 'UTC', history: [] });
+            if (classification.intent === intent) {
+                result.correct++;
+            } else {
+                result.misses.push(`"${message}": expected ${intent}, got ${classification.intent}`);
+            }
+        } catch (error) {
+            result.errors++;
+            result.misses.push(`"${message}": ${error.message}`);
+        }
+    }
+    return result;
+}
+
+/**
+ * Helper: Compare the tasks extracted from a message with its labels
+ * Tasks are compared in order; a missing or extra task only counts against "count"
+ * @param {Array<Object>} tasks - Output of extractTasks
+ * @param {Array<Object>} expected - Labels, one per task
+ * @returns {Object} - {field: true/false}, each field right only if it is right for every task
+ */
+function scoreTasks(tasks, expected) {
+    const scores = { count: tasks.length === expected.length };
+    expected.forEach((label, index) => {
+        if (!tasks[index]) {
+            return;
+        }
+        for (const [field, right] of Object.entries(scoreTask(tasks[index], label))) {
+            scores[field] = scores[field] !== false && right;
+        }
+    });
+    return scores;
+}
+
+/**
+ * Helper: Evaluate the extraction prompt in use
+ * @returns {Promise<Object>} - {correct (every field right), total, errors, fields: {field: correct}, misses}
+ */
+async function evaluateExtraction() {
+    const result = { correct: 0, total: 0, errors: 0, fields: {}, fieldTotals: {}, misses: [] };
+    for (const { message, task, tasks: labels } of dataset.messages.filter(entry => entry.task || entry.tasks)) {
+        result.total++;
+        try {
+            const tasks = await extractTasks(message, { timezone: 'UTC' });
+            const scores = scoreTasks(tasks, labels || [task]);
+            for (const [field, right] of Object.entries(scores)) {
+                result.fields[field] = (result.fields[field] || 0) + (right ? 1 : 0);
+                result.fieldTotals[field] = (result.fieldTotals[field] || 0) + 1;
+            }
+            const wrong = Object.keys(scores).filter(field => !scores[field]);
+            if (wrong.length === 0) {
+                result.correct++;
+            } else {
+                result.misses.push(`"${message}": wrong ${wrong.join(', ')}`);
+            }
+        } catch (error) {
+            result.errors++;
+            result.misses.push(`"${message}": ${error.message}`);
+        }
+    }
+    return result;
+}
+
+const EVALUATIONS = {
+    classification: evaluateClassification,
+    extraction: evaluateExtraction
+};
+
+/**
+ * Helper: Format a share as a percentage
+ * @param {number} correct - Right answers
+ * @param {number} total - All answers
+ * @returns {string} - e.g. "83.3% (20/24)"
+ */
+function percent(correct, total) {
+    return `${total ? ((correct / total) * 100).toFixed(1) : '0.0'}% (${correct}/${total})`;
+}
+
+/**
+ * Helper: Read the command line
+ * @returns {Object} - {prompts: names to evaluate, versions: versions to keep, or null for all}
+ */
+function parseArguments() {
+    const args = process.argv.slice(2);
+    const versionsAt = args.indexOf('--versions');
+    const versions = versionsAt >= 0 ? args.splice(versionsAt, 2)[1].split(',').map(version => version.trim()) : null;
+
+    const unknown = args.filter(name => !EVALUATIONS[name]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown prompt to evaluate: ${unknown.join(', ')} (use ${Object.keys(EVALUATIONS).join(' or ')})`);
+    }
+    return { prompts: args.length > 0 ? args : Object.keys(EVALUATIONS), versions };
+}
+
+async function main() {
+    dotenv.config();
+    const { prompts, versions } = parseArguments();
+
+    initializeAI();
+    if (process.env.MONGODB_URI) {
+        try {
+            await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+        } catch (error) {
+            console.warn('⚠️ Could not connect to MongoDB; evaluating built-in and PROMPTS_DIR versions only:', error.message);
+        }
+    }
+    await loadPromptTemplates();
+
+    // The agent logs every step; keep the report readable
+    const log = { log: console.log, warn: console.warn, error: console.error };
+    if (!process.env.VERBOSE) {
+        console.log = console.warn = console.error = () => {};
+    }
+
+    const report = [];
+    for (const template of listPromptTemplates().filter(entry => prompts.includes(entry.name))) {
+        for (const { version, source } of template.versions) {
+            if (versions && !versions.includes(version)) {
+                continue;
+            }
+            process.env.PROMPT_VERSIONS = `${template.name}=${version}`;
+            log.log(`🔧 Evaluating ${template.name}@${version} (${source})...`);
+            report.push({ name: template.name, version, source, active: version === template.active, ...(await EVALUATIONS[template.name]()) });
+        }
+    }
+
+    Object.assign(console, log);
+    for (const entry of report) {
+        console.log(`\n${entry.name}@${entry.version} (${entry.source}${entry.active ? ', active' : ''})`);
+        console.log(`  accuracy: ${percent(entry.correct, entry.total)}${entry.errors ? `, ${entry.errors} failed` : ''}`);
+        for (const field of TASK_FIELDS.filter(name => entry.fields && entry.fieldTotals[name])) {
+            console.log(`  ${field}: ${percent(entry.fields[field], entry.fieldTotals[field])}`);
+        }
+        if (process.env.VERBOSE) {
+            entry.misses.forEach(miss => console.log(`  ✗ ${miss}`));
+        }
+    }
+
+    await mongoose.disconnect();
+}
+
+main().catch(error => {
+    console.error('❌ Prompt evaluation failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,76 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+
+/**
+ * Authentication Middleware
+ * Issues and verifies the bearer tokens used by the API
+ */
+
+function getSecret() {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET is required for authentication');
+    }
+    return process.env.JWT_SECRET;
+}
+
+/**
+ * Create a signed access token for a user
+ * @param {Object} user - User document
+ * @returns {string} - Signed JWT
+ */
+export function generateToken(user) {
+    return jwt.sign(
+        { sub: user._id.toString(), email: user.email },
+        getSecret(),
+        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    );
+}
+
+/**
+ * Require a valid "Authorization: Bearer <token>" header
+ * Attaches {id, email} of the authenticated user to req.user
+ */
+export function requireAuth(req, res, next) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({
+            error: 'Authentication required'
+        });
+    }
+
+    try {
+        const payload = jwt.verify(token, getSecret());
+        req.user = { id: payload.sub, email: payload.email };
+        next();
+    } catch (error) {
+        return res.status(401).json({
+            error: 'Invalid or expired token'
+        });
+    }
+}
+
+/**
+ * Require an administrator: a user whose stored isAdmin flag is set
+ * Checked against the database on every request, never the token, so that neither signing up
+ * with an address nor an old token grants or keeps admin rights
+ * Goes after requireAuth
+ */
+export async function requireAdmin(req, res, next) {
+    try {
+        const user = req.user ? await User.findById(req.user.id).select('isAdmin').lean() : null;
+
+        if (!user || !user.isAdmin) {
+            return res.status(403).json({
+                error: 'Administrator access required'
+            });
+        }
+        next();
+    } catch (error) {
+        console.error('Admin lookup error:', error);
+        res.status(500).json({
+            error: 'Failed to check administrator access'
+        });
+    }
+}
@@ -0,0 +1,186 @@
+import RateLimitCounter from '../models/RateLimitCounter.js';
+
+/**
+ * Rate Limiting Middleware
+ * Counts requests per key (IP address or user) in fixed windows and answers 429 with
+ * Retry-After once a key has used up its window. Every response carries RateLimit-Limit,
+ * RateLimit-Remaining and RateLimit-Reset headers.
+ *
+ * Counts live in a store, chosen with RATE_LIMIT_STORE:
+ * - "memory" (default): this process only
+ * - "mongo": shared through MongoDB, for several instances behind a load balancer
+ * Register another store (e.g. Redis) with registerRateLimitStore(). A store has
+ * increment(key, windowMs): Promise of {count, resetAt} for the window containing now.
+ *
+ * A store that fails lets requests through rather than locking everyone out.
+ */
+
+/**
+ * Helper: Start of the fixed window containing now
+ * @param {number} windowMs - Window length
+ * @returns {number} - Window start in ms
+ */
+function windowStart(windowMs) {
+    return Math.floor(Date.now() / windowMs) * windowMs;
+}
+
+/**
+ * Memory Store
+ * Expired windows are swept out as new requests arrive
+ */
+function createMemoryStore() {
+    const counters = new Map();
+    let nextSweep = 0;
+
+    return {
+        async increment(key, windowMs) {
+            const now = Date.now();
+            if (now >= nextSweep) {
+                for (const [counterKey, counter] of counters) {
+                    if (counter.resetAt <= now) counters.delete(counterKey);
+                }
+                nextSweep = now + windowMs;
+            }
+
+            const start = windowStart(windowMs);
+            const counterKey = `${key}:${start}`;
+            const counter = counters.get(counterKey) || { count: 0, resetAt: start + windowMs };
+            counter.count++;
+            counters.set(counterKey, counter);
+
+            return { count: counter.count, resetAt: new Date(counter.resetAt) };
+        }
+    };
+}
+
+/**
+ * MongoDB Store
+ * One counter document per key and window, removed by a TTL index when the window ends
+ */
+const mongoStore = {
+    async increment(key, windowMs) {
+        const start = windowStart(windowMs);
+        const resetAt = new Date(start + windowMs);
+        const update = () => RateLimitCounter.findOneAndUpdate(
+            { key: `${key}:${start}` },
+            { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } },
+            { upsert: true, new: true }
+        ).lean();
+
+        let counter;
+        try {
+            counter = await update();
+        } catch (error) {
+            // Two first requests raced to create the counter; the second update finds it
+            if (error.code !== 11000) throw error;
+            counter = await update();
+        }
+        return { count: counter.count, resetAt };
+    }
+};
+
+const stores = new Map([
+    ['memory', createMemoryStore()],
+    ['mongo', mongoStore]
+]);
+
+/**
+ * Add or replace a rate limit store
+ * @param {string} name - Store name, as used in RATE_LIMIT_STORE
+ * @param {Object} store - {increment(key, windowMs)}
+ */
+export function registerRateLimitStore(name, store) {
+    if (typeof store.increment !== 'function') {
+        throw new Error('A rate limit store needs an increment(key, windowMs) function');
+    }
+    stores.set(name, store);
+}
+
+/**
+ * Helper: The store selected by RATE_LIMIT_STORE
+ * @returns {Object} - Store
+ */
+function getStore() {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    const store = stores.get(name);
+    if (!store) {
+        throw new Error(`Unknown rate limit store: ${name}`);
+    }
+    return store;
+}
+
+/**
+ * Helper: Read a non-negative integer from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} - Value
+ */
+function readLimit(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return value >= 0 ? value : fallback;
+}
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options - {name, maxVariable, defaultMax, getKey(req)}
+ *   maxVariable names the environment variable with the requests allowed per window (0 turns it off);
+ *   the window is RATE_LIMIT_WINDOW_MS long (default one minute)
+ * @returns {Function} - Express middleware
+ */
+export function createRateLimiter({ name, maxVariable, defaultMax, getKey }) {
+    return async (req, res, next) => {
+        const max = readLimit(maxVariable, defaultMax);
+        const windowMs = readLimit('RATE_LIMIT_WINDOW_MS', 60 * 1000) || 60 * 1000;
+        const key = getKey(req);
+        if (max === 0 || !key) {
+            return next();
+        }
+
+        let counter;
+        try {
+            counter = await getStore().increment(`${name}:${key}`, windowMs);
+        } catch (error) {
+            console.error('Rate limit store error:', error.message);
+            return next();
+        }
+
+        const retryAfter = Math.max(1, Math.ceil((counter.resetAt.getTime() - Date.now()) / 1000));
+        res.set({
+            'RateLimit-Limit': String(max),
+            'RateLimit-Remaining': String(Math.max(0, max - counter.count)),
+            'RateLimit-Reset': String(retryAfter)
+        });
+
+        if (counter.count > max) {
+            console.warn(`⚠️ Rate limit "${name}" hit by ${key}`);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                error: 'Too many requests. Please slow down.',
+                retryAfter
+            });
+        }
+        next();
+    };
+}
+
+/**
+ * Requests per IP address to any API route (RATE_LIMIT_IP_MAX per window, default 120)
+ * Behind a proxy, set TRUST_PROXY so req.ip is the client's address
+ */
+export const limitByIp = createRateLimiter({
+    name: 'ip',
+    maxVariable: 'RATE_LIMIT_IP_MAX',
+    defaultMax: 120,
+    getKey: req => req.ip
+});
+
+/**
+ * Chat messages per user (RATE_LIMIT_CHAT_MAX per window, default 20)
+ * Goes after requireAuth
+ */
+export const limitChatByUser = createRateLimiter({
+    name: 'chat',
+    maxVariable: 'RATE_LIMIT_CHAT_MAX',
+    defaultMax: 20,
+    getKey: req => req.user && req.user.id
+});
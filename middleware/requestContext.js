@@ -0,0 +1,21 @@
+import crypto from 'crypto';
+import { runWithRequestContext } from '../utils/requestContext.js';
+
+/**
+ * Request Context Middleware
+ * Gives each authenticated request an ID (returned as X-Request-Id) and makes it,
+ * the user and their timezone available to the code handling the request
+ */
+
+/**
+ * Run the rest of the request inside a request context
+ * Goes after requireAuth and resolveTimezone
+ */
+export function attachRequestContext(req, res, next) {
+    // Keep the ID logRequests gave the request, so its log entry and trace match
+    const requestId = req.requestId || crypto.randomUUID();
+    req.requestId = requestId;
+    res.set('X-Request-Id', requestId);
+
+    runWithRequestContext({ requestId, userId: req.user.id, timezone: req.timezone || 'UTC' }, next);
+}
@@ -0,0 +1,35 @@
+import crypto from 'crypto';
+import { runWithRequestContext } from '../utils/requestContext.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Request Logging Middleware
+ * Gives every request an ID (returned as X-Request-Id) and logs one entry when its response is sent:
+ * method, path, status, duration, client IP and (once authenticated) the user.
+ * Server errors log at error level, client errors at warn, the rest at info.
+ */
+
+/**
+ * Log each request when it finishes, and run it in a request context carrying its ID
+ * Goes first, so the ID is known to everything that logs while handling the request
+ */
+export function logRequests(req, res, next) {
+    const startedAt = process.hrtime.bigint();
+    req.requestId = crypto.randomUUID();
+    res.set('X-Request-Id', req.requestId);
+
+    res.on('finish', () => {
+        const level = res.statusCode >= 500 ? 'error' : (res.statusCode >= 400 ? 'warn' : 'info');
+        logger[level]('Request handled', {
+            requestId: req.requestId,
+            ...(req.user ? { userId: req.user.id } : {}),
+            method: req.method,
+            path: req.baseUrl + req.path,
+            status: res.statusCode,
+            durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+            ip: req.ip
+        });
+    });
+
+    runWithRequestContext({ requestId: req.requestId }, next);
+}
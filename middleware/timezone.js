@@ -0,0 +1,37 @@
+import User from '../models/User.js';
+import { isValidTimezone } from '../utils/timezone.js';
+
+/**
+ * Timezone Middleware
+ * Works out which timezone a request's dates are meant in
+ */
+
+/**
+ * Attach req.timezone for an authenticated request
+ * Uses the "X-Timezone" header or a "timezone" query/body value when given,
+ * otherwise the user's saved timezone (UTC by default)
+ */
+export async function resolveTimezone(req, res, next) {
+    const requested = req.get('X-Timezone') || req.query.timezone || (req.body && req.body.timezone);
+
+    if (requested !== undefined) {
+        if (!isValidTimezone(requested)) {
+            return res.status(400).json({
+                error: 'timezone must be an IANA timezone such as "Europe/Paris"'
+            });
+        }
+        req.timezone = requested;
+        return next();
+    }
+
+    try {
+        const user = await User.findById(req.user.id).select('timezone').lean();
+        req.timezone = (user && user.timezone) || 'UTC';
+        next();
+    } catch (error) {
+        console.error('Timezone lookup error:', error);
+        res.status(500).json({
+            error: 'Failed to load user settings'
+        });
+    }
+}
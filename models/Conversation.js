@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+
+/**
+ * Message Schema
+ * A single turn in a conversation
+ */
+const messageSchema = new mongoose.Schema({
+  // Who sent the message
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+
+  // Message text
+  content: {
+    type: String,
+    required: true
+  },
+
+  // Prompt injection signals found in a user message (see utils/injection.js)
+  flags: {
+    type: [String],
+    default: undefined
+  },
+
+  // Versions of the prompts that produced an assistant message, as {prompt name: version}
+  // (see agent/promptTemplates.js)
+  promptVersions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+
+  // Task created or changed by this turn, if any
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+
+  // When the message was sent
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Conversation Schema
+ * A chat session between a user and the agent; its _id is the session id
+ */
+const conversationSchema = new mongoose.Schema({
+  // The user this conversation belongs to
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Short label derived from the first message
+  title: {
+    type: String,
+    trim: true,
+    maxLength: 100,
+    default: ''
+  },
+
+  // Ordered list of turns
+  messages: {
+    type: [messageSchema],
+    default: []
+  },
+
+  // The task most recently created or changed in this conversation
+  lastTask: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+
+  // An action waiting for the user to confirm or pick a task
+  // {intent, candidates: [taskId], changes}
+  pendingAction: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // When the conversation was started
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // When the last message was added
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// For listing a user's most recent conversations
+conversationSchema.index({ owner: 1, updatedAt: -1 });
+
+// Create and export the model
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+export default Conversation;
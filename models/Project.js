@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+/**
+ * Project Schema
+ * A named list that groups a user's tasks (e.g. "Q3 launch", "Groceries")
+ */
+const projectSchema = new mongoose.Schema({
+  // The user this project belongs to
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Display name
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+
+  // Lowercased name, unique per user so "Q3 Launch" and "q3 launch" are the same project
+  nameKey: {
+    type: String,
+    required: true
+  },
+
+  // What the project is about
+  description: {
+    type: String,
+    trim: true,
+    maxLength: 500,
+    default: ''
+  },
+
+  // Display color, e.g. "#4f46e5"
+  color: {
+    type: String,
+    default: null,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex color like #4f46e5']
+  },
+
+  // When the project was created
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Keep the lookup key in sync with the name
+projectSchema.pre('validate', function (next) {
+  if (this.name) {
+    this.nameKey = this.name.trim().toLowerCase();
+  }
+  next();
+});
+
+// One project per name per user
+projectSchema.index({ owner: 1, nameKey: 1 }, { unique: true });
+
+projectSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.nameKey;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Create and export the model
+const Project = mongoose.model('Project', projectSchema);
+
+export default Project;
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+/**
+ * Prompt Template Schema
+ * A version of one of the agent's prompts, stored so it can be changed without a deploy
+ * (see agent/promptTemplates.js)
+ */
+const promptTemplateSchema = new mongoose.Schema({
+  // Prompt this is a version of (classification, extraction, action, advice, checklist,
+  // repair, conversational, agent)
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Version label, unique per prompt (e.g. "2", "2b-shorter-rules")
+  version: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Template text, with {{variable}} placeholders
+  text: {
+    type: String,
+    required: true
+  },
+
+  // Whether this version is the one in use (PROMPT_VERSIONS can still pin another)
+  active: {
+    type: Boolean,
+    default: false
+  },
+
+  // What changed in this version
+  description: {
+    type: String,
+    default: ''
+  },
+
+  // When the version was added
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One document per prompt version
+promptTemplateSchema.index({ name: 1, version: 1 }, { unique: true });
+
+// Create and export the model
+const PromptTemplate = mongoose.model('PromptTemplate', promptTemplateSchema);
+
+export default PromptTemplate;
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+/**
+ * Rate Limit Counter Schema
+ * Requests counted for one key (e.g. an IP address) in one rate limit window,
+ * shared by every server instance when RATE_LIMIT_STORE=mongo
+ */
+const rateLimitCounterSchema = new mongoose.Schema({
+  // Limiter, key and window start, e.g. "chat:<userId>:1767225600000"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Requests made in the window so far
+  count: {
+    type: Number,
+    default: 0
+  },
+
+  // End of the window; MongoDB deletes the counter after this
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 }
+  }
+});
+
+// Create and export the model
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+export default RateLimitCounter;
@@ -1,10 +1,117 @@
 import mongoose from 'mongoose';
+import { isValidRule } from '../utils/recurrence.js';
+import { isValidTimezone } from '../utils/timezone.js';
+import { computeProgress, MAX_SUBTASKS } from '../utils/subtasks.js';
+import { computeStatus } from '../utils/taskStatus.js';
+import { PRIORITIES, DEFAULT_PRIORITY, MAX_TAGS, MAX_TAG_LENGTH } from '../utils/labels.js';
+
+/**
+ * Occurrence Override Schema
+ * A change to a single occurrence of a recurring task, keyed by its original date
+ */
+const occurrenceOverrideSchema = new mongoose.Schema({
+  // The occurrence's date according to the recurrence rule
+  occurrenceDate: {
+    type: Date,
+    required: true
+  },
+
+  // Moved date for this occurrence only
+  date: Date,
+
+  // Title and notes for this occurrence only
+  title: {
+    type: String,
+    trim: true,
+    maxLength: 200
+  },
+  notes: String,
+
+  // This occurrence was removed from the series
+  cancelled: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+/**
+ * Subtask Schema
+ * One checklist item of a task; its _id addresses it in the API
+ */
+const subtaskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 200
+  },
+
+  completed: {
+    type: Boolean,
+    default: false
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Reminder Delivery Schema
+ * One reminder sent (or being sent) through one channel; its key makes it unique per task
+ */
+const reminderDeliverySchema = new mongoose.Schema({
+  // "<due time>|<offset>|<channel>", claimed atomically so a reminder is only sent once
+  key: {
+    type: String,
+    required: true
+  },
+
+  // Original date of the occurrence for recurring tasks, null for one-off tasks
+  occurrenceDate: {
+    type: Date,
+    default: null
+  },
+
+  // Which offset ("1h", "morning") and channel ("webhook", "email", "push")
+  offset: String,
+  channel: String,
+
+  // When the reminder was due
+  dueAt: {
+    type: Date,
+    required: true
+  },
+
+  // "sending" while claimed, then "sent" or "failed" (failed deliveries are retried)
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'failed'],
+    default: 'sending'
+  },
+
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  lastError: String,
+  claimedAt: Date,
+  sentAt: Date
+}, { _id: false });
 
 /**
  * Task Schema
  * Represents a task stored in the agent's memory (MongoDB)
  */
 const taskSchema = new mongoose.Schema({
+  // The user this task belongs to
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
   // Main task information
   title: {
     type: String,
@@ -13,11 +120,57 @@ const taskSchema = new mongoose.Schema({
     maxLength: 200
   },
   
-  // When the task should be done
+  // When the task should be done (the first occurrence for recurring tasks)
+  // All-day tasks are stored at local midnight in the task's timezone
   date: {
     type: Date,
     required: true
   },
+
+  // Whether the task is for a whole day rather than a specific time
+  allDay: {
+    type: Boolean,
+    default: true
+  },
+
+  // Expected length of a timed task, if known
+  durationMinutes: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+
+  // IANA timezone the date was given in (and recurring tasks repeat in)
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimezone,
+      message: 'Invalid timezone'
+    }
+  },
+
+  // Recurrence rule (RRULE subset, e.g. "FREQ=WEEKLY;BYDAY=MO"); null for one-off tasks
+  recurrence: {
+    type: String,
+    default: null,
+    validate: {
+      validator: (rule) => rule === null || isValidRule(rule),
+      message: 'Invalid recurrence rule'
+    }
+  },
+
+  // Original dates of the occurrences of a recurring task that have been completed
+  completedOccurrences: {
+    type: [Date],
+    default: []
+  },
+
+  // Per-occurrence changes of a recurring task
+  occurrenceOverrides: {
+    type: [occurrenceOverrideSchema],
+    default: []
+  },
   
   // AI-generated advice for the task
   advice: {
@@ -25,28 +178,146 @@ const taskSchema = new mongoose.Schema({
     default: ''
   },
   
+  // Checklist items, in the order they should be done (shared by all occurrences of a recurring task)
+  subtasks: {
+    type: [subtaskSchema],
+    default: [],
+    validate: {
+      validator: (subtasks) => subtasks.length <= MAX_SUBTASKS,
+      message: `A task can have at most ${MAX_SUBTASKS} subtasks`
+    }
+  },
+
   // Additional notes or context
   notes: {
     type: String,
     default: ''
   },
+
+  // How important the task is
+  priority: {
+    type: String,
+    enum: PRIORITIES,
+    default: DEFAULT_PRIORITY
+  },
+
+  // Free-form labels, normalized to lowercase without "#" (e.g. "work", "q3-launch")
+  tags: {
+    type: [{ type: String, trim: true, lowercase: true, maxLength: MAX_TAG_LENGTH }],
+    default: [],
+    validate: {
+      validator: (tags) => tags.length <= MAX_TAGS,
+      message: `A task can have at most ${MAX_TAGS} tags`
+    }
+  },
+
+  // Project (list) the task belongs to, if any
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+
+  // Vector for semantic search, computed lazily when the user first searches by meaning
+  embedding: {
+    type: [Number],
+    default: undefined,
+    select: false
+  },
+
+  // Embedding model and a hash of the text the embedding was made from; a mismatch means it is stale
+  embeddingKey: {
+    type: String,
+    default: null,
+    select: false
+  },
   
-  // Task completion status
+  // Reminders already sent for this task, so restarts and other instances don't repeat them
+  reminderDeliveries: {
+    type: [reminderDeliverySchema],
+    default: []
+  },
+
+  // Task completion status (for recurring tasks: the whole series is finished)
   completed: {
     type: Boolean,
     default: false
   },
+
+  // When the task was completed; null while it is open
+  // (repeating tasks only get one when the whole series is finished)
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  // When the nightly rollover flagged the task as unfinished after its day (ROLLOVER_MODE=flag);
+  // cleared when it is completed or moved
+  overdueAt: {
+    type: Date,
+    default: null
+  },
+
+  // How many times the nightly rollover moved the task to the next day (ROLLOVER_MODE=move),
+  // and its date before the first move
+  rolloverCount: {
+    type: Number,
+    default: 0
+  },
+  originalDate: {
+    type: Date,
+    default: null
+  },
   
+  // UID of the calendar entry this task was imported from, if any
+  icalUid: {
+    type: String,
+    default: null
+  },
+
   // When the task was created
   createdAt: {
     type: Date,
     default: Date.now
+  },
+
+  // When the task was moved to the trash; trashed tasks are left out everywhere but the trash
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+
+  // MongoDB deletes a trashed task for good after this (TRASH_RETENTION_DAYS)
+  purgeAt: {
+    type: Date,
+    default: null,
+    index: { expireAfterSeconds: 0 }
   }
 });
 
 // Create indexes for efficient queries
-taskSchema.index({ date: 1 });        // For date-based queries
-taskSchema.index({ createdAt: -1 });  // For retrieving recent tasks
+taskSchema.index({ owner: 1, date: 1 });        // For per-user date-based queries
+taskSchema.index({ owner: 1, createdAt: -1 });  // For retrieving a user's recent tasks
+taskSchema.index({ completed: 1, date: 1 });    // For the reminder scheduler's and rollover's scans
+taskSchema.index({ owner: 1, icalUid: 1 });     // For skipping calendar entries that were already imported
+taskSchema.index({ owner: 1, project: 1 });     // For listing a project's tasks
+taskSchema.index({ owner: 1, tags: 1 });        // For filtering by tag
+taskSchema.index({ owner: 1, deletedAt: -1 });  // For listing a user's trash
+taskSchema.index(                               // For keyword search (one text index per collection)
+  { title: 'text', notes: 'text', advice: 'text' },
+  { weights: { title: 10, notes: 4, advice: 1 }, name: 'task_text_search' }
+);
+
+// Progress and status are computed whenever a task is serialized; search vectors stay internal
+taskSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.progress = computeProgress(ret.subtasks);
+    ret.status = computeStatus(ret);
+    delete ret.embedding;
+    delete ret.embeddingKey;
+    return ret;
+  }
+});
 
 // Create and export the model
 const Task = mongoose.model('Task', taskSchema);
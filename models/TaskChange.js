@@ -0,0 +1,125 @@
+import mongoose from 'mongoose';
+
+/**
+ * Field Change Schema
+ * One field of a task before and after a change (values as stored in JSON)
+ */
+const fieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+/**
+ * Task Change Schema
+ * One entry in a task's change history: what changed, who changed it and from where
+ * (see agent/history.js). Entries are only ever added, never edited, except that an undone
+ * change is stamped with revertedAt; the undo is a new entry pointing at the change it reverted.
+ */
+const taskChangeSchema = new mongoose.Schema({
+  // The user whose task changed
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // The task, and its title at the time (the task may since have been purged from the trash)
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  title: {
+    type: String,
+    default: ''
+  },
+
+  // What happened to the task
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'restore', 'undo'],
+    required: true
+  },
+
+  // Fields that changed
+  changes: {
+    type: [fieldChangeSchema],
+    default: []
+  },
+
+  // Who made the change: the user, the agent acting on a chat message, or the server itself
+  actor: {
+    type: String,
+    enum: ['user', 'agent', 'system'],
+    required: true
+  },
+
+  // Where it came from: the REST API or the chat
+  via: {
+    type: String,
+    enum: ['rest', 'chat', null],
+    default: null
+  },
+
+  // For agent changes: the chat message that led to it, and its conversation
+  message: {
+    type: String,
+    default: null
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    default: null
+  },
+
+  // ID of the API request that made the change; changes sharing one are undone together
+  requestId: {
+    type: String,
+    default: null
+  },
+
+  // For undo entries: the change that was reverted
+  reverts: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  // When an undo reverted the change (null while it can still be undone)
+  revertedAt: {
+    type: Date,
+    default: null
+  },
+
+  // When the change was made
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// For a task's history, and a user's changes
+taskChangeSchema.index({ owner: 1, task: 1, createdAt: -1 });
+taskChangeSchema.index({ owner: 1, createdAt: -1 });
+// For finding a user's latest change that hasn't been undone
+taskChangeSchema.index({ owner: 1, revertedAt: 1, createdAt: -1 });
+// For finding the undo of a change recorded before revertedAt existed
+taskChangeSchema.index({ owner: 1, reverts: 1 }, { partialFilterExpression: { action: 'undo' } });
+// For finding every change of the request being undone
+taskChangeSchema.index({ owner: 1, requestId: 1 });
+
+// Strip internal fields when serializing
+taskChangeSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Create and export the model
+const TaskChange = mongoose.model('TaskChange', taskChangeSchema);
+
+export default TaskChange;
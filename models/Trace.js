@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+
+/**
+ * Trace Schema
+ * How the agent handled one chat message: every step it took, the prompts and model
+ * replies behind them, how long each took and what went wrong (see agent/trace.js)
+ */
+const traceSchema = new mongoose.Schema({
+  // ID of the API request (the X-Request-Id response header)
+  requestId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // The user who sent the message
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // The message, and the mode that handled it (tools or pipeline)
+  message: {
+    type: String,
+    default: ''
+  },
+  mode: {
+    type: String,
+    default: null
+  },
+
+  // Steps in order: {type, atMs (since the start), ...details}
+  // types: model_call, structured_output, the agent's events (classified, extracted, tool_call, ...) and error
+  steps: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+
+  // {prompt name: version} of the prompts used
+  promptVersions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+
+  // Outcome: the intent handled, and the error if the message failed
+  intent: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Total time taken
+  durationMs: {
+    type: Number,
+    default: 0
+  },
+
+  // When the message was received
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // MongoDB deletes the trace after this (TRACE_RETENTION_DAYS)
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expireAfterSeconds: 0 }
+  }
+});
+
+// For browsing recent traces, optionally for one user
+traceSchema.index({ createdAt: -1 });
+traceSchema.index({ owner: 1, createdAt: -1 });
+
+// Strip internal fields when serializing
+traceSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Create and export the model
+const Trace = mongoose.model('Trace', traceSchema);
+
+export default Trace;
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+/**
+ * Usage Schema
+ * One LLM call: who it was for, which step and model made it, the tokens it used and what it cost
+ */
+const usageSchema = new mongoose.Schema({
+  // The user the call was made for (null for calls outside a user's request)
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // ID of the API request the call belongs to (a chat message usually takes several calls)
+  requestId: {
+    type: String,
+    default: null
+  },
+
+  // Agent step that made the call (classify, extract, advice, plan, chat, agent)
+  step: {
+    type: String,
+    default: null
+  },
+
+  // Provider and model that answered
+  provider: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String,
+    required: true
+  },
+
+  // Tokens sent and received
+  inputTokens: {
+    type: Number,
+    default: 0
+  },
+  outputTokens: {
+    type: Number,
+    default: 0
+  },
+
+  // Whether the token counts were estimated from the text because the provider didn't report them
+  estimated: {
+    type: Boolean,
+    default: false
+  },
+
+  // Estimated cost in USD (null when the model has no price in the price table)
+  cost: {
+    type: Number,
+    default: null
+  },
+
+  // When the call was made
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Usage reports and quota checks look at one user's calls in a period
+usageSchema.index({ owner: 1, createdAt: -1 });
+
+// Strip internal fields when serializing
+usageSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Create and export the model
+const Usage = mongoose.model('Usage', usageSchema);
+
+export default Usage;
@@ -0,0 +1,208 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { isValidTimezone } from '../utils/timezone.js';
+
+/**
+ * User Schema
+ * Represents an account that owns tasks
+ */
+const userSchema = new mongoose.Schema({
+  // Login identifier
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxLength: 254
+  },
+
+  // Display name
+  name: {
+    type: String,
+    trim: true,
+    maxLength: 100,
+    default: ''
+  },
+
+  // IANA timezone used for dates when a request doesn't specify one
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimezone,
+      message: 'Invalid timezone'
+    }
+  },
+
+  // Reminder preferences
+  reminders: {
+    // Whether reminders are sent at all
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+
+    // When to remind, e.g. ["1h", "morning"]; empty means the server default
+    offsets: {
+      type: [String],
+      default: []
+    },
+
+    // URL that receives a POST for each reminder
+    webhookUrl: {
+      type: String,
+      trim: true,
+      default: null
+    },
+
+    // Whether to email reminders to the account's address
+    email: {
+      type: Boolean,
+      default: false
+    }
+  },
+
+  // Agenda digest preferences: a summary and plan of the day or week, posted to a webhook
+  digest: {
+    // Whether the digest is sent
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+
+    // Every day (the day's agenda) or once a week (the week's agenda)
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly'],
+      default: 'daily'
+    },
+
+    // Local time to send it, as HH:MM in the user's timezone
+    time: {
+      type: String,
+      match: /^([01]\d|2[0-3]):[0-5]\d$/,
+      default: '07:00'
+    },
+
+    // Day of the week for weekly digests (0 = Sunday)
+    weekday: {
+      type: Number,
+      min: 0,
+      max: 6,
+      default: 1
+    },
+
+    // URL that receives the digest; null uses the reminder webhook
+    webhookUrl: {
+      type: String,
+      trim: true,
+      default: null
+    },
+
+    // When the last digest was sent, so each one goes out once
+    lastSentAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Web push subscriptions of the user's browsers (PushSubscription.toJSON())
+  pushSubscriptions: {
+    type: [{
+      _id: false,
+      endpoint: { type: String, required: true },
+      keys: {
+        p256dh: { type: String, required: true },
+        auth: { type: String, required: true }
+      },
+      createdAt: { type: Date, default: Date.now }
+    }],
+    default: []
+  },
+
+  // The user's own LLM usage limits; null means the server default (USAGE_*_LIMIT)
+  usageQuota: {
+    dailyTokens: { type: Number, min: 0, default: null },
+    monthlyTokens: { type: Number, min: 0, default: null },
+    dailyCost: { type: Number, min: 0, default: null },
+    monthlyCost: { type: Number, min: 0, default: null }
+  },
+
+  // SHA-256 of the secret in the user's calendar feed URL (null when no feed link exists)
+  calendarTokenHash: {
+    type: String,
+    default: null,
+    index: { unique: true, sparse: true }
+  },
+
+  // Administrator (see requireAdmin); no route sets it, it is only ever set in the database:
+  // db.users.updateOne({ email: '...' }, { $set: { isAdmin: true } })
+  isAdmin: {
+    type: Boolean,
+    default: false
+  },
+
+  // bcrypt hash of the user's password (never returned by the API)
+  passwordHash: {
+    type: String,
+    required: true
+  },
+
+  // When the account was created
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Hash and store a plain-text password
+ * @param {string} password - Plain-text password
+ */
+userSchema.methods.setPassword = async function (password) {
+  this.passwordHash = await bcrypt.hash(password, 10);
+};
+
+/**
+ * Check a plain-text password against the stored hash
+ * @param {string} password - Plain-text password
+ * @returns {Promise<boolean>} - Whether the password matches
+ */
+userSchema.methods.comparePassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+/**
+ * Hash a calendar feed token for storage and lookup
+ * @param {string} token - Secret from the feed URL
+ * @returns {string} - Hex SHA-256
+ */
+userSchema.statics.hashCalendarToken = function (token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Find the user a calendar feed token belongs to
+ * @param {string} token - Secret from the feed URL
+ * @returns {Promise<Object|null>} - User, or null if the token is unknown
+ */
+userSchema.statics.findByCalendarToken = function (token) {
+  return this.findOne({ calendarTokenHash: this.hashCalendarToken(token) });
+};
+
+// Strip sensitive fields when serializing
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.calendarTokenHash;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+// Create and export the model
+const User = mongoose.model('User', userSchema);
+
+export default User;
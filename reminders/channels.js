@@ -0,0 +1,220 @@
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+import { Agent } from 'undici';
+import webpush from 'web-push';
+import User from '../models/User.js';
+import { assertWebhookUrl, lookupPublicAddress } from '../utils/webhookUrl.js';
+
+/**
+ * Notification Channels
+ * Ways a reminder can reach a user. Each channel has:
+ * - isEnabled(user): whether the server and the user are set up for it
+ * - send(user, reminder): deliver the reminder, throwing if it could not be delivered
+ * Register another channel with registerChannel() and the scheduler starts using it.
+ */
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+let transporter = null;
+let webhookDispatcher = null;
+let vapidConfigured = false;
+
+/**
+ * Helper: Lazily create the SMTP transport from the environment
+ * @returns {Object} - Nodemailer transporter
+ */
+function getTransporter() {
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+    }
+    return transporter;
+}
+
+/**
+ * Helper: Lazily create the connection pool for webhooks, which only connects to public addresses
+ * @returns {Agent} - Undici dispatcher
+ */
+function getWebhookDispatcher() {
+    if (!webhookDispatcher) {
+        webhookDispatcher = new Agent({ connect: { lookup: lookupPublicAddress } });
+    }
+    return webhookDispatcher;
+}
+
+/**
+ * Helper: Whether VAPID keys for web push are configured (sets them up on first use)
+ * @returns {boolean} - Whether web push can be sent
+ */
+function isPushConfigured() {
+    if (!process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY) {
+        return false;
+    }
+
+    if (!vapidConfigured) {
+        webpush.setVapidDetails(
+            process.env.VAPID_SUBJECT || 'mailto:admin@example.com',
+            process.env.VAPID_PUBLIC_KEY,
+            process.env.VAPID_PRIVATE_KEY
+        );
+        vapidConfigured = true;
+    }
+    return true;
+}
+
+/**
+ * POST a JSON payload to a webhook; with REMINDER_WEBHOOK_SECRET set, the body is signed
+ * with HMAC-SHA256 in the "X-Reminder-Signature" header
+ * Also used for agenda digests (see digest.js)
+ * The URL is checked again before every delivery (see checkWebhookUrl), and redirects are
+ * not followed, so a webhook can't be pointed at the server's own network after it was saved;
+ * the connection only goes to the addresses the host resolved to when checked (see lookupPublicAddress)
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - Body, with its "type" (e.g. "task.reminder")
+ * @throws {Error} - If the URL is refused, or the webhook can't be reached or responds with an error status
+ */
+export async function postWebhook(url, payload) {
+    await assertWebhookUrl(url);
+
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (process.env.REMINDER_WEBHOOK_SECRET) {
+        headers['X-Reminder-Signature'] = crypto
+            .createHmac('sha256', process.env.REMINDER_WEBHOOK_SECRET)
+            .update(body)
+            .digest('hex');
+    }
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        redirect: 'manual',
+        dispatcher: getWebhookDispatcher(),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+        throw new Error(`Webhook responded with ${response.status}`);
+    }
+}
+
+/**
+ * Webhook Channel
+ * POSTs the reminder as JSON to the user's webhook (see postWebhook)
+ */
+const webhookChannel = {
+    isEnabled(user) {
+        return Boolean(user.reminders && user.reminders.webhookUrl);
+    },
+
+    async send(user, reminder) {
+        await postWebhook(user.reminders.webhookUrl, { type: 'task.reminder', ...reminder });
+    }
+};
+
+/**
+ * Email Channel
+ * Sends through the SMTP server in SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ */
+const emailChannel = {
+    isEnabled(user) {
+        return Boolean(process.env.SMTP_HOST && user.reminders && user.reminders.email);
+    },
+
+    async send(user, reminder) {
+        await getTransporter().sendMail({
+            from: process.env.SMTP_FROM || process.env.SMTP_USER,
+            to: user.email,
+            subject: `Reminder: ${reminder.title}`,
+            text: `${reminder.message}${reminder.notes ? `\n\n${reminder.notes}` : ''}`
+        });
+    }
+};
+
+/**
+ * Web Push Channel
+ * Sends to every subscription the user registered; expired subscriptions are removed
+ */
+const pushChannel = {
+    isEnabled(user) {
+        return isPushConfigured() && (user.pushSubscriptions || []).length > 0;
+    },
+
+    async send(user, reminder) {
+        const payload = JSON.stringify({ title: `Reminder: ${reminder.title}`, body: reminder.message, data: reminder });
+        const expired = [];
+        let delivered = 0;
+        let lastError = null;
+
+        for (const subscription of user.pushSubscriptions) {
+            try {
+                await webpush.sendNotification({ endpoint: subscription.endpoint, keys: subscription.keys }, payload);
+                delivered++;
+            } catch (error) {
+                // 404/410 mean the browser dropped the subscription
+                if (error.statusCode === 404 || error.statusCode === 410) {
+                    expired.push(subscription.endpoint);
+                } else {
+                    lastError = error;
+                }
+            }
+        }
+
+        if (expired.length > 0) {
+            await User.updateOne(
+                { _id: user._id },
+                { $pull: { pushSubscriptions: { endpoint: { $in: expired } } } }
+            );
+            console.log(`✓ Removed ${expired.length} expired push subscription(s) for user:`, user._id);
+        }
+
+        if (delivered === 0) {
+            throw lastError || new Error('No valid push subscriptions');
+        }
+    }
+};
+
+const channels = new Map([
+    ['webhook', webhookChannel],
+    ['email', emailChannel],
+    ['push', pushChannel]
+]);
+
+/**
+ * Add or replace a notification channel
+ * @param {string} name - Channel name, stored with each delivery
+ * @param {Object} channel - {isEnabled(user), send(user, reminder)}
+ */
+export function registerChannel(name, channel) {
+    if (typeof channel.isEnabled !== 'function' || typeof channel.send !== 'function') {
+        throw new Error('A channel needs isEnabled(user) and send(user, reminder) functions');
+    }
+    channels.set(name, channel);
+}
+
+/**
+ * Get the channels a user can currently be reached on
+ * @param {Object} user - User document
+ * @returns {Array<Object>} - [{name, channel}]
+ */
+export function getEnabledChannels(user) {
+    return [...channels.entries()]
+        .filter(([, channel]) => channel.isEnabled(user))
+        .map(([name, channel]) => ({ name, channel }));
+}
+
+/**
+ * Get the public VAPID key browsers need to subscribe to web push
+ * @returns {string|null} - Public key, or null if web push isn't configured
+ */
+export function getPushPublicKey() {
+    return process.env.VAPID_PUBLIC_KEY || null;
+}
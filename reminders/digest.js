@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { buildAgenda, planAgenda, formatAgenda } from '../agent/agenda.js';
+import { postWebhook } from './channels.js';
+import { runWithRequestContext } from '../utils/requestContext.js';
+import { assertWebhookUrl } from '../utils/webhookUrl.js';
+import { toWallTime, fromWallTime, toDateString } from '../utils/timezone.js';
+
+/**
+ * Agenda Digest
+ * Sends users who turned it on a summary of their agenda with a prioritized plan: every day
+ * (that day's agenda) or once a week (the coming 7 days), at a local time of their choosing.
+ * It is POSTed to their digest webhook, or their reminder webhook if they have no separate one,
+ * signed and checked like reminders (see postWebhook): a URL resolving to a local, private or
+ * metadata address is refused, and that digest fails like any other undeliverable one.
+ *
+ * Each digest is claimed on the user document with a single atomic update before it is built,
+ * so a restart or a second instance doesn't send it again. A failed digest is retried on later
+ * scans until it is more than DIGEST_GRACE_MINUTES late.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Helper: How late a digest may still be sent (DIGEST_GRACE_MINUTES, default 60)
+ * @returns {number} - Minutes
+ */
+function getGraceMinutes() {
+    return parseInt(process.env.DIGEST_GRACE_MINUTES, 10) || 60;
+}
+
+/**
+ * When a user's latest digest was due
+ * @param {Object} user - User {timezone, digest: {frequency, time, weekday}}
+ * @param {Date} now - Current time
+ * @returns {Date} - The last scheduled time at or before now
+ */
+export function getDigestDueAt(user, now = new Date()) {
+    const { frequency = 'daily', time = '07:00', weekday = 1 } = user.digest || {};
+    const timezone = user.timezone || 'UTC';
+    const [hours, minutes] = time.split(':').map(Number);
+
+    const wall = new Date(toWallTime(now, timezone));
+    let day = Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate());
+    const at = (midnight) => fromWallTime(midnight + (hours * 60 + minutes) * MINUTE_MS, timezone);
+
+    if (frequency === 'weekly') {
+        day -= ((new Date(day).getUTCDay() - weekday + 7) % 7) * DAY_MS;
+        return at(day) > now ? at(day - 7 * DAY_MS) : at(day);
+    }
+    return at(day) > now ? at(day - DAY_MS) : at(day);
+}
+
+/**
+ * Helper: Where a user's digest goes
+ * @param {Object} user - User
+ * @returns {string|null} - Webhook URL, or null if they have none
+ */
+function getDigestUrl(user) {
+    return (user.digest && user.digest.webhookUrl) || (user.reminders && user.reminders.webhookUrl) || null;
+}
+
+/**
+ * Build and send one user's digest
+ * Runs in a request context for the user, so the plan counts against their usage quota
+ * @param {Object} user - User (plain object)
+ * @param {Date} dueAt - When the digest was due; its day is the first of the agenda
+ * @returns {Promise<Object>} - The payload that was sent
+ * @throws {Error} - If the user has no usable webhook or it could not be delivered
+ */
+export async function sendDigest(user, dueAt = new Date()) {
+    const url = getDigestUrl(user);
+    if (!url) {
+        throw new Error('No webhook URL for the digest');
+    }
+    // Before the plan is generated, so a refused URL costs no model usage
+    await assertWebhookUrl(url);
+
+    const userId = user._id.toString();
+    const timezone = user.timezone || 'UTC';
+    const period = user.digest && user.digest.frequency === 'weekly' ? 'week' : 'day';
+
+    return runWithRequestContext({ requestId: crypto.randomUUID(), userId, timezone }, async () => {
+        const agenda = await buildAgenda(userId, { period, date: dueAt, timezone });
+        const { plan, generated } = await planAgenda(agenda);
+
+        const payload = {
+            type: 'agenda.digest',
+            period,
+            date: toDateString(agenda.from, timezone),
+            timezone,
+            message: `${formatAgenda(agenda)}\n\nPlan:\n${plan}`,
+            plan,
+            generated,
+            agenda
+        };
+        await postWebhook(url, payload);
+        return payload;
+    });
+}
+
+/**
+ * Helper: Atomically claim a user's digest so no other scan or instance sends it
+ * @param {Object} user - User (plain object)
+ * @param {Date} dueAt - When the digest was due
+ * @param {Date} now - Current time, recorded as lastSentAt
+ * @returns {Promise<boolean>} - Whether this scan may send it
+ */
+async function claimDigest(user, dueAt, now) {
+    const result = await User.updateOne(
+        {
+            _id: user._id,
+            $or: [{ 'digest.lastSentAt': null }, { 'digest.lastSentAt': { $lt: dueAt } }]
+        },
+        { $set: { 'digest.lastSentAt': now } }
+    );
+    return result.modifiedCount === 1;
+}
+
+/**
+ * Run one scan: send every digest that is due and hasn't been sent
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of digests sent
+ */
+export async function runDigestScan(now = new Date()) {
+    const windowStart = new Date(now.getTime() - getGraceMinutes() * MINUTE_MS);
+    const users = await User.find({ 'digest.enabled': true }).lean();
+
+    let sent = 0;
+    for (const user of users) {
+        if (!getDigestUrl(user)) continue;
+
+        const dueAt = getDigestDueAt(user, now);
+        const lastSentAt = user.digest.lastSentAt || null;
+        if (dueAt < windowStart || (lastSentAt && lastSentAt >= dueAt)) continue;
+        if (!(await claimDigest(user, dueAt, now))) continue;
+
+        try {
+            await sendDigest(user, dueAt);
+            console.log('📋 Digest sent:', user._id, dueAt.toISOString());
+            sent++;
+        } catch (error) {
+            console.error('Error sending digest:', error.message);
+            // Release the claim so a later scan retries it
+            await User.updateOne(
+                { _id: user._id, 'digest.lastSentAt': now },
+                { $set: { 'digest.lastSentAt': lastSentAt } }
+            );
+        }
+    }
+
+    return sent;
+}
+
+/**
+ * Start scanning every DIGEST_INTERVAL_SECONDS (default 300)
+ * Set DIGESTS_ENABLED=false to turn the scheduler off (e.g. on serverless hosts)
+ * @returns {Object|null} - {stop()}, or null if disabled
+ */
+export function startDigestScheduler() {
+    if (process.env.DIGESTS_ENABLED === 'false') {
+        console.log('📋 Digest scheduler disabled');
+        return null;
+    }
+
+    const intervalMs = (parseInt(process.env.DIGEST_INTERVAL_SECONDS, 10) || 300) * 1000;
+    let running = false;
+
+    // Skip a tick rather than overlap with a slow scan
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const sent = await runDigestScan();
+            if (sent > 0) {
+                console.log(`📋 Sent ${sent} digest(s)`);
+            }
+        } catch (error) {
+            console.error('Digest scan failed:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, intervalMs);
+    tick();
+
+    console.log(`✓ Digest scheduler running every ${intervalMs / 1000}s`);
+    return {
+        stop: () => clearInterval(timer)
+    };
+}
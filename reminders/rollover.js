@@ -0,0 +1,148 @@
+import Task from '../models/Task.js';
+import { snapshotTask, recordChange } from '../agent/history.js';
+import { toWallTime, fromWallTime, toDateString, startOfDayIn } from '../utils/timezone.js';
+
+/**
+ * Nightly Rollover
+ * Once a one-off task's day is over (in the task's own timezone) and it is still open,
+ * the rollover deals with it according to ROLLOVER_MODE:
+ * - "flag" (default): leave it where it is and set its overdueAt
+ * - "move": move it to the current day, keeping its time of day; rolloverCount counts the
+ *   moves and originalDate keeps the date it had before the first one
+ * - "off": leave it alone
+ * Repeating tasks are never rolled over; their next occurrence comes round anyway.
+ *
+ * The job scans every ROLLOVER_INTERVAL_SECONDS, so tasks roll over shortly after midnight
+ * in each timezone. Each change is made with a single conditional update, so a second
+ * instance (or the user changing the task meanwhile) is never overwritten, and is added to
+ * the task's history as a change made by the server, which undo leaves alone.
+ */
+
+const ROLLOVER_MODES = ['flag', 'move', 'off'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Most tasks rolled over per scan; the rest follow on the next one
+const ROLLOVER_BATCH_SIZE = 500;
+
+/**
+ * Helper: Query for the open one-off tasks whose day is over in their own timezone
+ * Each timezone the candidates use gets its own bound (its start of today), so every task
+ * the query returns is due for rollover and a batch is never filled with tasks that aren't
+ * @param {Object} base - Conditions for the mode (open, not repeating, ...)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - Task query
+ */
+async function buildRolloverQuery(base, now) {
+    const timezones = await Task.distinct('timezone', { ...base, date: { $lt: now } });
+    return {
+        ...base,
+        $or: timezones.map(timezone => ({ timezone, date: { $lt: startOfDayIn(now, timezone || 'UTC') } }))
+    };
+}
+
+/**
+ * Helper: What the rollover does with unfinished tasks (ROLLOVER_MODE, default "flag")
+ * @returns {string} - One of ROLLOVER_MODES
+ */
+function getRolloverMode() {
+    const mode = String(process.env.ROLLOVER_MODE || 'flag').trim().toLowerCase();
+    return ROLLOVER_MODES.includes(mode) ? mode : 'flag';
+}
+
+/**
+ * Helper: A task's date moved to another day, keeping its local time of day
+ * @param {Object} task - Task {date, timezone}
+ * @param {string} day - Target day (YYYY-MM-DD) in the task's timezone
+ * @returns {Date} - New date
+ */
+function moveToDay(task, day) {
+    const timezone = task.timezone || 'UTC';
+    const timeOfDay = ((toWallTime(task.date, timezone) % DAY_MS) + DAY_MS) % DAY_MS;
+    return fromWallTime(Date.parse(`${day}T00:00:00Z`) + timeOfDay, timezone);
+}
+
+/**
+ * Run one scan: roll over every open one-off task whose day is over
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of tasks flagged or moved
+ */
+export async function runRollover(now = new Date()) {
+    const mode = getRolloverMode();
+    if (mode === 'off') {
+        return 0;
+    }
+
+    const base = { completed: false, deletedAt: null, recurrence: null };
+    if (mode === 'flag') {
+        base.overdueAt = null;
+    }
+    const query = await buildRolloverQuery(base, now);
+    if (query.$or.length === 0) {
+        return 0;
+    }
+    const tasks = await Task.find(query).sort({ date: 1, _id: 1 }).limit(ROLLOVER_BATCH_SIZE).lean();
+
+    let rolled = 0;
+    for (const task of tasks) {
+        const today = toDateString(now, task.timezone || 'UTC');
+        const update = mode === 'move'
+            ? {
+                $set: { date: moveToDay(task, today), originalDate: task.originalDate || task.date, overdueAt: null },
+                $inc: { rolloverCount: 1 }
+            }
+            : { $set: { overdueAt: now } };
+
+        // Only if the task is still as it was read
+        const updated = await Task.findOneAndUpdate(
+            { ...query, _id: task._id, date: task.date },
+            update,
+            { new: true }
+        );
+        if (!updated) continue;
+
+        await recordChange('update', updated, snapshotTask(task));
+        rolled++;
+    }
+
+    return rolled;
+}
+
+/**
+ * Start scanning every ROLLOVER_INTERVAL_SECONDS (default 900)
+ * Set ROLLOVER_MODE=off to turn the job off
+ * @returns {Object|null} - {stop()}, or null if disabled
+ */
+export function startRolloverScheduler() {
+    const mode = getRolloverMode();
+    if (mode === 'off') {
+        console.log('🌙 Task rollover disabled');
+        return null;
+    }
+
+    const intervalMs = (parseInt(process.env.ROLLOVER_INTERVAL_SECONDS, 10) || 900) * 1000;
+    let running = false;
+
+    // Skip a tick rather than overlap with a slow scan
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const rolled = await runRollover();
+            if (rolled > 0) {
+                console.log(`🌙 Rolled over ${rolled} unfinished task(s) (${mode})`);
+            }
+        } catch (error) {
+            console.error('Task rollover failed:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, intervalMs);
+    tick();
+
+    console.log(`✓ Task rollover (${mode}) running every ${intervalMs / 1000}s`);
+    return {
+        stop: () => clearInterval(timer)
+    };
+}
@@ -0,0 +1,313 @@
+import Task from '../models/Task.js';
+import User from '../models/User.js';
+import { expandTask } from '../utils/recurrence.js';
+import { toWallTime, fromWallTime } from '../utils/timezone.js';
+import { getEnabledChannels } from './channels.js';
+
+/**
+ * Reminder Scheduler
+ * Periodically scans upcoming tasks and sends reminders at each user's offsets
+ * ("1h" before, "morning" of the day, ...) through every channel they have enabled.
+ *
+ * Each delivery is claimed on the task document with a single atomic update before it
+ * is sent, keyed by due time, offset and channel. A restart or a second instance sees
+ * the claim and skips it, so a reminder goes out at most once per channel. Failed
+ * deliveries are retried on later scans, up to MAX_ATTEMPTS.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Longest offset allowed ("7d"); bounds how far ahead each scan looks
+const MAX_OFFSET_MINUTES = 7 * 24 * 60;
+const MAX_ATTEMPTS = 3;
+// Delivery records older than this are pruned from tasks
+const DELIVERY_RETENTION_DAYS = 30;
+const OFFSET_UNITS = { m: 1, h: 60, d: 24 * 60 };
+
+let lastPrunedAt = 0;
+
+/**
+ * Parse a reminder offset
+ * @param {string} value - "15m", "1h", "2d" before the task, or "morning" of its day
+ * @returns {Object} - {name, minutes} or {name: "morning", morning: true}
+ * @throws {Error} - If the offset is malformed or longer than 7 days
+ */
+export function parseOffset(value) {
+    const name = String(value).trim().toLowerCase();
+    if (name === 'morning') {
+        return { name, morning: true };
+    }
+
+    const match = /^(\d+)([mhd])$/.exec(name);
+    if (!match) {
+        throw new Error(`Invalid reminder offset: ${value} (use e.g. "15m", "1h", "1d" or "morning")`);
+    }
+
+    const minutes = Number(match[1]) * OFFSET_UNITS[match[2]];
+    if (minutes < 1 || minutes > MAX_OFFSET_MINUTES) {
+        throw new Error(`Reminder offset must be between 1m and 7d: ${value}`);
+    }
+    return { name, minutes };
+}
+
+/**
+ * Helper: Offsets for a user, falling back to REMINDER_OFFSETS (default "1h,morning")
+ * @param {Object} user - User document
+ * @returns {Array<Object>} - Parsed offsets; invalid entries are skipped
+ */
+function getOffsets(user) {
+    const configured = user.reminders && user.reminders.offsets && user.reminders.offsets.length > 0
+        ? user.reminders.offsets
+        : (process.env.REMINDER_OFFSETS || '1h,morning').split(',');
+
+    return configured.flatMap(value => {
+        try {
+            return [parseOffset(value)];
+        } catch (error) {
+            console.warn('⚠️ Skipping reminder offset:', error.message);
+            return [];
+        }
+    });
+}
+
+/**
+ * Helper: Minutes after midnight for "morning" reminders (REMINDER_MORNING_TIME, default 08:00)
+ * @returns {number} - Minutes after local midnight
+ */
+function getMorningMinutes() {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(process.env.REMINDER_MORNING_TIME || '08:00');
+    return match ? Number(match[1]) * 60 + Number(match[2]) : 8 * 60;
+}
+
+/**
+ * Helper: When a reminder for an occurrence is due
+ * Minute offsets only apply to timed tasks; "morning" applies to all-day tasks
+ * and to timed tasks later that day
+ * @param {Object} offset - Parsed offset
+ * @param {Object} occurrence - Task or occurrence {date, allDay, timezone}
+ * @returns {Date|null} - Due time, or null if the offset doesn't apply
+ */
+function getDueAt(offset, occurrence) {
+    const date = new Date(occurrence.date);
+
+    if (!offset.morning) {
+        return occurrence.allDay === false ? new Date(date.getTime() - offset.minutes * MINUTE_MS) : null;
+    }
+
+    const timezone = occurrence.timezone || 'UTC';
+    const wall = new Date(toWallTime(date, timezone));
+    const midnight = Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate());
+    const dueAt = fromWallTime(midnight + getMorningMinutes() * MINUTE_MS, timezone);
+
+    return occurrence.allDay === false && dueAt >= date ? null : dueAt;
+}
+
+/**
+ * Helper: The reminder payload handed to channels
+ * @param {Object} task - Task (plain object)
+ * @param {Object} occurrence - The task itself or one of its occurrences
+ * @param {Object} offset - Parsed offset
+ * @param {Date} dueAt - When the reminder was due
+ * @returns {Object} - {taskId, title, notes, date, allDay, timezone, occurrenceDate, offset, dueAt, message}
+ */
+function buildReminder(task, occurrence, offset, dueAt) {
+    const timezone = occurrence.timezone || 'UTC';
+    const date = new Date(occurrence.date);
+    const day = date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', timeZone: timezone });
+    const time = occurrence.allDay === false
+        ? ` at ${date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: timezone })}`
+        : '';
+
+    return {
+        taskId: task._id.toString(),
+        title: occurrence.title,
+        notes: occurrence.notes || '',
+        date,
+        allDay: occurrence.allDay !== false,
+        timezone,
+        occurrenceDate: occurrence.occurrenceDate || null,
+        offset: offset.name,
+        dueAt,
+        message: `"${occurrence.title}" is due ${day}${time}.`
+    };
+}
+
+/**
+ * Helper: Atomically claim a delivery so no other scan or instance sends it
+ * @param {string} taskId - Task ID
+ * @param {Object} delivery - {key, occurrenceDate, offset, channel, dueAt}
+ * @returns {Promise<boolean>} - Whether this scan may send it
+ */
+async function claimDelivery(taskId, delivery) {
+    const now = new Date();
+
+    // First attempt: only succeeds if no delivery with this key exists yet
+    const fresh = await Task.updateOne(
+        { _id: taskId, 'reminderDeliveries.key': { $ne: delivery.key } },
+        { $push: { reminderDeliveries: { ...delivery, status: 'sending', attempts: 1, claimedAt: now } } }
+    );
+    if (fresh.modifiedCount === 1) {
+        return true;
+    }
+
+    // Retry: only succeeds if the earlier attempt failed and attempts remain
+    const retry = await Task.updateOne(
+        {
+            _id: taskId,
+            reminderDeliveries: { $elemMatch: { key: delivery.key, status: 'failed', attempts: { $lt: MAX_ATTEMPTS } } }
+        },
+        {
+            $set: { 'reminderDeliveries.$.status': 'sending', 'reminderDeliveries.$.claimedAt': now },
+            $inc: { 'reminderDeliveries.$.attempts': 1 }
+        }
+    );
+    return retry.modifiedCount === 1;
+}
+
+/**
+ * Helper: Claim and send one reminder through one channel, recording the outcome
+ * @returns {Promise<boolean>} - Whether the reminder was sent by this call
+ */
+async function deliver(task, occurrence, offset, dueAt, user, { name, channel }) {
+    const delivery = {
+        key: `${dueAt.toISOString()}|${offset.name}|${name}`,
+        occurrenceDate: occurrence.occurrenceDate || null,
+        offset: offset.name,
+        channel: name,
+        dueAt
+    };
+
+    if (!(await claimDelivery(task._id, delivery))) {
+        return false;
+    }
+
+    try {
+        await channel.send(user, buildReminder(task, occurrence, offset, dueAt));
+        await Task.updateOne(
+            { _id: task._id, 'reminderDeliveries.key': delivery.key },
+            { $set: { 'reminderDeliveries.$.status': 'sent', 'reminderDeliveries.$.sentAt': new Date() } }
+        );
+
+        console.log(`⏰ Reminder sent via ${name}:`, task._id, delivery.key);
+        return true;
+    } catch (error) {
+        console.error(`Error sending reminder via ${name}:`, error.message);
+        await Task.updateOne(
+            { _id: task._id, 'reminderDeliveries.key': delivery.key },
+            { $set: { 'reminderDeliveries.$.status': 'failed', 'reminderDeliveries.$.lastError': error.message } }
+        );
+        return false;
+    }
+}
+
+/**
+ * Helper: Drop old delivery records (at most once an hour)
+ * @param {Date} now - Current time
+ */
+async function pruneDeliveries(now) {
+    if (now.getTime() - lastPrunedAt < 60 * MINUTE_MS) {
+        return;
+    }
+    lastPrunedAt = now.getTime();
+
+    const cutoff = new Date(now.getTime() - DELIVERY_RETENTION_DAYS * DAY_MS);
+    await Task.updateMany(
+        { 'reminderDeliveries.dueAt': { $lt: cutoff } },
+        { $pull: { reminderDeliveries: { dueAt: { $lt: cutoff } } } }
+    );
+}
+
+/**
+ * Run one scan: send every reminder that is due and hasn't been sent
+ * Reminders more than REMINDER_GRACE_MINUTES (default 30) late, e.g. after downtime, are skipped
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of reminders sent
+ */
+export async function runReminderScan(now = new Date()) {
+    const graceMinutes = parseInt(process.env.REMINDER_GRACE_MINUTES, 10) || 30;
+    const windowStart = new Date(now.getTime() - graceMinutes * MINUTE_MS);
+    // "morning" reminders fall after an all-day task's midnight; minute offsets up to 7 days before
+    const scanFrom = new Date(windowStart.getTime() - DAY_MS);
+    const scanTo = new Date(now.getTime() + MAX_OFFSET_MINUTES * MINUTE_MS);
+
+    const tasks = await Task.find({
+        completed: false,
+        deletedAt: null,
+        $or: [
+            { recurrence: null, date: { $gte: scanFrom, $lte: scanTo } },
+            { recurrence: { $ne: null }, date: { $lte: scanTo } }
+        ]
+    }).lean();
+
+    const ownerIds = [...new Set(tasks.map(task => task.owner.toString()))];
+    const users = await User.find({ _id: { $in: ownerIds }, 'reminders.enabled': { $ne: false } }).lean();
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    let sent = 0;
+    for (const task of tasks) {
+        const user = usersById.get(task.owner.toString());
+        const channels = user ? getEnabledChannels(user) : [];
+        if (channels.length === 0) continue;
+
+        const offsets = getOffsets(user);
+        const occurrences = task.recurrence ? expandTask(task, scanFrom, scanTo) : [task];
+
+        for (const occurrence of occurrences) {
+            if (occurrence.completed) continue;
+
+            for (const offset of offsets) {
+                const dueAt = getDueAt(offset, occurrence);
+                if (!dueAt || dueAt > now || dueAt < windowStart) continue;
+
+                for (const channel of channels) {
+                    if (await deliver(task, occurrence, offset, dueAt, user, channel)) {
+                        sent++;
+                    }
+                }
+            }
+        }
+    }
+
+    await pruneDeliveries(now);
+    return sent;
+}
+
+/**
+ * Start scanning every REMINDER_INTERVAL_SECONDS (default 60)
+ * Set REMINDERS_ENABLED=false to turn the scheduler off (e.g. on serverless hosts)
+ * @returns {Object|null} - {stop()}, or null if disabled
+ */
+export function startReminderScheduler() {
+    if (process.env.REMINDERS_ENABLED === 'false') {
+        console.log('⏰ Reminder scheduler disabled');
+        return null;
+    }
+
+    const intervalMs = (parseInt(process.env.REMINDER_INTERVAL_SECONDS, 10) || 60) * 1000;
+    let running = false;
+
+    // Skip a tick rather than overlap with a slow scan
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            const sent = await runReminderScan();
+            if (sent > 0) {
+                console.log(`⏰ Sent ${sent} reminder(s)`);
+            }
+        } catch (error) {
+            console.error('Reminder scan failed:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, intervalMs);
+    tick();
+
+    console.log(`✓ Reminder scheduler running every ${intervalMs / 1000}s`);
+    return {
+        stop: () => clearInterval(timer)
+    };
+}
@@ -0,0 +1,79 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { listTraces, getTrace } from '../agent/trace.js';
+import { parseDateBound } from '../utils/dateParser.js';
+
+const router = express.Router();
+
+// Most traces returned by one listing
+const MAX_TRACES = 200;
+
+/**
+ * GET /api/admin/traces
+ * Recent agent traces, newest first, without their steps
+ * Query: userId, intent, failed=true (only messages that errored), dateFrom, dateTo
+ * (YYYY-MM-DD or ISO timestamps, UTC), limit (default 50, at most 200)
+ */
+router.get('/traces', async (req, res) => {
+    try {
+        const { userId, intent, failed, dateFrom, dateTo } = req.query;
+
+        if (userId !== undefined && !mongoose.isValidObjectId(userId)) {
+            return res.status(400).json({
+                error: 'userId must be a user ID'
+            });
+        }
+
+        const from = dateFrom ? parseDateBound(dateFrom, 'UTC', 'start') : undefined;
+        const to = dateTo ? parseDateBound(dateTo, 'UTC', 'end') : undefined;
+        if (from === null || to === null) {
+            return res.status(400).json({
+                error: 'dateFrom and dateTo must be YYYY-MM-DD dates or ISO timestamps'
+            });
+        }
+
+        const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit, 10);
+        if (!(limit >= 1 && limit <= MAX_TRACES)) {
+            return res.status(400).json({
+                error: `limit must be between 1 and ${MAX_TRACES}`
+            });
+        }
+
+        const traces = await listTraces({ userId, intent, failed: failed === 'true', from, to, limit });
+
+        res.json({
+            traces,
+            count: traces.length
+        });
+    } catch (error) {
+        console.error('Trace listing error:', error);
+        res.status(500).json({
+            error: 'Failed to retrieve traces'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/traces/:requestId
+ * One agent trace with all its steps; the request ID is the X-Request-Id header of the chat response
+ */
+router.get('/traces/:requestId', async (req, res) => {
+    try {
+        const trace = await getTrace(req.params.requestId);
+
+        if (!trace) {
+            return res.status(404).json({
+                error: 'Trace not found'
+            });
+        }
+
+        res.json({ trace });
+    } catch (error) {
+        console.error('Trace retrieval error:', error);
+        res.status(500).json({
+            error: 'Failed to retrieve trace'
+        });
+    }
+});
+
+export default router;
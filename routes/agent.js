@@ -1,16 +1,77 @@
 import express from 'express';
+import crypto from 'crypto';
 import agent from '../agent/Agent.js';
-import { getTasks, updateTask, deleteTask } from '../agent/tools.js';
+import User from '../models/User.js';
+import {
+    getTasks,
+    getTaskPage,
+    decodeTaskCursor,
+    TASK_FIELDS,
+    getTask,
+    updateTask,
+    updateOccurrence,
+    deleteTask,
+    restoreTask,
+    listTrash,
+    importTasks,
+    exportTasks,
+    saveTask,
+    runBulkAction,
+    TaskValidationError,
+    BULK_ACTIONS,
+    MAX_BULK_TASKS,
+    AGENDA_PERIODS,
+    addSubtasks,
+    updateSubtask,
+    reorderSubtasks,
+    deleteSubtask
+} from '../agent/tools.js';
+import { isValidRule } from '../utils/recurrence.js';
+import { parseDateInput, parseDateBound } from '../utils/dateParser.js';
+import { parseICalendar } from '../utils/ical.js';
+import { EXPORT_FORMATS, toTasksJSON, toTasksCSV, parseTasksJSON, parseTasksCSV } from '../utils/taskExport.js';
+import { MAX_SUBTASKS } from '../utils/subtasks.js';
+import { PRIORITIES, isValidPriority, normalizeTags, MAX_TAGS } from '../utils/labels.js';
+import { TASK_STATUSES } from '../utils/taskStatus.js';
+import { searchTasks, SEARCH_MODES, MAX_SEARCH_LIMIT } from '../agent/search.js';
+import { resolvePageSize, getMaxPageSize, parseFields } from '../utils/pagination.js';
+import {
+    listProjects,
+    getProject,
+    findProjectByName,
+    createProject,
+    updateProject,
+    deleteProject
+} from '../agent/projects.js';
+import { getUsageReport, getQuotaStatus } from '../usage/accounting.js';
+import { listTaskHistory, undoLastChange } from '../agent/history.js';
+import { buildAgenda, planAgenda } from '../agent/agenda.js';
+import { limitChatByUser } from '../middleware/rateLimit.js';
+import { startOfDayIn, startOfMonthIn } from '../utils/timezone.js';
+import {
+    getConversation,
+    createConversation,
+    listConversations,
+    deleteConversation
+} from '../agent/memory.js';
 
 const router = express.Router();
 
 /**
- * POST /api/agent/chat
- * Main chat endpoint - processes user messages through the agent
+ * Helper: Longest chat message accepted, in characters (MAX_MESSAGE_LENGTH, default 4000)
+ * @returns {number} - Character limit
+ */
+function getMaxMessageLength() {
+    return parseInt(process.env.MAX_MESSAGE_LENGTH, 10) || 4000;
+}
+
+/**
+ * Shared by the chat endpoints: validate the message and load or start the conversation
+ * Sets req.chat = {message, conversation}
  */
-router.post('/chat', async (req, res) => {
+async function prepareChat(req, res, next) {
     try {
-        const { message } = req.body;
+        const { message, sessionId } = req.body;
 
         // Validate input
         if (!message || typeof message !== 'string' || message.trim().length === 0) {
@@ -18,9 +79,53 @@ router.post('/chat', async (req, res) => {
                 error: 'Message is required and must be a non-empty string'
             });
         }
+        if (message.length > getMaxMessageLength()) {
+            return res.status(400).json({
+                error: `Message must be at most ${getMaxMessageLength()} characters`
+            });
+        }
+
+        // Continue an existing conversation or start a new one
+        let conversation;
+        if (sessionId) {
+            conversation = await getConversation(req.user.id, sessionId);
+            if (!conversation) {
+                return res.status(404).json({
+                    error: 'Conversation not found'
+                });
+            }
+        } else {
+            conversation = await createConversation(req.user.id, message.trim());
+        }
+
+        req.chat = { message: message.trim(), conversation };
+        next();
+    } catch (error) {
+        console.error('Chat setup error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to process your message. Please try again.'
+        });
+    }
+}
+
+/**
+ * POST /api/agent/chat
+ * Main chat endpoint - processes user messages through the agent
+ * Pass the returned sessionId back to continue the same conversation
+ * Limited to RATE_LIMIT_CHAT_MAX messages per user per window (429 with Retry-After beyond that)
+ * and MAX_MESSAGE_LENGTH characters per message
+ */
+router.post('/chat', limitChatByUser, prepareChat, async (req, res) => {
+    try {
+        const { message, conversation } = req.chat;
 
         // Process message through agent
-        const response = await agent.process(message.trim());
+        const response = await agent.process(message, {
+            userId: req.user.id,
+            conversation,
+            timezone: req.timezone
+        });
 
         // Return response
         res.json(response);
@@ -33,28 +138,173 @@ router.post('/chat', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/agent/chat/stream
+ * Streaming variant of /chat using Server-Sent Events
+ * Events: "session" {sessionId}, then progress events as the agent works
+ * ("flagged", "classified", "extracted", "duplicate", "saved", "deleted", "agenda", "tool_call", "tool_result"),
+ * "token" {text} for streamed advice, plans or conversational text,
+ * and finally "done" with the same body /chat returns (or "error")
+ */
+router.post('/chat/stream', limitChatByUser, prepareChat, async (req, res) => {
+    const { message, conversation } = req.chat;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop proxies such as nginx from buffering the stream
+    });
+    res.flushHeaders();
+
+    // Stop writing if the client goes away; the agent still finishes and records the turn
+    let closed = false;
+    res.on('close', () => {
+        closed = true;
+    });
+
+    const send = (event, data) => {
+        if (!closed) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    send('session', { sessionId: conversation._id });
+
+    try {
+        const response = await agent.process(message, {
+            userId: req.user.id,
+            conversation,
+            timezone: req.timezone,
+            onEvent: send
+        });
+
+        send('done', response);
+    } catch (error) {
+        console.error('Chat stream error:', error);
+        send('error', {
+            message: 'Failed to process your message. Please try again.'
+        });
+    }
+
+    res.end();
+});
+
+/**
+ * Helper: Read task filters given as GET /tasks query parameters (or the same keys in a request body)
+ * @param {Object} source - {completed, status, dateFrom, dateTo, priority, tags, project}
+ * @param {Object} req - Request (for the user and timezone)
+ * @returns {Promise<Object>} - {filters} for getTasks, or {status, error} if one is invalid
+ */
+async function parseTaskFilters(source, req) {
+    const { completed, status, dateFrom, dateTo, priority, tags, project } = source;
+
+    const filters = {};
+    if (completed !== undefined) {
+        filters.completed = String(completed) === 'true';
+    }
+    if (dateFrom) filters.dateFrom = parseDateBound(dateFrom, req.timezone, 'start');
+    if (dateTo) filters.dateTo = parseDateBound(dateTo, req.timezone, 'end');
+
+    if (filters.dateFrom === null || filters.dateTo === null) {
+        return { status: 400, error: 'dateFrom and dateTo must be YYYY-MM-DD dates or ISO timestamps' };
+    }
+
+    if (priority) {
+        filters.priority = String(priority).split(',').map(value => value.trim().toLowerCase());
+        if (!filters.priority.every(isValidPriority)) {
+            return { status: 400, error: `priority must be one or more of: ${PRIORITIES.join(', ')}` };
+        }
+    }
+    if (status) {
+        filters.status = String(status).split(',').map(value => value.trim().toLowerCase());
+        if (!filters.status.every(value => TASK_STATUSES.includes(value))) {
+            return { status: 400, error: `status must be one or more of: ${TASK_STATUSES.join(', ')}` };
+        }
+    }
+    if (tags) {
+        filters.tags = normalizeTags(String(tags).split(','));
+    }
+    if (project) {
+        if (project === 'none') {
+            filters.project = null;
+        } else if (await getProject(req.user.id, project)) {
+            filters.project = project;
+        } else {
+            return { status: 404, error: 'Project not found' };
+        }
+    }
+
+    return { filters };
+}
+
 /**
  * GET /api/agent/tasks
- * Retrieve all tasks with optional filters
+ * Retrieve the user's tasks with optional filters
+ * With dateFrom/dateTo, recurring tasks are returned once per occurrence in the range
+ * Date-only bounds (YYYY-MM-DD) cover whole days in the request's timezone
+ * Also filters by ?priority=high,urgent, ?tags=work,q3 (tasks with all of them),
+ * ?project=<project ID> (or "none" for tasks without a project) and ?status=overdue,due_today
+ * (each task's computed status: upcoming, due_today, overdue or completed), and sorts with
+ * ?sort=date|priority|title|createdAt&order=asc|desc
+ * Results are paged: ?limit=<page size> (capped by TASKS_MAX_PAGE_SIZE) and ?cursor=<nextCursor
+ * of the previous page>; ?fields=title,date,completed returns only those fields (and _id)
  */
 router.get('/tasks', async (req, res) => {
     try {
-        const { completed, dateFrom, dateTo } = req.query;
+        const { sort, order, limit, cursor, fields } = req.query;
 
         // Build filters
-        const filters = {};
-        if (completed !== undefined) {
-            filters.completed = completed === 'true';
+        const { filters, status, error } = await parseTaskFilters(req.query, req);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        if (sort !== undefined && !['date', 'priority', 'title', 'createdAt'].includes(sort)) {
+            return res.status(400).json({
+                error: 'sort must be one of: date, priority, title, createdAt'
+            });
+        }
+        if (order !== undefined && !['asc', 'desc'].includes(order)) {
+            return res.status(400).json({
+                error: 'order must be asc or desc'
+            });
+        }
+        filters.sort = sort;
+        filters.order = order;
+
+        const pageSize = resolvePageSize(limit);
+        if (pageSize === null) {
+            return res.status(400).json({
+                error: `limit must be a positive whole number (pages hold at most ${getMaxPageSize()} tasks)`
+            });
+        }
+
+        const projection = parseFields(fields, TASK_FIELDS);
+        if (projection.error) {
+            return res.status(400).json({
+                error: projection.error,
+                allowedFields: TASK_FIELDS
+            });
+        }
+
+        const after = cursor ? decodeTaskCursor(cursor, filters) : null;
+        if (cursor && !after) {
+            return res.status(400).json({
+                error: 'Invalid cursor; it must come from a previous page with the same sort and order'
+            });
         }
-        if (dateFrom) filters.dateFrom = dateFrom;
-        if (dateTo) filters.dateTo = dateTo;
 
-        // Get tasks
-        const tasks = await getTasks(filters);
+        // Get one page of tasks
+        const page = await getTaskPage(req.user.id, filters, { limit: pageSize, after, fields: projection.fields });
 
         res.json({
-            tasks,
-            count: tasks.length
+            tasks: page.tasks,
+            count: page.tasks.length,
+            total: page.total,
+            limit: pageSize,
+            hasMore: page.hasMore,
+            nextCursor: page.nextCursor
         });
     } catch (error) {
         console.error('Get tasks error:', error);
@@ -65,74 +315,1208 @@ router.get('/tasks', async (req, res) => {
 });
 
 /**
- * PATCH /api/agent/tasks/:id
- * Update a task (e.g., mark as completed)
+ * POST /api/agent/tasks
+ * Create a task directly, without the chat (no advice is generated)
+ * Body: {title, date (YYYY-MM-DD for an all-day task or an ISO timestamp; defaults to today), allDay,
+ * durationMinutes, notes, recurrence, priority, tags, project (project ID), subtasks (titles), completed}
  */
-router.patch('/tasks/:id', async (req, res) => {
+router.post('/tasks', async (req, res) => {
     try {
-        const { id } = req.params;
-        const updates = req.body;
+        // "timezone" is read by the timezone middleware
+        const allowedFields = ['title', 'date', 'allDay', 'durationMinutes', 'notes', 'recurrence', 'priority', 'tags',
+            'project', 'subtasks', 'completed', 'timezone'];
+        if (!Object.keys(req.body).every(field => allowedFields.includes(field))) {
+            return res.status(400).json({
+                error: 'Invalid fields',
+                allowedFields
+            });
+        }
 
-        // Validate updates
-        const allowedUpdates = ['completed', 'title', 'date', 'notes'];
-        const requestedUpdates = Object.keys(updates);
-        const isValidOperation = requestedUpdates.every(update =>
-            allowedUpdates.includes(update)
-        );
+        const { title, date, allDay, durationMinutes, notes, recurrence, priority, tags, project, subtasks, completed } = req.body;
 
-        if (!isValidOperation) {
+        if (typeof title !== 'string') {
             return res.status(400).json({
-                error: 'Invalid updates',
-                allowedFields: allowedUpdates
+                error: 'title is required and must be a string'
             });
         }
 
-        // Update task
-        const task = await updateTask(id, updates);
+        if (priority !== undefined && !isValidPriority(priority)) {
+            return res.status(400).json({
+                error: `priority must be one of: ${PRIORITIES.join(', ')}`
+            });
+        }
 
-        res.json({
-            message: 'Task updated successfully',
+        if (tags !== undefined && (!Array.isArray(tags) || tags.length > MAX_TAGS || !tags.every(tag => typeof tag === 'string'))) {
+            return res.status(400).json({
+                error: `tags must be an array of at most ${MAX_TAGS} strings`
+            });
+        }
+
+        if (subtasks !== undefined && (!Array.isArray(subtasks) || subtasks.length > MAX_SUBTASKS || !subtasks.every(isValidSubtaskTitle))) {
+            return res.status(400).json({
+                error: `subtasks must be an array of at most ${MAX_SUBTASKS} titles of 1 to 200 characters`
+            });
+        }
+
+        if (project !== undefined && project !== null && !(await getProject(req.user.id, project))) {
+            return res.status(404).json({
+                error: 'Project not found'
+            });
+        }
+
+        const when = date === undefined
+            ? { date: startOfDayIn(new Date(), req.timezone), allDay: true }
+            : parseDateInput(date, req.timezone);
+        if (!when) {
+            return res.status(400).json({
+                error: 'date must be a YYYY-MM-DD date or an ISO timestamp'
+            });
+        }
+
+        const task = await saveTask(req.user.id, {
+            title,
+            date: when.date,
+            allDay: allDay === undefined ? when.allDay : allDay,
+            durationMinutes,
+            timezone: req.timezone,
+            notes,
+            recurrence,
+            priority,
+            tags,
+            project,
+            subtasks: subtasks && subtasks.map(subtask => subtask.trim()),
+            completed
+        });
+
+        res.status(201).json({
+            message: 'Task created successfully',
             task
         });
     } catch (error) {
-        console.error('Update task error:', error);
+        if (error instanceof TaskValidationError) {
+            return res.status(400).json({
+                error: 'Invalid task',
+                details: error.errors
+            });
+        }
+        console.error('Create task error:', error);
         res.status(500).json({
-            error: 'Failed to update task'
+            error: 'Failed to create task'
         });
     }
 });
 
 /**
- * DELETE /api/agent/tasks/:id
- * Delete a task
+ * GET /api/agent/tasks/export
+ * Download all tasks (not the trash) as ?format=json (default) or csv, for POST /tasks/import
  */
-router.delete('/tasks/:id', async (req, res) => {
+router.get('/tasks/export', async (req, res) => {
     try {
-        const { id } = req.params;
+        const format = req.query.format || 'json';
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({
+                error: `format must be one of: ${EXPORT_FORMATS.join(', ')}`
+            });
+        }
+
+        const records = await exportTasks(req.user.id);
+        const filename = `tasks-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        res.set({
+            'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${filename}"`
+        });
+        res.send(format === 'csv' ? toTasksCSV(records) : toTasksJSON(records));
+    } catch (error) {
+        console.error('Export tasks error:', error);
+        res.status(500).json({
+            error: 'Failed to export tasks'
+        });
+    }
+});
+
+/**
+ * POST /api/agent/tasks/bulk
+ * Complete, reschedule, tag or delete many tasks at once
+ * Body: {action, ids: [task ID]} or {action, filter: {completed, status, dateFrom, dateTo, priority, tags, project}}
+ * (filter keys as for GET /tasks; a repeating task matched by a date range changes only in the matched
+ * occurrences, where deleting cancels them, while tags are added to or removed from the whole series), and
+ * - complete: completed (default true; false reopens the tasks)
+ * - reschedule: date (YYYY-MM-DD for all-day or an ISO timestamp)
+ * - tag: add and/or remove (arrays of tags)
+ * At most 500 tasks per request. Each task gets its own result, so some can fail while the rest change;
+ * POST /undo reverts the whole batch
+ */
+router.post('/tasks/bulk', async (req, res) => {
+    try {
+        const { action, ids, filter, completed, date, add, remove } = req.body;
+
+        if (!BULK_ACTIONS.includes(action)) {
+            return res.status(400).json({
+                error: `action must be one of: ${BULK_ACTIONS.join(', ')}`
+            });
+        }
+
+        if ((ids === undefined) === (filter === undefined)) {
+            return res.status(400).json({
+                error: 'Send either ids or filter'
+            });
+        }
+        if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_TASKS
+            || !ids.every(id => typeof id === 'string'))) {
+            return res.status(400).json({
+                error: `ids must be an array of 1 to ${MAX_BULK_TASKS} task IDs`
+            });
+        }
+        if (filter !== undefined && (filter === null || typeof filter !== 'object' || Array.isArray(filter))) {
+            return res.status(400).json({
+                error: 'filter must be an object'
+            });
+        }
+
+        const options = {};
+        if (action === 'complete') {
+            if (completed !== undefined && typeof completed !== 'boolean') {
+                return res.status(400).json({
+                    error: 'completed must be true or false'
+                });
+            }
+            options.completed = completed;
+        } else if (action === 'reschedule') {
+            const parsed = date !== undefined ? parseDateInput(date, req.timezone) : null;
+            if (!parsed) {
+                return res.status(400).json({
+                    error: 'date is required and must be a YYYY-MM-DD date or an ISO timestamp'
+                });
+            }
+            Object.assign(options, parsed, { timezone: req.timezone });
+        } else if (action === 'tag') {
+            const isTagList = list => list === undefined
+                || (Array.isArray(list) && list.length <= MAX_TAGS && list.every(tag => typeof tag === 'string'));
+            if (!isTagList(add) || !isTagList(remove) || (add || []).length + (remove || []).length === 0) {
+                return res.status(400).json({
+                    error: `add and remove must be arrays of at most ${MAX_TAGS} tags, and at least one must have tags`
+                });
+            }
+            Object.assign(options, { add, remove });
+        }
+
+        let taskIds = ids;
+        if (filter !== undefined) {
+            const parsed = await parseTaskFilters(filter, req);
+            if (parsed.error) {
+                return res.status(parsed.status).json({ error: parsed.error });
+            }
 
-        await deleteTask(id);
+            // Occurrences in a date range are changed one by one, leaving the rest of their series alone;
+            // tags belong to the series, so tagging one tags the series once
+            const matches = await getTasks(req.user.id, parsed.filters);
+            taskIds = action === 'tag'
+                ? [...new Set(matches.map(task => String(task.seriesId || task._id)))]
+                : matches.map(task => task.seriesId
+                    ? { id: String(task.seriesId), occurrenceDate: task.occurrenceDate }
+                    : String(task._id));
+            if (taskIds.length > MAX_BULK_TASKS) {
+                return res.status(400).json({
+                    error: `The filter matches ${taskIds.length} tasks; at most ${MAX_BULK_TASKS} can be changed at once`
+                });
+            }
+        }
+
+        const { results, succeeded, failed } = await runBulkAction(req.user.id, taskIds, action, options);
 
         res.json({
-            message: 'Task deleted successfully'
+            message: `${succeeded} of ${results.length} tasks changed`,
+            action,
+            results,
+            succeeded,
+            failed
         });
     } catch (error) {
-        console.error('Delete task error:', error);
+        console.error('Bulk action error:', error);
         res.status(500).json({
-            error: 'Failed to delete task'
+            error: 'Failed to apply bulk action'
         });
     }
 });
 
 /**
- * GET /api/agent/status
- * Health check endpoint
+ * GET /api/agent/tasks/search
+ * Search tasks: ?q=<words>&mode=keyword|semantic|auto&limit=10&includeCompleted=false
+ * keyword (default) matches words in title, notes and advice; semantic ranks by meaning;
+ * auto tries keywords first and falls back to semantic
  */
-router.get('/status', (req, res) => {
-    res.json({
-        status: 'online',
-        agent: 'Task Assistant Agent',
-        version: '1.0.0'
-    });
+router.get('/tasks/search', async (req, res) => {
+    try {
+        const { q, mode = 'keyword', limit, includeCompleted } = req.query;
+
+        if (!q || typeof q !== 'string' || q.trim().length === 0) {
+            return res.status(400).json({
+                error: 'q is required'
+            });
+        }
+
+        if (!SEARCH_MODES.includes(mode)) {
+            return res.status(400).json({
+                error: `mode must be one of: ${SEARCH_MODES.join(', ')}`
+            });
+        }
+
+        const parsedLimit = limit !== undefined ? parseInt(limit, 10) : undefined;
+        if (parsedLimit !== undefined && !(parsedLimit >= 1 && parsedLimit <= MAX_SEARCH_LIMIT)) {
+            return res.status(400).json({
+                error: `limit must be between 1 and ${MAX_SEARCH_LIMIT}`
+            });
+        }
+
+        const search = await searchTasks(req.user.id, q.trim(), {
+            mode,
+            limit: parsedLimit,
+            includeCompleted: includeCompleted !== 'false'
+        });
+
+        res.json({
+            ...search,
+            count: search.results.length
+        });
+    } catch (error) {
+        console.error('Search tasks error:', error);
+        res.status(500).json({
+            error: 'Failed to search tasks'
+        });
+    }
+});
+
+/**
+ * Helper: Read the period and day of an agenda request (query parameters or body)
+ * @param {Object} source - {period, date}
+ * @param {Object} req - Request (for the timezone)
+ * @returns {Object} - {period, date} for buildAgenda, or {error} if one is invalid
+ */
+function parseAgendaRequest(source, req) {
+    const { period = 'day', date } = source;
+
+    if (!AGENDA_PERIODS.includes(period)) {
+        return { error: `period must be one of: ${AGENDA_PERIODS.join(', ')}` };
+    }
+
+    const day = date ? parseDateBound(String(date), req.timezone, 'start') : new Date();
+    if (day === null) {
+        return { error: 'date must be a YYYY-MM-DD date or an ISO timestamp' };
+    }
+
+    return { period, date: day };
+}
+
+/**
+ * GET /api/agent/agenda
+ * The user's agenda: ?period=day (default) or week (the 7 days from ?date, default today)
+ * Returns the open tasks from before the period that are overdue, and each day of it with its
+ * tasks and workload {total, open, completed, minutes (of timed tasks), overloaded}
+ */
+router.get('/agenda', async (req, res) => {
+    try {
+        const { period, date, error } = parseAgendaRequest(req.query, req);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const agenda = await buildAgenda(req.user.id, { period, date, timezone: req.timezone });
+
+        res.json(agenda);
+    } catch (error) {
+        console.error('Get agenda error:', error);
+        res.status(500).json({
+            error: 'Failed to retrieve agenda'
+        });
+    }
+});
+
+/**
+ * POST /api/agent/agenda/plan
+ * A prioritized plan for the user's agenda, written by the model
+ * Body: {period, date} as for GET /agenda; returns the agenda with {plan, generated}
+ * (generated is false when the plan was built from priorities alone, e.g. over the usage quota)
+ */
+router.post('/agenda/plan', limitChatByUser, async (req, res) => {
+    try {
+        const { period, date, error } = parseAgendaRequest(req.body, req);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const agenda = await buildAgenda(req.user.id, { period, date, timezone: req.timezone });
+        const { plan, generated } = await planAgenda(agenda);
+
+        res.json({
+            ...agenda,
+            plan,
+            generated
+        });
+    } catch (error) {
+        console.error('Plan agenda error:', error);
+        res.status(500).json({
+            error: 'Failed to plan agenda'
+        });
+    }
+});
+
+/**
+ * PATCH /api/agent/tasks/:id
+ * Update a task (e.g., mark as completed)
+ * For a recurring task, ?occurrence=<original occurrence date> changes only that
+ * occurrence; without it the whole series changes
+ * A date of "YYYY-MM-DD" makes the task all-day; a full timestamp gives it a time of day
+ */
+router.patch('/tasks/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { occurrence } = req.query;
+        const updates = { ...req.body };
+
+        // Validate updates ("timezone" is read by the timezone middleware)
+        const allowedUpdates = occurrence
+            ? ['completed', 'title', 'date', 'notes', 'timezone']
+            : ['completed', 'title', 'date', 'allDay', 'durationMinutes', 'notes', 'recurrence', 'timezone',
+                'priority', 'tags', 'project'];
+        const requestedUpdates = Object.keys(updates);
+        const isValidOperation = requestedUpdates.every(update =>
+            allowedUpdates.includes(update)
+        );
+
+        if (!isValidOperation) {
+            return res.status(400).json({
+                error: 'Invalid updates',
+                allowedFields: allowedUpdates
+            });
+        }
+
+        if (updates.completed !== undefined && typeof updates.completed !== 'boolean') {
+            return res.status(400).json({
+                error: 'completed must be true or false'
+            });
+        }
+
+        if (updates.recurrence !== undefined && updates.recurrence !== null && !isValidRule(updates.recurrence)) {
+            return res.status(400).json({
+                error: 'Invalid recurrence rule'
+            });
+        }
+
+        if (updates.priority !== undefined && !isValidPriority(updates.priority)) {
+            return res.status(400).json({
+                error: `priority must be one of: ${PRIORITIES.join(', ')}`
+            });
+        }
+
+        if (updates.tags !== undefined) {
+            if (!Array.isArray(updates.tags) || updates.tags.length > MAX_TAGS || !updates.tags.every(tag => typeof tag === 'string')) {
+                return res.status(400).json({
+                    error: `tags must be an array of at most ${MAX_TAGS} strings`
+                });
+            }
+            updates.tags = normalizeTags(updates.tags);
+        }
+
+        if (updates.project !== undefined && updates.project !== null && !(await getProject(req.user.id, updates.project))) {
+            return res.status(404).json({
+                error: 'Project not found'
+            });
+        }
+
+        if (updates.date !== undefined) {
+            const parsed = parseDateInput(updates.date, req.timezone);
+            if (!parsed) {
+                return res.status(400).json({
+                    error: 'date must be a YYYY-MM-DD date or an ISO timestamp'
+                });
+            }
+            updates.date = parsed.date;
+            if (updates.allDay === undefined) updates.allDay = parsed.allDay;
+            updates.timezone = req.timezone;
+        }
+
+        // Update a single occurrence of a recurring task
+        if (occurrence) {
+            const { timezone, allDay, ...occurrenceUpdates } = updates;
+            const updated = await updateOccurrence(req.user.id, id, occurrence, occurrenceUpdates);
+
+            if (!updated) {
+                return res.status(404).json({
+                    error: 'Occurrence not found'
+                });
+            }
+
+            return res.json({
+                message: 'Occurrence updated successfully',
+                task: updated
+            });
+        }
+
+        // Update task
+        const task = await updateTask(req.user.id, id, updates);
+
+        if (!task) {
+            return res.status(404).json({
+                error: 'Task not found'
+            });
+        }
+
+        res.json({
+            message: 'Task updated successfully',
+            task
+        });
+    } catch (error) {
+        if (error instanceof TaskValidationError) {
+            return res.status(400).json({
+                error: 'Invalid task',
+                details: error.errors
+            });
+        }
+        console.error('Update task error:', error);
+        res.status(500).json({
+            error: 'Failed to update task'
+        });
+    }
+});
+
+/**
+ * DELETE /api/agent/tasks/:id
+ * Delete a task by moving it to the trash (see POST /tasks/:id/restore)
+ * For a recurring task, ?occurrence=<original occurrence date> removes only that occurrence
+ */
+router.delete('/tasks/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { occurrence } = req.query;
+
+        if (occurrence) {
+            const cancelled = await updateOccurrence(req.user.id, id, occurrence, { cancelled: true });
+
+            if (!cancelled) {
+                return res.status(404).json({
+                    error: 'Occurrence not found'
+                });
+            }
+
+            return res.json({
+                message: 'Occurrence deleted successfully'
+            });
+        }
+
+        const deleted = await deleteTask(req.user.id, id);
+
+        if (!deleted) {
+            return res.status(404).json({
+                error: 'Task not found'
+            });
+        }
+
+        res.json({
+            message: 'Task moved to trash'
+        });
+    } catch (error) {
+        console.error('Delete task error:', error);
+        res.status(500).json({
+            error: 'Failed to delete task'
+        });
+    }
+});
+
+/**
+ * GET /api/agent/tasks/trash
+ * Deleted tasks, most recently deleted first, with when each is purged for good (purgeAt)
+ */
+router.get('/tasks/trash', async (req, res) => {
+    try {
+        const tasks = await listTrash(req.user.id);
+
+        res.json({
+            tasks,
+            count: tasks.length
+        });
+    } catch (error) {
+        console.error('Get trash error:', error);
+        res.status(500).json({
+            error: 'Failed to retrieve trash'
+        });
+    }
+});
+
+/**
+ * POST /api/agent/tasks/:id/restore
+ * Take a deleted task out of the trash
+ */
+router.post('/tasks/:id/restore', async (req, res) => {
+    try {
+        const task = await restoreTask(req.user.id, req.params.id);
+
+        if (!task) {
+            return res.status(404).json({
+                error: 'Task not found in trash'
+            });
+        }
+
+        res.json({
+            message: 'Task restored successfully',
+            task
+        });
+    } catch (error) {
+        console.error('Restore task error:', error);
+        res.status(500).json({
+            error: 'Failed to restore task'
+        });
+    }
+});
+
+/**
+ * GET /api/agent/tasks/:id/history
+ * A task's change history, newest first: the fields changed (before and after), who changed them
+ * (actor: user, agent or system; via: rest or chat) and, for the agent, the chat message behind it
+ */
+router.get('/tasks/:id/history', async (req, res) => {
+    try {
+        const history = await listTaskHistory(req.user.id, req.params.id);
+
+        if (!history) {
+            return res.status(404).json({
+                error: 'Task not found'
+            });
+        }
+
+        res.json({
+            history,
+            count: history.length
+        });
+    } catch (error) {
+        console.error('Get task history error:', error);
+        res.status(500).json({
+            error: 'Failed to retrieve task history'
+        });
+    }
+});
+
+/**
+ * POST /api/agent/undo
+ * Undo the latest change to the user's tasks, made here or through the chat
+ * Calling it again undoes the change before that
+ */
+router.post('/undo', async (req, res) => {
+    try {
+        const result = await undoLastChange(req.user.id);
+
+        if (!result) {
+            return res.status(404).json({
+                error: 'Nothing to undo'
+            });
+        }
+
+        res.json({
+            message: 'Change undone successfully',
+            ...result
+        });
+    } catch (error) {
+        console.error('Undo error:', error);
+        res.status(500).json({
+            error: 'Failed to undo last change'
+        });
+    }
+});
+
+/**
+ * Helper: Check a subtask title from a request body
+ * @param {*} title - Value to check
+ * @returns {boolean} - Whether it is a non-empty string of at most 200 characters
+ */
+function isValidSubtaskTitle(title) {
+    return typeof title === 'string' && title.trim().length > 0 && title.trim().length <= 200;
+}
+
+/**
+ * POST /api/agent/tasks/:id/subtasks
+ * Add checklist items to a task
+ * Body: {title} for one subtask or {titles: [...]} for several
+ */
+router.post('/tasks/:id/subtasks', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const titles = req.body.titles !== undefined ? req.body.titles : [req.body.title];
+
+        if (!Array.isArray(titles) || titles.length === 0 || !titles.every(isValidSubtaskTitle)) {
+            return res.status(400).json({
+                error: 'Provide "title" or "titles" as non-empty strings of at most 200 characters'
+            });
+        }
+
+        const existing = await getTask(req.user.id, id);
+
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Task not found'
+            });
+        }
+
+        if ((existing.subtasks || []).length + titles.length > MAX_SUBTASKS) {
+            return res.status(400).json({
+                error: `A task can have at most ${MAX_SUBTASKS} subtasks`
+            });
+        }
+
+        const task = await addSubtasks(req.user.id, id, titles.map(title => title.trim()));
+
+        if (!task) {
+            return res.status(404).json({
+                error: 'Task not found'
+            });
+        }
+
+        res.status(201).json({
+            message: 'Subtasks added successfully',
+            task
+        });
+    } catch (error) {
+        console.error('Add subtasks error:', error);
+        res.status(500).json({
+            error: 'Failed to add subtasks'
+        });
+    }
+});
+
+/**
+ * PUT /api/agent/tasks/:id/subtasks/order
+ * Reorder a task's checklist
+ * Body: {order: [subtaskId, ...]} listing every subtask once
+ */
+router.put('/tasks/:id/subtasks/order', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { order } = req.body;
+
+        if (!Array.isArray(order) || !order.every(subtaskId => typeof subtaskId === 'string')) {
+            return res.status(400).json({
+                error: 'order must be an array of subtask IDs'
+            });
+        }
+
+        const existing = await getTask(req.user.id, id);
+
+        if (!existing) {
+            return res.status(404).json({
+                error: 'Task not found'
+            });
+        }
+
+        const currentIds = (existing.subtasks || []).map(subtask => subtask._id.toString());
+        if (order.length !== currentIds.length || new Set(order).size !== order.length
+            || !order.every(subtaskId => currentIds.includes(subtaskId))) {
+            return res.status(400).json({
+                error: 'order must list every subtask ID of the task exactly once'
+            });
+        }
+
+        const task = await reorderSubtasks(req.user.id, id, order);
+
+        if (!task) {
+            return res.status(404).json({
+                error: 'Task not found'
+            });
+        }
+
+        res.json({
+            message: 'Subtasks reordered successfully',
+            task
+        });
+    } catch (error) {
+        console.error('Reorder subtasks error:', error);
+        res.status(500).json({
+            error: 'Failed to reorder subtasks'
+        });
+    }
+});
+
+/**
+ * PATCH /api/agent/tasks/:id/subtasks/:subtaskId
+ * Tick, untick or rename a checklist item
+ * Body: {completed, title}
+ */
+router.patch('/tasks/:id/subtasks/:subtaskId', async (req, res) => {
+    try {
+        const { id, subtaskId } = req.params;
+        const { title, completed } = req.body;
+
+        if (title === undefined && completed === undefined) {
+            return res.status(400).json({
+                error: 'Provide "completed" and/or "title"'
+            });
+        }
+
+        if (completed !== undefined && typeof completed !== 'boolean') {
+            return res.status(400).json({
+                error: 'completed must be a boolean'
+            });
+        }
+
+        if (title !== undefined && !isValidSubtaskTitle(title)) {
+            return res.status(400).json({
+                error: 'title must be a non-empty string of at most 200 characters'
+            });
+        }
+
+        const task = await updateSubtask(req.user.id, id, subtaskId, {
+            title: title !== undefined ? title.trim() : undefined,
+            completed
+        });
+
+        if (!task) {
+            return res.status(404).json({
+                error: 'Subtask not found'
+            });
+        }
+
+        res.json({
+            message: 'Subtask updated successfully',
+            task
+        });
+    } catch (error) {
+        console.error('Update subtask error:', error);
+        res.status(500).json({
+            error: 'Failed to update subtask'
+        });
+    }
+});
+
+/**
+ * DELETE /api/agent/tasks/:id/subtasks/:subtaskId
+ * Remove a checklist item
+ */
+router.delete('/tasks/:id/subtasks/:subtaskId', async (req, res) => {
+    try {
+        const { id, subtaskId } = req.params;
+
+        const task = await deleteSubtask(req.user.id, id, subtaskId);
+
+        if (!task) {
+            return res.status(404).json({
+                error: 'Subtask not found'
+            });
+        }
+
+        res.json({
+            message: 'Subtask deleted successfully',
+            task
+        });
+    } catch (error) {
+        console.error('Delete subtask error:', error);
+        res.status(500).json({
+            error: 'Failed to delete subtask'
+        });
+    }
+});
+
+/**
+ * POST /api/agent/tasks/import
+ * Import tasks from a file sent as the raw body (at most 2 MB):
+ * - iCalendar (Content-Type: text/calendar): VTODO and VEVENT entries become tasks
+ * - a JSON export from GET /tasks/export (Content-Type: application/json)
+ * - a CSV export (Content-Type: text/csv)
+ * Tasks the user already has are skipped, so importing an export into the same account changes nothing;
+ * invalid entries are skipped too, each with its reason
+ */
+router.post('/tasks/import', express.json({ limit: '2mb' }), express.text({ type: ['text/calendar', 'text/plain', 'text/csv'], limit: '2mb' }), async (req, res) => {
+    try {
+        const isJSON = Boolean(req.is('application/json'));
+        if (!isJSON && (typeof req.body !== 'string' || req.body.trim().length === 0)) {
+            return res.status(400).json({
+                error: 'Send the file as the request body with Content-Type text/calendar (.ics), application/json or text/csv'
+            });
+        }
+
+        let parsed;
+        try {
+            if (isJSON) {
+                parsed = parseTasksJSON(req.body, req.timezone);
+            } else if (req.is('text/csv')) {
+                parsed = parseTasksCSV(req.body, req.timezone);
+            } else {
+                parsed = parseICalendar(req.body, req.timezone);
+            }
+        } catch (error) {
+            return res.status(400).json({
+                error: error.message
+            });
+        }
+
+        const { tasks, skipped } = await importTasks(req.user.id, parsed.tasks);
+
+        res.status(201).json({
+            message: `Imported ${tasks.length} tasks`,
+            tasks,
+            imported: tasks.length,
+            skipped: [...parsed.skipped, ...skipped]
+        });
+    } catch (error) {
+        console.error('Import tasks error:', error);
+        res.status(500).json({
+            error: 'Failed to import tasks'
+        });
+    }
+});
+
+/**
+ * POST /api/agent/calendar/token
+ * Create a secret iCalendar feed URL for the user, replacing any earlier one
+ * The URL is only shown once; call this again to get a new one
+ */
+router.post('/calendar/token', async (req, res) => {
+    try {
+        const token = crypto.randomBytes(24).toString('hex');
+        const user = await User.findByIdAndUpdate(req.user.id, { calendarTokenHash: User.hashCalendarToken(token) });
+
+        if (!user) {
+            return res.status(404).json({
+                error: 'User not found'
+            });
+        }
+
+        const baseUrl = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+        res.status(201).json({
+            feedUrl: `${baseUrl}/api/calendar/${token}.ics`
+        });
+    } catch (error) {
+        console.error('Create calendar token error:', error);
+        res.status(500).json({
+            error: 'Failed to create calendar feed'
+        });
+    }
+});
+
+/**
+ * DELETE /api/agent/calendar/token
+ * Revoke the user's calendar feed URL
+ */
+router.delete('/calendar/token', async (req, res) => {
+    try {
+        await User.updateOne({ _id: req.user.id }, { calendarTokenHash: null });
+
+        res.json({
+            message: 'Calendar feed revoked'
+        });
+    } catch (error) {
+        console.error('Revoke calendar token error:', error);
+        res.status(500).json({
+            error: 'Failed to revoke calendar feed'
+        });
+    }
+});
+
+/**
+ * Helper: Check the fields of a project in a request body
+ * @param {Object} body - {name, description, color}
+ * @param {boolean} requireName - Whether name must be present
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateProjectFields({ name, description, color }, requireName) {
+    if (name !== undefined || requireName) {
+        if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100) {
+            return 'name must be a non-empty string of at most 100 characters';
+        }
+    }
+    if (description !== undefined && (typeof description !== 'string' || description.length > 500)) {
+        return 'description must be a string of at most 500 characters';
+    }
+    if (color !== undefined && color !== null && !/^#[0-9a-fA-F]{6}$/.test(color)) {
+        return 'color must be a hex color like #4f46e5, or null';
+    }
+    return null;
+}
+
+/**
+ * GET /api/agent/projects
+ * List the user's projects with their task counts
+ */
+router.get('/projects', async (req, res) => {
+    try {
+        const projects = await listProjects(req.user.id);
+
+        res.json({
+            projects,
+            count: projects.length
+        });
+    } catch (error) {
+        console.error('List projects error:', error);
+        res.status(500).json({
+            error: 'Failed to retrieve projects'
+        });
+    }
+});
+
+/**
+ * POST /api/agent/projects
+ * Create a project
+ * Body: {name, description, color}
+ */
+router.post('/projects', async (req, res) => {
+    try {
+        const validationError = validateProjectFields(req.body, true);
+        if (validationError) {
+            return res.status(400).json({
+                error: validationError
+            });
+        }
+
+        if (await findProjectByName(req.user.id, req.body.name)) {
+            return res.status(409).json({
+                error: 'A project with this name already exists'
+            });
+        }
+
+        const project = await createProject(req.user.id, req.body);
+
+        res.status(201).json({
+            message: 'Project created successfully',
+            project
+        });
+    } catch (error) {
+        console.error('Create project error:', error);
+        res.status(500).json({
+            error: 'Failed to create project'
+        });
+    }
+});
+
+/**
+ * GET /api/agent/projects/:id
+ * Get a project with its tasks (same filters and sorting as GET /tasks, except project)
+ */
+router.get('/projects/:id', async (req, res) => {
+    try {
+        const project = await getProject(req.user.id, req.params.id);
+
+        if (!project) {
+            return res.status(404).json({
+                error: 'Project not found'
+            });
+        }
+
+        const { completed, sort, order } = req.query;
+        const filters = { project: project._id, sort, order };
+        if (completed !== undefined) {
+            filters.completed = completed === 'true';
+        }
+        if (sort !== undefined && !['date', 'priority', 'title', 'createdAt'].includes(sort)) {
+            return res.status(400).json({
+                error: 'sort must be one of: date, priority, title, createdAt'
+            });
+        }
+        if (order !== undefined && !['asc', 'desc'].includes(order)) {
+            return res.status(400).json({
+                error: 'order must be asc or desc'
+            });
+        }
+
+        const tasks = await getTasks(req.user.id, filters);
+
+        res.json({
+            project,
+            tasks,
+            count: tasks.length
+        });
+    } catch (error) {
+        console.error('Get project error:', error);
+        res.status(500).json({
+            error: 'Failed to retrieve project'
+        });
+    }
+});
+
+/**
+ * PATCH /api/agent/projects/:id
+ * Rename a project or change its description or color
+ */
+router.patch('/projects/:id', async (req, res) => {
+    try {
+        const allowedUpdates = ['name', 'description', 'color'];
+        if (!Object.keys(req.body).every(update => allowedUpdates.includes(update))) {
+            return res.status(400).json({
+                error: 'Invalid updates',
+                allowedFields: allowedUpdates
+            });
+        }
+
+        const validationError = validateProjectFields(req.body, false);
+        if (validationError) {
+            return res.status(400).json({
+                error: validationError
+            });
+        }
+
+        if (req.body.name !== undefined) {
+            const existing = await findProjectByName(req.user.id, req.body.name);
+            if (existing && existing._id.toString() !== req.params.id) {
+                return res.status(409).json({
+                    error: 'A project with this name already exists'
+                });
+            }
+        }
+
+        const project = await updateProject(req.user.id, req.params.id, req.body);
+
+        if (!project) {
+            return res.status(404).json({
+                error: 'Project not found'
+            });
+        }
+
+        res.json({
+            message: 'Project updated successfully',
+            project
+        });
+    } catch (error) {
+        console.error('Update project error:', error);
+        res.status(500).json({
+            error: 'Failed to update project'
+        });
+    }
+});
+
+/**
+ * DELETE /api/agent/projects/:id
+ * Delete a project; its tasks are kept without a project
+ */
+router.delete('/projects/:id', async (req, res) => {
+    try {
+        const deleted = await deleteProject(req.user.id, req.params.id);
+
+        if (!deleted) {
+            return res.status(404).json({
+                error: 'Project not found'
+            });
+        }
+
+        res.json({
+            message: 'Project deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete project error:', error);
+        res.status(500).json({
+            error: 'Failed to delete project'
+        });
+    }
+});
+
+/**
+ * GET /api/agent/usage
+ * The user's LLM usage (tokens and estimated cost, in total, per step and per model) and their quotas
+ * ?period=day or month (default) covers the current day or month in the user's timezone;
+ * ?dateFrom / ?dateTo (YYYY-MM-DD or ISO timestamps) pick another range instead
+ */
+router.get('/usage', async (req, res) => {
+    try {
+        const { period = 'month', dateFrom, dateTo } = req.query;
+
+        if (!['day', 'month'].includes(period)) {
+            return res.status(400).json({
+                error: 'period must be "day" or "month"'
+            });
+        }
+
+        const now = new Date();
+        const from = dateFrom
+            ? parseDateBound(dateFrom, req.timezone, 'start')
+            : (period === 'day' ? startOfDayIn(now, req.timezone) : startOfMonthIn(now, req.timezone));
+        const to = dateTo ? parseDateBound(dateTo, req.timezone, 'end') : now;
+
+        if (from === null || to === null) {
+            return res.status(400).json({
+                error: 'dateFrom and dateTo must be YYYY-MM-DD dates or ISO timestamps'
+            });
+        }
+
+        const [report, quota] = await Promise.all([
+            getUsageReport(req.user.id, from, to),
+            getQuotaStatus(req.user.id, req.timezone)
+        ]);
+
+        res.json({
+            from,
+            to,
+            ...report,
+            quota
+        });
+    } catch (error) {
+        console.error('Usage report error:', error);
+        res.status(500).json({
+            error: 'Failed to retrieve usage'
+        });
+    }
+});
+
+/**
+ * GET /api/agent/conversations
+ * List the user's conversations, most recent first
+ */
+router.get('/conversations', async (req, res) => {
+    try {
+        const conversations = await listConversations(req.user.id);
+
+        res.json({
+            conversations,
+            count: conversations.length
+        });
+    } catch (error) {
+        console.error('List conversations error:', error);
+        res.status(500).json({
+            error: 'Failed to retrieve conversations'
+        });
+    }
+});
+
+/**
+ * GET /api/agent/conversations/:id
+ * Retrieve a conversation with its full message history
+ */
+router.get('/conversations/:id', async (req, res) => {
+    try {
+        const conversation = await getConversation(req.user.id, req.params.id);
+
+        if (!conversation) {
+            return res.status(404).json({
+                error: 'Conversation not found'
+            });
+        }
+
+        res.json({ conversation });
+    } catch (error) {
+        console.error('Get conversation error:', error);
+        res.status(500).json({
+            error: 'Failed to retrieve conversation'
+        });
+    }
+});
+
+/**
+ * DELETE /api/agent/conversations/:id
+ * Delete a conversation and its history
+ */
+router.delete('/conversations/:id', async (req, res) => {
+    try {
+        const deleted = await deleteConversation(req.user.id, req.params.id);
+
+        if (!deleted) {
+            return res.status(404).json({
+                error: 'Conversation not found'
+            });
+        }
+
+        res.json({
+            message: 'Conversation deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete conversation error:', error);
+        res.status(500).json({
+            error: 'Failed to delete conversation'
+        });
+    }
 });
 
 export default router;
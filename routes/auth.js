@@ -0,0 +1,367 @@
+import express from 'express';
+import User from '../models/User.js';
+import { generateToken, requireAuth } from '../middleware/auth.js';
+import { isValidTimezone } from '../utils/timezone.js';
+import { parseOffset } from '../reminders/scheduler.js';
+import { getPushPublicKey } from '../reminders/channels.js';
+import { checkWebhookUrl } from '../utils/webhookUrl.js';
+
+const router = express.Router();
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Helper: Validate reminder preferences from a request body
+ * A webhook URL must resolve to a public address (see checkWebhookUrl)
+ * @param {Object} reminders - {enabled, offsets, webhookUrl, email}
+ * @returns {Promise<Object>} - {updates} as dotted $set paths, or {error}
+ */
+async function parseReminderSettings(reminders) {
+    if (!reminders || typeof reminders !== 'object' || Array.isArray(reminders)) {
+        return { error: 'reminders must be an object' };
+    }
+
+    const updates = {};
+    for (const [key, value] of Object.entries(reminders)) {
+        if (key === 'enabled' || key === 'email') {
+            if (typeof value !== 'boolean') {
+                return { error: `reminders.${key} must be a boolean` };
+            }
+            updates[`reminders.${key}`] = value;
+        } else if (key === 'offsets') {
+            if (!Array.isArray(value)) {
+                return { error: 'reminders.offsets must be an array such as ["1h", "morning"]' };
+            }
+            try {
+                updates['reminders.offsets'] = value.map(offset => parseOffset(offset).name);
+            } catch (error) {
+                return { error: error.message };
+            }
+        } else if (key === 'webhookUrl') {
+            if (value !== null && typeof value !== 'string') {
+                return { error: 'reminders.webhookUrl must be an http(s) URL or null' };
+            }
+            const problem = value === null ? null : await checkWebhookUrl(value);
+            if (problem) {
+                return { error: `reminders.webhookUrl ${problem}` };
+            }
+            updates['reminders.webhookUrl'] = value;
+        } else {
+            return { error: `Unknown reminder setting: ${key}` };
+        }
+    }
+
+    return { updates };
+}
+
+/**
+ * Helper: Validate agenda digest preferences from a request body
+ * A webhook URL must resolve to a public address, as for reminders
+ * @param {Object} digest - {enabled, frequency, time, weekday, webhookUrl}
+ * @returns {Promise<Object>} - {updates} as dotted $set paths, or {error}
+ */
+async function parseDigestSettings(digest) {
+    if (!digest || typeof digest !== 'object' || Array.isArray(digest)) {
+        return { error: 'digest must be an object' };
+    }
+
+    const updates = {};
+    for (const [key, value] of Object.entries(digest)) {
+        if (key === 'enabled') {
+            if (typeof value !== 'boolean') {
+                return { error: 'digest.enabled must be a boolean' };
+            }
+            updates['digest.enabled'] = value;
+        } else if (key === 'frequency') {
+            if (!['daily', 'weekly'].includes(value)) {
+                return { error: 'digest.frequency must be "daily" or "weekly"' };
+            }
+            updates['digest.frequency'] = value;
+        } else if (key === 'time') {
+            if (typeof value !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(value)) {
+                return { error: 'digest.time must be a time of day as HH:MM, e.g. "07:30"' };
+            }
+            updates['digest.time'] = value;
+        } else if (key === 'weekday') {
+            if (!Number.isInteger(value) || value < 0 || value > 6) {
+                return { error: 'digest.weekday must be a whole number from 0 (Sunday) to 6 (Saturday)' };
+            }
+            updates['digest.weekday'] = value;
+        } else if (key === 'webhookUrl') {
+            if (value !== null && typeof value !== 'string') {
+                return { error: 'digest.webhookUrl must be an http(s) URL or null' };
+            }
+            const problem = value === null ? null : await checkWebhookUrl(value);
+            if (problem) {
+                return { error: `digest.webhookUrl ${problem}` };
+            }
+            updates['digest.webhookUrl'] = value;
+        } else {
+            return { error: `Unknown digest setting: ${key}` };
+        }
+    }
+
+    return { updates };
+}
+
+/**
+ * POST /api/auth/signup
+ * Create a new account and return an access token
+ */
+router.post('/signup', async (req, res) => {
+    try {
+        const { email, password, name, timezone } = req.body;
+
+        // Validate input
+        if (!email || typeof email !== 'string' || !email.includes('@')) {
+            return res.status(400).json({
+                error: 'A valid email is required'
+            });
+        }
+        if (!password || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+            });
+        }
+        if (timezone !== undefined && !isValidTimezone(timezone)) {
+            return res.status(400).json({
+                error: 'timezone must be an IANA timezone such as "Europe/Paris"'
+            });
+        }
+
+        const existing = await User.findOne({ email: email.trim().toLowerCase() });
+        if (existing) {
+            return res.status(409).json({
+                error: 'An account with this email already exists'
+            });
+        }
+
+        const user = new User({ email, name: typeof name === 'string' ? name : '', timezone: timezone || 'UTC' });
+        await user.setPassword(password);
+        await user.save();
+
+        console.log('✓ User created:', user._id);
+
+        res.status(201).json({
+            token: generateToken(user),
+            user
+        });
+    } catch (error) {
+        console.error('Signup error:', error);
+        res.status(500).json({
+            error: 'Failed to create account'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/login
+ * Exchange email and password for an access token
+ */
+router.post('/login', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        if (typeof email !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({
+                error: 'Email and password are required'
+            });
+        }
+
+        const user = await User.findOne({ email: email.trim().toLowerCase() });
+        if (!user || !(await user.comparePassword(password))) {
+            return res.status(401).json({
+                error: 'Invalid email or password'
+            });
+        }
+
+        res.json({
+            token: generateToken(user),
+            user
+        });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({
+            error: 'Failed to log in'
+        });
+    }
+});
+
+/**
+ * GET /api/auth/me
+ * Return the authenticated user's profile
+ */
+router.get('/me', requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        if (!user) {
+            return res.status(404).json({
+                error: 'User not found'
+            });
+        }
+
+        res.json({ user });
+    } catch (error) {
+        console.error('Get profile error:', error);
+        res.status(500).json({
+            error: 'Failed to retrieve profile'
+        });
+    }
+});
+
+/**
+ * PATCH /api/auth/me
+ * Update the authenticated user's name, timezone, reminder or agenda digest preferences
+ * reminders: {enabled, offsets (e.g. ["1h", "morning"]), webhookUrl, email}
+ * digest: {enabled, frequency ("daily" or "weekly"), time (HH:MM), weekday (0 = Sunday), webhookUrl}
+ */
+router.patch('/me', requireAuth, async (req, res) => {
+    try {
+        const updates = {};
+
+        if (req.body.name !== undefined) {
+            if (typeof req.body.name !== 'string') {
+                return res.status(400).json({
+                    error: 'name must be a string'
+                });
+            }
+            updates.name = req.body.name;
+        }
+        if (req.body.timezone !== undefined) {
+            if (!isValidTimezone(req.body.timezone)) {
+                return res.status(400).json({
+                    error: 'timezone must be an IANA timezone such as "Europe/Paris"'
+                });
+            }
+            updates.timezone = req.body.timezone;
+        }
+        if (req.body.reminders !== undefined) {
+            const { updates: reminderUpdates, error } = await parseReminderSettings(req.body.reminders);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            Object.assign(updates, reminderUpdates);
+        }
+        if (req.body.digest !== undefined) {
+            const { updates: digestUpdates, error } = await parseDigestSettings(req.body.digest);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            Object.assign(updates, digestUpdates);
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                error: 'No valid fields to update. Allowed: name, timezone, reminders, digest'
+            });
+        }
+
+        const user = await User.findByIdAndUpdate(req.user.id, updates, { new: true, runValidators: true });
+
+        if (!user) {
+            return res.status(404).json({
+                error: 'User not found'
+            });
+        }
+
+        res.json({ user });
+    } catch (error) {
+        console.error('Update profile error:', error);
+        res.status(500).json({
+            error: 'Failed to update profile'
+        });
+    }
+});
+
+/**
+ * GET /api/auth/push-key
+ * Public VAPID key for subscribing a browser to reminder notifications
+ */
+router.get('/push-key', (req, res) => {
+    const publicKey = getPushPublicKey();
+
+    if (!publicKey) {
+        return res.status(404).json({
+            error: 'Web push is not configured'
+        });
+    }
+
+    res.json({ publicKey });
+});
+
+/**
+ * POST /api/auth/me/push-subscriptions
+ * Register a browser's PushSubscription (as returned by subscription.toJSON())
+ */
+router.post('/me/push-subscriptions', requireAuth, async (req, res) => {
+    try {
+        const { endpoint, keys } = req.body;
+
+        if (typeof endpoint !== 'string' || !/^https:\/\//.test(endpoint)
+            || !keys || typeof keys.p256dh !== 'string' || typeof keys.auth !== 'string') {
+            return res.status(400).json({
+                error: 'A push subscription with endpoint and keys {p256dh, auth} is required'
+            });
+        }
+
+        // Replace any earlier subscription for the same endpoint
+        await User.updateOne({ _id: req.user.id }, { $pull: { pushSubscriptions: { endpoint } } });
+        const user = await User.findByIdAndUpdate(
+            req.user.id,
+            { $push: { pushSubscriptions: { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } } } },
+            { new: true }
+        );
+
+        if (!user) {
+            return res.status(404).json({
+                error: 'User not found'
+            });
+        }
+
+        res.status(201).json({
+            message: 'Push subscription saved',
+            count: user.pushSubscriptions.length
+        });
+    } catch (error) {
+        console.error('Save push subscription error:', error);
+        res.status(500).json({
+            error: 'Failed to save push subscription'
+        });
+    }
+});
+
+/**
+ * DELETE /api/auth/me/push-subscriptions
+ * Remove a browser's push subscription by its endpoint
+ */
+router.delete('/me/push-subscriptions', requireAuth, async (req, res) => {
+    try {
+        const { endpoint } = req.body;
+
+        if (typeof endpoint !== 'string') {
+            return res.status(400).json({
+                error: 'endpoint is required'
+            });
+        }
+
+        const result = await User.updateOne({ _id: req.user.id }, { $pull: { pushSubscriptions: { endpoint } } });
+
+        if (result.modifiedCount === 0) {
+            return res.status(404).json({
+                error: 'Push subscription not found'
+            });
+        }
+
+        res.json({
+            message: 'Push subscription removed'
+        });
+    } catch (error) {
+        console.error('Remove push subscription error:', error);
+        res.status(500).json({
+            error: 'Failed to remove push subscription'
+        });
+    }
+});
+
+export default router;
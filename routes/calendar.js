@@ -0,0 +1,50 @@
+import express from 'express';
+import User from '../models/User.js';
+import { getTasks } from '../agent/tools.js';
+import { toICalendar } from '../utils/ical.js';
+
+const router = express.Router();
+
+const COMPONENTS = { todo: ['VTODO'], event: ['VEVENT'], all: ['VTODO', 'VEVENT'] };
+
+/**
+ * GET /api/calendar/:token.ics
+ * Subscribable iCalendar feed of a user's tasks
+ * Calendar apps can't send a bearer token, so the secret in the URL identifies the user
+ * (create one with POST /api/agent/calendar/token). ?type=todo|event|all picks which
+ * entries to include (default all)
+ */
+router.get('/:token.ics', async (req, res) => {
+    try {
+        const components = COMPONENTS[req.query.type || 'all'];
+        if (!components) {
+            return res.status(400).json({
+                error: 'type must be one of: todo, event, all'
+            });
+        }
+
+        const user = await User.findByCalendarToken(req.params.token);
+
+        if (!user) {
+            return res.status(404).json({
+                error: 'Calendar not found'
+            });
+        }
+
+        const tasks = await getTasks(user._id, {});
+
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'inline; filename="tasks.ics"',
+            'Cache-Control': 'private, max-age=300'
+        });
+        res.send(toICalendar(tasks, { name: user.name ? `${user.name}'s tasks` : 'Tasks', components }));
+    } catch (error) {
+        console.error('Calendar feed error:', error);
+        res.status(500).json({
+            error: 'Failed to build calendar feed'
+        });
+    }
+});
+
+export default router;
@@ -3,34 +3,73 @@ import mongoose from 'mongoose';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { initializeAI } from './config/ai.js';
+import { getCorsOptions } from './config/cors.js';
 import agentRoutes from './routes/agent.js';
+import authRoutes from './routes/auth.js';
+import calendarRoutes from './routes/calendar.js';
+import adminRoutes from './routes/admin.js';
+import { requireAuth, requireAdmin } from './middleware/auth.js';
+import { resolveTimezone } from './middleware/timezone.js';
+import { attachRequestContext } from './middleware/requestContext.js';
+import { limitByIp } from './middleware/rateLimit.js';
+import { logRequests } from './middleware/requestLogger.js';
+import { logger, captureConsole } from './utils/logger.js';
+import { startReminderScheduler } from './reminders/scheduler.js';
+import { startDigestScheduler } from './reminders/digest.js';
+import { startRolloverScheduler } from './reminders/rollover.js';
+import { startPromptRefresh } from './agent/promptTemplates.js';
 
 // Load environment variables
 dotenv.config();
 
+// Log everything, console output included, as JSON lines (LOG_LEVEL sets the minimum level)
+captureConsole();
+
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 5000;
+const IMPORT_PATH = /^\/api\/agent\/tasks\/import\/?$/i;
+let reminderScheduler = null;
+let digestScheduler = null;
+let rolloverScheduler = null;
+let promptRefresh = null;
 
 /**
  * Middleware Configuration
  */
-app.use(cors()); // Enable CORS for frontend communication
-app.use(express.json()); // Parse JSON request bodies
-app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
+app.use(logRequests); // Request IDs and one log entry per request
 
-/**
- * Request Logging Middleware
- */
-app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-    next();
-});
+if (process.env.TRUST_PROXY) {
+    // Behind a load balancer, so req.ip (used for rate limits) is the client's address
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+const bodyLimit = process.env.BODY_SIZE_LIMIT || '100kb';
+app.use(cors(getCorsOptions())); // Allow the frontend origins in CORS_ORIGINS
+// Parse JSON request bodies; task imports are bigger, so that route parses its own once the user is authenticated
+const parseJSON = express.json({ limit: bodyLimit });
+app.use((req, res, next) => (IMPORT_PATH.test(req.path) ? next() : parseJSON(req, res, next)));
+app.use(express.urlencoded({ extended: true, limit: bodyLimit })); // Parse URL-encoded bodies
 
 /**
  * Routes
  */
-app.use('/api/agent', agentRoutes);
+
+app.use('/api', limitByIp); // Requests per IP address (RATE_LIMIT_IP_MAX)
+
+// Health check (public, registered before the authenticated agent routes)
+app.get('/api/agent/status', (req, res) => {
+    res.json({
+        status: 'online',
+        agent: 'Task Assistant Agent',
+        version: '1.0.0'
+    });
+});
+
+app.use('/api/auth', authRoutes);
+app.use('/api/calendar', calendarRoutes); // Feed URLs carry their own secret token
+app.use('/api/agent', requireAuth, resolveTimezone, attachRequestContext, agentRoutes); // All other agent routes require a token
+app.use('/api/admin', requireAuth, requireAdmin, adminRoutes); // Users with isAdmin set in the database
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -38,8 +77,27 @@ app.get('/', (req, res) => {
         message: 'Task Assistant Agent API',
         version: '1.0.0',
         endpoints: {
+            signup: 'POST /api/auth/signup',
+            login: 'POST /api/auth/login',
             chat: 'POST /api/agent/chat',
+            chatStream: 'POST /api/agent/chat/stream',
             tasks: 'GET /api/agent/tasks',
+            searchTasks: 'GET /api/agent/tasks/search',
+            createTask: 'POST /api/agent/tasks',
+            bulkTasks: 'POST /api/agent/tasks/bulk',
+            exportTasks: 'GET /api/agent/tasks/export',
+            importTasks: 'POST /api/agent/tasks/import',
+            subtasks: 'POST /api/agent/tasks/:id/subtasks',
+            trash: 'GET /api/agent/tasks/trash',
+            taskHistory: 'GET /api/agent/tasks/:id/history',
+            undo: 'POST /api/agent/undo',
+            agenda: 'GET /api/agent/agenda',
+            agendaPlan: 'POST /api/agent/agenda/plan',
+            projects: 'GET /api/agent/projects',
+            calendarFeed: 'POST /api/agent/calendar/token',
+            usage: 'GET /api/agent/usage',
+            conversations: 'GET /api/agent/conversations',
+            traces: 'GET /api/admin/traces',
             status: 'GET /api/agent/status'
         }
     });
@@ -49,7 +107,19 @@ app.get('/', (req, res) => {
  * Error Handling Middleware
  */
 app.use((err, req, res, next) => {
-    console.error('Unhandled error:', err);
+    // Body parser errors: malformed JSON or a body over BODY_SIZE_LIMIT
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({
+            error: `Request body is too large (limit ${bodyLimit})`
+        });
+    }
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({
+            error: 'Request body is not valid JSON'
+        });
+    }
+
+    logger.error('Unhandled error', { error: err });
     res.status(500).json({
         error: 'Internal server error',
         message: err.message
@@ -61,6 +131,10 @@ app.use((err, req, res, next) => {
  */
 async function startServer() {
     try {
+        if (!process.env.JWT_SECRET) {
+            throw new Error('JWT_SECRET is required');
+        }
+
         // 1. Connect to MongoDB
         console.log('🔌 Connecting to MongoDB...');
         await mongoose.connect(process.env.MONGODB_URI, {
@@ -71,7 +145,19 @@ async function startServer() {
         console.log('🤖 Initializing AI client...');
         initializeAI();
 
-        // 3. Start Express server
+        // 3. Load prompt versions from PROMPTS_DIR and the database, and keep them current
+        promptRefresh = startPromptRefresh();
+
+        // 4. Start sending reminders
+        reminderScheduler = startReminderScheduler();
+
+        // 5. Start sending agenda digests
+        digestScheduler = startDigestScheduler();
+
+        // 6. Start rolling over unfinished tasks each night
+        rolloverScheduler = startRolloverScheduler();
+
+        // 7. Start Express server
         app.listen(PORT, () => {
             console.log(`\n✓ Server running on http://localhost:${PORT}`);
             console.log(`✓ Agent ready to process requests\n`);
@@ -87,6 +173,18 @@ async function startServer() {
  */
 process.on('SIGINT', async () => {
     console.log('\n🛑 Shutting down gracefully...');
+    if (reminderScheduler) {
+        reminderScheduler.stop();
+    }
+    if (digestScheduler) {
+        digestScheduler.stop();
+    }
+    if (rolloverScheduler) {
+        rolloverScheduler.stop();
+    }
+    if (promptRefresh) {
+        promptRefresh.stop();
+    }
     await mongoose.connection.close();
     console.log('✓ MongoDB connection closed');
     process.exit(0);
@@ -0,0 +1,53 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { useMemoryModel } from './support/memoryModel.js';
+
+/**
+ * Helper: Run requireAdmin for a user
+ * @param {string} id - ID of the authenticated user
+ * @returns {Promise<Object>} - {status (null if it passed), passed}
+ */
+async function checkAdmin(id) {
+    const outcome = { status: null, passed: false };
+    const res = {
+        status(code) {
+            outcome.status = code;
+            return res;
+        },
+        json() {
+            return res;
+        }
+    };
+    await requireAdmin({ user: { id, email: 'admin@example.com' } }, res, () => {
+        outcome.passed = true;
+    });
+    return outcome;
+}
+
+describe('requireAdmin', () => {
+    let users;
+
+    beforeEach(() => {
+        users = useMemoryModel(User);
+    });
+
+    afterEach(() => {
+        users.restore();
+    });
+
+    it('lets in users whose stored flag is set', async () => {
+        const admin = users.insert({ email: 'ops@example.com', passwordHash: 'x', isAdmin: true });
+
+        assert.deepEqual(await checkAdmin(admin._id.toString()), { status: null, passed: true });
+    });
+
+    it('refuses everyone else, whatever their email', async () => {
+        const signedUp = users.insert({ email: 'admin@example.com', passwordHash: 'x' });
+
+        assert.deepEqual(await checkAdmin(signedUp._id.toString()), { status: 403, passed: false });
+        assert.deepEqual(await checkAdmin(new mongoose.Types.ObjectId().toString()), { status: 403, passed: false });
+    });
+});
@@ -0,0 +1,137 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveDate, parseDateInput, parseDateBound, combineDateAndTime } from '../utils/dateParser.js';
+
+// Saturday 2026-03-07, 12:00 in New York; clocks there go forward the next night
+const NOW = new Date('2026-03-07T17:00:00Z');
+const NEW_YORK = 'America/New_York';
+
+const resolve = (phrase, timezone = NEW_YORK, now = NOW) => {
+    const resolved = resolveDate(phrase, { now, timezone });
+    return resolved && { date: resolved.date.toISOString(), allDay: resolved.allDay };
+};
+
+describe('resolveDate', () => {
+    it('resolves days relative to today in the timezone', () => {
+        assert.deepEqual(resolve('today'), { date: '2026-03-07T05:00:00.000Z', allDay: true });
+        assert.deepEqual(resolve('tomorrow'), { date: '2026-03-08T05:00:00.000Z', allDay: true });
+        // 02:00 on Sunday in Tokyo
+        assert.deepEqual(resolve('today', 'Asia/Tokyo'), { date: '2026-03-07T15:00:00.000Z', allDay: true });
+    });
+
+    it('keeps the local time across a DST change', () => {
+        assert.deepEqual(resolve('tomorrow at 9am'), { date: '2026-03-08T13:00:00.000Z', allDay: false });
+        assert.deepEqual(resolve('monday at 9am'), { date: '2026-03-09T13:00:00.000Z', allDay: false });
+        const beforeFallBack = new Date('2026-10-31T16:00:00Z');
+        assert.deepEqual(resolve('tomorrow at 9am', NEW_YORK, beforeFallBack), { date: '2026-11-01T14:00:00.000Z', allDay: false });
+        const beforeSummerTime = new Date('2026-03-28T12:00:00Z');
+        assert.deepEqual(resolve('tomorrow at 9am', 'Europe/Berlin', beforeSummerTime), { date: '2026-03-29T07:00:00.000Z', allDay: false });
+    });
+
+    it('reads tonight, at and by with a bare hour', () => {
+        assert.deepEqual(resolve('tonight'), { date: '2026-03-08T01:00:00.000Z', allDay: false });
+        assert.deepEqual(resolve('tonight at 10pm'), { date: '2026-03-08T03:00:00.000Z', allDay: false });
+        assert.deepEqual(resolve('tonight at 10'), { date: '2026-03-08T03:00:00.000Z', allDay: false });
+        // 9am has passed, so tomorrow (after the clocks change)
+        assert.deepEqual(resolve('at 9'), { date: '2026-03-08T13:00:00.000Z', allDay: false });
+        assert.deepEqual(resolve('by 5'), { date: '2026-03-07T22:00:00.000Z', allDay: false });
+        assert.deepEqual(resolve('friday at 18'), { date: '2026-03-13T22:00:00.000Z', allDay: false });
+        assert.equal(resolve('at 25'), null);
+    });
+
+    it('resolves a weekday of next week', () => {
+        const friday = { date: '2026-03-13T04:00:00.000Z', allDay: true };
+        assert.deepEqual(resolve('next week friday'), friday);
+        assert.deepEqual(resolve('friday next week'), friday);
+        // From a Monday, next week starts in 7 days
+        assert.deepEqual(resolve('next week monday', 'UTC', new Date('2026-10-19T09:00:00Z')), { date: '2026-10-26T00:00:00.000Z', allDay: true });
+    });
+
+    it('rejects days that do not exist instead of moving them', () => {
+        assert.equal(resolve('feb 30'), null);
+        assert.equal(resolve('april 31st'), null);
+        assert.equal(resolve('2026-02-31'), null);
+        assert.equal(resolve('2026-13-01'), null);
+        assert.equal(resolve('the 32nd'), null);
+    });
+
+    it('finds the next time a month and day come round', () => {
+        assert.deepEqual(resolve('feb 29'), { date: '2028-02-29T05:00:00.000Z', allDay: true });
+        assert.deepEqual(resolve('march 1'), { date: '2027-03-01T05:00:00.000Z', allDay: true });
+        // No April 31st: the next 31st is in May
+        assert.deepEqual(resolve('the 31st', 'UTC', new Date('2026-04-10T09:00:00Z')), { date: '2026-05-31T00:00:00.000Z', allDay: true });
+    });
+
+    it('returns null for phrases it does not understand', () => {
+        assert.equal(resolve('whenever'), null);
+        assert.equal(resolve('tomorrow-ish at some point'), null);
+        assert.equal(resolveDate(null), null);
+    });
+});
+
+describe('parseDateInput', () => {
+    const parse = (value, timezone = NEW_YORK) => {
+        const parsed = parseDateInput(value, timezone);
+        return parsed && { date: parsed.date.toISOString(), allDay: parsed.allDay };
+    };
+
+    it('reads a date as an all-day date in the timezone', () => {
+        assert.deepEqual(parse('2026-03-08'), { date: '2026-03-08T05:00:00.000Z', allDay: true });
+        assert.deepEqual(parse('2026-03-29', 'Europe/Berlin'), { date: '2026-03-28T23:00:00.000Z', allDay: true });
+        assert.deepEqual(parse('2024-02-29', 'UTC'), { date: '2024-02-29T00:00:00.000Z', allDay: true });
+    });
+
+    it('reads date-times with and without an offset', () => {
+        assert.deepEqual(parse('2026-03-08T12:00:00Z'), { date: '2026-03-08T12:00:00.000Z', allDay: false });
+        assert.deepEqual(parse('2026-03-08T12:00:00.5+05:30'), { date: '2026-03-08T06:30:00.500Z', allDay: false });
+        // No offset: wall time in the timezone, on either side of the change
+        assert.deepEqual(parse('2026-03-07T09:00'), { date: '2026-03-07T14:00:00.000Z', allDay: false });
+        assert.deepEqual(parse('2026-03-09T09:00'), { date: '2026-03-09T13:00:00.000Z', allDay: false });
+        const date = new Date('2026-03-08T12:00:00Z');
+        assert.deepEqual(parseDateInput(date), { date, allDay: false });
+    });
+
+    it('rejects overflowing dates and times', () => {
+        for (const value of ['2026-02-31', '2026-13-45', '2025-02-29', '2026-00-10', '2026-03-08T24:00', '2026-03-08T12:60Z', '2026-03-08T12:00+24:00']) {
+            assert.equal(parseDateInput(value, NEW_YORK), null, value);
+        }
+    });
+
+    it('rejects anything that is not ISO 8601', () => {
+        for (const value of ['1', '2026', '2026-3-8', 'March 8, 2026', '08/03/2026', '', 'tomorrow', 20260308]) {
+            assert.equal(parseDateInput(value, NEW_YORK), null, String(value));
+        }
+        assert.equal(parseDateInput(new Date('nope')), null);
+    });
+});
+
+describe('parseDateBound', () => {
+    it('covers the whole local day for a date-only end', () => {
+        assert.equal(parseDateBound('2026-11-01', NEW_YORK, 'start').toISOString(), '2026-11-01T04:00:00.000Z');
+        // 25 hours long: the clocks go back that night
+        assert.equal(parseDateBound('2026-11-01', NEW_YORK, 'end').toISOString(), '2026-11-02T04:59:59.999Z');
+    });
+
+    it('takes timestamps as they are and rejects invalid values', () => {
+        assert.equal(parseDateBound('2026-11-01T10:00:00Z', NEW_YORK, 'end').toISOString(), '2026-11-01T10:00:00.000Z');
+        assert.equal(parseDateBound('2026-11-31', NEW_YORK, 'end'), null);
+    });
+});
+
+describe('combineDateAndTime', () => {
+    it('combines a date and time in the timezone', () => {
+        assert.deepEqual(combineDateAndTime('2026-03-29', '09:30', 'Europe/Berlin'), { date: new Date('2026-03-29T07:30:00Z'), allDay: false });
+        assert.deepEqual(combineDateAndTime('2026-03-28', '09:30', 'Europe/Berlin'), { date: new Date('2026-03-28T08:30:00Z'), allDay: false });
+    });
+
+    it('returns an all-day date without a time', () => {
+        assert.deepEqual(combineDateAndTime('2026-03-08', null, NEW_YORK), { date: new Date('2026-03-08T05:00:00Z'), allDay: true });
+    });
+
+    it('rejects invalid dates and times', () => {
+        assert.equal(combineDateAndTime('2026-02-30', '09:00', NEW_YORK), null);
+        assert.equal(combineDateAndTime('2026-03-08T09:00', '09:00', NEW_YORK), null);
+        assert.equal(combineDateAndTime('2026-03-08', '24:00', NEW_YORK), null);
+        assert.equal(combineDateAndTime('2026-03-08', '9am', NEW_YORK), null);
+    });
+});
@@ -0,0 +1,48 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import { sendDigest } from '../reminders/digest.js';
+import { postWebhook } from '../reminders/channels.js';
+
+const user = (digest, reminders = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    timezone: 'Europe/Paris',
+    digest: { enabled: true, frequency: 'daily', time: '07:00', ...digest },
+    reminders
+});
+
+describe('digest delivery', () => {
+    let fetchCalls;
+
+    beforeEach(t => {
+        fetchCalls = [];
+        t.mock.method(globalThis, 'fetch', async (...args) => {
+            fetchCalls.push(args);
+            return new Response(null, { status: 204 });
+        });
+        t.mock.method(Task, 'find', () => {
+            throw new Error('The agenda should not be built');
+        });
+    });
+
+    it('refuses a digest webhook on an internal address before building the agenda', async () => {
+        await assert.rejects(sendDigest(user({ webhookUrl: 'http://169.254.169.254/latest/meta-data/' })), /Webhook URL refused/);
+        assert.equal(fetchCalls.length, 0);
+    });
+
+    it('checks the reminder webhook it falls back to the same way', async () => {
+        await assert.rejects(sendDigest(user({ webhookUrl: null }, { webhookUrl: 'http://[::1]:5000/api' })), /Webhook URL refused/);
+        assert.equal(fetchCalls.length, 0);
+    });
+
+    it('posts to public webhooks without following redirects', async () => {
+        await postWebhook('https://93.184.215.14/hook', { type: 'agenda.digest' });
+        assert.equal(fetchCalls.length, 1);
+        assert.equal(fetchCalls[0][1].redirect, 'manual');
+        assert.ok(fetchCalls[0][1].dispatcher, 'connects through the dispatcher that checks the address');
+
+        await assert.rejects(postWebhook('http://localhost:5000/hook', { type: 'agenda.digest' }), /Webhook URL refused/);
+        assert.equal(fetchCalls.length, 1);
+    });
+});
@@ -0,0 +1,110 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import TaskChange from '../models/TaskChange.js';
+import { snapshotTask, recordChange, undoLastChange } from '../agent/history.js';
+import { runWithRequestContext } from '../utils/requestContext.js';
+import { useMemoryModel, pretendConnected } from './support/memoryModel.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+let tasks;
+let changes;
+let disconnect;
+
+/**
+ * Helper: Complete tasks in one request, recording each change like the tools do
+ * @param {string} requestId - Request the changes belong to
+ * @param {Array<Object>} taskObjects - Tasks to complete
+ */
+async function completeInRequest(requestId, taskObjects) {
+    await runWithRequestContext({ requestId, userId: userId.toString() }, async () => {
+        for (const { _id } of taskObjects) {
+            const task = await Task.findOne({ _id, owner: userId });
+            const before = snapshotTask(task);
+            task.completed = true;
+            await task.save();
+            await recordChange('update', task, before);
+        }
+    });
+}
+
+const insertTasks = (count, title = 'Task') => Array.from({ length: count }, (_, index) =>
+    tasks.insert({ owner: userId, title: `${title} ${index + 1}`, date: new Date('2026-10-20T09:00:00Z') }));
+
+describe('undoLastChange', () => {
+    beforeEach(t => {
+        tasks = useMemoryModel(Task);
+        changes = useMemoryModel(TaskChange);
+        disconnect = pretendConnected();
+        t.mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => {
+        tasks.restore();
+        changes.restore();
+        disconnect();
+    });
+
+    it('reverts every change of a request, however many it made', async () => {
+        const batch = insertTasks(150);
+        await completeInRequest('batch', batch);
+
+        const result = await undoLastChange(userId);
+
+        assert.equal(result.changes.length, 150);
+        assert.ok(batch.every(({ _id }) => tasks.get(_id).completed === false));
+        assert.equal(await undoLastChange(userId), null);
+    });
+
+    it('keeps finding older actions after many undos', async () => {
+        const batch = insertTasks(3, 'Batch');
+        await completeInRequest('batch', batch);
+        const singles = insertTasks(60, 'Single');
+        for (const [index, task] of singles.entries()) {
+            await completeInRequest(`single-${index}`, [task]);
+        }
+
+        for (let undo = 0; undo < singles.length; undo++) {
+            const result = await undoLastChange(userId);
+            assert.equal(result.changes.length, 1);
+        }
+        // 60 changes and 60 undos later, the batch is still next
+        const result = await undoLastChange(userId);
+        assert.equal(result.changes.length, 3);
+        assert.ok(batch.every(({ _id }) => tasks.get(_id).completed === false));
+    });
+
+    it('marks undone changes, including those undone before they were marked', async () => {
+        const [first, second] = insertTasks(2);
+        await completeInRequest('first', [first]);
+        await completeInRequest('second', [second]);
+        const changeOf = task => changes.objects.find(change => change.action === 'update' && String(change.task) === String(task._id));
+
+        await undoLastChange(userId);
+        assert.ok(changeOf(second).revertedAt instanceof Date);
+        assert.equal(changeOf(first).revertedAt, null);
+
+        // As recorded before revertedAt existed: only the undo entry says it was undone
+        changeOf(second).revertedAt = null;
+        const result = await undoLastChange(userId);
+
+        assert.equal(String(result.changes[0].task), String(first._id));
+        assert.ok(changeOf(second).revertedAt instanceof Date);
+        assert.equal(tasks.get(second._id).completed, false);
+        assert.equal(await undoLastChange(userId), null);
+    });
+
+    it('leaves changes made by the server alone', async () => {
+        const [task] = insertTasks(1);
+        const document = await Task.findOne({ _id: task._id });
+        const before = snapshotTask(document);
+        document.overdueAt = new Date();
+        await document.save();
+        await recordChange('update', document, before);
+
+        assert.equal(await undoLastChange(userId), null);
+        assert.equal(changes.objects[0].actor, 'system');
+    });
+});
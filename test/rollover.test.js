@@ -0,0 +1,68 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import TaskChange from '../models/TaskChange.js';
+import { runRollover } from '../reminders/rollover.js';
+import { useMemoryModel, pretendConnected } from './support/memoryModel.js';
+
+// 10:00 in Los Angeles, 03:00 the next day in Tokyo
+const NOW = new Date('2026-10-19T17:00:00Z');
+const owner = new mongoose.Types.ObjectId();
+
+let tasks;
+let changes;
+let disconnect;
+
+const insertTask = (title, date, timezone) => tasks.insert({ owner, title, date: new Date(date), allDay: false, timezone });
+
+describe('runRollover', () => {
+    beforeEach(() => {
+        tasks = useMemoryModel(Task);
+        changes = useMemoryModel(TaskChange);
+        disconnect = pretendConnected();
+    });
+
+    afterEach(() => {
+        tasks.restore();
+        changes.restore();
+        disconnect();
+        delete process.env.ROLLOVER_MODE;
+    });
+
+    it('flags tasks whose day is over in their own timezone only', async () => {
+        const yesterday = insertTask('Yesterday in Tokyo', '2026-10-19T14:00:00Z', 'Asia/Tokyo');
+        const earlierToday = insertTask('This morning in LA', '2026-10-19T15:00:00Z', 'America/Los_Angeles');
+
+        assert.equal(await runRollover(NOW), 1);
+        assert.deepEqual(tasks.get(yesterday._id).overdueAt, NOW);
+        assert.equal(tasks.get(earlierToday._id).overdueAt, null);
+        assert.equal(changes.objects[0].actor, 'system');
+    });
+
+    it('is not held up by more tasks than a batch that are still due today', async () => {
+        // 01:00 today in Los Angeles: earlier than the Tokyo task, but not overdue yet
+        for (let index = 0; index < 600; index++) {
+            insertTask(`Early ${index}`, '2026-10-19T08:00:00Z', 'America/Los_Angeles');
+        }
+        const overdue = insertTask('Yesterday in Tokyo', '2026-10-19T14:00:00Z', 'Asia/Tokyo');
+
+        process.env.ROLLOVER_MODE = 'move';
+        assert.equal(await runRollover(NOW), 1);
+
+        const moved = tasks.get(overdue._id);
+        // Same time of day (23:00 in Tokyo), on the current day there
+        assert.equal(moved.date.toISOString(), '2026-10-20T14:00:00.000Z');
+        assert.equal(moved.rolloverCount, 1);
+        assert.equal(moved.originalDate.toISOString(), '2026-10-19T14:00:00.000Z');
+        assert.equal(tasks.objects.filter(task => task.rolloverCount > 0).length, 1);
+    });
+
+    it('leaves repeating, completed and trashed tasks alone', async () => {
+        tasks.insert({ owner, title: 'Repeating', date: new Date('2026-10-10T09:00:00Z'), recurrence: 'FREQ=DAILY' });
+        tasks.insert({ owner, title: 'Done', date: new Date('2026-10-10T09:00:00Z'), completed: true });
+        tasks.insert({ owner, title: 'Trashed', date: new Date('2026-10-10T09:00:00Z'), deletedAt: new Date('2026-10-11T09:00:00Z') });
+
+        assert.equal(await runRollover(NOW), 0);
+    });
+});
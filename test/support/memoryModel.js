@@ -0,0 +1,201 @@
+import mongoose from 'mongoose';
+
+/**
+ * In-memory Models
+ * Stands in for MongoDB in tests: replaces the statics (and document save) of a Mongoose model
+ * with versions working on an array, supporting the query operators the app uses.
+ * Call restore() to put the originals back.
+ */
+
+/**
+ * Helper: A comparable form of a stored value (ObjectIds as strings, dates as numbers)
+ * @param {*} value - Value
+ * @returns {*} - Comparable value
+ */
+function comparable(value) {
+    if (value instanceof mongoose.Types.ObjectId) return value.toString();
+    if (value instanceof Date) return value.getTime();
+    return value === undefined ? null : value;
+}
+
+/**
+ * Helper: Whether a stored value matches one condition of a filter
+ * @param {*} value - Stored value
+ * @param {*} condition - Value or {$ne, $in, $nin, $lt, $lte, $gt, $gte}
+ * @returns {boolean}
+ */
+function matchesCondition(value, condition) {
+    const isOperators = condition && typeof condition === 'object' && !(condition instanceof Date)
+        && !(condition instanceof mongoose.Types.ObjectId) && Object.keys(condition).every(key => key.startsWith('$'));
+    if (!isOperators) {
+        const expected = comparable(condition);
+        return Array.isArray(value)
+            ? value.some(item => comparable(item) === expected)
+            : comparable(value) === expected;
+    }
+
+    const actual = comparable(value);
+    return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+            case '$ne': return !matchesCondition(value, operand);
+            case '$in': return operand.some(item => matchesCondition(value, item));
+            case '$nin': return !operand.some(item => matchesCondition(value, item));
+            case '$lt': return actual !== null && actual < comparable(operand);
+            case '$lte': return actual !== null && actual <= comparable(operand);
+            case '$gt': return actual !== null && actual > comparable(operand);
+            case '$gte': return actual !== null && actual >= comparable(operand);
+            default: throw new Error(`Unsupported operator in test store: ${operator}`);
+        }
+    });
+}
+
+/**
+ * Helper: Whether a stored object matches a filter
+ * @param {Object} object - Stored object
+ * @param {Object} filter - Filter (fields and $or)
+ * @returns {boolean}
+ */
+function matches(object, filter = {}) {
+    return Object.entries(filter).every(([field, condition]) => field === '$or'
+        ? condition.some(branch => matches(object, branch))
+        : matchesCondition(object[field], condition));
+}
+
+/**
+ * Helper: Compare two objects by a sort spec
+ * @param {Object} spec - {field: 1 or -1}
+ * @returns {Function} - Comparator
+ */
+function bySpec(spec) {
+    return (a, b) => {
+        for (const [field, direction] of Object.entries(spec)) {
+            const [left, right] = [comparable(a[field]), comparable(b[field])];
+            if (left < right) return -direction;
+            if (left > right) return direction;
+        }
+        return 0;
+    };
+}
+
+/**
+ * Replace a model's statics with in-memory versions
+ * @param {Object} Model - Mongoose model
+ * @returns {Object} - {objects (the stored plain objects), insert(fields), get(id), restore()}
+ */
+export function useMemoryModel(Model) {
+    const objects = [];
+    const clone = object => Model.hydrate(object).toObject();
+    const originals = {};
+    const stub = (target, name, fn) => {
+        originals[name] = { target, fn: target[name], own: Object.prototype.hasOwnProperty.call(target, name) };
+        target[name] = fn;
+    };
+
+    const query = (run, single) => {
+        let spec = null;
+        let count = Infinity;
+        let lean = false;
+        const chain = {
+            sort(sortSpec) { spec = sortSpec; return chain; },
+            limit(limit) { count = limit; return chain; },
+            select() { return chain; },
+            lean() { lean = true; return chain; },
+            then(resolve, reject) {
+                let results = run();
+                if (spec) results = [...results].sort(bySpec(spec));
+                results = results.slice(0, single ? 1 : count).map(clone);
+                if (!lean) results = results.map(object => Model.hydrate(object));
+                return Promise.resolve(single ? results[0] || null : results).then(resolve, reject);
+            }
+        };
+        return chain;
+    };
+
+    const store = {
+        objects,
+        insert(fields) {
+            const object = new Model(fields).toObject();
+            objects.push(object);
+            return clone(object);
+        },
+        get(id) {
+            const object = objects.find(item => String(item._id) === String(id));
+            return object ? clone(object) : null;
+        },
+        restore() {
+            for (const [name, { target, fn, own }] of Object.entries(originals)) {
+                if (own) {
+                    target[name] = fn;
+                } else {
+                    delete target[name];
+                }
+            }
+        }
+    };
+
+    stub(Model, 'find', filter => query(() => objects.filter(object => matches(object, filter)), false));
+    stub(Model, 'findOne', filter => query(() => objects.filter(object => matches(object, filter)), true));
+    stub(Model, 'findById', id => query(() => objects.filter(object => String(object._id) === String(id)), true));
+    stub(Model, 'countDocuments', async filter => objects.filter(object => matches(object, filter)).length);
+    stub(Model, 'exists', async filter => objects.some(object => matches(object, filter)) ? { _id: true } : null);
+    stub(Model, 'distinct', async (field, filter) => {
+        const values = objects.filter(object => matches(object, filter)).map(object => object[field]).filter(value => value != null);
+        return [...new Map(values.map(value => [String(value), value])).values()];
+    });
+    stub(Model, 'create', async fields => Model.hydrate(store.insert(fields)));
+    // $set, $inc and $push (with $each); an update without operators is a $set
+    // With runValidators, fails like MongoDB would: a CastError for a value of the wrong type, else a ValidationError
+    const applyUpdate = (object, update, options = {}) => {
+        const operators = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+        const next = { ...object, ...(operators.$set || {}) };
+        for (const [field, amount] of Object.entries(operators.$inc || {})) {
+            next[field] = (next[field] || 0) + amount;
+        }
+        for (const [field, value] of Object.entries(operators.$push || {})) {
+            next[field] = [...(next[field] || []), ...(value && value.$each ? value.$each : [value])];
+        }
+        const document = new Model(next);
+        const invalid = options.runValidators && document.validateSync();
+        if (invalid) {
+            throw Object.values(invalid.errors).find(error => error instanceof mongoose.Error.CastError) || invalid;
+        }
+        const saved = document.toObject();
+        objects.splice(objects.indexOf(object), 1, saved);
+        return saved;
+    };
+
+    stub(Model, 'findOneAndUpdate', async (filter, update, options) => {
+        const object = objects.find(item => matches(item, filter));
+        return object ? Model.hydrate(clone(applyUpdate(object, update, options))) : null;
+    });
+    stub(Model, 'updateOne', async (filter, update, options) => {
+        const object = objects.find(item => matches(item, filter));
+        if (object) applyUpdate(object, update, options);
+        return { matchedCount: object ? 1 : 0, modifiedCount: object ? 1 : 0 };
+    });
+    stub(Model.prototype, 'save', async function save() {
+        await this.validate();
+        const object = this.toObject();
+        const index = objects.findIndex(item => String(item._id) === String(object._id));
+        objects.splice(index === -1 ? objects.length : index, index === -1 ? 0 : 1, object);
+        return this;
+    });
+
+    return store;
+}
+
+/**
+ * Make the app believe MongoDB is connected (history is only recorded when it is)
+ * @returns {Function} - Undoes it
+ */
+export function pretendConnected() {
+    const descriptor = Object.getOwnPropertyDescriptor(mongoose.connection, 'readyState');
+    Object.defineProperty(mongoose.connection, 'readyState', { configurable: true, get: () => 1 });
+    return () => {
+        if (descriptor) {
+            Object.defineProperty(mongoose.connection, 'readyState', descriptor);
+        } else {
+            delete mongoose.connection.readyState;
+        }
+    };
+}
@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { toExportRecord, toTasksCSV, parseTasksCSV } from '../utils/taskExport.js';
+
+const task = fields => ({
+    _id: new mongoose.Types.ObjectId(),
+    date: new Date('2026-10-20T09:00:00Z'),
+    allDay: false,
+    timezone: 'Europe/Paris',
+    ...fields
+});
+
+describe('CSV export', () => {
+    it('keeps spreadsheets from reading cells as formulas', () => {
+        const csv = toTasksCSV([toExportRecord(task({
+            title: '=HYPERLINK("http://evil.example","click")',
+            notes: '+1 call',
+            advice: '@SUM(A1)',
+            tags: ['-x']
+        }), new Map())]);
+        const [, row] = csv.split('\r\n');
+
+        assert.ok(row.includes(`"'=HYPERLINK(""http://evil.example"",""click"")"`));
+        assert.ok(row.includes(`'+1 call`));
+        assert.ok(row.includes(`'@SUM(A1)`));
+        assert.ok(row.includes(`'-x`));
+        assert.ok(!/(^|,)[=+\-@]/.test(row));
+    });
+
+    it('reads back exactly what was exported', () => {
+        const values = ['=1+1', '+33 6 12 34 56', '-minus', '@mention', '\tindented', '\rreturn', "'quoted", "'=still text", 'plain'];
+        const tasks = values.map((value, index) => task({ title: `Task ${index} ${value}`, notes: value, advice: value }));
+        const records = tasks.map(item => toExportRecord(item, new Map()));
+
+        const { tasks: imported, skipped } = parseTasksCSV(toTasksCSV(records));
+
+        assert.equal(skipped.length, 0);
+        assert.deepEqual(imported.map(({ notes }) => notes), values);
+        assert.deepEqual(imported.map(({ advice }) => advice), values);
+        assert.deepEqual(imported.map(({ date }) => date.toISOString()), tasks.map(() => '2026-10-20T09:00:00.000Z'));
+    });
+
+    it('keeps formula-like titles when imported', () => {
+        const records = [toExportRecord(task({ title: '=cmd|calc', notes: '' }), new Map())];
+        const { tasks: [imported] } = parseTasksCSV(toTasksCSV(records));
+        assert.equal(imported.title, '=cmd|calc');
+    });
+});
@@ -0,0 +1,149 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import TaskChange from '../models/TaskChange.js';
+import { runBulkAction, getTasks, updateTask, TaskValidationError, MAX_BULK_TASKS } from '../agent/tools.js';
+import { undoLastChange } from '../agent/history.js';
+import { runWithRequestContext } from '../utils/requestContext.js';
+import { useMemoryModel, pretendConnected } from './support/memoryModel.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+let tasks;
+let changes;
+let disconnect;
+
+const insertTasks = count => Array.from({ length: count }, (_, index) =>
+    tasks.insert({ owner: userId, title: `Task ${index + 1}`, date: new Date('2026-10-20T09:00:00Z') }));
+
+describe('tools', () => {
+    beforeEach(t => {
+        tasks = useMemoryModel(Task);
+        changes = useMemoryModel(TaskChange);
+        disconnect = pretendConnected();
+        t.mock.method(console, 'log', () => {});
+        t.mock.method(console, 'error', () => {});
+    });
+
+    afterEach(() => {
+        tasks.restore();
+        changes.restore();
+        disconnect();
+    });
+
+    describe('runBulkAction', () => {
+        it('is reverted by one undo, even at the largest batch size', async () => {
+            const batch = insertTasks(MAX_BULK_TASKS);
+            const ids = batch.map(({ _id }) => _id.toString());
+
+            const result = await runWithRequestContext({ requestId: 'bulk', userId: userId.toString() }, () =>
+                runBulkAction(userId.toString(), ids, 'complete'));
+            assert.equal(result.succeeded, MAX_BULK_TASKS);
+            assert.ok(ids.every(id => tasks.get(id).completed));
+
+            const undone = await undoLastChange(userId.toString());
+
+            assert.equal(undone.changes.length, MAX_BULK_TASKS);
+            assert.ok(ids.every(id => tasks.get(id).completed === false && tasks.get(id).completedAt === null));
+            assert.equal(await undoLastChange(userId.toString()), null);
+        });
+
+        it('changes only the matched occurrence of a recurring task', async () => {
+            const series = tasks.insert({ owner: userId, title: 'Standup', date: new Date('2026-10-20T09:00:00Z'), allDay: false, recurrence: 'FREQ=DAILY' });
+            const [occurrence] = await getTasks(userId.toString(), {
+                dateFrom: new Date('2026-10-21T00:00:00Z'),
+                dateTo: new Date('2026-10-21T23:59:59Z')
+            });
+            assert.equal(String(occurrence.seriesId), String(series._id));
+            const target = { id: String(series._id), occurrenceDate: occurrence.occurrenceDate };
+
+            const completed = await runBulkAction(userId.toString(), [target], 'complete');
+            const moved = await runBulkAction(userId.toString(), [target], 'reschedule', { date: new Date('2026-10-21T15:00:00Z') });
+
+            assert.equal(completed.succeeded, 1);
+            assert.equal(moved.succeeded, 1);
+            const stored = tasks.get(series._id);
+            assert.equal(stored.completed, false);
+            assert.equal(stored.date.toISOString(), '2026-10-20T09:00:00.000Z');
+            assert.deepEqual(stored.completedOccurrences.map(date => date.toISOString()), ['2026-10-21T09:00:00.000Z']);
+            assert.deepEqual(stored.occurrenceOverrides.map(({ occurrenceDate, date }) => [occurrenceDate.toISOString(), date.toISOString()]),
+                [['2026-10-21T09:00:00.000Z', '2026-10-21T15:00:00.000Z']]);
+
+            const week = await getTasks(userId.toString(), {
+                dateFrom: new Date('2026-10-20T00:00:00Z'),
+                dateTo: new Date('2026-10-23T23:59:59Z')
+            });
+            assert.deepEqual(week.map(task => [new Date(task.date).toISOString(), task.completed]), [
+                ['2026-10-20T09:00:00.000Z', false],
+                ['2026-10-21T15:00:00.000Z', true],
+                ['2026-10-22T09:00:00.000Z', false],
+                ['2026-10-23T09:00:00.000Z', false]
+            ]);
+        });
+    });
+
+    describe('updateTask', () => {
+        const update = (task, updates, owner = userId) => updateTask(owner.toString(), task._id.toString(), updates);
+
+        it('stores the updated fields, keeps the others and records the change', async () => {
+            const [task] = insertTasks(1);
+
+            const updated = await update(task, { title: 'Call the bank', priority: 'high', owner: new mongoose.Types.ObjectId() });
+
+            const stored = tasks.get(task._id);
+            assert.equal(updated.title, 'Call the bank');
+            assert.equal(stored.title, 'Call the bank');
+            assert.equal(stored.priority, 'high');
+            assert.equal(String(stored.owner), String(userId));
+            assert.equal(stored.date.toISOString(), '2026-10-20T09:00:00.000Z');
+            assert.equal(changes.objects.length, 1);
+            assert.equal(changes.objects[0].action, 'update');
+            assert.deepEqual(changes.objects[0].changes.find(({ field }) => field === 'title'),
+                { field: 'title', before: 'Task 1', after: 'Call the bank' });
+        });
+
+        it('stamps completedAt on completion and clears it on reopening', async () => {
+            const [task] = insertTasks(1);
+            tasks.objects[0].overdueAt = new Date('2026-10-20T10:00:00Z');
+
+            await update(task, { completed: true });
+            const completed = tasks.get(task._id);
+            assert.equal(completed.completed, true);
+            assert.ok(completed.completedAt instanceof Date);
+            assert.equal(completed.overdueAt, null);
+
+            // Completing again keeps the original time
+            await update(task, { completed: true, title: 'Renamed' });
+            assert.equal(tasks.get(task._id).completedAt.getTime(), completed.completedAt.getTime());
+
+            await update(task, { completed: false });
+            const reopened = tasks.get(task._id);
+            assert.equal(reopened.completed, false);
+            assert.equal(reopened.completedAt, null);
+        });
+
+        it('reports invalid values as a TaskValidationError and stores nothing', async () => {
+            const [task] = insertTasks(1);
+
+            await assert.rejects(update(task, { title: 'x'.repeat(300) }),
+                error => error instanceof TaskValidationError && /title/.test(error.errors[0]));
+            await assert.rejects(update(task, { durationMinutes: 'soon' }),
+                error => error instanceof TaskValidationError && error.errors[0] === 'Invalid durationMinutes');
+            await assert.rejects(update(task, { durationMinutes: 0 }), TaskValidationError);
+
+            assert.deepEqual(tasks.get(task._id), task);
+            assert.equal(changes.objects.length, 0);
+        });
+
+        it('returns null for tasks of other users and tasks in the trash', async () => {
+            const [task, trashed] = insertTasks(2);
+            tasks.objects[1].deletedAt = new Date();
+
+            assert.equal(await update(task, { title: 'Mine now' }, new mongoose.Types.ObjectId()), null);
+            assert.equal(await update(trashed, { title: 'Back' }), null);
+            assert.equal(tasks.get(task._id).title, 'Task 1');
+            assert.equal(tasks.get(trashed._id).title, 'Task 2');
+        });
+    });
+});
@@ -0,0 +1,267 @@
+import mongoose from 'mongoose';
+import Usage from '../models/Usage.js';
+import User from '../models/User.js';
+import { estimateCost } from './pricing.js';
+import { getRequestContext } from '../utils/requestContext.js';
+import { startOfDayIn, endOfDayIn, startOfMonthIn } from '../utils/timezone.js';
+
+/**
+ * Usage Accounting
+ * Records the tokens and estimated cost of every LLM call, reports them per user, and
+ * enforces daily and monthly quotas. Limits come from USAGE_DAILY_TOKEN_LIMIT,
+ * USAGE_MONTHLY_TOKEN_LIMIT, USAGE_DAILY_COST_LIMIT and USAGE_MONTHLY_COST_LIMIT (USD),
+ * unless the user has their own in usageQuota; unset means unlimited.
+ *
+ * In the pipeline a user over quota keeps a working assistant: only steps with a fallback are
+ * skipped (advice falls back to generic tips, plans to one ordered by priority and date, small
+ * talk to a canned reply), while classifying and extracting tasks carry on. The tool loop has
+ * no fallback and no bound on its calls, so it is refused outright.
+ */
+
+// Steps that are skipped, rather than run, once a user is over quota
+export const DEGRADABLE_STEPS = ['advice', 'plan', 'chat'];
+
+// Steps refused once a user is over quota; the request fails with a QuotaExceededError
+export const REFUSED_STEPS = ['agent'];
+
+// Rough characters per token, for providers that don't report usage
+const CHARS_PER_TOKEN = 4;
+
+const QUOTA_SETTINGS = {
+    dailyTokens: 'USAGE_DAILY_TOKEN_LIMIT',
+    monthlyTokens: 'USAGE_MONTHLY_TOKEN_LIMIT',
+    dailyCost: 'USAGE_DAILY_COST_LIMIT',
+    monthlyCost: 'USAGE_MONTHLY_COST_LIMIT'
+};
+
+/**
+ * A step was skipped because the user is over a usage quota
+ * - code: "quota_exceeded"
+ * - quota: the exceeded limit {period, kind, used, limit, resetsAt}
+ */
+export class QuotaExceededError extends Error {
+    constructor(quota) {
+        super(`Usage quota exceeded: ${quota.used} of ${quota.limit} ${quota.kind} this ${quota.period}`);
+        this.name = 'QuotaExceededError';
+        this.code = 'quota_exceeded';
+        this.quota = quota;
+    }
+}
+
+/**
+ * Helper: Estimate a token count from text length
+ * @param {*} value - Text, or anything JSON-serializable
+ * @returns {number} - Tokens
+ */
+function estimateTokens(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value || '');
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Record one LLM call for the current request's user
+ * Never throws: a failed write only loses the record
+ * @param {Object} call - {step, provider, model, usage: {inputTokens, outputTokens} as reported
+ *   (or null), messages (sent), reply (assistant message)}
+ * @returns {Promise<Object>} - The record {owner, requestId, step, provider, model, inputTokens, outputTokens, estimated, cost}
+ */
+export async function recordUsage({ step, provider, model, usage, messages, reply }) {
+    const context = getRequestContext() || {};
+    const estimated = !usage;
+    const tokens = usage || {
+        inputTokens: estimateTokens(messages),
+        outputTokens: estimateTokens(reply.content) + (reply.tool_calls ? estimateTokens(reply.tool_calls) : 0)
+    };
+
+    const record = {
+        owner: context.userId || null,
+        requestId: context.requestId || null,
+        step: step || null,
+        provider,
+        model,
+        inputTokens: tokens.inputTokens || 0,
+        outputTokens: tokens.outputTokens || 0,
+        estimated,
+        cost: estimateCost(provider, model, tokens)
+    };
+
+    // Nothing to record into outside the server (e.g. offline evaluation scripts)
+    if (mongoose.connection.readyState !== 1) {
+        return record;
+    }
+
+    try {
+        await Usage.create(record);
+    } catch (error) {
+        console.warn('⚠️ Could not record LLM usage:', error.message);
+    }
+    return record;
+}
+
+/**
+ * Helper: Round a USD amount to a millionth of a dollar
+ * @param {number} cost - Amount
+ * @returns {number} - Rounded amount
+ */
+function roundCost(cost) {
+    return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Helper: The quota limits that apply to a user
+ * @param {Object|null} user - User (lean) with usageQuota
+ * @returns {Object} - {dailyTokens, monthlyTokens, dailyCost, monthlyCost}, null where unlimited
+ */
+function getLimits(user) {
+    const own = (user && user.usageQuota) || {};
+    const limits = {};
+    for (const [key, variable] of Object.entries(QUOTA_SETTINGS)) {
+        const fallback = parseFloat(process.env[variable]);
+        if (own[key] !== null && own[key] !== undefined) {
+            limits[key] = own[key];
+        } else {
+            limits[key] = Number.isFinite(fallback) && fallback >= 0 ? fallback : null;
+        }
+    }
+    return limits;
+}
+
+/**
+ * Get a user's usage against their quotas
+ * @param {string} userId - User ID
+ * @param {string} timezone - IANA timezone the day and month are counted in
+ * @returns {Promise<Object>} - {exceeded: the first exceeded limit or null,
+ *   day: {tokens, cost, tokenLimit, costLimit, resetsAt}, month: {...}}
+ */
+export async function getQuotaStatus(userId, timezone = 'UTC') {
+    const user = await User.findById(userId).select('usageQuota').lean();
+    const limits = getLimits(user);
+
+    const now = new Date();
+    const dayStart = startOfDayIn(now, timezone);
+    const monthStart = startOfMonthIn(now, timezone);
+    const status = {
+        exceeded: null,
+        day: {
+            tokens: 0,
+            cost: 0,
+            tokenLimit: limits.dailyTokens,
+            costLimit: limits.dailyCost,
+            resetsAt: new Date(endOfDayIn(now, timezone).getTime() + 1)
+        },
+        month: {
+            tokens: 0,
+            cost: 0,
+            tokenLimit: limits.monthlyTokens,
+            costLimit: limits.monthlyCost,
+            resetsAt: startOfMonthIn(now, timezone, 1)
+        }
+    };
+
+    if (Object.values(limits).every(limit => limit === null)) {
+        return status;
+    }
+
+    const [totals] = await Usage.aggregate([
+        { $match: { owner: new mongoose.Types.ObjectId(String(userId)), createdAt: { $gte: monthStart } } },
+        {
+            $group: {
+                _id: null,
+                monthTokens: { $sum: { $add: ['$inputTokens', '$outputTokens'] } },
+                monthCost: { $sum: { $ifNull: ['$cost', 0] } },
+                dayTokens: { $sum: { $cond: [{ $gte: ['$createdAt', dayStart] }, { $add: ['$inputTokens', '$outputTokens'] }, 0] } },
+                dayCost: { $sum: { $cond: [{ $gte: ['$createdAt', dayStart] }, { $ifNull: ['$cost', 0] }, 0] } }
+            }
+        }
+    ]);
+
+    if (totals) {
+        status.day.tokens = totals.dayTokens;
+        status.day.cost = roundCost(totals.dayCost);
+        status.month.tokens = totals.monthTokens;
+        status.month.cost = roundCost(totals.monthCost);
+    }
+
+    for (const period of ['day', 'month']) {
+        const usage = status[period];
+        if (usage.tokenLimit !== null && usage.tokens >= usage.tokenLimit) {
+            status.exceeded = { period, kind: 'tokens', used: usage.tokens, limit: usage.tokenLimit, resetsAt: usage.resetsAt };
+        } else if (usage.costLimit !== null && usage.cost >= usage.costLimit) {
+            status.exceeded = { period, kind: 'USD', used: usage.cost, limit: usage.costLimit, resetsAt: usage.resetsAt };
+        }
+        if (status.exceeded) {
+            break;
+        }
+    }
+    return status;
+}
+
+/**
+ * Check whether an LLM call for a step may go ahead
+ * Only degradable and refused steps are ever stopped, and only inside a user's request
+ * @param {string} step - Agent step about to call the model
+ * @throws {QuotaExceededError} - If the step should be skipped or refused
+ */
+export async function enforceQuota(step) {
+    const context = getRequestContext();
+    if (!context || !context.userId || (!DEGRADABLE_STEPS.includes(step) && !REFUSED_STEPS.includes(step))) {
+        return;
+    }
+
+    let status;
+    try {
+        status = await getQuotaStatus(context.userId, context.timezone);
+    } catch (error) {
+        // Don't hold up the request because usage couldn't be counted
+        console.warn('⚠️ Could not check usage quota:', error.message);
+        return;
+    }
+
+    if (status.exceeded) {
+        console.warn(`⚠️ ${REFUSED_STEPS.includes(step) ? 'Refusing' : 'Skipping'} ${step}: user is over their quota for the ${status.exceeded.period}`);
+        throw new QuotaExceededError(status.exceeded);
+    }
+}
+
+/**
+ * Summarize a user's usage in a period
+ * @param {string} userId - User ID
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @returns {Promise<Object>} - {totals: {requests, calls, inputTokens, outputTokens, totalTokens, cost},
+ *   byStep: [{step, calls, inputTokens, outputTokens, cost}], byModel: [{provider, model, calls, ...}]}
+ */
+export async function getUsageReport(userId, from, to) {
+    const sums = {
+        calls: { $sum: 1 },
+        inputTokens: { $sum: '$inputTokens' },
+        outputTokens: { $sum: '$outputTokens' },
+        cost: { $sum: { $ifNull: ['$cost', 0] } }
+    };
+
+    const [report] = await Usage.aggregate([
+        { $match: { owner: new mongoose.Types.ObjectId(String(userId)), createdAt: { $gte: from, $lte: to } } },
+        {
+            $facet: {
+                totals: [{ $group: { _id: null, ...sums, requestIds: { $addToSet: '$requestId' } } }],
+                byStep: [{ $group: { _id: '$step', ...sums } }, { $sort: { cost: -1, calls: -1 } }],
+                byModel: [{ $group: { _id: { provider: '$provider', model: '$model' }, ...sums } }, { $sort: { cost: -1, calls: -1 } }]
+            }
+        }
+    ]);
+
+    const shape = ({ _id, requestIds, ...rest }) => ({
+        ...rest,
+        totalTokens: rest.inputTokens + rest.outputTokens,
+        cost: roundCost(rest.cost)
+    });
+
+    const totals = report.totals[0];
+    return {
+        totals: totals
+            ? { requests: totals.requestIds.filter(Boolean).length, ...shape(totals) }
+            : { requests: 0, calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0 },
+        byStep: report.byStep.map(entry => ({ step: entry._id, ...shape(entry) })),
+        byModel: report.byModel.map(entry => ({ ...entry._id, ...shape(entry) }))
+    };
+}
@@ -0,0 +1,81 @@
+/**
+ * Model Pricing
+ * USD per million input and output tokens, used to estimate what each LLM call cost.
+ * AI_PRICES (JSON) adds or overrides entries, e.g.
+ *   AI_PRICES={"gpt-4o-mini": {"input": 0.15, "output": 0.6}, "openai-compatible:llama3.1": {"input": 0, "output": 0}}
+ * Keys are "provider:model" or just the model; a key also matches dated variants of a model
+ * ("gpt-4o" prices "gpt-4o-2024-08-06"). Models without a price get no cost estimate.
+ */
+
+const DEFAULT_PRICES = {
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+    'llama-3.3-70b-versatile': { input: 0.59, output: 0.79 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'mock': { input: 0, output: 0 }
+};
+
+let cachedOverrides = { source: undefined, prices: {} };
+
+/**
+ * Helper: Prices configured in AI_PRICES, parsed once per value
+ * @returns {Object} - {key: {input, output}}
+ */
+function getOverrides() {
+    const source = process.env.AI_PRICES;
+    if (source !== cachedOverrides.source) {
+        let prices = {};
+        try {
+            prices = source ? JSON.parse(source) : {};
+        } catch (error) {
+            console.warn('⚠️ Ignoring AI_PRICES, it is not valid JSON:', error.message);
+        }
+        cachedOverrides = { source, prices };
+    }
+    return cachedOverrides.prices;
+}
+
+/**
+ * Get the price of a model
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @returns {Object|null} - {input, output} in USD per million tokens, or null if unknown
+ */
+export function getModelPrice(provider, model) {
+    const prices = { ...DEFAULT_PRICES, ...getOverrides() };
+    const candidates = [`${provider}:${model}`, model];
+
+    for (const candidate of candidates) {
+        if (prices[candidate]) {
+            return prices[candidate];
+        }
+    }
+
+    // Longest key the model name starts with, so "gpt-4o-mini-2024-07-18" isn't priced as "gpt-4o"
+    const prefix = Object.keys(prices)
+        .filter(key => candidates.some(candidate => candidate.startsWith(`${key}-`)))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix ? prices[prefix] : null;
+}
+
+/**
+ * Estimate the cost of a call
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @param {Object} usage - {inputTokens, outputTokens}
+ * @returns {number|null} - Cost in USD, or null if the model has no price
+ */
+export function estimateCost(provider, model, { inputTokens, outputTokens }) {
+    const price = getModelPrice(provider, model);
+    if (!price) {
+        return null;
+    }
+    return ((inputTokens * (price.input || 0)) + (outputTokens * (price.output || 0))) / 1e6;
+}
@@ -0,0 +1,397 @@
+import { toWallTime, fromWallTime, endOfDayIn } from './timezone.js';
+
+/**
+ * Date Parser
+ * Deterministically resolves date and time phrases such as "tomorrow at 3pm",
+ * "next Friday", "in 2 hours", "Dec 1st" or "2026-03-14 09:30" against a reference
+ * time and timezone. The model only has to quote the phrase; the arithmetic happens here.
+ *
+ * Conventions:
+ * - "Friday", "next Friday" and "coming Friday" mean the next Friday after today; "this Friday" may be today
+ * - "next week" / "next month" / "next year" shift today's date by that amount
+ * - "next week Friday" / "Friday next week" mean the Friday of the coming Monday-to-Sunday week
+ * - A month and day without a year means the next time that date comes round
+ * - Days that don't exist ("Feb 30", "2026-02-31") are invalid, never moved to a nearby day
+ * - A time without a date means today, or tomorrow if that time has already passed
+ * - A bare hour after "at" or "by" ("at 9", "by 5") falls between 7am and 7pm: 7-11 are morning, 12 is noon
+ *   and 1-6 afternoon; 0 and 13-23 are read as a 24-hour clock. After "tonight" it is evening ("tonight at 10" = 22:00)
+ * - "morning" = 09:00, "afternoon" = 15:00, "evening" = 18:00, "tonight" = today at 20:00 unless a time is given
+ * - Phrases with words the parser does not understand resolve to null rather than a guess
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const WEEKDAYS = {
+    sunday: 0, sun: 0,
+    monday: 1, mon: 1,
+    tuesday: 2, tue: 2, tues: 2,
+    wednesday: 3, wed: 3,
+    thursday: 4, thu: 4, thur: 4, thurs: 4,
+    friday: 5, fri: 5,
+    saturday: 6, sat: 6
+};
+
+const MONTHS = {
+    january: 0, jan: 0,
+    february: 1, feb: 1,
+    march: 2, mar: 2,
+    april: 3, apr: 3,
+    may: 4,
+    june: 5, jun: 5,
+    july: 6, jul: 6,
+    august: 7, aug: 7,
+    september: 8, sep: 8, sept: 8,
+    october: 9, oct: 9,
+    november: 10, nov: 10,
+    december: 11, dec: 11
+};
+
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+const TIMES_OF_DAY = { morning: 9, afternoon: 15, evening: 18 };
+
+// Words that may surround a date phrase without changing its meaning
+const FILLER_WORDS = new Set([
+    'on', 'at', 'by', 'the', 'this', 'of', 'in', 'before', 'around', 'about', 'due', 'for', 'until', 'o\'clock', 'oclock'
+]);
+
+const WEEKDAY_PATTERN = Object.keys(WEEKDAYS).join('|');
+const MONTH_PATTERN = Object.keys(MONTHS).join('|');
+const NUMBER_PATTERN = `\\d+|${Object.keys(NUMBER_WORDS).join('|')}`;
+
+/**
+ * Helper: Parse a number written as digits or a word
+ * @param {string} value - "3", "three", "an"
+ * @returns {number} - Parsed number
+ */
+function parseNumber(value) {
+    return NUMBER_WORDS[value] !== undefined ? NUMBER_WORDS[value] : parseInt(value, 10);
+}
+
+/**
+ * Helper: Wall-time midnight for a calendar date, clamping the day to the month
+ * @param {number} year - Full year
+ * @param {number} month - Month (0-11, may overflow)
+ * @param {number} day - Day of month
+ * @returns {number} - Wall time in milliseconds
+ */
+function calendarDay(year, month, day) {
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return Date.UTC(year, month, Math.min(day, lastDay));
+}
+
+/**
+ * Helper: Wall-time midnight for a calendar date that must exist
+ * @param {number} year - Full year
+ * @param {number} month - Month (0-11; 12 and over roll into the following years)
+ * @param {number} day - Day of month
+ * @returns {number|null} - Wall time in milliseconds, or null if the month has no such day
+ */
+function exactDay(year, month, day) {
+    const first = new Date(Date.UTC(year, month, 1));
+    const wall = Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), day);
+    return day >= 1 && new Date(wall).getUTCMonth() === first.getUTCMonth() ? wall : null;
+}
+
+/**
+ * Helper: Shift a wall-time day by whole months
+ * @param {number} day - Wall-time midnight
+ * @param {number} months - Months to add
+ * @returns {number} - Wall-time midnight
+ */
+function addMonths(day, months) {
+    const date = new Date(day);
+    return calendarDay(date.getUTCFullYear(), date.getUTCMonth() + months, date.getUTCDate());
+}
+
+/**
+ * Resolve a date/time phrase to an instant
+ * @param {string} phrase - Phrase such as "tomorrow at 3pm"
+ * @param {Object} options - {now, timezone}
+ * @param {Date} options.now - Reference time (defaults to the current time)
+ * @param {string} options.timezone - IANA timezone the phrase is meant in (defaults to UTC)
+ * @returns {Object|null} - {date, allDay}, or null if the phrase is not understood
+ */
+export function resolveDate(phrase, options = {}) {
+    if (typeof phrase !== 'string') {
+        return null;
+    }
+
+    const now = options.now ? new Date(options.now) : new Date();
+    const timezone = options.timezone || 'UTC';
+    const nowWall = toWallTime(now, timezone);
+    const today = Date.UTC(new Date(nowWall).getUTCFullYear(), new Date(nowWall).getUTCMonth(), new Date(nowWall).getUTCDate());
+    const todayWeekday = new Date(today).getUTCDay();
+
+    let text = ` ${phrase.toLowerCase().replace(/[,!?]/g, ' ').replace(/\s+/g, ' ').trim()} `;
+    let day = null;
+    let minutes = null;
+    let offset = null;
+    let tonight = false;
+
+    // Remove a matched segment so leftovers can be checked afterwards
+    const take = (pattern) => {
+        const match = pattern.exec(text);
+        if (match) {
+            text = text.slice(0, match.index) + ' ' + text.slice(match.index + match[0].length);
+        }
+        return match;
+    };
+
+    // Relative durations: "in 2 hours", "in half an hour", "3 days from now"
+    let match = take(/ (?:in )?half an? hour(?: from now| later)? /);
+    if (match) {
+        offset = { ms: 30 * MINUTE_MS };
+    }
+    if (!match) {
+        match = take(new RegExp(` (in )?(${NUMBER_PATTERN}) (minute|min|hour|hr|day|week|month|year)s?( from now| later)? `));
+        if (match && (match[1] || match[4])) {
+            const amount = parseNumber(match[2]);
+            const unit = match[3];
+            if (unit === 'minute' || unit === 'min') offset = { ms: amount * MINUTE_MS };
+            else if (unit === 'hour' || unit === 'hr') offset = { ms: amount * HOUR_MS };
+            else if (unit === 'day') day = today + amount * DAY_MS;
+            else if (unit === 'week') day = today + amount * 7 * DAY_MS;
+            else if (unit === 'month') day = addMonths(today, amount);
+            else day = addMonths(today, amount * 12);
+        } else if (match) {
+            return null;
+        }
+    }
+
+    // A weekday of next week: "next week friday", "friday next week"
+    if (day === null && !offset) {
+        match = take(new RegExp(` next week (?:on )?(${WEEKDAY_PATTERN}) `))
+            || take(new RegExp(` (${WEEKDAY_PATTERN}) (?:of )?next week `));
+        if (match) {
+            const nextMonday = today + (7 - ((todayWeekday + 6) % 7)) * DAY_MS;
+            day = nextMonday + ((WEEKDAYS[match[1]] + 6) % 7) * DAY_MS;
+        }
+    }
+
+    // Named days
+    if (day === null && !offset) {
+        if (take(/ (?:the )?day after tomorrow /)) {
+            day = today + 2 * DAY_MS;
+        } else if (take(/ tomorrow /)) {
+            day = today + DAY_MS;
+        } else if (take(/ today /)) {
+            day = today;
+        } else if (take(/ tonight /)) {
+            day = today;
+            tonight = true;
+        } else if (take(/ next week /)) {
+            day = today + 7 * DAY_MS;
+        } else if (take(/ next month /)) {
+            day = addMonths(today, 1);
+        } else if (take(/ next year /)) {
+            day = addMonths(today, 12);
+        } else if (take(/ (?:this )?weekend /)) {
+            day = today + ((6 - todayWeekday + 7) % 7) * DAY_MS;
+        } else if (take(/ end of (?:the )?month /)) {
+            const date = new Date(today);
+            day = calendarDay(date.getUTCFullYear(), date.getUTCMonth() + 1, 0);
+        }
+    }
+
+    // Weekdays: "friday", "this friday", "next friday"
+    if (day === null && !offset) {
+        match = take(new RegExp(` (?:(this|next|coming) )?(${WEEKDAY_PATTERN}) `));
+        if (match) {
+            const weekday = WEEKDAYS[match[2]];
+            let ahead = (weekday - todayWeekday + 7) % 7;
+            if (ahead === 0 && match[1] !== 'this') ahead = 7;
+            day = today + ahead * DAY_MS;
+        }
+    }
+
+    // Explicit dates: "2026-03-14", "march 14th 2027", "14 march", "the 14th"
+    if (day === null && !offset) {
+        const currentYear = new Date(today).getUTCFullYear();
+        const currentMonth = new Date(today).getUTCMonth();
+        // The next time a date comes round; Feb 29 may be up to 8 years away
+        const upcoming = (month, dayOfMonth, year) => {
+            if (year) return exactDay(year, month, dayOfMonth);
+            for (let ahead = 0; ahead <= 8; ahead++) {
+                const candidate = exactDay(currentYear + ahead, month, dayOfMonth);
+                if (candidate !== null && candidate >= today) return candidate;
+            }
+            return null;
+        };
+
+        if ((match = take(/ (\d{4})-(\d{1,2})-(\d{1,2}) /))) {
+            day = Number(match[2]) >= 1 && Number(match[2]) <= 12
+                ? exactDay(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+                : null;
+            if (day === null) return null;
+        } else if ((match = take(new RegExp(` (${MONTH_PATTERN}) (\\d{1,2})(?:st|nd|rd|th)?(?: (\\d{4}))? `)))) {
+            day = upcoming(MONTHS[match[1]], Number(match[2]), Number(match[3]) || null);
+            if (day === null) return null;
+        } else if ((match = take(new RegExp(` (?:the )?(\\d{1,2})(?:st|nd|rd|th)? (?:of )?(${MONTH_PATTERN})(?: (\\d{4}))? `)))) {
+            day = upcoming(MONTHS[match[2]], Number(match[1]), Number(match[3]) || null);
+            if (day === null) return null;
+        } else if ((match = take(/ the (\d{1,2})(?:st|nd|rd|th) /))) {
+            // This month's, or the next month that has that day ("the 31st" in April is May 31)
+            const dayOfMonth = Number(match[1]);
+            day = null;
+            for (let ahead = 0; ahead <= 2 && day === null; ahead++) {
+                const candidate = exactDay(currentYear, currentMonth + ahead, dayOfMonth);
+                if (candidate !== null && candidate >= today) day = candidate;
+            }
+            if (day === null) return null;
+        }
+    }
+
+    // Times: "3pm", "3:30 pm", "15:00", "at 9", "noon", "midnight", "in the morning"
+    if (!offset) {
+        if ((match = take(/ (\d{1,2})(?::(\d{2}))? ?(am|pm|a\.m\.|p\.m\.) /))) {
+            const hours = Number(match[1]);
+            if (hours < 1 || hours > 12) return null;
+            minutes = ((hours % 12) + (match[3].startsWith('p') ? 12 : 0)) * 60 + Number(match[2] || 0);
+        } else if ((match = take(/ (\d{1,2}):(\d{2}) /))) {
+            const hours = Number(match[1]);
+            if (hours > 23 || Number(match[2]) > 59) return null;
+            minutes = hours * 60 + Number(match[2]);
+        } else if ((match = take(/ (?:at|by|around) (\d{1,2}) /))) {
+            const hours = Number(match[1]);
+            if (hours > 23) return null;
+            if (tonight) {
+                minutes = (hours < 12 ? hours + 12 : hours) * 60;
+            } else {
+                minutes = (hours >= 1 && hours <= 6 ? hours + 12 : hours) * 60;
+            }
+        } else if (take(/ (?:at )?(?:noon|midday) /)) {
+            minutes = 12 * 60;
+        } else if (take(/ (?:at )?midnight /)) {
+            minutes = 0;
+        } else if ((match = take(/ (?:in the )?(morning|afternoon|evening) /))) {
+            minutes = TIMES_OF_DAY[match[1]] * 60;
+        } else if (tonight) {
+            minutes = 20 * 60;
+        }
+    }
+
+    // Anything left that isn't filler means we didn't understand the phrase
+    const leftovers = text.split(' ').filter(word => word && !FILLER_WORDS.has(word));
+    if (leftovers.length > 0) {
+        return null;
+    }
+
+    if (offset) {
+        return { date: new Date(now.getTime() + offset.ms), allDay: false };
+    }
+
+    if (day === null && minutes === null) {
+        return null;
+    }
+
+    if (minutes === null) {
+        return { date: fromWallTime(day, timezone), allDay: true };
+    }
+
+    if (day === null) {
+        day = today + minutes * MINUTE_MS <= nowWall ? today + DAY_MS : today;
+    }
+
+    return { date: fromWallTime(day + minutes * MINUTE_MS, timezone), allDay: false };
+}
+
+const ISO_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?(Z|[+-]\d{2}:?\d{2})?)?$/i;
+
+/**
+ * Parse a date given by an API client or the model
+ * Only ISO 8601 is accepted: "YYYY-MM-DD" is an all-day date in the timezone, and
+ * "YYYY-MM-DDTHH:MM[:SS[.mmm]]" a time, in the timezone unless it ends in Z or an offset.
+ * Days and times that don't exist ("2026-02-31", "T24:00") are rejected, not rolled over.
+ * @param {string|Date} value - Date value
+ * @param {string} timezone - IANA timezone for values without an offset
+ * @returns {Object|null} - {date, allDay}, or null if the value is not a valid date
+ */
+export function parseDateInput(value, timezone = 'UTC') {
+    if (value instanceof Date) {
+        return isNaN(value) ? null : { date: value, allDay: false };
+    }
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    const match = ISO_DATE_TIME.exec(value.trim());
+    if (!match) {
+        return null;
+    }
+
+    const [, year, month, dayOfMonth, hours, minutes, seconds = '0', fraction = '0', zone] = match;
+    const day = Number(month) >= 1 && Number(month) <= 12
+        ? exactDay(Number(year), Number(month) - 1, Number(dayOfMonth))
+        : null;
+    if (day === null) {
+        return null;
+    }
+    if (hours === undefined) {
+        return { date: fromWallTime(day, timezone), allDay: true };
+    }
+    if (Number(hours) > 23 || Number(minutes) > 59 || Number(seconds) > 59) {
+        return null;
+    }
+
+    const time = day + (Number(hours) * 60 + Number(minutes)) * MINUTE_MS
+        + Number(seconds) * 1000 + Number(fraction.padEnd(3, '0'));
+    if (!zone) {
+        return { date: fromWallTime(time, timezone), allDay: false };
+    }
+    if (zone.toUpperCase() === 'Z') {
+        return { date: new Date(time), allDay: false };
+    }
+
+    const offset = /^([+-])(\d{2}):?(\d{2})$/.exec(zone);
+    if (Number(offset[2]) > 23 || Number(offset[3]) > 59) {
+        return null;
+    }
+    const offsetMinutes = (offset[1] === '-' ? -1 : 1) * (Number(offset[2]) * 60 + Number(offset[3]));
+    return { date: new Date(time - offsetMinutes * MINUTE_MS), allDay: false };
+}
+
+/**
+ * Parse one end of a date range; a date-only end covers that whole local day
+ * @param {string|Date} value - "YYYY-MM-DD" or a full timestamp
+ * @param {string} timezone - IANA timezone for date-only values
+ * @param {string} edge - "start" or "end" of the range
+ * @returns {Date|null} - Bound, or null if the value is not a date
+ */
+export function parseDateBound(value, timezone = 'UTC', edge = 'start') {
+    const parsed = parseDateInput(value, timezone);
+    if (!parsed) {
+        return null;
+    }
+    return parsed.allDay && edge === 'end' ? endOfDayIn(parsed.date, timezone) : parsed.date;
+}
+
+/**
+ * Combine a YYYY-MM-DD date and optional HH:MM time in a timezone
+ * @param {string} date - YYYY-MM-DD
+ * @param {string|null} time - HH:MM (24-hour), or null for an all-day date
+ * @param {string} timezone - IANA timezone
+ * @returns {Object|null} - {date, allDay}, or null if either part is invalid
+ */
+export function combineDateAndTime(date, time, timezone = 'UTC') {
+    const day = parseDateInput(date, timezone);
+    if (!day || !day.allDay) {
+        return null;
+    }
+    if (!time) {
+        return day;
+    }
+
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        return null;
+    }
+
+    const wall = toWallTime(day.date, timezone) + (Number(match[1]) * 60 + Number(match[2])) * MINUTE_MS;
+    return { date: fromWallTime(wall, timezone), allDay: false };
+}
@@ -0,0 +1,94 @@
+/**
+ * Embedding Helpers
+ * A local, deterministic text embedding (hashed words and character trigrams) that
+ * works offline, and vector similarity. The local embedding only captures shared
+ * words and word fragments ("tax" ~ "taxes"), not meaning; a model-backed provider
+ * in config/ai.js does better when one is configured.
+ */
+
+export const LOCAL_DIMENSIONS = 256;
+
+// Endings stripped so "taxes", "taxed" and "taxing" land on the same word
+const SUFFIXES = ['ings', 'ing', 'ies', 'es', 'ed', 's'];
+
+/**
+ * Helper: 32-bit FNV-1a hash of a string
+ * @param {string} text - Text to hash
+ * @returns {number} - Unsigned hash
+ */
+function hash(text) {
+    let value = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        value ^= text.charCodeAt(i);
+        value = Math.imul(value, 0x01000193);
+    }
+    return value >>> 0;
+}
+
+/**
+ * Helper: Reduce a word to a rough stem
+ * @param {string} word - Lowercase word
+ * @returns {string} - Stem
+ */
+function stem(word) {
+    const suffix = SUFFIXES.find(ending => word.length > ending.length + 2 && word.endsWith(ending));
+    return suffix ? word.slice(0, -suffix.length) : word;
+}
+
+/**
+ * Helper: Add a feature to a vector at a hashed position, with a hashed sign
+ * @param {Float64Array} vector - Vector to update
+ * @param {string} feature - Feature name
+ * @param {number} weight - How much the feature counts
+ */
+function addFeature(vector, feature, weight) {
+    const value = hash(feature);
+    vector[value % vector.length] += (value & 0x80000000) ? -weight : weight;
+}
+
+/**
+ * Embed text locally: deterministic, no network, same input always gives the same vector
+ * @param {string} text - Text to embed
+ * @param {number} dimensions - Vector length
+ * @returns {Array<number>} - Unit-length vector (all zeros for text without words)
+ */
+export function localEmbed(text, dimensions = LOCAL_DIMENSIONS) {
+    const vector = new Float64Array(dimensions);
+    const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+    for (const word of words) {
+        const root = stem(word);
+        addFeature(vector, `w:${root}`, 1);
+
+        const padded = `#${root}#`;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+            addFeature(vector, `t:${padded.slice(i, i + 3)}`, 0.5);
+        }
+    }
+
+    const norm = Math.sqrt(vector.reduce((total, value) => total + value * value, 0));
+    return Array.from(vector, value => (norm > 0 ? value / norm : 0));
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} - Similarity from -1 to 1 (0 if either is empty or the lengths differ)
+ */
+export function cosineSimilarity(a, b) {
+    if (!a || !b || a.length === 0 || a.length !== b.length) {
+        return 0;
+    }
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
@@ -0,0 +1,483 @@
+import { isValidRule } from './recurrence.js';
+import { isValidTimezone, toWallTime, fromWallTime } from './timezone.js';
+
+/**
+ * iCalendar (RFC 5545)
+ * Writes tasks as a calendar feed and reads tasks back from .ics files.
+ *
+ * Each task is written twice: as a VTODO (due date and completion state, for task apps)
+ * and as a VEVENT (so calendar apps show it on the day). Timed tasks outside UTC use
+ * TZID with the IANA name; all-day tasks use DATE values in the task's timezone.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const UID_DOMAIN = 'task-assistant';
+const ADVICE_HEADING = 'Advice:\n';
+const COMPLETED_PREFIX = '✓ ';
+// PRIORITY values (1 = highest, 9 = lowest) written for each priority level
+const ICAL_PRIORITIES = { urgent: 1, high: 3, medium: 5, low: 9 };
+
+/**
+ * Helper: Escape a TEXT value
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Helper: Undo TEXT escaping
+ * @param {string} text - Escaped text
+ * @returns {string} - Raw text
+ */
+function unescapeText(text) {
+    return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Helper: Fold a content line to at most 75 octets per line
+ * @param {string} line - Unfolded line
+ * @returns {string} - Folded line (CRLF + space between parts)
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let size = 0;
+
+    for (const char of line) {
+        const charSize = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? 75 : 74;
+        if (size + charSize > limit) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += charSize;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Helper: Format wall time as YYYYMMDD or YYYYMMDDTHHMMSS
+ * @param {number} wall - Wall time in milliseconds
+ * @param {boolean} dateOnly - Leave out the time
+ * @returns {string} - Formatted value
+ */
+function formatWall(wall, dateOnly) {
+    const iso = new Date(wall).toISOString().replace(/[-:]/g, '');
+    return dateOnly ? iso.slice(0, 8) : iso.slice(0, 15);
+}
+
+/**
+ * Helper: A date property line for a task's date
+ * @param {string} name - Property name (DTSTART, DUE, ...)
+ * @param {Date} date - Instant
+ * @param {boolean} allDay - Write a DATE value
+ * @param {string} timezone - Task's timezone
+ * @returns {string} - Property line
+ */
+function dateProperty(name, date, allDay, timezone) {
+    if (allDay) {
+        return `${name};VALUE=DATE:${formatWall(toWallTime(date, timezone), true)}`;
+    }
+    if (timezone === 'UTC') {
+        return `${name}:${formatWall(new Date(date).getTime(), false)}Z`;
+    }
+    return `${name};TZID=${timezone}:${formatWall(toWallTime(date, timezone), false)}`;
+}
+
+/**
+ * Helper: The UID of a task in the feed
+ * @param {Object} task - Task
+ * @param {string} component - "VTODO" or "VEVENT"
+ * @returns {string} - UID
+ */
+function taskUid(task, component) {
+    return `${task._id}${component === 'VTODO' ? '-todo' : ''}@${UID_DOMAIN}`;
+}
+
+/**
+ * Map a UID from an imported file to the one stored on the task
+ * The VTODO and VEVENT written for the same task share one normalized UID
+ * @param {string} uid - UID from the file
+ * @returns {string} - Normalized UID
+ */
+export function normalizeUid(uid) {
+    return String(uid).replace(new RegExp(`-todo@${UID_DOMAIN}$`), `@${UID_DOMAIN}`);
+}
+
+/**
+ * Get the ID of a task exported by this server from a normalized UID
+ * @param {string} uid - Normalized UID
+ * @returns {string|null} - Task ID, or null for UIDs from other calendars
+ */
+export function taskIdFromUid(uid) {
+    const match = new RegExp(`^([a-f0-9]{24})@${UID_DOMAIN}$`).exec(uid);
+    return match ? match[1] : null;
+}
+
+/**
+ * Helper: The RRULE for a task, with UNTIL matching the DTSTART value type
+ * @param {Object} task - Recurring task
+ * @returns {string} - RRULE value
+ */
+function formatRule(task) {
+    const rule = task.recurrence.replace(/^RRULE:/i, '');
+    if (task.allDay !== false) {
+        return rule;
+    }
+    // A bare UNTIL date covers that whole day
+    return rule.replace(/UNTIL=(\d{8})(?=;|$)/i, 'UNTIL=$1T235959Z');
+}
+
+/**
+ * Helper: Notes and advice as one DESCRIPTION
+ * @param {Object} task - Task or occurrence
+ * @returns {string} - Description
+ */
+function describeTask(task) {
+    return [task.notes, task.advice ? `${ADVICE_HEADING}${task.advice}` : '']
+        .filter(Boolean)
+        .join('\n\n');
+}
+
+/**
+ * Helper: Lines for one VTODO or VEVENT
+ * @param {string} component - "VTODO" or "VEVENT"
+ * @param {Object} task - Task (plain object)
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Array<string>} - Unfolded lines
+ */
+function componentLines(component, task, stamp) {
+    const timezone = task.timezone || 'UTC';
+    const allDay = task.allDay !== false;
+    const lines = [
+        `BEGIN:${component}`,
+        `UID:${taskUid(task, component)}`,
+        `DTSTAMP:${stamp}`
+    ];
+
+    if (task.createdAt) {
+        lines.push(`CREATED:${formatWall(new Date(task.createdAt).getTime(), false)}Z`);
+    }
+
+    if (component === 'VTODO') {
+        lines.push(`SUMMARY:${escapeText(task.title)}`);
+        // Repeating to-dos need a DTSTART; one-off ones only have a due date
+        lines.push(dateProperty(task.recurrence ? 'DTSTART' : 'DUE', task.date, allDay, timezone));
+        lines.push(`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+        if (task.completed) {
+            lines.push('PERCENT-COMPLETE:100');
+            if (task.completedAt) {
+                lines.push(`COMPLETED:${formatWall(new Date(task.completedAt).getTime(), false)}Z`);
+            }
+        }
+    } else {
+        lines.push(`SUMMARY:${escapeText(`${task.completed ? COMPLETED_PREFIX : ''}${task.title}`)}`);
+        lines.push(dateProperty('DTSTART', task.date, allDay, timezone));
+        if (allDay) {
+            lines.push(`DTEND;VALUE=DATE:${formatWall(toWallTime(task.date, timezone) + DAY_MS, true)}`);
+        } else if (task.durationMinutes) {
+            lines.push(`DURATION:PT${task.durationMinutes}M`);
+        }
+        // Tasks shouldn't make the user look busy
+        lines.push('TRANSP:TRANSPARENT');
+    }
+
+    const description = describeTask(task);
+    if (description) {
+        lines.push(`DESCRIPTION:${escapeText(description)}`);
+    }
+    if (task.priority && ICAL_PRIORITIES[task.priority]) {
+        lines.push(`PRIORITY:${ICAL_PRIORITIES[task.priority]}`);
+    }
+    if (task.tags && task.tags.length > 0) {
+        lines.push(`CATEGORIES:${task.tags.map(escapeText).join(',')}`);
+    }
+
+    if (task.recurrence) {
+        lines.push(`RRULE:${formatRule(task)}`);
+        for (const override of task.occurrenceOverrides || []) {
+            if (override.cancelled) {
+                lines.push(dateProperty('EXDATE', override.occurrenceDate, allDay, timezone));
+            }
+        }
+    }
+
+    lines.push(`END:${component}`);
+    return lines;
+}
+
+/**
+ * Helper: VEVENTs for occurrences of a recurring task that differ from the series
+ * (moved, renamed or completed), linked to it by RECURRENCE-ID
+ * @param {Object} task - Recurring task (plain object)
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Array<string>} - Unfolded lines
+ */
+function overrideLines(task, stamp) {
+    const timezone = task.timezone || 'UTC';
+    const allDay = task.allDay !== false;
+    const byTime = new Map();
+
+    for (const override of task.occurrenceOverrides || []) {
+        if (!override.cancelled) byTime.set(new Date(override.occurrenceDate).getTime(), override);
+    }
+    for (const date of task.completedOccurrences || []) {
+        const time = new Date(date).getTime();
+        if (!byTime.has(time)) byTime.set(time, { occurrenceDate: date });
+    }
+
+    const lines = [];
+    for (const [time, override] of byTime) {
+        const cancelled = (task.occurrenceOverrides || [])
+            .some(entry => entry.cancelled && new Date(entry.occurrenceDate).getTime() === time);
+        if (cancelled) continue;
+
+        const completed = (task.completedOccurrences || []).some(date => new Date(date).getTime() === time);
+        const occurrence = {
+            ...task,
+            title: override.title || task.title,
+            notes: override.notes !== undefined && override.notes !== null ? override.notes : task.notes,
+            date: override.date || new Date(time),
+            completed,
+            recurrence: null
+        };
+
+        const event = componentLines('VEVENT', occurrence, stamp);
+        event.splice(2, 0, dateProperty('RECURRENCE-ID', new Date(time), allDay, timezone));
+        lines.push(...event);
+    }
+
+    return lines;
+}
+
+/**
+ * Write tasks as an iCalendar document
+ * @param {Array<Object>} tasks - Tasks (plain objects, recurring tasks as series)
+ * @param {Object} options - {name, components}
+ * @param {string} options.name - Calendar name shown by calendar apps
+ * @param {Array<string>} options.components - Which of "VTODO" and "VEVENT" to write (default both)
+ * @returns {string} - .ics content
+ */
+export function toICalendar(tasks, options = {}) {
+    const { name = 'Tasks', components = ['VTODO', 'VEVENT'] } = options;
+    const stamp = `${formatWall(Date.now(), false)}Z`;
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:-//${UID_DOMAIN}//Task Assistant//EN`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+
+    for (const task of tasks) {
+        for (const component of components) {
+            lines.push(...componentLines(component, task, stamp));
+            if (component === 'VEVENT' && task.recurrence) {
+                lines.push(...overrideLines(task, stamp));
+            }
+        }
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Helper: Parse content lines into nested components
+ * @param {string} text - .ics content
+ * @returns {Array<Object>} - Top-level components [{type, properties: {NAME: [{params, value}]}, children}]
+ */
+function parseComponents(text) {
+    const lines = text.replace(/\r\n[ \t]/g, '').replace(/\n[ \t]/g, '').split(/\r?\n/);
+    const root = { type: 'ROOT', properties: {}, children: [] };
+    const stack = [root];
+
+    for (const line of lines) {
+        if (!line.trim()) continue;
+
+        const match = /^([A-Za-z0-9-]+)((?:;[^:]*)?):(.*)$/.exec(line);
+        if (!match) continue;
+
+        const name = match[1].toUpperCase();
+        const value = match[3];
+        const current = stack[stack.length - 1];
+
+        if (name === 'BEGIN') {
+            const component = { type: value.trim().toUpperCase(), properties: {}, children: [] };
+            current.children.push(component);
+            stack.push(component);
+        } else if (name === 'END') {
+            if (stack.length > 1) stack.pop();
+        } else {
+            const params = {};
+            for (const param of match[2].split(';').filter(Boolean)) {
+                const [key, ...rest] = param.split('=');
+                params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+            }
+            (current.properties[name] = current.properties[name] || []).push({ params, value });
+        }
+    }
+
+    return root.children;
+}
+
+/**
+ * Helper: Parse a DATE or DATE-TIME property
+ * @param {Object} property - {params, value}
+ * @param {string} defaultTimezone - Timezone for floating times and unknown TZIDs
+ * @returns {Object|null} - {date, allDay, timezone}, or null if unparseable
+ */
+function parseDateProperty(property, defaultTimezone) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(property.value.trim());
+    if (!match) {
+        return null;
+    }
+
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    const timezone = property.params.TZID && isValidTimezone(property.params.TZID)
+        ? property.params.TZID
+        : defaultTimezone;
+    const wallDay = Date.UTC(Number(year), Number(month) - 1, Number(day));
+
+    if (hours === undefined) {
+        return { date: fromWallTime(wallDay, timezone), allDay: true, timezone };
+    }
+
+    const wall = wallDay + ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+    if (utc) {
+        return { date: new Date(wall), allDay: false, timezone: defaultTimezone };
+    }
+    return { date: fromWallTime(wall, timezone), allDay: false, timezone };
+}
+
+/**
+ * Helper: Parse a DURATION value such as "PT1H30M" or "P1D"
+ * @param {string} value - Duration
+ * @returns {number|null} - Minutes, or null if unparseable
+ */
+function parseDuration(value) {
+    const match = /^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+    if (!match) {
+        return null;
+    }
+
+    const [, weeks, days, hours, minutes] = match.map(part => Number(part) || 0);
+    return ((weeks * 7 + days) * 24 + hours) * 60 + minutes;
+}
+
+/**
+ * Read tasks from an iCalendar document
+ * VTODO and VEVENT components become tasks; changed occurrences of repeating
+ * events (RECURRENCE-ID) and entries without a title or date are skipped
+ * @param {string} text - .ics content
+ * @param {string} timezone - Timezone for floating times and unknown TZIDs
+ * @returns {Object} - {tasks: [{uid, title, date, allDay, timezone, durationMinutes, notes, advice, recurrence, completed}],
+ *   skipped: [{uid, title, reason}]}
+ * @throws {Error} - If the text has no VCALENDAR
+ */
+export function parseICalendar(text, timezone = 'UTC') {
+    const calendars = parseComponents(String(text)).filter(component => component.type === 'VCALENDAR');
+    if (calendars.length === 0) {
+        throw new Error('Not an iCalendar file (no VCALENDAR found)');
+    }
+
+    const tasks = [];
+    const skipped = [];
+    // The VTODO and VEVENT of one task share a UID; keep one entry per UID
+    const byUid = new Map();
+
+    for (const component of calendars.flatMap(calendar => calendar.children)) {
+        if (component.type !== 'VTODO' && component.type !== 'VEVENT') continue;
+
+        const first = name => (component.properties[name] || [])[0];
+        const uid = first('UID') ? normalizeUid(first('UID').value.trim()) : null;
+        let title = first('SUMMARY') ? unescapeText(first('SUMMARY').value).trim() : '';
+
+        if (first('RECURRENCE-ID')) {
+            skipped.push({ uid, title, reason: 'Changed occurrence of a repeating entry' });
+            continue;
+        }
+        if (!title) {
+            skipped.push({ uid, title, reason: 'Missing title' });
+            continue;
+        }
+
+        const start = first('DTSTART') || first('DUE');
+        const when = start ? parseDateProperty(start, timezone) : null;
+        if (!when) {
+            skipped.push({ uid, title, reason: 'Missing or invalid date' });
+            continue;
+        }
+
+        let completed = component.type === 'VTODO'
+            && first('STATUS') && first('STATUS').value.trim().toUpperCase() === 'COMPLETED';
+        if (component.type === 'VEVENT' && title.startsWith(COMPLETED_PREFIX)) {
+            title = title.slice(COMPLETED_PREFIX.length);
+            completed = true;
+        }
+
+        let durationMinutes = null;
+        if (!when.allDay && first('DURATION')) {
+            durationMinutes = parseDuration(first('DURATION').value);
+        } else if (!when.allDay && first('DTEND')) {
+            const end = parseDateProperty(first('DTEND'), timezone);
+            if (end) durationMinutes = Math.round((end.date - when.date) / MINUTE_MS);
+        }
+
+        const description = first('DESCRIPTION') ? unescapeText(first('DESCRIPTION').value) : '';
+        const [notes, advice = ''] = description.split(ADVICE_HEADING);
+
+        // PRIORITY 0 means undefined; 1-2 urgent, 3-4 high, 5 medium, 6-9 low
+        const level = first('PRIORITY') ? parseInt(first('PRIORITY').value, 10) : 0;
+        const priority = level >= 1 && level <= 9
+            ? (level <= 2 ? 'urgent' : level <= 4 ? 'high' : level === 5 ? 'medium' : 'low')
+            : undefined;
+
+        const tags = (component.properties.CATEGORIES || [])
+            .flatMap(property => property.value.split(/(?<!\\),/))
+            .map(unescapeText);
+
+        let recurrence = first('RRULE') ? first('RRULE').value.trim() : null;
+        if (recurrence && !isValidRule(recurrence)) {
+            console.warn('⚠️ Ignoring unsupported recurrence rule in import:', recurrence);
+            recurrence = null;
+        }
+
+        if (uid && byUid.has(uid)) {
+            const earlier = byUid.get(uid);
+            earlier.durationMinutes = earlier.durationMinutes || (durationMinutes > 0 ? durationMinutes : null);
+            continue;
+        }
+
+        const task = {
+            uid,
+            title: title.slice(0, 200),
+            date: when.date,
+            allDay: when.allDay,
+            timezone: when.timezone,
+            durationMinutes: durationMinutes > 0 ? durationMinutes : null,
+            notes: notes.trim(),
+            advice: advice.trim(),
+            recurrence,
+            priority,
+            tags,
+            completed: Boolean(completed)
+        };
+        tasks.push(task);
+        if (uid) byUid.set(uid, task);
+    }
+
+    return { tasks, skipped };
+}
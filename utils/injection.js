@@ -0,0 +1,42 @@
+/**
+ * Prompt Injection Detection
+ * Spots messages that try to take over the model instead of describing a task:
+ * overriding its instructions, extracting the system prompt, giving it a new persona,
+ * or imitating the prompt's own markup and JSON. Matches are flagged on the turn and
+ * logged; the message is still handled, with every prompt treating it as data.
+ */
+
+const SIGNALS = [
+    {
+        name: 'instruction_override',
+        pattern: /\b(ignore|disregard|forget|override|bypass)\b[^.\n]{0,40}\b(previous|prior|above|earlier|all|any|your|system|the)\b[^.\n]{0,20}\b(instructions?|rules|prompts?|directions|guidelines|constraints)\b/i
+    },
+    {
+        name: 'prompt_exfiltration',
+        pattern: /\b(reveal|show|print|repeat|output|leak|tell me|what (is|are))\b[^.\n]{0,30}\b(system prompt|(your|the) (instructions|prompt|rules)|hidden prompt|initial prompt|(text|words|everything) above)\b/i
+    },
+    {
+        name: 'role_hijack',
+        pattern: /\b(you are now|you're now|from now on,? you (are|will)|new persona|developer mode|jailbreak|do anything now|dan mode)\b/i
+    },
+    {
+        name: 'fake_markup',
+        pattern: /<\/?\s*(system|assistant|user_content|instructions?)\s*>|\[\/?(system|inst)\]|^\s*(system|assistant)\s*:|#{2,}\s*(system|instructions?)\b/im
+    },
+    {
+        name: 'format_spoofing',
+        pattern: /["'](intent|taskReference|adviceRequested|subtasks|applyToSeries)["']\s*:/
+    }
+];
+
+/**
+ * Check a message for prompt injection attempts
+ * @param {string} text - User message
+ * @returns {Object} - {flagged, signals: names of the matched signals}
+ */
+export function detectInjection(text) {
+    const signals = SIGNALS
+        .filter(signal => signal.pattern.test(String(text || '')))
+        .map(signal => signal.name);
+    return { flagged: signals.length > 0, signals };
+}
@@ -0,0 +1,82 @@
+/**
+ * Label Helpers
+ * Priorities and tags: validation, normalization and inferring them from a user's words
+ */
+
+export const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+export const DEFAULT_PRIORITY = 'medium';
+
+// Most tags a task can have, and the longest tag
+export const MAX_TAGS = 20;
+export const MAX_TAG_LENGTH = 50;
+
+// Phrases that imply a priority, checked from most to least urgent
+const PRIORITY_PATTERNS = [
+    ['urgent', /\b(urgent(ly)?|asap|as soon as possible|immediately|critical|top priority|right away)\b/i],
+    ['high', /\b(high[- ]priority|important|high pri)\b/i],
+    ['low', /\b(low[- ]priority|no rush|whenever|someday|not urgent|if i have time|eventually)\b/i]
+];
+
+/**
+ * Check a priority value
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether it is one of PRIORITIES
+ */
+export function isValidPriority(value) {
+    return PRIORITIES.includes(value);
+}
+
+/**
+ * Rank a priority for sorting (urgent = 3 ... low = 0); missing counts as the default
+ * @param {string} priority - Priority
+ * @returns {number} - Rank
+ */
+export function priorityRank(priority) {
+    const rank = PRIORITIES.indexOf(priority);
+    return rank === -1 ? PRIORITIES.indexOf(DEFAULT_PRIORITY) : rank;
+}
+
+/**
+ * Infer a priority from a message ("urgent", "asap", "no rush", ...)
+ * @param {string} text - The user's message
+ * @returns {string|null} - Priority, or null if nothing implies one
+ */
+export function inferPriority(text) {
+    const match = PRIORITY_PATTERNS.find(([, pattern]) => pattern.test(String(text || '')));
+    return match ? match[0] : null;
+}
+
+/**
+ * Normalize a tag: no leading "#", lowercase, spaces become dashes
+ * @param {string} tag - Tag as written, e.g. "#Work" or "deep work"
+ * @returns {string|null} - Normalized tag, or null if nothing is left
+ */
+export function normalizeTag(tag) {
+    const normalized = String(tag || '')
+        .trim()
+        .replace(/^#+/, '')
+        .toLowerCase()
+        .replace(/\s+/g, '-')
+        .slice(0, MAX_TAG_LENGTH);
+    return normalized || null;
+}
+
+/**
+ * Normalize a list of tags, dropping empty entries and duplicates
+ * @param {Array<string>} tags - Tags as written
+ * @returns {Array<string>} - Unique normalized tags, at most MAX_TAGS
+ */
+export function normalizeTags(tags = []) {
+    const normalized = tags.map(normalizeTag).filter(Boolean);
+    return [...new Set(normalized)].slice(0, MAX_TAGS);
+}
+
+/**
+ * Find #hashtags in a message
+ * @param {string} text - The user's message, e.g. "Email the deck #work #q3"
+ * @returns {Array<string>} - Normalized tags, e.g. ["work", "q3"]
+ */
+export function extractHashtags(text) {
+    const matches = String(text || '').match(/(?:^|\s)#([\p{L}\p{N}_-]+)/gu) || [];
+    return normalizeTags(matches);
+}
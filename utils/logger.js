@@ -0,0 +1,108 @@
+import util from 'util';
+import { getRequestContext } from './requestContext.js';
+
+/**
+ * Structured Logger
+ * Writes one JSON object per line: {time, level, msg, requestId, userId, ...fields}, with the
+ * request's ID and user filled in from the request context. Levels are debug, info, warn and
+ * error; LOG_LEVEL (default "info") drops everything below it. warn and error go to stderr.
+ *
+ * captureConsole() sends console.log/info/warn/error/debug through the logger too, so
+ * modules that still log with console produce the same JSON lines.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Helper: The lowest level written (LOG_LEVEL)
+ * @returns {number} - Level rank
+ */
+function getMinLevel() {
+    return LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+}
+
+/**
+ * Helper: A JSON-friendly copy of an error
+ * @param {Error} error - Error
+ * @returns {Object} - {name, message, code, stack}
+ */
+export function serializeError(error) {
+    if (!(error instanceof Error)) {
+        return error;
+    }
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined ? { code: error.code } : {}),
+        ...(error.status !== undefined ? { status: error.status } : {}),
+        stack: error.stack
+    };
+}
+
+/**
+ * Write one log entry
+ * @param {string} level - debug, info, warn or error
+ * @param {string} msg - Message
+ * @param {Object} fields - Extra fields; an "error" field may be an Error
+ */
+function write(level, msg, fields = {}) {
+    if (LEVELS[level] < getMinLevel()) {
+        return;
+    }
+
+    const context = getRequestContext() || {};
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg,
+        ...(context.requestId ? { requestId: context.requestId } : {}),
+        ...(context.userId ? { userId: context.userId } : {}),
+        ...fields
+    };
+    if (entry.error) {
+        entry.error = serializeError(entry.error);
+    }
+
+    let line;
+    try {
+        line = JSON.stringify(entry);
+    } catch (error) {
+        // Circular or otherwise unserializable fields
+        line = JSON.stringify({ time: entry.time, level, msg, fields: util.inspect(fields, { depth: 2 }) });
+    }
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+export const logger = {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields)
+};
+
+/**
+ * Helper: Turn console arguments into a message and fields
+ * The first Error among them becomes the "error" field
+ * @param {Array} args - console arguments
+ * @returns {Object} - {msg, fields}
+ */
+function fromConsoleArgs(args) {
+    const error = args.find(arg => arg instanceof Error);
+    const rest = args.filter(arg => arg !== error);
+    const msg = util.format(...rest).trim();
+    return { msg: msg || (error ? error.message : ''), fields: error ? { error } : {} };
+}
+
+/**
+ * Route console output through the logger, as log entries with levels
+ * console.log and console.info log at info, console.debug at debug
+ */
+export function captureConsole() {
+    const levels = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+    for (const [method, level] of Object.entries(levels)) {
+        console[method] = (...args) => {
+            const { msg, fields } = fromConsoleArgs(args);
+            write(level, msg, fields);
+        };
+    }
+}
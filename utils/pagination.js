@@ -0,0 +1,114 @@
+/**
+ * Pagination Helpers
+ * Opaque cursors, page-size limits and field projection for list endpoints
+ */
+
+/**
+ * Helper: Read a positive integer from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} - Value
+ */
+function readPositiveInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return value > 0 ? value : fallback;
+}
+
+/**
+ * Page size used when a request doesn't ask for one (TASKS_PAGE_SIZE, default 50)
+ * @returns {number} - Page size
+ */
+export function getDefaultPageSize() {
+    return Math.min(readPositiveInt('TASKS_PAGE_SIZE', 50), getMaxPageSize());
+}
+
+/**
+ * Largest page a request may ask for (TASKS_MAX_PAGE_SIZE, default 200)
+ * @returns {number} - Page size cap
+ */
+export function getMaxPageSize() {
+    return readPositiveInt('TASKS_MAX_PAGE_SIZE', 200);
+}
+
+/**
+ * Work out the page size for a request
+ * @param {*} value - Requested limit (e.g. from the query string), or undefined
+ * @returns {number|null} - Page size capped at the maximum, or null if the value isn't a positive integer
+ */
+export function resolvePageSize(value) {
+    if (value === undefined || value === null || value === '') {
+        return getDefaultPageSize();
+    }
+
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+        return null;
+    }
+    return Math.min(limit, getMaxPageSize());
+}
+
+/**
+ * Encode a position in a sorted list as an opaque cursor
+ * @param {Object} position - JSON-serializable position (sort, order and the last item's sort key)
+ * @returns {string} - URL-safe cursor
+ */
+export function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor made by encodeCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object} - Position
+ * @throws {Error} - If the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+    try {
+        const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!position || typeof position !== 'object') {
+            throw new Error('not an object');
+        }
+        return position;
+    } catch (error) {
+        throw new Error('Invalid cursor');
+    }
+}
+
+/**
+ * Parse a comma-separated field list
+ * @param {string} value - e.g. "title,date,completed"
+ * @param {Array<string>} allowed - Fields that may be requested
+ * @returns {Object} - {fields} (null when no list was given), or {error} naming the unknown fields
+ */
+export function parseFields(value, allowed) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return { fields: null };
+    }
+
+    const fields = [...new Set(String(value).split(',').map(field => field.trim()).filter(Boolean))];
+    const unknown = fields.filter(field => !allowed.includes(field));
+    if (unknown.length > 0) {
+        return { error: `Unknown fields: ${unknown.join(', ')}` };
+    }
+    return { fields };
+}
+
+/**
+ * Keep only some fields of an object; _id is always kept
+ * @param {Object} item - Object to project
+ * @param {Array<string>|null} fields - Fields to keep, or null for all
+ * @returns {Object} - Projected copy (or the item itself when fields is null)
+ */
+export function projectFields(item, fields) {
+    if (!fields) {
+        return item;
+    }
+
+    const projected = { _id: item._id };
+    for (const field of fields) {
+        if (item[field] !== undefined) {
+            projected[field] = item[field];
+        }
+    }
+    return projected;
+}
@@ -0,0 +1,420 @@
+import { toWallTime, fromWallTime, endOfDayIn } from './timezone.js';
+
+/**
+ * Recurrence Rules
+ * Parses and expands the RRULE subset used for recurring tasks:
+ * FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, BYDAY (e.g. MO, 1MO, -1FR),
+ * BYMONTHDAY (e.g. 1, -1), COUNT and UNTIL (YYYYMMDD or YYYYMMDDTHHMMSSZ)
+ *
+ * Occurrences are computed in wall-clock time in the task's timezone and converted back to
+ * instants at the end, so a task at 09:00 stays at 09:00 local time across DST changes.
+ * An occurrence keeps the local time of day of the task's start date.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ORDINAL_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last' };
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const FREQUENCY_UNITS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+
+// Stop expanding after this many periods (days, weeks, months or years)
+const MAX_PERIODS = 20000;
+// Never return more than this many occurrences for one task
+export const MAX_OCCURRENCES = 366;
+
+/**
+ * Helper: Midnight of the day containing a timestamp (UTC or wall time)
+ * @param {number} time - Milliseconds since epoch
+ * @returns {number} - Milliseconds since epoch
+ */
+function startOfDay(time) {
+    return time - (((time % DAY_MS) + DAY_MS) % DAY_MS);
+}
+
+/**
+ * Helper: Number of days in a month
+ * @param {number} year - Full year
+ * @param {number} month - Month (0-11, may overflow)
+ * @returns {number} - Days in the month
+ */
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Helper: Parse a BYDAY entry such as "MO", "1MO" or "-1FR"
+ * @param {string} value - BYDAY entry
+ * @returns {Object} - {weekday (0-6, Sunday first), ordinal (number or null)}
+ */
+function parseByDay(value) {
+    const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(value);
+    if (!match) {
+        throw new Error(`Invalid BYDAY value: ${value}`);
+    }
+
+    const ordinal = match[1] ? parseInt(match[1], 10) : null;
+    if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 5)) {
+        throw new Error(`Invalid BYDAY ordinal: ${value}`);
+    }
+
+    return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+}
+
+/**
+ * Helper: Parse an UNTIL value; a bare date includes the whole (local) day
+ * @param {string} value - YYYYMMDD or YYYYMMDDTHHMMSSZ
+ * @returns {number} - Milliseconds since epoch (wall time for a bare date)
+ */
+function parseUntil(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+    if (!match) {
+        throw new Error(`Invalid UNTIL value: ${value}`);
+    }
+
+    const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+    if (match[4] === undefined) {
+        return Date.UTC(year, month - 1, day) + DAY_MS - 1;
+    }
+    return Date.UTC(year, month - 1, day, hours, minutes, seconds);
+}
+
+/**
+ * Helper: Parse a positive integer rule part
+ * @param {string} name - Rule part name
+ * @param {string} value - Raw value
+ * @returns {number} - Parsed integer
+ */
+function parsePositiveInteger(name, value) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`${name} must be a positive integer`);
+    }
+    return number;
+}
+
+/**
+ * Parse a recurrence rule
+ * @param {string} rule - Rule such as "FREQ=WEEKLY;BYDAY=MO,WE"
+ * @returns {Object} - {freq, interval, byDay, byMonthDay, count, until}
+ * @throws {Error} - If the rule is malformed or uses unsupported parts
+ */
+export function parseRule(rule) {
+    if (typeof rule !== 'string' || rule.trim().length === 0) {
+        throw new Error('Recurrence rule must be a non-empty string');
+    }
+
+    const parts = {};
+    for (const part of rule.trim().replace(/^RRULE:/i, '').split(';')) {
+        if (!part) continue;
+
+        const [key, value] = part.split('=');
+        if (!key || !value) {
+            throw new Error(`Invalid rule part: ${part}`);
+        }
+        parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+    }
+
+    const parsed = { freq: parts.FREQ, interval: 1, byDay: [], byMonthDay: [], count: null, until: null, untilIsLocal: false };
+
+    if (!FREQUENCIES.includes(parsed.freq)) {
+        throw new Error(`FREQ must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+
+    for (const [key, value] of Object.entries(parts)) {
+        switch (key) {
+            case 'FREQ':
+                break;
+            case 'INTERVAL':
+                parsed.interval = parsePositiveInteger(key, value);
+                break;
+            case 'BYDAY':
+                parsed.byDay = value.split(',').map(parseByDay);
+                break;
+            case 'BYMONTHDAY':
+                parsed.byMonthDay = value.split(',').map(day => {
+                    const number = Number(day);
+                    if (!Number.isInteger(number) || number === 0 || Math.abs(number) > 31) {
+                        throw new Error(`Invalid BYMONTHDAY value: ${day}`);
+                    }
+                    return number;
+                });
+                break;
+            case 'COUNT':
+                parsed.count = parsePositiveInteger(key, value);
+                break;
+            case 'UNTIL':
+                parsed.until = parseUntil(value);
+                parsed.untilIsLocal = !value.includes('T');
+                break;
+            default:
+                throw new Error(`Unsupported rule part: ${key}`);
+        }
+    }
+
+    if (parsed.count && parsed.until) {
+        throw new Error('COUNT and UNTIL cannot both be set');
+    }
+
+    return parsed;
+}
+
+/**
+ * Check whether a recurrence rule can be parsed
+ * @param {string} rule - Recurrence rule
+ * @returns {boolean} - Whether the rule is valid
+ */
+export function isValidRule(rule) {
+    try {
+        parseRule(rule);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Helper: Days of a month matched by the rule, ascending
+ * @param {Object} rule - Parsed rule
+ * @param {number} year - Full year
+ * @param {number} month - Month (0-11)
+ * @param {number} defaultDay - Day of month used when the rule has no BYDAY/BYMONTHDAY
+ * @returns {Array<number>} - Days of the month (1-31)
+ */
+function monthDays(rule, year, month, defaultDay) {
+    const length = daysInMonth(year, month);
+    const days = new Set();
+
+    if (rule.byMonthDay.length > 0) {
+        for (const day of rule.byMonthDay) {
+            const resolved = day > 0 ? day : length + day + 1;
+            if (resolved >= 1 && resolved <= length) days.add(resolved);
+        }
+    } else if (rule.byDay.length > 0) {
+        const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+        for (const { weekday, ordinal } of rule.byDay) {
+            const first = 1 + ((weekday - firstWeekday + 7) % 7);
+            const matching = [];
+            for (let day = first; day <= length; day += 7) matching.push(day);
+
+            if (ordinal === null) {
+                matching.forEach(day => days.add(day));
+            } else {
+                const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+                if (day) days.add(day);
+            }
+        }
+    } else if (defaultDay <= length) {
+        days.add(defaultDay);
+    }
+
+    return [...days].sort((a, b) => a - b);
+}
+
+/**
+ * Helper: Generate candidate occurrence timestamps in ascending order
+ * Candidates may fall before the start date; the caller filters them
+ * @param {Object} rule - Parsed rule
+ * @param {Date} start - First occurrence of the series
+ */
+function* candidates(rule, start) {
+    const startTime = start.getTime();
+    const startDay = startOfDay(startTime);
+    const timeOfDay = startTime - startDay;
+    const year = start.getUTCFullYear();
+    const month = start.getUTCMonth();
+    const weekdays = rule.byDay.map(entry => entry.weekday);
+
+    for (let period = 0; period < MAX_PERIODS; period++) {
+        const step = period * rule.interval;
+
+        if (rule.freq === 'DAILY') {
+            const day = startDay + step * DAY_MS;
+            if (weekdays.length === 0 || weekdays.includes(new Date(day).getUTCDay())) {
+                yield day + timeOfDay;
+            }
+        } else if (rule.freq === 'WEEKLY') {
+            // Weeks start on Monday
+            const weekStart = startDay - ((start.getUTCDay() + 6) % 7) * DAY_MS + step * 7 * DAY_MS;
+            const days = weekdays.length > 0 ? weekdays : [start.getUTCDay()];
+            const offsets = [...new Set(days.map(weekday => (weekday + 6) % 7))].sort((a, b) => a - b);
+            for (const offset of offsets) {
+                yield weekStart + offset * DAY_MS + timeOfDay;
+            }
+        } else if (rule.freq === 'MONTHLY') {
+            const periodYear = year + Math.floor((month + step) / 12);
+            const periodMonth = (month + step) % 12;
+            for (const day of monthDays(rule, periodYear, periodMonth, start.getUTCDate())) {
+                yield Date.UTC(periodYear, periodMonth, day) + timeOfDay;
+            }
+        } else {
+            const periodYear = year + step;
+            if (start.getUTCDate() <= daysInMonth(periodYear, month)) {
+                yield Date.UTC(periodYear, month, start.getUTCDate()) + timeOfDay;
+            }
+        }
+    }
+}
+
+/**
+ * List the occurrences of a rule that fall within a range
+ * @param {string|Object} rule - Rule string or parsed rule
+ * @param {Date} start - First occurrence of the series (DTSTART)
+ * @param {Date} from - Start of the range (inclusive)
+ * @param {Date} to - End of the range (inclusive)
+ * @param {number} limit - Maximum number of occurrences to return
+ * @param {string} timezone - IANA timezone the series repeats in
+ * @returns {Array<Date>} - Occurrence dates, ascending
+ */
+export function getOccurrences(rule, start, from, to, limit = MAX_OCCURRENCES, timezone = 'UTC') {
+    const parsed = typeof rule === 'string' ? parseRule(rule) : rule;
+    const wallStart = toWallTime(start, timezone);
+    const fromTime = new Date(from).getTime();
+    const toTime = new Date(to).getTime();
+    // UTC offsets are under a day, so wall times before this are certainly before the range
+    const skipBefore = toWallTime(from, timezone) - DAY_MS;
+    const occurrences = [];
+    let count = 0;
+
+    for (const wall of candidates(parsed, new Date(wallStart))) {
+        if (wall < wallStart) continue;
+        if (parsed.until !== null && parsed.untilIsLocal && wall > parsed.until) break;
+
+        count++;
+        if (parsed.count !== null && count > parsed.count) break;
+        if (wall < skipBefore) continue;
+
+        const time = fromWallTime(wall, timezone).getTime();
+        if (time > toTime || (parsed.until !== null && !parsed.untilIsLocal && time > parsed.until)) break;
+
+        if (time >= fromTime) {
+            occurrences.push(new Date(time));
+            if (occurrences.length >= limit) break;
+        }
+    }
+
+    return occurrences;
+}
+
+/**
+ * Check whether a date is an occurrence of a rule
+ * @param {string} rule - Recurrence rule
+ * @param {Date} start - First occurrence of the series
+ * @param {Date} date - Date to check
+ * @param {string} timezone - IANA timezone the series repeats in
+ * @returns {boolean} - Whether the date is an occurrence
+ */
+export function isOccurrence(rule, start, date, timezone = 'UTC') {
+    return getOccurrences(rule, start, date, date, 1, timezone).length === 1;
+}
+
+/**
+ * Describe a rule in plain English, e.g. "every 2 weeks on Monday and Friday"
+ * @param {string} rule - Recurrence rule
+ * @returns {string} - Description
+ */
+export function describeRule(rule) {
+    const parsed = parseRule(rule);
+    const unit = FREQUENCY_UNITS[parsed.freq];
+    let description = parsed.interval === 1 ? `every ${unit}` : `every ${parsed.interval} ${unit}s`;
+
+    if (parsed.byDay.length > 0) {
+        const days = parsed.byDay.map(({ weekday, ordinal }) =>
+            ordinal === null ? WEEKDAY_NAMES[weekday] : `the ${ORDINAL_NAMES[ordinal] || `${ordinal}th`} ${WEEKDAY_NAMES[weekday]}`
+        );
+        description += ` on ${days.length > 1 ? `${days.slice(0, -1).join(', ')} and ${days[days.length - 1]}` : days[0]}`;
+    } else if (parsed.byMonthDay.length > 0) {
+        const days = parsed.byMonthDay.map(day => {
+            if (day === -1) return 'the last day';
+            return day > 0 ? `day ${day}` : `day ${-day} from the end`;
+        });
+        description += ` on ${days.join(', ')}`;
+    }
+
+    if (parsed.count !== null) {
+        description += `, ${parsed.count} times`;
+    } else if (parsed.until !== null) {
+        description += ` until ${new Date(parsed.until).toISOString().split('T')[0]}`;
+    }
+
+    return description;
+}
+
+/**
+ * Helper: Whether two dates are the same instant
+ * @param {Date} a - First date
+ * @param {Date} b - Second date
+ * @returns {boolean} - Whether they are equal
+ */
+function sameTime(a, b) {
+    return new Date(a).getTime() === new Date(b).getTime();
+}
+
+/**
+ * Build the occurrence object for one original occurrence date of a recurring task
+ * Applies per-occurrence overrides and completion
+ * @param {Object} task - Recurring task (plain object)
+ * @param {Date} occurrenceDate - Original occurrence date from the rule
+ * @returns {Object|null} - Occurrence, or null if it was cancelled
+ */
+export function buildOccurrence(task, occurrenceDate) {
+    const override = (task.occurrenceOverrides || []).find(entry => sameTime(entry.occurrenceDate, occurrenceDate)) || {};
+    if (override.cancelled) {
+        return null;
+    }
+
+    const { occurrenceOverrides, completedOccurrences, ...series } = task;
+
+    return {
+        ...series,
+        date: override.date || occurrenceDate,
+        title: override.title || task.title,
+        notes: override.notes !== undefined && override.notes !== null ? override.notes : task.notes,
+        completed: task.completed || (completedOccurrences || []).some(date => sameTime(date, occurrenceDate)),
+        occurrenceDate,
+        seriesId: task._id,
+        isOccurrence: true
+    };
+}
+
+/**
+ * Expand a recurring task into the occurrences that fall within a range
+ * Occurrences moved into or out of the range (by up to a month) are handled
+ * @param {Object} task - Recurring task (plain object)
+ * @param {Date} from - Start of the range (inclusive)
+ * @param {Date} to - End of the range (inclusive)
+ * @returns {Array<Object>} - Occurrences, ascending by original date
+ */
+export function expandTask(task, from, to) {
+    const fromTime = new Date(from).getTime();
+    const toTime = new Date(to).getTime();
+    const margin = 31 * DAY_MS;
+
+    return getOccurrences(task.recurrence, task.date, new Date(fromTime - margin), new Date(toTime + margin), MAX_OCCURRENCES, task.timezone || 'UTC')
+        .map(date => buildOccurrence(task, date))
+        .filter(occurrence => {
+            if (!occurrence) return false;
+            const time = new Date(occurrence.date).getTime();
+            return time >= fromTime && time <= toTime;
+        });
+}
+
+/**
+ * Find the occurrence a user most likely means by "this one":
+ * the earliest open occurrence in the last month up to the end of today (in the task's timezone),
+ * otherwise the next upcoming open occurrence
+ * @param {Object} task - Recurring task (plain object)
+ * @param {Date} now - Current time
+ * @returns {Object|null} - Occurrence, or null if the series has no open occurrences
+ */
+export function findCurrentOccurrence(task, now = new Date()) {
+    const endOfToday = endOfDayIn(now, task.timezone || 'UTC').getTime();
+    const recent = expandTask(task, new Date(endOfToday - 31 * DAY_MS), new Date(endOfToday));
+    const open = recent.find(occurrence => !occurrence.completed);
+    if (open) {
+        return open;
+    }
+
+    const upcoming = expandTask(task, new Date(endOfToday + 1), new Date(endOfToday + 400 * DAY_MS));
+    return upcoming.find(occurrence => !occurrence.completed) || null;
+}
@@ -0,0 +1,28 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Request Context
+ * Carries per-request values ({requestId, userId, timezone}) through async calls, so code deep
+ * inside the agent (e.g. the AI client recording usage) knows which request and user it serves
+ * without every function passing them along
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request context
+ * @param {Object} values - {requestId, userId, timezone}
+ * @param {Function} fn - Function to run; everything it awaits sees the context
+ * @returns {*} - What fn returns
+ */
+export function runWithRequestContext(values, fn) {
+    return storage.run({ ...values }, fn);
+}
+
+/**
+ * Get the context of the request being handled
+ * @returns {Object|null} - {requestId, userId, timezone}, or null outside a request
+ */
+export function getRequestContext() {
+    return storage.getStore() || null;
+}
@@ -0,0 +1,80 @@
+/**
+ * Output Sanitization
+ * Cleans text the model wrote before it is stored on a task: model output may echo
+ * markup or hidden characters smuggled in through the user's message, and it is
+ * shown to users later, so nothing renderable or invisible is kept and every
+ * field is capped at a fixed length.
+ */
+
+// Longest value kept for each field a model can write
+export const FIELD_LIMITS = {
+    title: 200,
+    notes: 2000,
+    advice: 4000,
+    subtask: 200,
+    projectName: 100
+};
+
+// Zero-width and bidirectional-override characters that can hide or reorder text
+const INVISIBLE = /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+// Control characters other than tab and newline
+const CONTROL = /[\u0000-\u0008\u000B-\u001F\u007F]/g;
+// HTML-like tags, e.g. <script>, </user_content>, <img src=...>
+const TAGS = /<\/?[a-z][^<>]*>/gi;
+// Script URLs in links the frontend might render
+const SCRIPT_URLS = /\b(javascript|vbscript)\s*:|\bdata\s*:\s*text\/html/gi;
+
+/**
+ * Sanitize one piece of model-written text
+ * @param {*} value - Text (null and undefined pass through)
+ * @param {number} maxLength - Longest result; longer text is cut and ends with "…"
+ * @returns {string|null|undefined} - Clean text
+ */
+export function sanitizeText(value, maxLength = Infinity) {
+    if (value === null || value === undefined) {
+        return value;
+    }
+
+    let text = String(value)
+        .normalize('NFC')
+        .replace(/\r\n?/g, '\n')
+        .replace(INVISIBLE, '')
+        .replace(CONTROL, '')
+        .replace(TAGS, '')
+        .replace(SCRIPT_URLS, '')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+    if (text.length > maxLength) {
+        text = `${text.slice(0, maxLength - 1).trimEnd()}…`;
+    }
+    return text;
+}
+
+// Fields sanitizeTaskFields cleans, and the limit each is held to
+const TEXT_FIELDS = { title: 'title', notes: 'notes', advice: 'advice', projectName: 'projectName', project: 'projectName' };
+const LIST_FIELDS = { subtasks: 'subtask', titles: 'subtask' };
+
+/**
+ * Sanitize the model-written fields of a task, a change or tool arguments, where present:
+ * title, notes, advice, projectName / project (a name), and subtasks / titles (lists of subtask titles)
+ * @param {Object} fields - Task fields (not modified)
+ * @returns {Object} - Copy with clean fields
+ */
+export function sanitizeTaskFields(fields) {
+    const clean = { ...fields };
+    for (const [key, limit] of Object.entries(TEXT_FIELDS)) {
+        if (typeof clean[key] === 'string') {
+            clean[key] = sanitizeText(clean[key], FIELD_LIMITS[limit]);
+        }
+    }
+    for (const [key, limit] of Object.entries(LIST_FIELDS)) {
+        if (Array.isArray(clean[key])) {
+            clean[key] = clean[key]
+                .map(item => (typeof item === 'string' ? sanitizeText(item, FIELD_LIMITS[limit]) : item))
+                .filter(Boolean);
+        }
+    }
+    return clean;
+}
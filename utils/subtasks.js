@@ -0,0 +1,39 @@
+/**
+ * Subtask Helpers
+ * Progress of a task's checklist and turning free-text advice into checklist items
+ */
+
+// Longest checklist a task can have
+export const MAX_SUBTASKS = 50;
+
+/**
+ * Compute a task's progress from its subtasks
+ * @param {Array<Object>} subtasks - Subtasks {completed}
+ * @returns {Object} - {completed, total, percent}; percent is null without subtasks
+ */
+export function computeProgress(subtasks = []) {
+    const total = subtasks.length;
+    const completed = subtasks.filter(subtask => subtask.completed).length;
+
+    return {
+        completed,
+        total,
+        percent: total > 0 ? Math.round((completed / total) * 100) : null
+    };
+}
+
+/**
+ * Read checklist items from a numbered or bulleted list in free text
+ * Used when advice was generated as text rather than structured output
+ * @param {string} text - Advice text, e.g. "1. Gather notes\n2. **Review** chapter 3"
+ * @returns {Array<string>} - Item titles, in order
+ */
+export function parseChecklist(text) {
+    return String(text || '')
+        .split(/\r?\n/)
+        .map(line => /^\s*(?:\d+[.)]|[-*•])\s+(.+)$/.exec(line))
+        .filter(Boolean)
+        .map(match => match[1].replace(/\*\*|__/g, '').trim().slice(0, 200))
+        .filter(Boolean)
+        .slice(0, MAX_SUBTASKS);
+}
@@ -0,0 +1,311 @@
+import { parseDateInput } from './dateParser.js';
+import { isValidTimezone } from './timezone.js';
+
+/**
+ * Task Export (JSON and CSV)
+ * Writes a user's tasks in a portable form and reads them back for import.
+ *
+ * JSON holds everything needed to recreate a task, including the completed and changed
+ * occurrences of repeating tasks. CSV has one row per task with the same columns except
+ * those occurrence changes; tags are separated by spaces and subtasks are one per line,
+ * as "[x] Done step" or "[ ] Open step". Projects are written by name, since IDs differ
+ * between accounts. Exported task IDs let an import skip tasks the user already has.
+ */
+
+export const EXPORT_FORMATS = ['json', 'csv'];
+export const EXPORT_VERSION = 1;
+
+export const CSV_COLUMNS = [
+    'id', 'title', 'date', 'allDay', 'durationMinutes', 'timezone', 'recurrence', 'priority',
+    'tags', 'project', 'completed', 'completedAt', 'notes', 'advice', 'subtasks', 'createdAt'
+];
+
+const SUBTASK_PATTERN = /^\[( |x|X)\]\s*(.*)$/;
+
+/**
+ * Shape a task for export
+ * @param {Object} task - Task (plain object, recurring tasks as series)
+ * @param {Map} projectNames - Project ID -> name
+ * @returns {Object} - Export record
+ */
+export function toExportRecord(task, projectNames) {
+    return {
+        id: task._id.toString(),
+        title: task.title,
+        date: new Date(task.date).toISOString(),
+        allDay: task.allDay !== false,
+        durationMinutes: task.durationMinutes || null,
+        timezone: task.timezone || 'UTC',
+        recurrence: task.recurrence || null,
+        priority: task.priority || 'medium',
+        tags: task.tags || [],
+        project: task.project ? projectNames.get(task.project.toString()) || null : null,
+        completed: Boolean(task.completed),
+        completedAt: task.completedAt ? new Date(task.completedAt).toISOString() : null,
+        notes: task.notes || '',
+        advice: task.advice || '',
+        subtasks: (task.subtasks || []).map(({ title, completed }) => ({ title, completed: Boolean(completed) })),
+        completedOccurrences: (task.completedOccurrences || []).map(date => new Date(date).toISOString()),
+        occurrenceOverrides: (task.occurrenceOverrides || []).map(({ occurrenceDate, date, title, notes, cancelled }) => ({
+            occurrenceDate: new Date(occurrenceDate).toISOString(),
+            ...(date ? { date: new Date(date).toISOString() } : {}),
+            ...(title !== undefined ? { title } : {}),
+            ...(notes !== undefined ? { notes } : {}),
+            cancelled: Boolean(cancelled)
+        })),
+        createdAt: task.createdAt ? new Date(task.createdAt).toISOString() : null
+    };
+}
+
+/**
+ * Write export records as a JSON document
+ * @param {Array<Object>} records - From toExportRecord
+ * @returns {string} - {version, exportedAt, tasks}
+ */
+export function toTasksJSON(records) {
+    return JSON.stringify({ version: EXPORT_VERSION, exportedAt: new Date().toISOString(), tasks: records }, null, 2);
+}
+
+// Spreadsheets read cells starting with these as formulas; such cells are written with a leading '
+// (as are cells already starting with one, so reading strips exactly one)
+const FORMULA_START = /^[=+\-@\t\r']/;
+
+/**
+ * Helper: Quote a CSV cell when it needs it, and keep spreadsheets from running it as a formula
+ * @param {*} value - Cell value
+ * @returns {string} - Cell text
+ */
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (FORMULA_START.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Helper: The value of a cell written by csvCell
+ * @param {string} cell - Cell text
+ * @returns {string} - Value
+ */
+function csvValue(cell) {
+    return cell.startsWith("'") && FORMULA_START.test(cell.slice(1)) ? cell.slice(1) : cell;
+}
+
+/**
+ * Write export records as CSV (RFC 4180, with a header row)
+ * @param {Array<Object>} records - From toExportRecord
+ * @returns {string} - CSV text
+ */
+export function toTasksCSV(records) {
+    const rows = records.map(record => CSV_COLUMNS.map(column => {
+        if (column === 'tags') {
+            return csvCell(record.tags.join(' '));
+        }
+        if (column === 'subtasks') {
+            return csvCell(record.subtasks.map(({ title, completed }) => `[${completed ? 'x' : ' '}] ${title}`).join('\n'));
+        }
+        return csvCell(record[column]);
+    }).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Helper: Split CSV text into rows of cells
+ * Handles quoted cells with commas, quotes and line breaks
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows (blank lines dropped)
+ * @throws {Error} - If a quoted cell is never closed
+ */
+function parseCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) {
+        throw new Error('Invalid CSV: a quoted value is never closed');
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Helper: Read a true/false cell
+ * @param {*} value - true, false, "true", "false", "yes", "no", "1", "0" or empty
+ * @returns {boolean|undefined} - Value, or undefined if empty or unrecognized
+ */
+function parseBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    const text = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+    if (['true', 'yes', '1'].includes(text)) return true;
+    if (['false', 'no', '0'].includes(text)) return false;
+    return undefined;
+}
+
+/**
+ * Helper: Read a list of dates, dropping invalid ones
+ * @param {*} values - Array of date strings
+ * @returns {Array<Date>} - Dates
+ */
+function parseDates(values) {
+    return (Array.isArray(values) ? values : [])
+        .map(value => new Date(value))
+        .filter(date => !isNaN(date));
+}
+
+/**
+ * Helper: Turn an export record (from JSON or a CSV row) into an import entry
+ * Fields are checked when the task is saved; only what is needed to read the record is checked here
+ * @param {Object} record - Export record
+ * @param {string} timezone - Timezone for records without one (and for date-only dates)
+ * @returns {Object} - {entry} for saveTask/importTasks, or {reason} if the record can't be read
+ */
+function toImportEntry(record, timezone) {
+    const title = typeof record.title === 'string' ? record.title.trim() : '';
+    if (!title) {
+        return { reason: 'Missing title' };
+    }
+
+    const taskTimezone = typeof record.timezone === 'string' && record.timezone.trim() ? record.timezone.trim() : timezone;
+    if (!isValidTimezone(taskTimezone)) {
+        return { reason: 'Invalid timezone' };
+    }
+    const when = parseDateInput(record.date instanceof Date ? record.date : String(record.date || ''), taskTimezone);
+    if (!when) {
+        return { reason: 'Missing or invalid date' };
+    }
+
+    const allDay = parseBoolean(record.allDay);
+    const completedAt = record.completedAt ? new Date(record.completedAt) : null;
+    const durationMinutes = record.durationMinutes === null || record.durationMinutes === undefined || record.durationMinutes === ''
+        ? null
+        : Number(record.durationMinutes);
+
+    const entry = {
+        id: record.id ? String(record.id) : undefined,
+        title,
+        date: when.date,
+        allDay: allDay === undefined ? when.allDay : allDay,
+        durationMinutes,
+        timezone: taskTimezone,
+        recurrence: record.recurrence ? String(record.recurrence).trim() : null,
+        priority: record.priority ? String(record.priority).trim().toLowerCase() : undefined,
+        tags: Array.isArray(record.tags) ? record.tags : String(record.tags || '').split(/\s+/).filter(Boolean),
+        projectName: record.project ? String(record.project).trim() : undefined,
+        completed: parseBoolean(record.completed) === true,
+        completedAt: completedAt && !isNaN(completedAt) ? completedAt : null,
+        notes: record.notes ? String(record.notes) : '',
+        advice: record.advice ? String(record.advice) : '',
+        subtasks: (Array.isArray(record.subtasks) ? record.subtasks : [])
+            .filter(subtask => subtask && typeof subtask.title === 'string' && subtask.title.trim())
+            .map(subtask => ({ title: subtask.title.trim(), completed: parseBoolean(subtask.completed) === true })),
+        completedOccurrences: parseDates(record.completedOccurrences),
+        occurrenceOverrides: (Array.isArray(record.occurrenceOverrides) ? record.occurrenceOverrides : [])
+            .filter(override => override && !isNaN(new Date(override.occurrenceDate)))
+    };
+
+    return { entry };
+}
+
+/**
+ * Helper: Read export records into import entries
+ * @param {Array<Object>} records - Export records
+ * @param {string} timezone - Timezone for records without one
+ * @param {Function} position - (index) -> where the record came from, for skipped entries
+ * @returns {Object} - {tasks: import entries, skipped: [{id, title, reason, ...position}]}
+ */
+function readRecords(records, timezone, position) {
+    const tasks = [];
+    const skipped = [];
+
+    records.forEach((record, index) => {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            skipped.push({ ...position(index), reason: 'Not a task' });
+            return;
+        }
+        const { entry, reason } = toImportEntry(record, timezone);
+        if (entry) {
+            tasks.push(entry);
+        } else {
+            skipped.push({ ...position(index), id: record.id, title: record.title, reason });
+        }
+    });
+
+    return { tasks, skipped };
+}
+
+/**
+ * Read a JSON export for import
+ * @param {Object|Array} data - Parsed JSON: an export document {tasks: [...]} or an array of tasks
+ * @param {string} timezone - Timezone for tasks without one
+ * @returns {Object} - {tasks: import entries, skipped: [{index, id, title, reason}]}
+ * @throws {Error} - If the data isn't a task export
+ */
+export function parseTasksJSON(data, timezone = 'UTC') {
+    const records = Array.isArray(data) ? data : (data && Array.isArray(data.tasks) ? data.tasks : null);
+    if (!records) {
+        throw new Error('Not a task export (expected {"tasks": [...]} or an array of tasks)');
+    }
+    return readRecords(records, timezone, index => ({ index }));
+}
+
+/**
+ * Read a CSV export for import
+ * The header row names the columns (any of CSV_COLUMNS, in any order; title and date are required)
+ * @param {string} text - CSV text
+ * @param {string} timezone - Timezone for rows without one
+ * @returns {Object} - {tasks: import entries, skipped: [{row, id, title, reason}]} (row 2 is the first after the header)
+ * @throws {Error} - If the text isn't CSV with title and date columns
+ */
+export function parseTasksCSV(text, timezone = 'UTC') {
+    const [header, ...rows] = parseCSVRows(String(text).replace(/^\uFEFF/, ''));
+    const columns = (header || []).map(name => name.trim());
+    if (!columns.includes('title') || !columns.includes('date')) {
+        throw new Error('Invalid CSV: the header row must include title and date columns');
+    }
+
+    const records = rows.map(cells => {
+        const record = Object.fromEntries(columns
+            .map((column, index) => [column, cells[index] === undefined ? '' : csvValue(cells[index])])
+            .filter(([column]) => CSV_COLUMNS.includes(column)));
+
+        record.subtasks = String(record.subtasks || '').split(/\r?\n/)
+            .map(line => SUBTASK_PATTERN.exec(line.trim()) || [null, ' ', line.trim()])
+            .map(([, mark, title]) => ({ title, completed: mark.toLowerCase() === 'x' }));
+        return record;
+    });
+
+    return readRecords(records, timezone, index => ({ row: index + 2 }));
+}
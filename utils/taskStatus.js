@@ -0,0 +1,45 @@
+import { findCurrentOccurrence } from './recurrence.js';
+import { toDateString } from './timezone.js';
+
+/**
+ * Task Status
+ * Where a task stands, computed from its date and completion whenever it is read:
+ * - "completed": done (for a repeating series: finished, or no open occurrences left)
+ * - "overdue": open and its day has passed, or its time has for a timed task
+ * - "due_today": open and due later today
+ * - "upcoming": open and due after today
+ * Days are those of the task's own timezone.
+ */
+
+export const TASK_STATUSES = ['upcoming', 'due_today', 'overdue', 'completed'];
+
+/**
+ * Compute the status of a task or occurrence
+ * A repeating series (not expanded) takes the status of its current occurrence: the earliest
+ * open one from the last month, or else the next one (see findCurrentOccurrence)
+ * @param {Object} task - Task document, plain task or occurrence {date, allDay, timezone, completed, recurrence}
+ * @param {Date} now - Current time
+ * @returns {string} - One of TASK_STATUSES
+ */
+export function computeStatus(task, now = new Date()) {
+    if (task.completed) {
+        return 'completed';
+    }
+
+    let current = task;
+    if (task.recurrence && !task.occurrenceDate) {
+        current = findCurrentOccurrence(typeof task.toObject === 'function' ? task.toObject() : task, now);
+        if (!current) {
+            return 'completed';
+        }
+    }
+
+    const timezone = current.timezone || 'UTC';
+    const day = toDateString(current.date, timezone);
+    const today = toDateString(now, timezone);
+
+    if (day < today || (current.allDay === false && new Date(current.date) < now)) {
+        return 'overdue';
+    }
+    return day === today ? 'due_today' : 'upcoming';
+}
@@ -0,0 +1,139 @@
+/**
+ * Timezone Helpers
+ * Conversions between instants and wall-clock time in an IANA timezone, using Intl only.
+ *
+ * A "wall time" is the local date and time in a timezone, encoded as milliseconds
+ * as if that local time were UTC. This lets calendar arithmetic use Date.UTC and
+ * the getUTC* accessors, with a single conversion back to a real instant at the end.
+ */
+
+const formatters = new Map();
+
+/**
+ * Helper: Cached formatter producing numeric parts in a timezone
+ * @param {string} timezone - IANA timezone
+ * @returns {Intl.DateTimeFormat} - Formatter
+ */
+function getFormatter(timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return formatters.get(timezone);
+}
+
+/**
+ * Check whether a string is a timezone Intl understands (e.g. "Europe/Paris")
+ * @param {string} timezone - Timezone name
+ * @returns {boolean} - Whether the timezone is valid
+ */
+export function isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || timezone.length === 0) {
+        return false;
+    }
+
+    try {
+        getFormatter(timezone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Convert an instant to wall time in a timezone
+ * @param {Date|number} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {number} - Wall time in milliseconds
+ */
+export function toWallTime(date, timezone) {
+    const time = new Date(date).getTime();
+    const parts = {};
+    for (const { type, value } of getFormatter(timezone).formatToParts(new Date(time))) {
+        parts[type] = Number(value);
+    }
+
+    const wallSeconds = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallSeconds + (((time % 1000) + 1000) % 1000);
+}
+
+/**
+ * Convert wall time in a timezone to an instant
+ * Nonexistent local times (spring-forward gaps) resolve to the later offset
+ * @param {number} wallTime - Wall time in milliseconds
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} - Instant
+ */
+export function fromWallTime(wallTime, timezone) {
+    // The offset at the guessed instant may differ near DST changes, so correct once
+    const firstGuess = wallTime - (toWallTime(wallTime, timezone) - wallTime);
+    const offset = toWallTime(firstGuess, timezone) - firstGuess;
+    return new Date(wallTime - offset);
+}
+
+/**
+ * Midnight at the start of the local day containing an instant
+ * @param {Date|number} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} - Instant of local midnight
+ */
+export function startOfDayIn(date, timezone) {
+    const wall = toWallTime(date, timezone);
+    const wallDay = new Date(wall);
+    return fromWallTime(Date.UTC(wallDay.getUTCFullYear(), wallDay.getUTCMonth(), wallDay.getUTCDate()), timezone);
+}
+
+/**
+ * The last millisecond of the local day containing an instant
+ * @param {Date|number} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} - Instant just before the next local midnight
+ */
+export function endOfDayIn(date, timezone) {
+    const wall = new Date(toWallTime(date, timezone));
+    const nextMidnight = Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate() + 1);
+    return new Date(fromWallTime(nextMidnight, timezone).getTime() - 1);
+}
+
+/**
+ * Midnight at the start of the local month containing an instant
+ * @param {Date|number} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @param {number} offset - Months to add (1 for the start of the next month)
+ * @returns {Date} - Instant of local midnight on the 1st
+ */
+export function startOfMonthIn(date, timezone, offset = 0) {
+    const wall = new Date(toWallTime(date, timezone));
+    return fromWallTime(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth() + offset, 1), timezone);
+}
+
+/**
+ * The local calendar date of an instant
+ * @param {Date|number} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {string} - YYYY-MM-DD
+ */
+export function toDateString(date, timezone) {
+    return new Date(toWallTime(date, timezone)).toISOString().split('T')[0];
+}
+
+/**
+ * The local date and time of an instant, for prompts and logs
+ * @param {Date|number} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {string} - e.g. "Monday, 2026-10-19 14:05 (Europe/Paris)"
+ */
+export function toLocalString(date, timezone) {
+    const wall = new Date(toWallTime(date, timezone));
+    const weekday = wall.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+    const [day, time] = wall.toISOString().split('T');
+    return `${weekday}, ${day} ${time.slice(0, 5)} (${timezone})`;
+}
@@ -0,0 +1,131 @@
+import { lookup } from 'dns';
+import dns from 'dns/promises';
+import net from 'net';
+
+/**
+ * Webhook URL Checks
+ * The server POSTs signed payloads to URLs users give it, so a URL must not point back into
+ * the server's own network: loopback, private and link-local ranges (which include cloud
+ * metadata endpoints such as 169.254.169.254 and fd00:ec2::254) and other special-purpose
+ * addresses are refused. Hostnames are resolved and every address they resolve to is checked,
+ * both when the URL is saved and again before each delivery, since DNS can change in between.
+ * Deliveries connect through lookupPublicAddress, so the address checked is the one connected
+ * to: a host can't pass the check and then resolve to an internal address (DNS rebinding).
+ */
+
+// Kept apart: a BlockList also matches IPv4 addresses against IPv4-mapped IPv6 subnets
+const BLOCKED_IPV4 = new net.BlockList();
+const BLOCKED_IPV6 = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], // "this network"
+    ['10.0.0.0', 8], // private
+    ['100.64.0.0', 10], // carrier-grade NAT (also Alibaba Cloud metadata)
+    ['127.0.0.0', 8], // loopback
+    ['169.254.0.0', 16], // link-local, cloud metadata
+    ['172.16.0.0', 12], // private
+    ['192.0.0.0', 24], // IETF protocol assignments
+    ['192.168.0.0', 16], // private
+    ['198.18.0.0', 15], // benchmarking
+    ['224.0.0.0', 4], // multicast
+    ['240.0.0.0', 4] // reserved, broadcast
+]) {
+    BLOCKED_IPV4.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+    ['::', 128], // unspecified
+    ['::1', 128], // loopback
+    ['::', 96], // IPv4-compatible
+    ['::ffff:0:0', 96], // IPv4-mapped
+    ['64:ff9b::', 96], // IPv4/IPv6 translation
+    ['2002::', 16], // 6to4, embeds an IPv4 address
+    ['fc00::', 7], // unique local, AWS metadata
+    ['fe80::', 10], // link-local
+    ['ff00::', 8] // multicast
+]) {
+    BLOCKED_IPV6.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * Check whether an IP address is one webhooks may be sent to
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - Whether the address is public
+ */
+export function isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) {
+        return false;
+    }
+    return family === 4 ? !BLOCKED_IPV4.check(address, 'ipv4') : !BLOCKED_IPV6.check(address, 'ipv6');
+}
+
+/**
+ * Check a webhook URL: http(s), no credentials, and a host resolving only to public addresses
+ * @param {string} value - URL
+ * @returns {Promise<string|null>} - Why the URL can't be used, or null if it can
+ */
+export async function checkWebhookUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return 'is not a valid URL';
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return 'must be an http(s) URL';
+    }
+    if (url.username || url.password) {
+        return 'must not contain credentials';
+    }
+
+    const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+    let addresses;
+    if (net.isIP(host)) {
+        addresses = [host];
+    } else {
+        try {
+            addresses = (await dns.lookup(host, { all: true, verbatim: true })).map(({ address }) => address);
+        } catch (error) {
+            return `host ${host} could not be resolved`;
+        }
+    }
+
+    if (addresses.length === 0 || !addresses.every(isPublicAddress)) {
+        return 'must point to a public address, not a local, private or metadata one';
+    }
+    return null;
+}
+
+/**
+ * Check a webhook URL before sending to it
+ * @param {string} url - URL
+ * @throws {Error} - If the URL can't be used (see checkWebhookUrl)
+ */
+export async function assertWebhookUrl(url) {
+    const problem = await checkWebhookUrl(url);
+    if (problem) {
+        throw new Error(`Webhook URL refused: it ${problem}`);
+    }
+}
+
+/**
+ * dns.lookup for webhook connections: resolves the host and fails unless every address is public
+ * @param {string} hostname - Host to connect to
+ * @param {Object} options - dns.lookup options, as passed by net.connect
+ * @param {Function} callback - dns.lookup callback
+ */
+export function lookupPublicAddress(hostname, options, callback) {
+    lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) {
+            return callback(error);
+        }
+        if (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address))) {
+            const refused = new Error(`Webhook URL refused: host ${hostname} does not resolve to a public address`);
+            refused.code = 'EWEBHOOKREFUSED';
+            return callback(refused);
+        }
+        if (options.all) {
+            return callback(null, addresses);
+        }
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}